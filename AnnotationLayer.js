@@ -0,0 +1,113 @@
+/**
+ * Class that plots the annotations of a chart, above its marks. The annotations are positioned in the coordinates of the data by the chart, so they follow the changes of its scales. Each chart creates its own, see Chart.setAnnotations().
+ */
+class AnnotationLayer {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The annotated chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._layer = null;
+		
+		this._selection = null;
+	}
+	
+	/**
+	 * Plots the annotations, matching them with the current ones. See Chart.setAnnotations().
+	 * @param {Object[]} annotations - An array of annotations.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the annotations.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each annotation. If not given, they are matched by index.
+	 */
+	set(annotations, attributes, onEvents, key) {
+		let chart = this._chart;
+		if (!this._layer) this._layer = chart._selection.append("g").attr("class", "annotations");
+		let onExit = exit=>chart._animate(exit).attr("opacity", 0).remove();
+		this._selection = Chart.joinData(this._layer, ".annotation", "g", annotations, key, null, onExit);
+		
+		Chart.insertAttributesEvents(this._selection, attributes, onEvents);
+		for (let type of ChartSpec._annotationTypes) this._selection.classed(type + "Annotation", d=>(d.type == type));
+		this.layout();
+	}
+	
+	/**
+	 * Keeps the annotations above the marks, after the marks changed.
+	 */
+	raise() {
+		if (this._layer) this._layer.raise();
+	}
+	
+	/**
+	 * Removes the annotations.
+	 */
+	remove() {
+		if (this._layer) this._layer.remove();
+		this._layer = null;
+		this._selection = null;
+	}
+	
+	/**
+	 * Places the annotations again, after the scales of the chart changed.
+	 */
+	layout() {
+		if (!this._selection) return;
+		let chart = this._chart;
+		let theme = chart.theme();
+		
+		this._selection.each(function(d) {
+			let group = d3.select(this);
+			let name = (d.x != null) ? "x" : "y";
+			let shape = [];
+			let point = null;
+			let label = {x: 0, y: 0, dx: 0, dy: 0, anchor: "start"};
+			
+			if ((d.type == "line") || (d.type == "band")) {
+				let values = (d.type == "line") ? [d[name]] : d[name];
+				let lines = values.map(value=>chart._annotationLine(name, value));
+				shape = (d.type == "line") ? lines[0] : lines[0].concat(lines[1].slice().reverse());
+				label = {x: lines[0][0][0], y: lines[0][0][1], dx: 4, dy: (name == "x") ? 12 : -4, anchor: "start"};
+			} else {
+				point = chart._annotationPoint(d.x, d.y);
+				let dx = (d.type == "callout") ? ((d.dx != null) ? d.dx : 30) : 0;
+				let dy = (d.type == "callout") ? ((d.dy != null) ? d.dy : -30) : 0;
+				label = {x: point[0] + dx, y: point[1] + dy, dx: 0, dy: (dy > 0) ? 12 : -4, anchor: (d.type == "note") ? "middle" : (dx < 0) ? "end" : "start"};
+			}
+			
+			let path = Chart.joinData(group, ".annotationShape", "path", (shape.length > 0) ? [shape] : [])
+				.attr("fill", (d.type == "band") ? theme.foreground : "none")
+				.attr("fill-opacity", 0.1)
+				.attr("stroke-dasharray", (d.type == "line") ? "4,3" : null)
+				.attr("stroke-width", (d.type == "band") ? 0 : theme.strokeWidths.mark);
+			chart._animate(path).attr("d", points=>(d3.line()(points) + ((d.type == "band") ? "Z" : "")));
+			
+			let callout = (d.type == "callout") ? [point] : [];
+			let leader = Chart.joinData(group, ".annotationLeader", "line", callout)
+				.attr("stroke-width", theme.strokeWidths.mark);
+			chart._animate(leader)
+				.attr("x1", p=>p[0])
+				.attr("y1", p=>p[1])
+				.attr("x2", label.x)
+				.attr("y2", label.y);
+			let circle = Chart.joinData(group, ".annotationPoint", "circle", callout)
+				.attr("r", 3)
+				.attr("fill", theme.foreground)
+				.attr("stroke", "none");
+			chart._animate(circle)
+				.attr("cx", p=>p[0])
+				.attr("cy", p=>p[1]);
+			
+			let text = Chart.joinData(group, ".annotationLabel", "text", (d.label != null) ? [d.label] : [])
+				.attr("stroke", "none")
+				.attr("fill", theme.textColor)
+				.attr("text-anchor", label.anchor)
+				.attr("dx", label.dx)
+				.attr("dy", label.dy)
+				.text(t=>t);
+			chart._animate(text)
+				.attr("x", label.x)
+				.attr("y", label.y);
+		});
+	}
+}
\ No newline at end of file
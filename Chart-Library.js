@@ -1,3 +1,687 @@
+/**
+ * Class that resolves the themes of the charts, which set their colors, fonts, stroke widths and background.
+ */
+class ChartTheme {
+	/**
+	 * The theme of the charts which don't set their own. If theme is given, sets it. Always returns the current or, if set, the new default theme. See Chart.defaultTheme().
+	 * @param {(string|Object)} theme - The name of a theme at ChartTheme.themes, or an object with the fields of a theme to replace on the light theme.
+	 * @returns {Object} The default theme.
+	 */
+	static defaultTheme(theme) {
+		if (theme) ChartTheme._defaultTheme = ChartTheme.resolve(theme);
+		return ChartTheme._defaultTheme || ChartTheme.themes.light;
+	}
+	
+	/**
+	 * Resolves a theme given by its name or by the fields it replaces.
+	 * @param {(string|Object)} theme - The name of a theme at ChartTheme.themes, or an object with the fields of a theme to replace. Its color schemes can be given by their d3 names.
+	 * @param {Object} base - The theme whose fields are replaced by a theme object. The light theme by default.
+	 * @returns {Object} The theme, with all its fields.
+	 */
+	static resolve(theme, base) {
+		if (typeof(theme) == "string") {
+			if (!ChartTheme.themes[theme]) throw new Error("Unknown theme \"" + theme + "\".");
+			return ChartTheme.themes[theme];
+		}
+		if ((theme == null) || (typeof(theme) != "object")) throw new Error("Invalid theme: expected a name or an object.");
+		base = base || ChartTheme.themes.light;
+		
+		//The nested fields are merged and the color schemes may be given by their d3 names
+		let resolved = Object.assign({}, base, theme);
+		resolved.fontSizes = Object.assign({}, base.fontSizes, theme.fontSizes);
+		resolved.strokeWidths = Object.assign({}, base.strokeWidths, theme.strokeWidths);
+		for (let field of ChartTheme.schemeFields) {
+			if (typeof(resolved[field]) == "string") resolved[field] = d3[resolved[field]];
+			if (resolved[field] == null) throw new Error("Invalid theme field \"" + field + "\".");
+		}
+		return resolved;
+	}
+	
+	/**
+	 * Creates the color scale of a categorical palette, which gives the color of each index.
+	 * @param {string[]} colors - The colors of the palette.
+	 * @returns {d3.scale} The color scale.
+	 */
+	static paletteScale(colors) {
+		return d3.scaleLinear()
+			.domain(d3.range(colors.length))
+			.range(colors);
+	}
+}
+
+/**
+ * The fields of the themes which are color schemes, which can be given by their d3 names.
+ */
+ChartTheme.schemeFields = ["palette", "secondaryPalette", "sequential", "diverging"];
+
+/**
+ * The built-in themes, by name. A theme has the fields:
+ * palette - The categorical colors of the marks.
+ * secondaryPalette - The categorical colors of secondary marks, like the ranges of a Segments chart.
+ * sequential - The interpolator of sequential values, like the ones of a Map.
+ * diverging - The interpolator of diverging values, like the coefficients of a Correlation.
+ * fontFamily - The font of the texts.
+ * fontSizes - The font sizes of the axes, labels and titles.
+ * textColor, axisColor, gridColor - The colors of the texts, axes and gridlines.
+ * foreground - The color of the lines and borders of the marks and label tables.
+ * strokeWidths - The stroke widths of the axes, gridlines and marks.
+ * background - The color painted behind the chart, or null.
+ */
+ChartTheme.themes = {
+	light: {
+		palette: d3.schemeCategory10,
+		secondaryPalette: d3.schemeSet2,
+		sequential: d3.interpolateInferno,
+		diverging: d3.interpolateRdYlBu,
+		fontFamily: "sans-serif",
+		fontSizes: {axis: 10, label: 16, title: 20},
+		textColor: "#000",
+		axisColor: "#000",
+		gridColor: "#ddd",
+		foreground: "black",
+		strokeWidths: {axis: 1, grid: 1, mark: 1},
+		background: null
+	},
+	dark: {
+		palette: d3.schemeSet3,
+		secondaryPalette: d3.schemePastel2,
+		sequential: d3.interpolateViridis,
+		diverging: d3.interpolateRdYlBu,
+		fontFamily: "sans-serif",
+		fontSizes: {axis: 10, label: 16, title: 20},
+		textColor: "#eee",
+		axisColor: "#bbb",
+		gridColor: "#444",
+		foreground: "#ddd",
+		strokeWidths: {axis: 1, grid: 1, mark: 1},
+		background: "#1e1e1e"
+	},
+	print: {
+		palette: d3.schemeDark2,
+		secondaryPalette: d3.schemePastel1,
+		sequential: d3.interpolateGreys,
+		diverging: d3.interpolatePuOr,
+		fontFamily: "serif",
+		fontSizes: {axis: 11, label: 14, title: 20},
+		textColor: "#000",
+		axisColor: "#000",
+		gridColor: "#bbb",
+		foreground: "black",
+		strokeWidths: {axis: 1.5, grid: 0.5, mark: 1.5},
+		background: "white"
+	}
+};
+
+/**
+ * Class that creates charts from declarative specifications, with the types of charts registered by their classes.
+ */
+class ChartSpec {
+	/**
+	 * Registers a type of chart, so it can be created by Chart.fromSpec().
+	 * @param {string} name - The name of the type, used at the type field of the specifications.
+	 * @param {function} chartClass - The class of the chart.
+	 */
+	static registerType(name, chartClass) {
+		if (!ChartSpec._types) ChartSpec._types = {};
+		ChartSpec._types[name] = chartClass;
+	}
+	
+	/**
+	 * Creates a chart from a specification. See Chart.fromSpec().
+	 * @param {d3.selection} container - The tag in which the chart will be inserted.
+	 * @param {Object} spec - The specification of the chart.
+	 * @returns {Chart} The created chart.
+	 */
+	static fromSpec(container, spec) {
+		let errors = ChartSpec.validateSpec(spec, container);
+		if (errors.length > 0) throw new Error("Invalid chart specification. " + errors.join(" "));
+		
+		let chart = new ChartSpec._types[spec.type](container, spec.id, spec.position, spec.margins, spec.dimensions);
+		if (spec.transition) chart.transition(spec.transition.duration, spec.transition.easing && d3[spec.transition.easing]);
+		if (spec.theme) chart.theme(spec.theme);
+		for (let name of ChartSpec._titles) {
+			if (spec[name]) chart[name](spec[name]);
+		}
+		for (let name in spec.axes) chart.axis(name, spec.axes[name]);
+		chart._applySpec(spec);
+		if (spec.annotations) chart.setAnnotations(spec.annotations);
+		
+		if (spec.labelTable) {
+			let table = spec.labelTable;
+			chart.labelTable(new ChartSpec._types.labelTable(chart, table.id, table.position, table.margins, table.dimensions)
+				.setValues(table.colors, table.values));
+		}
+		return chart;
+	}
+	
+	/**
+	 * Exports a chart as a specification. See Chart.toSpec().
+	 * @param {Chart} chart - The exported chart.
+	 * @returns {Object} The specification of the chart.
+	 */
+	static toSpec(chart) {
+		let spec = {
+			type: ChartSpec.typeOf(chart),
+			id: chart._id,
+			position: {x: chart._x, y: chart._y},
+			margins: Object.assign({}, chart._margins),
+			dimensions: chart._outerDimensions()
+		};
+		if (chart._duration > 0) spec.transition = {duration: chart._duration, easing: ChartSpec.d3Name(chart._easing)};
+		if (chart._theme) spec.theme = ChartSpec.themeToSpec(chart._theme);
+		for (let name of ChartSpec._titles) {
+			if (chart[name]()) spec[name] = chart[name]();
+		}
+		for (let name of chart._axes.names()) {
+			//Only the fields changed from the defaults are exported
+			let config = chart._axes.changedConfig(name);
+			if (Object.keys(config).length > 0) spec.axes = Object.assign(spec.axes || {}, {[name]: config});
+		}
+		
+		chart._exportSpec(spec);
+		
+		if (chart._insertions.setAnnotations) spec.annotations = chart._insertions.setAnnotations[0];
+		
+		if (chart._labelTable) {
+			spec.labelTable = chart._labelTable.toSpec();
+			delete spec.labelTable.type;
+		}
+		return spec;
+	}
+	
+	/**
+	 * Finds the registered type of a chart.
+	 * @param {Chart} chart - The chart.
+	 * @returns {string} The name of its type, or undefined if its class isn't registered.
+	 */
+	static typeOf(chart) {
+		return Object.keys(ChartSpec._types || {}).find(name=>(ChartSpec._types[name] === chart.constructor));
+	}
+	
+	/**
+	 * Validates a chart specification. See Chart.validateSpec().
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {d3.selection} container - The tag in which the chart would be inserted. If given, it's used to check if the dimensions can be omitted.
+	 * @returns {string[]} The errors found, each naming the invalid field. Empty if the specification is valid.
+	 */
+	static validateSpec(spec, container) {
+		let errors = [];
+		if ((spec == null) || (typeof(spec) != "object")) return ["Invalid spec: expected an object."];
+		
+		//The types are registered when their classes are created, which the modules only do when their factories are called
+		let types = Object.keys(ChartSpec._types || {}).filter(name=>(name != "labelTable"));
+		let registration = "The type of a chart is registered when its class is created, so load its file, call its factory, like createPie(d3), or create all the classes with createLibrary(d3).";
+		if (!types.includes(spec.type)) {
+			errors.push("Invalid spec field \"type\": expected one of the registered types (" + types.join(", ") + "). " + registration);
+		}
+		
+		let isNumber = v=>((typeof(v) == "number") && isFinite(v));
+		let isMargins = v=>(isNumber(v) || ((typeof(v) == "object") && ["left", "right", "top", "bottom"].every(side=>isNumber(v[side]))));
+		ChartSpec.checkSpec(errors, spec, "id", "a string", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "position.x", "a number", isNumber, spec.position != null);
+		ChartSpec.checkSpec(errors, spec, "position.y", "a number", isNumber, spec.position != null);
+		ChartSpec.checkSpec(errors, spec, "margins", "a number or an object with left, right, top and bottom numbers", isMargins);
+		if ((spec.dimensions != null) || !container || !container.attr("width") || !container.attr("height")) {
+			ChartSpec.checkSpec(errors, spec, "dimensions.width", "a number", isNumber, true);
+			ChartSpec.checkSpec(errors, spec, "dimensions.height", "a number", isNumber, true);
+		}
+		ChartSpec.checkSpec(errors, spec, "transition.duration", "a number", isNumber, spec.transition != null);
+		ChartSpec.checkSpec(errors, spec, "transition.easing", "the name of a d3 easing", v=>(typeof(d3[v]) == "function") && v.startsWith("ease"));
+		ChartSpec.checkSpec(errors, spec, "attributes", "an object of constants or arrays with the value of each element", v=>((typeof(v) == "object") && Object.values(v).every(value=>(typeof(value) != "function"))));
+		ChartSpec.checkSpec(errors, spec, "key", "the name of a field", v=>((typeof(v) == "string") || isNumber(v)));
+		ChartSpec.checkSpec(errors, spec, "colorScheme", "the name of a d3 color scheme", v=>(typeof(d3[v]) == "function"));
+		ChartSpec.checkSpec(errors, spec, "labels", "an array", Array.isArray);
+		for (let name of ChartSpec._titles) ChartSpec.checkSpec(errors, spec, name, "a string", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "axes", "an object with the configurations of the x and y axes", v=>((typeof(v) == "object") && Object.keys(v).every(name=>["x", "y"].includes(name))));
+		for (let name of ["x", "y"]) {
+			if ((spec.axes == null) || (typeof(spec.axes[name]) != "object")) continue;
+			let field = "axes." + name + ".";
+			let sides = (name == "x") ? ["bottom", "top"] : ["left", "right"];
+			ChartSpec.checkSpec(errors, spec, field + "visible", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "orientation", sides.join(", ") + " or both", v=>sides.concat(["both"]).includes(v));
+			ChartSpec.checkSpec(errors, spec, field + "ticks", "a number or an array of values", v=>(isNumber(v) || Array.isArray(v)));
+			ChartSpec.checkSpec(errors, spec, field + "format", "a d3 format", v=>{
+				try {
+					d3.format(v);
+					return true;
+				} catch (e) {
+					return false;
+				}
+			});
+			for (let number of ["tickSize", "labelRotation", "padding"]) ChartSpec.checkSpec(errors, spec, field + number, "a number", isNumber);
+			ChartSpec.checkSpec(errors, spec, field + "nice", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "domain", "an array of two values", v=>(Array.isArray(v) && (v.length == 2)));
+			ChartSpec.checkSpec(errors, spec, field + "grid", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "minorGrid", "a number", isNumber);
+		}
+		ChartSpec.checkSpec(errors, spec, "annotations", "an array of annotations with a type among " + ChartSpec._annotationTypes.join(", "), v=>(Array.isArray(v) && v.every(d=>((d != null) && ChartSpec._annotationTypes.includes(d.type)))));
+		ChartSpec.checkSpec(errors, spec, "theme", "the name of a theme at Chart.themes or a theme object", v=>{
+			try {
+				ChartTheme.resolve(v);
+				return true;
+			} catch (e) {
+				return false;
+			}
+		});
+		
+		for (let name in (spec.scales || {})) {
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".type", "the name of a d3 scale, like \"linear\"", v=>((typeof(v) == "string") && (typeof(d3["scale" + v[0].toUpperCase() + v.substring(1)]) == "function")));
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".domain", "an array", Array.isArray);
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".range", "an array", Array.isArray);
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".scheme", "the name of a d3 color scheme or an array of colors", v=>(Array.isArray(v) || Array.isArray(d3[v])));
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".interpolator", "the name of a d3 interpolator", v=>(typeof(d3[v]) == "function"));
+		}
+		
+		if (spec.labelTable != null) {
+			if (!ChartSpec._types || !ChartSpec._types.labelTable) errors.push("Invalid spec field \"labelTable\": the LabelTable class isn't created. " + registration);
+			ChartSpec.checkSpec(errors, spec, "labelTable.colors", "an array", Array.isArray, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.values", "an array", Array.isArray, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.dimensions.width", "a number", isNumber, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.dimensions.height", "a number", isNumber, true);
+		}
+		
+		if (types.includes(spec.type)) ChartSpec._types[spec.type]._validateSpec(spec, errors);
+		return errors;
+	}
+	
+	/**
+	 * Creates a scale from its specification. See Chart.scaleFromSpec().
+	 * @param {Object} spec - The specification of the scale.
+	 * @returns {d3.scale} The created scale.
+	 */
+	static scaleFromSpec(spec) {
+		let scheme = (typeof(spec.scheme) == "string") ? d3[spec.scheme] : spec.scheme;
+		if ((spec.type == null) && scheme) {
+			return d3.scaleLinear()
+				.domain(d3.range(scheme.length))
+				.range(scheme);
+		}
+		
+		let scale = d3["scale" + spec.type[0].toUpperCase() + spec.type.substring(1)](spec.interpolator ? d3[spec.interpolator] : undefined);
+		if (spec.exponent != null) scale.exponent(spec.exponent);
+		if (spec.base != null) scale.base(spec.base);
+		if (spec.domain) scale.domain((spec.type == "time") ? spec.domain.map(d=>new Date(d)) : spec.domain);
+		if (spec.range) scale.range(spec.range);
+		else if (scheme) scale.range(scheme);
+		if (spec.padding != null) scale.padding(spec.padding);
+		if (spec.paddingInner != null) scale.paddingInner(spec.paddingInner);
+		if (spec.paddingOuter != null) scale.paddingOuter(spec.paddingOuter);
+		if (spec.nice) scale.nice();
+		if (spec.clamp) scale.clamp(true);
+		return scale;
+	}
+	
+	/**
+	 * Exports a scale as a specification. See Chart.scaleToSpec().
+	 * @param {d3.scale} scale - The exported scale.
+	 * @returns {Object} The specification of the scale.
+	 */
+	static scaleToSpec(scale) {
+		let spec = {};
+		if (scale.interpolator && !scale.range) {
+			spec.type = "sequential";
+			spec.interpolator = ChartSpec.d3Name(scale.interpolator());
+		} else if (scale.paddingInner) {
+			spec.type = "band";
+			spec.paddingInner = scale.paddingInner();
+			spec.paddingOuter = scale.paddingOuter();
+		} else if (scale.step) {
+			spec.type = "point";
+			spec.padding = scale.padding();
+		} else if (scale.quantiles) {
+			spec.type = "quantile";
+		} else if (scale.invertExtent) {
+			spec.type = scale.nice ? "quantize" : "threshold";
+		} else if (!scale.invert) {
+			spec.type = "ordinal";
+		} else if (scale.base) {
+			spec.type = "log";
+			spec.base = scale.base();
+		} else if (scale.exponent) {
+			spec.type = "pow";
+			spec.exponent = scale.exponent();
+		} else {
+			spec.type = (scale.domain()[0] instanceof Date) ? "time" : "linear";
+		}
+		
+		spec.domain = scale.domain().map(d=>((d instanceof Date) ? d.toISOString() : d));
+		if (scale.range) spec.range = scale.range().slice();
+		if (scale.clamp && scale.clamp()) spec.clamp = true;
+		return spec;
+	}
+	
+	/**
+	 * Checks a field of a specification, adding an error which names the field if it's invalid.
+	 * @param {string[]} errors - The errors found so far.
+	 * @param {Object} spec - The specification.
+	 * @param {string} field - The path of the field, with its names separated by dots, like "dimensions.width".
+	 * @param {string} expected - What the field should be, used in the error.
+	 * @param {function} test - A function which receives the value of the field and returns whether it's valid.
+	 * @param {boolean} required - Whether the field can't be omitted.
+	 */
+	static checkSpec(errors, spec, field, expected, test, required) {
+		let value = field.split(".").reduce((object, name)=>((object == null) ? undefined : object[name]), spec);
+		if ((value == null) ? required : !test(value)) {
+			errors.push("Invalid spec field \"" + field + "\": expected " + expected + ".");
+		}
+	}
+	
+	/**
+	 * Checks a field given as the insertion of a dataset: an array, or an object with data, attributes and key fields.
+	 * @param {string[]} errors - The errors found so far.
+	 * @param {Object} spec - The specification.
+	 * @param {string} field - The name of the field.
+	 * @param {string} expected - What each datum should be, used in the error.
+	 * @param {function} test - A function which receives each datum and returns whether it's valid.
+	 */
+	static checkInsertionSpec(errors, spec, field, expected, test) {
+		let isInsertion = v=>(Array.isArray(v) || ((typeof(v) == "object") && Array.isArray(v.data)));
+		ChartSpec.checkSpec(errors, spec, field, "an array or an object with data, attributes and key fields", isInsertion);
+		if ((spec[field] != null) && isInsertion(spec[field]) && !ChartSpec.insertionFromSpec(spec[field])[0].every(test)) {
+			errors.push("Invalid spec field \"" + field + "\": expected " + expected + ".");
+		}
+	}
+	
+	/**
+	 * Creates the key function of a dataset from the name of the field which identifies each datum.
+	 * @param {(string|number)} key - The name of the field.
+	 * @returns {function} The key function, or undefined if no field is given.
+	 */
+	static keyFromSpec(key) {
+		return (key == null) ? undefined : d=>d[key];
+	}
+	
+	/**
+	 * Creates the attributes of an insertion from their specification, where an array gives the value of each element.
+	 * @param {Object} attributes - The attributes of the specification.
+	 * @returns {Object} The attributes of the insertion function.
+	 */
+	static attributesFromSpec(attributes) {
+		if (attributes == null) return attributes;
+		let output = {};
+		for (let name in attributes) {
+			let value = attributes[name];
+			output[name] = Array.isArray(value) ? (d, i)=>value[i] : value;
+		}
+		return output;
+	}
+	
+	/**
+	 * Exports the attributes of an insertion. Functions are replaced by the values of the elements, which are only available if the elements aren't nested.
+	 * @param {Object} attributes - The attributes given to the insertion function.
+	 * @param {d3.selection} selection - The plotted elements. If not given, the functions aren't exported.
+	 * @returns {Object} The specification of the attributes.
+	 */
+	static attributesToSpec(attributes, selection) {
+		if (attributes == null) return undefined;
+		let output = {};
+		for (let name in attributes) {
+			if (typeof(attributes[name]) != "function") output[name] = attributes[name];
+			else if (selection) output[name] = selection.nodes().map(node=>node.getAttribute(name));
+		}
+		return output;
+	}
+	
+	/**
+	 * Exports the theme of a chart, with its color schemes written by their d3 names.
+	 * @param {(string|Object)} theme - The theme set on the chart.
+	 * @returns {(string|Object)} The specification of the theme.
+	 */
+	static themeToSpec(theme) {
+		if (typeof(theme) == "string") return theme;
+		let spec = Object.assign({}, theme);
+		for (let field of ChartTheme.schemeFields) {
+			if (spec[field] != null) spec[field] = ChartSpec.d3Name(spec[field]) || spec[field];
+		}
+		return ChartSpec.copy(spec);
+	}
+	
+	/**
+	 * Exports the arguments stored by an insertion function, with its data and attributes.
+	 * @param {Array} insertion - The arguments of the insertion.
+	 * @param {d3.selection} selection - The plotted elements.
+	 * @returns {Object} An object with data and attributes fields, or undefined if nothing was inserted.
+	 */
+	static insertionToSpec(insertion, selection) {
+		if (!insertion) return undefined;
+		let spec = {data: ChartSpec.copy(insertion[0])};
+		let attributes = ChartSpec.attributesToSpec(insertion[1], selection);
+		if (attributes) spec.attributes = attributes;
+		return spec;
+	}
+	
+	/**
+	 * Finds the name of a function or scheme of d3, like "easeCubic" or "interpolateViridis".
+	 * @param {*} value - The function or scheme.
+	 * @returns {string} Its name, or undefined if it isn't part of d3.
+	 */
+	static d3Name(value) {
+		return Object.keys(d3).find(name=>(d3[name] === value));
+	}
+	
+	/**
+	 * Copies a value which can be written as JSON.
+	 * @param {*} value - The copied value.
+	 * @returns {*} The copy.
+	 */
+	static copy(value) {
+		return JSON.parse(JSON.stringify(value));
+	}
+	
+	/**
+	 * Creates the arguments of an insertion function from a field checked by ChartSpec.checkInsertionSpec().
+	 * @param {(Array|Object)} value - The value of the field.
+	 * @returns {Array} The dataset, attributes, events and key of the insertion, or null if the field is omitted.
+	 */
+	static insertionFromSpec(value) {
+		if (value == null) return null;
+		if (Array.isArray(value)) return [value, null, null, undefined];
+		return [value.data, ChartSpec.attributesFromSpec(value.attributes), null, ChartSpec.keyFromSpec(value.key)];
+	}
+}
+
+//The titles of the charts which are given by the specifications
+ChartSpec._titles = ["title", "subtitle", "xAxisTitle", "yAxisTitle"];
+
+//The types of annotations, see Chart.setAnnotations()
+ChartSpec._annotationTypes = ["line", "band", "callout", "note"];
+
+/**
+ * Class that exports charts as standalone SVG documents.
+ */
+class ChartExport {
+	/**
+	 * Serializes a chart as a standalone SVG document. See Chart.toSVGString().
+	 * @param {Chart} chart - The serialized chart.
+	 * @param {Object} options - The options of the serialization.
+	 * @returns {string} The SVG document.
+	 */
+	static toSVGString(chart, options) {
+		options = options || {};
+		let namespace = "http://www.w3.org/2000/svg";
+		let source = options.container ? chart._container.node() : chart._selection.node();
+		let document = source.ownerDocument;
+		let svg = d3.select(document.createElementNS(namespace, "svg"))
+			.attr("xmlns", namespace)
+			.attr("xmlns:xlink", "http://www.w3.org/1999/xlink");
+		
+		let box = ChartExport.box(chart, options);
+		svg.attr("width", box[2])
+			.attr("height", box[3])
+			.attr("viewBox", box.join(" "));
+		
+		if (options.background) {
+			svg.append("rect")
+				.attr("x", box[0])
+				.attr("y", box[1])
+				.attr("width", box[2])
+				.attr("height", box[3])
+				.attr("fill", options.background);
+		}
+		
+		let clones = options.container ? Array.from(source.childNodes) : [source];
+		let view = document.defaultView;
+		let fonts = new Set();
+		for (let node of clones) {
+			let clone = node.cloneNode(true);
+			if (node.nodeType == 1) ChartExport._inlineStyles(view, node, clone, null, fonts);
+			svg.node().appendChild(clone);
+		}
+		
+		//The data table isn't exported, so the references to it are removed
+		svg.selectAll("[aria-describedby]").each(function() {
+			let ids = this.getAttribute("aria-describedby").split(/\s+/).filter(id=>id && svg.select("[id=\"" + id + "\"]").node());
+			if (ids.length > 0) this.setAttribute("aria-describedby", ids.join(" "));
+			else this.removeAttribute("aria-describedby");
+		});
+		
+		//Font faces of the page used by the chart
+		let fontRules = [];
+		for (let sheet of Array.from(document.styleSheets || [])) {
+			let rules;
+			try {
+				rules = Array.from(sheet.cssRules || []);
+			} catch (e) {
+				continue;	//Rules of stylesheets from other origins can't be read
+			}
+			for (let rule of rules) {
+				if (rule.style && rule.cssText.startsWith("@font-face") && fonts.has(rule.style.getPropertyValue("font-family").replace(/["']/g, "").trim())) {
+					fontRules.push(rule.cssText);
+				}
+			}
+		}
+		if (fontRules.length > 0) svg.insert("defs", ":first-child").append("style").text(fontRules.join("\n"));
+		
+		let serializer = new view.XMLSerializer();
+		return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"no\"?>\n" + serializer.serializeToString(svg.node());
+	}
+	
+	/**
+	 * Rasterizes a chart into an image. See Chart.toImage().
+	 * @param {Chart} chart - The rasterized chart.
+	 * @param {Object} options - The options of the image.
+	 * @returns {Promise} A promise of the data URL of the image.
+	 */
+	static toImage(chart, options) {
+		options = Object.assign({scale: 1, type: "image/png"}, options);
+		let svg = ChartExport.toSVGString(chart, {container: options.container, background: options.background});
+		//The image has the size of the serialized document, so the label table isn't cut
+		let box = ChartExport.box(chart, options);
+		let rasterizer = options.rasterizer || ChartExport.rasterizer();
+		
+		return Promise.resolve(rasterizer(svg, {
+			width: box[2],
+			height: box[3],
+			scale: options.scale,
+			document: chart._selection.node().ownerDocument
+		})).then(canvas=>canvas.toDataURL(options.type));
+	}
+	
+	/**
+	 * The rasterizer used by toImage(). If rasterizer is given, sets it, otherwise returns the current rasterizer. A rasterizer is a function which receives the SVG document of a chart and an object with its width, height, scale and document, and returns a canvas, or a promise of it, with the chart drawn. ChartExport.canvasRasterizer is used by default.
+	 * @param {function} rasterizer - The new rasterizer.
+	 * @returns {function} The current rasterizer.
+	 */
+	static rasterizer(rasterizer) {
+		if (rasterizer) ChartExport._rasterizer = rasterizer;
+		return ChartExport._rasterizer || ChartExport.canvasRasterizer;
+	}
+	
+	/**
+	 * Rasterizer which draws the chart on a canvas of the page. The promise is rejected where there isn't canvas support.
+	 * @param {string} svg - The SVG document of the chart.
+	 * @param {Object} options - The width, height, scale and document of the chart.
+	 * @returns {Promise} A promise of the canvas.
+	 */
+	static canvasRasterizer(svg, options) {
+		//Without canvas support, like in jsdom without a canvas package, the image would never load
+		let view = options.document.defaultView;
+		let canvas = options.document.createElement("canvas");
+		if (!view.Image || !canvas.getContext || !canvas.getContext("2d")) {
+			return Promise.reject(new Error("The chart can't be rasterized without the support of canvas. Set a rasterizer with Chart.rasterizer(), like Chart.nodeCanvasRasterizer()."));
+		}
+		
+		return new Promise((resolve, reject)=>{
+			let image = new view.Image();
+			image.onload = ()=>resolve(ChartExport._drawImage(canvas, image, options));
+			image.onerror = ()=>reject(new Error("The chart couldn't be rasterized."));
+			image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+		});
+	}
+	
+	/**
+	 * Creates a rasterizer from a canvas implementation for Node, like the canvas or @napi-rs/canvas packages.
+	 * @param {Object} canvasModule - The canvas module, with the createCanvas and loadImage functions.
+	 * @returns {function} The rasterizer.
+	 */
+	static nodeCanvasRasterizer(canvasModule) {
+		return (svg, options)=>(Promise.resolve(canvasModule.loadImage(Buffer.from(svg)))
+			.then(image=>ChartExport._drawImage(canvasModule.createCanvas(1, 1), image, options)));
+	}
+	
+	/**
+	 * The area exported by ChartExport.toSVGString(), which starts at the position of the chart, or at the origin of the container.
+	 * @param {Chart} chart - The exported chart.
+	 * @param {Object} options - The options of the serialization.
+	 * @param {boolean} options.container - Whether the whole container is exported instead of only the chart.
+	 * @returns {number[]} The x, y, width and height of the area, as in a viewBox.
+	 */
+	static box(chart, options) {
+		if (options && options.container) {
+			let bounds = chart._container.node().getBoundingClientRect();
+			return [0, 0, +chart._container.attr("width") || bounds.width, +chart._container.attr("height") || bounds.height];
+		}
+		
+		//The label table is placed inside the chart, but it may lie beyond the margins of the chart
+		let margins = chart._plotMargins();
+		let dimensions = chart._outerDimensions();
+		let corners = [[chart._x, chart._y], [chart._x + dimensions.width, chart._y + dimensions.height]];
+		if (chart._labelTable) {
+			let origin = chart._origin();
+			let table = chart._labelTable;
+			let x = chart._x + margins.left + origin[0] + table._x;
+			let y = chart._y + margins.top + origin[1] + table._y;
+			let tableDimensions = table._outerDimensions();
+			corners.push([x, y], [x + tableDimensions.width, y + tableDimensions.height]);
+		}
+		let minimum = [d3.min(corners, d=>d[0]), d3.min(corners, d=>d[1])];
+		return [minimum[0], minimum[1], d3.max(corners, d=>d[0]) - minimum[0], d3.max(corners, d=>d[1]) - minimum[1]];
+	}
+	
+	static _inlineStyles(view, source, clone, parentStyle, fonts) {
+		let style = view.getComputedStyle(source);
+		let inherited = ["fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "stroke-linecap", "stroke-linejoin", "font-family", "font-size", "font-style", "font-weight", "text-anchor", "dominant-baseline", "visibility", "color"];
+		let notInherited = {"opacity": "1", "display": "inline"};
+		
+		//Inherited properties are only written where they change, so the root gets all of them, and the others where they differ from their initial value
+		let declarations = [];
+		for (let name of inherited) {
+			let value = style.getPropertyValue(name);
+			if (value && ((parentStyle == null) || (value != parentStyle.getPropertyValue(name)))) declarations.push(name + ":" + value);
+		}
+		for (let name in notInherited) {
+			let value = style.getPropertyValue(name);
+			if (value && (value != notInherited[name])) declarations.push(name + ":" + value);
+		}
+		if (declarations.length > 0) clone.setAttribute("style", declarations.join(";"));
+		
+		let family = style.getPropertyValue("font-family");
+		if (family) family.split(",").forEach(name=>fonts.add(name.replace(/["']/g, "").trim()));
+		
+		for (let i = 0; i < source.children.length; i++) {
+			ChartExport._inlineStyles(view, source.children[i], clone.children[i], style, fonts);
+		}
+	}	
+	static _drawImage(canvas, image, options) {
+		canvas.width = Math.ceil(options.width * options.scale);
+		canvas.height = Math.ceil(options.height * options.scale);
+		let context = canvas.getContext("2d");
+		context.scale(options.scale, options.scale);
+		context.drawImage(image, 0, 0, options.width, options.height);
+		return canvas;
+	}
+}
+
 /**
  * Class that represents a Chart.
  */
@@ -52,6 +736,39 @@
 			.attr("id", this._id)
 			.attr("class", tagClass)
 			.attr("transform", "translate(" + (this._margins.left + this._x) + "," + (this._margins.top + this._y) + ")");
+		
+		this._duration = 0;
+		this._easing = d3.easeCubic;
+		
+		this._insertions = {};
+		this._redrawing = false;
+		
+		this._resizeObserver = null;
+		
+		this._tooltip = null;
+		
+		this._theme = null;
+		
+		this._titles = new ChartTitles(this);
+		
+		this._axes = new ChartAxes(this);
+		
+		this._annotations = new AnnotationLayer(this);
+		
+		this._lasso = new Lasso(this);
+		
+		//The SelectionCoordinator which links the selections of the chart with other charts, and the ScaleLinks which link its scales
+		this._coordinator = null;
+		this._scaleLinks = [];
+		
+		//The domains shared with other charts, like the charts of a facet or of a ScaleLink, by the names of the scales, which are kept apart from the settings of the user
+		this._linkedDomains = {};
+		
+		this._dispatch = d3.dispatch.apply(null, Chart._eventTypes);
+		
+		this._accessibility = new ChartAccessibility(this);
+		
+		this._keyboardNavigation = new KeyboardNavigation(this);
 	}
 	
 	/**
@@ -71,6 +788,7 @@
 		if (id) {
 			this._id = id;
 			this._selection.attr("id", id);
+			this._accessibility.update();
 			return this;
 		} else {
 			return this._id;
@@ -78,11 +796,20 @@
 	}
 	
 	/**
-	 * Returns the coordinates of the origin of the chart.
-	 * @returns {number[]} The chart's coordinates.
+	 * If coordinates are given, moves the chart, otherwise returns the coordinates of its origin.
+	 * @param {number} x - The new X coordinate of the chart.
+	 * @param {number} y - The new Y coordinate of the chart.
+	 * @returns {(Chart|number[])} This object or the chart's coordinates.
 	 */
-	position() {
-		return [this._x, this._y];
+	position(x, y) {
+		if ((x != null) && (y != null)) {
+			this._x = x;
+			this._y = y;
+			this._selection.attr("transform", "translate(" + this._offset() + ")");
+			return this;
+		} else {
+			return [this._x, this._y];
+		}
 	}
 	
 	/**
@@ -127,72 +854,2221 @@
 		return this._labelTable;
 	}
 	
-	/** 
-	 * Clears the chart, removing the label table.
-	 * @returns {Chart} This chart.
+	/**
+	 * The tooltip of the chart. If tooltip is given, sets the tooltip, removing the previous one. Always returns the current or, if set, the new tooltip.
+	 * @param {Tooltip} tooltip - The new tooltip.
+	 * @returns {Tooltip} The new tooltip.
 	 */
-	clear() {
-		if (this._labelTable) {
-			this._labelTable.selection().remove();
-			this._labelTable = null;
+	tooltip(tooltip) {
+		if (tooltip) {
+			if (this._tooltip && (this._tooltip !== tooltip)) this._tooltip.remove();
+			this._tooltip = tooltip;
+			this._marksChanged();
 		}
-		return this;
+		return this._tooltip;
 	}
 	
-	/** 
-	 * Generates an array with equally distanced values.
-	 * @param {number} start - The first value of the returned array.
-	 * @param {number} size - The size of the returned array.
-	 * @param {number} end - The last value of the returned array.
-	 * @returns {number[]} Array with equally distanced values.
+	/**
+	 * The accessibility settings of the chart. The chart and its marks have a role, an aria-label and a title, the chart also has a description, and a visually hidden table with the plotted data is placed after the container. If options is given, sets the given settings, otherwise returns the current settings.
+	 * @param {Object} options - The accessibility settings.
+	 * @param {string} options.label - The accessible name of the chart. Uses the type of the chart by default.
+	 * @param {string} options.description - The description of the chart.
+	 * @param {(string|function)} options.markLabel - The template of the labels of the marks, as in Tooltip.template(). Uses the default content of the tooltips by default.
+	 * @param {boolean} options.dataTable - Whether the hidden data table is created. True by default.
+	 * @param {boolean} options.keyboard - Whether the marks can be focused with the Tab key and navigated with the arrow, Home and End keys. A focused mark triggers the mouseover and mouseout events given to the chart, and the Enter and Space keys trigger its click event. True by default.
+	 * @returns {(Chart|Object)} This object or the current settings.
 	 */
-	static genSequence(start, size, end) {
-		let output = [];
-		size--;
-		for (let i = 0; i <= size; i++) {
-			output.push(start + i * (end - start) / size);
+	accessibility(options) {
+		if (options) {
+			this._accessibility.settings(options);
+			this._keyboardNavigation.update();
+			return this;
+		} else {
+			return this._accessibility.settings();
 		}
-		return output;
 	}
 	
 	/**
-	 * Adjusts the domain of a scale and its axis.
-	 * @param {d3.scale} scale - The scale to be adjusted.
-	 * @param {d3.axis} axis - The axis which uses the scale.
-	 * @param {d3.selection} axisGroup - The group in which the axis is.
-	 * @param {number[]} domain - The new domain of the scale.
+	 * Returns the hidden table with the data plotted by the chart.
+	 * @returns {d3.selection} The data table of this chart, or null if it isn't created.
 	 */
-	static adjustScaleDomain(scale, axis, axisGroup, domain) {
-		if (domain) scale.domain(domain);
-		axis.scale(scale);
-		axisGroup.call(axis);
+	dataTable() {
+		return this._accessibility.table();
+	}
+	
+	/**
+	 * Writes a summary of the data plotted by the chart, which can be used as its description or as a caption.
+	 * It names the chart and describes its extremes: the highest and lowest columns of a Histogram, the largest slice of a Pie, the strongest positive and negative pairs of a Correlation, the trend and range of each series of a Segments, the highest and lowest values of a Map, the ranges of a Scatterplot and the highest and lowest values of a StarGlyph.
+	 * @param {Object} options - The options of the summary.
+	 * @param {string} options.locale - The locale of the numbers, like "en-US" or "pt-BR". Uses the locale of the environment by default.
+	 * @param {function} options.format - A function which receives a number and returns its text, used instead of the locale.
+	 * @returns {string} The summary.
+	 */
+	describe(options) {
+		options = options || {};
+		let format = {
+			number: options.format || (value=>value.toLocaleString(options.locale, {maximumFractionDigits: 2})),
+			percentage: value=>value.toLocaleString(options.locale, {style: "percent", maximumFractionDigits: 1})
+		};
+		return [this._accessibility.label() + "."].concat(this._describe(format)).join(" ");
+	}
+	
+	/**
+	 * The theme of the chart, which sets its colors, fonts, stroke widths and background. If theme is given, sets it and plots the chart again with it, otherwise returns the current theme, with the fields of the default theme which this chart's theme doesn't set.
+	 * The colors given by the theme replace the colors of the scales of the chart.
+	 * @param {(string|Object)} theme - The name of a theme at Chart.themes, or an object with the fields of a theme to replace. See Chart.themes.
+	 * @returns {(Chart|Object)} This object or the current theme.
+	 */
+	theme(theme) {
+		if (theme) {
+			ChartTheme.resolve(theme);
+			this._theme = theme;
+			this._applyTheme();
+			this._redraw();
+			if (this._labelTable) this._labelTable.theme(theme);
+			if (this._tooltip) this._tooltip._applyTheme();
+			return this;
+		} else {
+			let defaultTheme = ChartTheme.defaultTheme();
+			return this._theme ? ChartTheme.resolve(this._theme, defaultTheme) : defaultTheme;
+		}
+	}
+	
+	/**
+	 * The title of the chart, plotted above it. The space of the title is taken from the plotting area, so the dimensions of the chart are kept. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title.
+	 * @returns {(Chart|string)} This object or the current title.
+	 */
+	title(text) {
+		return this._title("title", text);
+	}
+	
+	/**
+	 * The subtitle of the chart, plotted below its title. If text is given, sets the subtitle, or removes it if text is an empty string. Otherwise returns the current subtitle.
+	 * @param {string} text - The new subtitle.
+	 * @returns {(Chart|string)} This object or the current subtitle.
+	 */
+	subtitle(text) {
+		return this._title("subtitle", text);
+	}
+	
+	/**
+	 * The title of the X axis, plotted below the bottom margin. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title of the X axis.
+	 * @returns {(Chart|string)} This object or the current title of the X axis.
+	 */
+	xAxisTitle(text) {
+		return this._title("xAxisTitle", text);
+	}
+	
+	/**
+	 * The title of the Y axis, plotted rotated at the left of the left margin. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title of the Y axis.
+	 * @returns {(Chart|string)} This object or the current title of the Y axis.
+	 */
+	yAxisTitle(text) {
+		return this._title("yAxisTitle", text);
+	}
+	
+	_title(name, text) {
+		if (text != null) {
+			this._titles.text(name, text);
+			return this;
+		} else {
+			return this._titles.text(name);
+		}
+	}
+	
+	/**
+	 * The configuration of an axis of the chart, for the charts with axes: Histogram, Scatterplot and Segments. If config is given, its fields replace the ones of the axis and the chart is plotted again, otherwise returns the current configuration.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @param {Object} config - The fields of the configuration to replace.
+	 * @param {boolean} config.visible - Whether the axis is shown.
+	 * @param {string} config.orientation - The side of the axis: "bottom", "top" or "both" for the X axis, "left", "right" or "both" for the Y axis.
+	 * @param {(number|Array)} config.ticks - The approximate number of ticks, or the values of the ticks.
+	 * @param {(string|function)} config.format - The d3 format of the tick labels, like ".1f", or a function which receives a value and returns its label.
+	 * @param {number} config.tickSize - The length of the ticks.
+	 * @param {number} config.labelRotation - The rotation of the tick labels, in degrees.
+	 * @param {boolean} config.nice - Whether the domains computed from the data are extended to round values. Only used by continuous scales.
+	 * @param {number} config.padding - The fraction of the domains computed from the data added to each of their ends. Only used by continuous scales.
+	 * @param {Array} config.domain - A fixed domain, [minimum, maximum], used instead of the domain computed from the data or shared with other charts, like the ones of a ScaleLink, or null to compute it again. Only used by continuous scales.
+	 * @param {boolean} config.grid - Whether gridlines are drawn across the chart at the ticks of the axis, beneath the marks.
+	 * @param {number} config.minorGrid - The number of minor gridlines drawn between each pair of ticks. Only used by continuous scales.
+	 * @returns {(Chart|Object)} This object or the current configuration.
+	 */
+	axis(name, config) {
+		if (!this._axes.has(name)) throw new Error("The chart has no " + name + " axis.");
+		if (config) {
+			this._axes.config(name, config);
+			this._redraw();
+			return this;
+		} else {
+			return this._axes.config(name);
+		}
+	}
+	
+	/**
+	 * Adds, removes or returns a listener of the events of the chart. The events are listed at Chart._eventTypes. The type may be followed by a dot and a name, like "zoom.axes", so an event can have many listeners.
+	 * @param {string} typenames - The type of the event, with an optional name.
+	 * @param {function} listener - The new listener, or null to remove the current one. The listener receives the object of the event.
+	 * @returns {(Chart|function)} This object or the current listener.
+	 */
+	on(typenames, listener) {
+		if (listener !== undefined) {
+			this._dispatch.on(typenames, listener);
+			return this;
+		} else {
+			return this._dispatch.on(typenames);
+		}
+	}
+	
+	/**
+	 * Enables or disables the lasso, a free-form shape drawn over the chart to select marks. The selected marks are highlighted, the others are dimmed, and a select event is emitted with their data and indices and the polygon of the lasso. Used by the dots of the Scatterplot and of the Map. If enabled is given, sets it, otherwise returns whether the lasso is enabled.
+	 * @param {boolean} enabled - Whether the lasso is enabled.
+	 * @returns {(Chart|boolean)} This object or whether the lasso is enabled.
+	 */
+	lasso(enabled) {
+		if (enabled == null) return this._lasso.enabled();
+		
+		if (!enabled) {
+			this._lasso.disable();
+			return this;
+		}
+		
+		let marks = this._lassoMarks();
+		if (marks == null) throw new Error("This type of chart doesn't support the lasso.");
+		this._lasso.enable(marks);
+		return this;
+	}
+	
+	/**
+	 * Sets the polygon of the lasso, which must be enabled, selecting the marks inside of it.
+	 * @param {number[][]} polygon - The points of the polygon, in the coordinates of the data: [x, y] in a Scatterplot, or [longitude, latitude] in a Map.
+	 * @returns {Chart} This chart.
+	 */
+	setLasso(polygon) {
+		if (!this._lasso.enabled()) throw new Error("The lasso of the chart must be enabled.");
+		this._lasso.set(polygon);
+		return this;
+	}
+	
+	/**
+	 * Clears the lasso, restoring all the marks.
+	 * @returns {Chart} This chart.
+	 */
+	clearLasso() {
+		if (this._lasso.enabled()) this._lasso.set(null);
+		return this;
+	}
+	
+	/**
+	 * Plots annotations on the chart, positioned in the coordinates of the data so they follow the changes of the scales. Used by the charts with axes, Histogram, Scatterplot and Segments, and by the Map, where x is the longitude and y is the latitude.
+	 * Each annotation is an object with a type and an optional label:
+	 * - {type: "line", x: value} or {type: "line", y: value} is a reference line across the chart;
+	 * - {type: "band", x: [from, to]} or {type: "band", y: [from, to]} is a shaded band across the chart;
+	 * - {type: "callout", x: value, y: value, dx: number, dy: number} is a point with a leader line to its label, which is dx and dy pixels away from it;
+	 * - {type: "note", x: value, y: value} is a label at a point.
+	 * The X values of a Histogram and a Segments are labels of the X axis or indexes of the columns and dots.
+	 * @param {Object[]} annotations - An array of annotations.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the annotations.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each annotation, used to match the annotations with the current ones. If not given, they are matched by index.
+	 * @returns {Chart} This chart.
+	 */
+	setAnnotations(annotations, attributes, onEvents, key) {
+		if (!this._supportsAnnotations()) throw new Error("The chart doesn't support annotations.");
+		this._storeInsertion("setAnnotations", arguments);
+		
+		//Mandatory attributes
+		if (attributes == null) attributes = [];
+		attributes.class = "annotation";
+		Chart.addIfNull(attributes, "stroke", this.theme().foreground);
+		
+		this._annotations.set(annotations, attributes, onEvents, key);
+		return this;
+	}
+	
+	/**
+	 * Resizes the chart, recomputing its scales and axes and plotting its data again.
+	 * @param {number} width - The new width of the chart, counting the margins. If not given, uses the width of the container.
+	 * @param {number} height - The new height of the chart, counting the margins. If not given, uses the height of the container.
+	 * @returns {Chart} This chart.
+	 */
+	resize(width, height) {
+		if (width == null) width = this._container.attr("width");
+		if (height == null) height = this._container.attr("height");
+		
+		let previousWidth = this._width;
+		let previousHeight = this._height;
+		let margins = this._plotMargins();
+		this._width = width - margins.left - margins.right;
+		this._height = height - margins.top - margins.bottom;
+		
+		this._layout(previousWidth, previousHeight);
+		this._redraw();
+		return this;
+	}
+	
+	/**
+	 * Makes the chart follow the size of its container. The chart is resized to fill the container, starting at its position.
+	 * @param {boolean} enabled - Whether the chart is resized when the container is.
+	 * @returns {Chart} This chart.
+	 */
+	autoResize(enabled) {
+		let node = this._container.node();
+		let view = d3.select(node.ownerDocument.defaultView);
+		let onResize = ()=>{
+			let box = node.getBoundingClientRect();
+			this.resize(box.width - this._x, box.height - this._y);
+		};
+		
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		this._resizeObserver = null;
+		view.on("resize." + this._id, null);
+		
+		if (enabled) {
+			if (typeof(ResizeObserver) != "undefined") {
+				this._resizeObserver = new ResizeObserver(onResize);
+				this._resizeObserver.observe(node);
+			} else {
+				view.on("resize." + this._id, onResize);
+			}
+		}
+		return this;
+	}
+	
+	/**
+	 * Exports the configuration and the data of the chart as a specification, which Chart.fromSpec() uses to create the same chart. Attributes set by functions are exported with the values of the plotted elements, events and key functions are not exported.
+	 * @returns {Object} The specification of the chart.
+	 */
+	toSpec() {
+		return ChartSpec.toSpec(this);
+	}
+	
+	/**
+	 * Serializes the chart as a standalone SVG document. The computed styles of the elements and the font faces they use are inlined, so the document renders as in the page. The label table of the chart is included.
+	 * @param {Object} options - The options of the serialization.
+	 * @param {boolean} options.container - Whether the whole container is serialized instead of only this chart.
+	 * @param {string} options.background - A color painted behind the chart.
+	 * @returns {string} The SVG document.
+	 */
+	toSVGString(options) {
+		return ChartExport.toSVGString(this, options);
+	}
+	
+	/**
+	 * Rasterizes the chart into an image. The chart is serialized with toSVGString() and drawn by a rasterizer, which is the browser canvas by default. See Chart.rasterizer().
+	 * @param {Object} options - The options of the image.
+	 * @param {number} options.scale - The number of pixels of the image for each pixel of the chart. 1 by default.
+	 * @param {string} options.background - A color painted behind the chart. The image is transparent by default.
+	 * @param {string} options.type - The MIME type of the image. "image/png" by default.
+	 * @param {boolean} options.container - Whether the whole container is rasterized instead of only this chart.
+	 * @param {function} options.rasterizer - A rasterizer used instead of the default one.
+	 * @returns {Promise} A promise of the data URL of the image.
+	 */
+	toImage(options) {
+		return ChartExport.toImage(this, options);
+	}
+	
+	_applySpec(spec) {
+		//Each type of chart inserts the fields of its specification
+	}
+	
+	_exportSpec(spec) {
+		//Each type of chart exports its settings and data
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		this._selection.attr("transform", "translate(" + this._offset() + ")");
+		this._layoutBackground();
+		this._titles.layout();
+	}
+	
+	_addAxis(name, scale, orientation) {
+		this._axes.add(name, scale, orientation);
+	}
+	
+	_setAxisScale(name, scale) {
+		this._axes.setScale(name, scale);
+		this._annotations.layout();
+	}
+	
+	_axisDomain(name) {
+		return this._axes.domain(name);
+	}
+	
+	_scaleDomains() {
+		//The domains of the data of the continuous scales, by name, which are shared with other charts by _shareDomains()
+		let domains = {};
+		for (let name of this._axes.names()) {
+			if (this._axes.scale(name).invert) domains[name] = this._axisDomain(name);
+		}
+		return domains;
+	}
+	
+	_shareDomains(domains) {
+		//The shared domains replace the domains of the data, which are used again after a null domain
+		this._linkDomains(domains);
+		for (let name in domains) {
+			if (this._axes.has(name) && this._axes.scale(name).invert) this._updateAxis(name, this._axisDomain(name));
+		}
+		this._redraw();
+	}
+	
+	_linkDomains(domains) {
+		//A null domain removes the shared domain of its scale
+		for (let name in domains) {
+			if (domains[name]) this._linkedDomains[name] = domains[name].slice();
+			else delete this._linkedDomains[name];
+		}
+	}
+	
+	_updateAxis(name, domain) {
+		this._axes.update(name, domain);
+		this._annotations.layout();
+	}
+	
+	_supportsAnnotations() {
+		return this._axes.has("x");
+	}
+	
+	_annotationScale(name) {
+		let scale = this._axes.scale(name);
+		let offset = scale.bandwidth ? scale.bandwidth() / 2 : 0;
+		return value=>(scale(value) + offset);
+	}
+	
+	_annotationPoint(x, y) {
+		return [this._annotationScale("x")(x), this._annotationScale("y")(y)];
+	}
+	
+	_annotationLine(name, value) {
+		//The points of a line across the chart where the coordinate of the axis has the value, starting at its top or left
+		let position = this._annotationScale(name)(value);
+		return (name == "x") ? [[position, 0], [position, this._height]] : [[0, position], [this._width, position]];
+	}
+	
+	_offset() {
+		//The translation of the tag of the chart, to the origin inside its margins
+		let origin = this._origin();
+		let margins = this._plotMargins();
+		return [margins.left + this._x + origin[0], margins.top + this._y + origin[1]];
+	}
+	
+	_plotMargins() {
+		//The margins given to the chart, with the space of its titles
+		return this._titles.margins();
+	}
+	
+	_outerDimensions() {
+		let margins = this._plotMargins();
+		return {width: this._width + margins.left + margins.right, height: this._height + margins.top + margins.bottom};
+	}
+	
+	_origin() {
+		//The position of the origin of the chart inside its margins
+		return [0, 0];
+	}
+	
+	_layoutBackground() {
+		let origin = this._origin();
+		let margins = this._plotMargins();
+		let dimensions = this._outerDimensions();
+		this._selection.select(".chartBackground")
+			.attr("x", -margins.left - origin[0])
+			.attr("y", -margins.top - origin[1])
+			.attr("width", dimensions.width)
+			.attr("height", dimensions.height);
+	}
+	
+	_applyTheme() {
+		//Each type of chart also takes the colors of its scales from the theme
+		let theme = this.theme();
+		this._selection
+			.attr("font-family", theme.fontFamily)
+			.attr("font-size", theme.fontSizes.label)
+			.attr("fill", theme.textColor);
+		
+		let background = this._selection.selectAll(".chartBackground").data(theme.background ? [theme.background] : []);
+		background.exit().remove();
+		background.enter().insert("rect", ":first-child")
+			.attr("class", "chartBackground")
+			.merge(background)
+			.attr("fill", d=>d);
+		this._layoutBackground();
+		this._titles.update();
+		this._accessibility.labelChart();
+		
+		let thisChart = this;
+		this._selection.selectAll(".xAxis, .yAxis").each(function() {
+			thisChart._styleAxis(d3.select(this));
+		});
+		for (let name of this._axes.names()) this._axes.updateGrid(name);
+	}
+	
+	_styleAxis(axisGroup) {
+		let theme = this.theme();
+		axisGroup
+			.attr("font-family", theme.fontFamily)
+			.attr("font-size", theme.fontSizes.axis);
+		axisGroup.selectAll(".domain, .tick line")
+			.attr("stroke", theme.axisColor)
+			.attr("stroke-width", theme.strokeWidths.axis);
+		axisGroup.selectAll(".tick text")
+			.attr("fill", theme.textColor);
+	}
+	
+	_marks() {
+		//Each type of chart lists its groups of marks, with the fields of each mark and the default template of its tooltip
+		return [];
+	}
+	
+	_findMark(node) {
+		let found = null;
+		for (let marks of this._marks()) {
+			if (marks.selection) marks.selection.each(function(d, i) {
+				if (this === node) found = Chart._mark(marks, d, i, this);
+			});
+			if (found) return found;
+		}
+		return null;
+	}
+	
+	_markList() {
+		let list = [];
+		for (let marks of this._marks()) {
+			if (marks.selection) marks.selection.each(function(d, i) {
+				list.push(Chart._mark(marks, d, i, this));
+			});
+		}
+		return list;
+	}
+	
+	_describe(format) {
+		//Each type of chart returns the sentences of its summary, with the numbers written by format.number and format.percentage
+		return [];
+	}
+	
+	_lassoMarks() {
+		//The charts with a lasso return the marks it selects, with functions for their positions and to convert between the data and the plotting area
+		return null;
+	}
+	
+	_emitSelection(selection, selected, fields) {
+		let data = [];
+		let indices = [];
+		if (selection) {
+			selection.each((d, i)=>{
+				if (selected(d, i)) {
+					data.push(d);
+					indices.push(i);
+				}
+			});
+		}
+		this._dispatch.call("select", this, Object.assign({data: data, indices: indices}, fields));
+	}
+	
+	_highlight(selection, selected) {
+		//The selected marks keep their opacity and the others are dimmed, or all of them are restored if selected is null
+		selection
+			.classed("selected", (d, i)=>((selected != null) && selected(d, i)))
+			.attr("opacity", (d, i)=>((selected == null) || selected(d, i)) ? null : 0.25);
+	}
+	
+	_marksChanged() {
+		this._annotations.raise();
+		this._lasso.layout();
+		if (this._coordinator) this._coordinator._highlightChart(this);
+		for (let link of this._scaleLinks) link._update(false);
+		this._accessibility.update();
+		this._keyboardNavigation.update();
+	}
+	
+	_storeInsertion(name, args) {
+		//The attribute objects are copied, as the insertion functions fill them with default values
+		this._insertions[name] = Array.from(args).map(arg=>((arg != null) && (typeof(arg) == "object") && !Array.isArray(arg)) ? Object.assign({}, arg) : arg);
+	}
+	
+	_redraw() {
+		//The marks are described once, after all of them are plotted again, and the insertions replayed keep the state of the interactions, like the zoom
+		this._redrawing = true;
+		try {
+			this._accessibility.batch(()=>{
+				for (let name in this._insertions) {
+					this[name].apply(this, this._insertions[name]);
+				}
+			});
+		} finally {
+			this._redrawing = false;
+		}
+	}
+	
+	/**
+	 * The transition used when the chart changes. If duration is given, sets the duration and the easing of the transitions, otherwise returns the current settings. A duration of 0 disables the animations.
+	 * @param {number} duration - The duration of the transitions, in milliseconds.
+	 * @param {function} easing - The easing function of the transitions. Uses d3.easeCubic by default.
+	 * @returns {(Chart|Object)} This object or the current duration and easing.
+	 */
+	transition(duration, easing) {
+		if (duration != null) {
+			this._duration = duration;
+			if (easing) this._easing = easing;
+			return this;
+		} else {
+			return {duration: this._duration, easing: this._easing};
+		}
+	}
+	
+	_animate(selection, name) {
+		if (this._duration > 0) return selection.transition(name).duration(this._duration).ease(this._easing);
+		return selection;
+	}
+	
+	/** 
+	 * Clears the chart, removing the label table.
+	 * @returns {Chart} This chart.
+	 */
+	clear() {
+		if (this._labelTable) {
+			this._labelTable.selection().remove();
+			this._labelTable = null;
+		}
+		if (this._tooltip) this._tooltip.hide();
+		this._annotations.remove();
+		this._insertions = {};
+		this._accessibility.update();
+		return this;
+	}
+	
+	/**
+	 * Registers a type of chart, so it can be created by Chart.fromSpec().
+	 * @param {string} name - The name of the type, used at the type field of the specifications.
+	 * @param {function} chartClass - The class of the chart.
+	 */
+	static registerType(name, chartClass) {
+		ChartSpec.registerType(name, chartClass);
+	}
+	
+	/**
+	 * The rasterizer used by toImage(). If rasterizer is given, sets it, otherwise returns the current rasterizer. A rasterizer is a function which receives the SVG document of a chart and an object with its width, height, scale and document, and returns a canvas, or a promise of it, with the chart drawn. The canvas of the page is used by default.
+	 * @param {function} rasterizer - The new rasterizer.
+	 * @returns {function} The current rasterizer.
+	 */
+	static rasterizer(rasterizer) {
+		return ChartExport.rasterizer(rasterizer);
+	}
+	
+	/**
+	 * Creates a rasterizer from a canvas implementation for Node, like the canvas or @napi-rs/canvas packages.
+	 * @param {Object} canvasModule - The canvas module, with the createCanvas and loadImage functions.
+	 * @returns {function} The rasterizer.
+	 */
+	static nodeCanvasRasterizer(canvasModule) {
+		return ChartExport.nodeCanvasRasterizer(canvasModule);
+	}
+	
+	/**
+	 * The theme of the charts which don't set their own. If theme is given, sets it. Always returns the current or, if set, the new default theme. The charts created before take the new theme when their theme is set.
+	 * @param {(string|Object)} theme - The name of a theme at Chart.themes, or an object with the fields of a theme to replace on the light theme. See Chart.themes.
+	 * @returns {Object} The default theme.
+	 */
+	static defaultTheme(theme) {
+		return ChartTheme.defaultTheme(theme);
+	}
+	
+	/**
+	 * Creates a chart from a specification. The fields common to all charts are listed below, each type of chart also accepts the fields of its data and settings.
+	 * @param {d3.selection} container - The tag in which the chart will be inserted.
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {string} spec.type - The type of the chart: "correlation", "histogram", "map", "pie", "scatterplot", "segments" or "starGlyph".
+	 * @param {string} spec.id - The id of the chart tag.
+	 * @param {Object} spec.position - The position of the chart, with x and y fields.
+	 * @param {(number|Object)} spec.margins - The margins of the chart, as in the constructor.
+	 * @param {Object} spec.dimensions - The dimensions of the chart, with width and height fields.
+	 * @param {Object} spec.transition - The transition of the chart, with duration and easing fields. The easing is the name of a d3 easing, like "easeCubic".
+	 * @param {Array} spec.data - The data inserted on the chart.
+	 * @param {Object} spec.attributes - Attributes of the plotted data. Each one is a constant or an array with the value of each element.
+	 * @param {string} spec.key - The name of the field which identifies each datum.
+	 * @param {Object} spec.scales - Specifications of the scales of the chart, by name. See Chart.scaleFromSpec().
+	 * @param {string} spec.colorScheme - The name of a d3 color scheme, like "interpolateRdYlBu".
+	 * @param {(string|Object)} spec.theme - The theme of the chart, as in theme(). Its color schemes can be given by their d3 names.
+	 * @param {string[]} spec.labels - The labels of the chart: the columns of a histogram, the X axis of a segments chart, the slices of a pie, the corners of a star glyph or the variables of a correlation.
+	 * @param {Object} spec.labelTable - The label table of the chart, with id, position, margins, dimensions, colors and values fields.
+	 * @returns {Chart} The created chart.
+	 */
+	static fromSpec(container, spec) {
+		return ChartSpec.fromSpec(container, spec);
+	}
+	
+	/**
+	 * Validates a chart specification.
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {d3.selection} container - The tag in which the chart would be inserted. If given, it's used to check if the dimensions can be omitted.
+	 * @returns {string[]} The errors found, each naming the invalid field. Empty if the specification is valid.
+	 */
+	static validateSpec(spec, container) {
+		return ChartSpec.validateSpec(spec, container);
+	}
+	
+	/**
+	 * Creates a scale from its specification.
+	 * @param {Object} spec - The specification of the scale.
+	 * @param {string} spec.type - The name of the d3 scale, like "linear", "log" or "ordinal". If not given with a scheme, the colors of the scheme are spread on a linear scale.
+	 * @param {Array} spec.domain - The domain of the scale.
+	 * @param {Array} spec.range - The range of the scale.
+	 * @param {(string|string[])} spec.scheme - The name of a d3 color scheme, like "schemeCategory10", or an array of colors, used as the range.
+	 * @param {string} spec.interpolator - The name of a d3 interpolator, used by sequential scales.
+	 * @param {number} spec.exponent - The exponent of power scales.
+	 * @param {number} spec.base - The base of logarithmic scales.
+	 * @param {number} spec.padding - The padding of band and point scales.
+	 * @param {number} spec.paddingInner - The inner padding of band scales.
+	 * @param {number} spec.paddingOuter - The outer padding of band scales.
+	 * @param {boolean} spec.nice - Whether the domain is extended to round values.
+	 * @param {boolean} spec.clamp - Whether the output is kept inside the range.
+	 * @returns {d3.scale} The created scale.
+	 */
+	static scaleFromSpec(spec) {
+		return ChartSpec.scaleFromSpec(spec);
+	}
+	
+	/**
+	 * Exports a scale as a specification, which Chart.scaleFromSpec() uses to create the same scale.
+	 * @param {d3.scale} scale - The exported scale.
+	 * @returns {Object} The specification of the scale.
+	 */
+	static scaleToSpec(scale) {
+		return ChartSpec.scaleToSpec(scale);
+	}
+	
+	static _validateSpec(spec, errors) {
+		//Each type of chart validates the fields of its specification
+	}
+	
+	/** 
+	 * Generates an array with equally distanced values.
+	 * @param {number} start - The first value of the returned array.
+	 * @param {number} size - The size of the returned array.
+	 * @param {number} end - The last value of the returned array.
+	 * @returns {number[]} Array with equally distanced values.
+	 */
+	static genSequence(start, size, end) {
+		let output = [];
+		size--;
+		for (let i = 0; i <= size; i++) {
+			output.push(start + i * (end - start) / size);
+		}
+		return output;
+	}
+	
+	/**
+	 * Adjusts the domain of a scale and its axis.
+	 * @param {d3.scale} scale - The scale to be adjusted.
+	 * @param {d3.axis} axis - The axis which uses the scale.
+	 * @param {d3.selection} axisGroup - The group in which the axis is.
+	 * @param {number[]} domain - The new domain of the scale.
+	 * @param {Chart} chart - The chart of the axis. If given, the axis is redrawn with the transition of the chart.
+	 */
+	static adjustScaleDomain(scale, axis, axisGroup, domain, chart) {
+		if (domain) scale.domain(domain);
+		axis.scale(scale);
+		(chart ? chart._animate(axisGroup) : axisGroup).call(axis);
+		if (chart) chart._styleAxis(axisGroup);
+	}
+	
+	/** 
+	 * Adds a value to a field if it's null.
+	 * @param {Object} array - The array which will have a value added.
+	 * @param {(number|string)} field - The name of the field.
+	 * @param {(function|number|string)} value - The value added.
+	 */
+	static addIfNull(array, field, value) {
+		if (array[field] == null) array[field] = value;
+	}
+	
+	/**
+	 * Replaces the fields of a template by their values. Numbers are formatted by the d3 format after the name of the field, if given.
+	 * @param {string} template - The template, like "{label}: {value:.1f}".
+	 * @param {Object} fields - The values of the fields, by name.
+	 * @returns {string} The formatted text.
+	 */
+	static formatTemplate(template, fields) {
+		return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, name, specifier)=>{
+			let value = fields[name];
+			if (value == null) return "";
+			if (typeof(value) != "number") return value;
+			return d3.format(specifier || ",")(value);
+		});
+	}
+	
+	/**
+	 * Joins a dataset to the elements of a selection. Elements whose data remain are kept, elements are appended for new data and the ones whose data left are removed.
+	 * @param {d3.selection} parent - The selection which contains the elements.
+	 * @param {string} selector - The selector of the joined elements.
+	 * @param {string} tagName - The tag of the elements appended for new data.
+	 * @param {(Array|function)} dataset - The data joined to the elements.
+	 * @param {function} key - A function which identifies each datum. If not given, the data are joined by index.
+	 * @param {function} onEnter - A function which receives the appended elements, used to set their initial state.
+	 * @param {function} onExit - A function which receives the elements whose data left and removes them. If not given, they are removed immediately.
+	 * @returns {d3.selection} The updated and the appended elements, in the order of the dataset.
+	 */
+	static joinData(parent, selector, tagName, dataset, key, onEnter, onExit) {
+		let update = parent.selectAll(selector).data(dataset, key);
+		
+		//The leaving elements lose their class so they are not selected again while they leave
+		let exit = update.exit().classed(selector.substring(1), false);
+		if (onExit) onExit(exit);
+		else exit.remove();
+		
+		let enter = update.enter().append(tagName)
+			.attr("class", selector.substring(1));
+		if (onEnter) onEnter(enter);
+		
+		return enter.merge(update).order();
+	}
+	
+	/**
+	 * Creates an interpolator between two paths. Paths made only of lines are padded to the same number of points, so the shorter one grows or shrinks from its end. Other paths are interpolated when their commands match, otherwise the final path is used.
+	 * @param {string} start - The initial path.
+	 * @param {string} end - The final path.
+	 * @returns {function} Interpolator which returns the path at a time between 0 and 1.
+	 */
+	static interpolatePath(start, end) {
+		if (!start || !end) return t=>end;
+		let startCommands = start.match(/[a-z][^a-z]*/gi);
+		let endCommands = end.match(/[a-z][^a-z]*/gi);
+		let isPolyline = commands=>commands.every((c, i)=>(c[0] == ((i == 0) ? "M" : "L")));
+		
+		if (isPolyline(startCommands) && isPolyline(endCommands)) {
+			let pad = (commands, size)=>commands.concat(d3.range(size - commands.length).map(()=>("L" + commands[commands.length - 1].substring(1))));
+			let size = d3.max([startCommands.length, endCommands.length]);
+			startCommands = pad(startCommands, size);
+			endCommands = pad(endCommands, size);
+		}
+		
+		if (startCommands.map(c=>c[0]).join("") != endCommands.map(c=>c[0]).join("")) return t=>end;
+		let interpolator = d3.interpolateString(startCommands.join(""), endCommands.join(""));
+		return t=>((t < 1) ? interpolator(t) : end);
+	}
+	
+	/**
+	 * Sets attributes and events of a selection.
+	 * @param {d3.selection} selection - The selection of elements used.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the selected elements.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {d3.transition} transition - A transition of the selection. If given, the attributes other than id and class are animated with it.
+	 */
+	static insertAttributesEvents(selection, attributes, onEvents, transition) {
+		let animated = (transition != null) && (transition !== selection);
+		
+		//Setting attributes
+		for (let attrName in attributes) {
+			let value = attributes[attrName];
+			if (!animated || attrName == "id" || attrName == "class") {
+				selection.attr(attrName, value);
+			} else if (attrName == "d") {
+				let paths = d3.local();
+				selection.each(function(d, i, nodes) {
+					paths.set(this, (typeof(value) == "function") ? value.call(this, d, i, nodes) : value);
+				});
+				transition.attrTween(attrName, function() {
+					return Chart.interpolatePath(this.getAttribute("d"), paths.get(this));
+				});
+			} else {
+				transition.attr(attrName, value);
+			}
+		}
+		
+		//Setting events
+		for (let eventName in onEvents) {
+			selection.on(eventName, onEvents[eventName]);
+		}
+	}
+	
+	static _mark(marks, d, i, node) {
+		return {node: node, datum: d, index: i, fields: marks.fields(d, i, node), template: marks.template, focusable: marks.focusable !== false};
+	}
+	
+	static _describeExtremes(items, name, format) {
+		//Describes the highest and lowest of a list of labeled values
+		if (items.length == 0) return [];
+		let count = items.length + " " + name + ((items.length == 1) ? "" : "s");
+		let highest = items.reduce((a, b)=>(b.value > a.value) ? b : a);
+		let lowest = items.reduce((a, b)=>(b.value < a.value) ? b : a);
+		if (highest.value == lowest.value) return ["It has " + count + ", all with " + format.number(highest.value) + "."];
+		return ["It has " + count + ". The highest is " + highest.label + ", with " + format.number(highest.value) + ", and the lowest is " + lowest.label + ", with " + format.number(lowest.value) + "."];
+	}
+	
+	static _markContent(template, mark) {
+		return String((typeof(template) == "function") ? template(mark.fields, mark.datum, mark.index) : Chart.formatTemplate(template, mark.fields));
+	}
+	
+	static _unionDomains(charts) {
+		//The domains of the scales of several charts, joined by name
+		let domains = {};
+		for (let chart of charts) {
+			let chartDomains = chart._scaleDomains();
+			for (let name in chartDomains) domains[name] = d3.extent((domains[name] || []).concat(chartDomains[name]));
+		}
+		return domains;
+	}
+}
+
+//The events emitted by the charts, see Chart.on(). A zoom event has the new domains of the scales, at its x and y fields. A select event has the data and indexes of the selected marks, at its data and indices fields, with the extent of a brush or the polygon of a lasso.
+Chart._eventTypes = ["zoom", "select"];
+
+/**
+ * The built-in themes, by name: light, the default, dark and print. See ChartTheme.themes for the fields of a theme.
+ */
+Chart.themes = ChartTheme.themes;
+
+/**
+ * Class that describes a chart to screen readers: the roles, labels and titles of the chart and its marks, its description and a visually hidden table with the plotted data. Each chart creates its own, see Chart.accessibility().
+ */
+class ChartAccessibility {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The described chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._settings = {label: null, description: null, markLabel: null, dataTable: true, keyboard: true};
+		
+		//The ids of the description and the data table are based on the id of the chart, or on a generated one if it has none
+		this._generatedId = "chart" + ChartAccessibility._nextId++;
+		
+		this._table = null;
+		
+		//The rows of the table are matched to the marks by a key given to each mark node
+		this._rowKeys = new WeakMap();
+		this._nextRowKey = 0;
+		
+		//Inside batch(), the changes of the marks are described once at its end
+		this._batchDepth = 0;
+		this._pending = false;
+		
+		chart._selection.attr("role", "graphics-document");
+		this.labelChart();
+	}
+	
+	/**
+	 * The settings of the description. If options is given, sets the given settings and describes the chart again, otherwise returns the current settings. See Chart.accessibility().
+	 * @param {Object} options - The settings.
+	 * @returns {Object} The current settings.
+	 */
+	settings(options) {
+		if (options) {
+			Object.assign(this._settings, options);
+			this.update();
+		}
+		return Object.assign({}, this._settings);
+	}
+	
+	/**
+	 * Returns the hidden table with the data plotted by the chart.
+	 * @returns {d3.selection} The data table, or null if it isn't created.
+	 */
+	table() {
+		return this._table;
+	}
+	
+	/**
+	 * Describes the marks of the chart again, after they changed.
+	 */
+	update() {
+		if (this._batchDepth > 0) {
+			this._pending = true;
+			return;
+		}
+		this.labelChart();
+		this._labelMarks();
+		this._updateTable();
+	}
+	
+	/**
+	 * Runs a function which changes the marks, describing them once when it ends.
+	 * @param {function} callback - The function.
+	 */
+	batch(callback) {
+		this._batchDepth++;
+		try {
+			callback();
+		} finally {
+			this._batchDepth--;
+			if ((this._batchDepth == 0) && this._pending) {
+				this._pending = false;
+				this.update();
+			}
+		}
+	}
+	
+	/**
+	 * Writes the label of the chart and its title and description, which are its first children.
+	 */
+	labelChart() {
+		let selection = this._chart._selection;
+		let label = this.label();
+		let description = this._settings.description;
+		selection.attr("aria-label", label);
+		
+		let desc = selection.selectAll(function() {
+			return Array.from(this.children).filter(node=>(node.tagName == "desc"));
+		}).data(description ? [description] : []);
+		desc.exit().remove();
+		desc.enter().append("desc")
+			.merge(desc)
+			.attr("id", this.id() + "Description")
+			.text(d=>d)
+			.lower();
+		
+		let title = selection.selectAll(function() {
+			return Array.from(this.children).filter(node=>(node.tagName == "title"));
+		}).data([label]);
+		title.enter().append("title")
+			.merge(title)
+			.text(d=>d)
+			.lower();
+	}
+	
+	/**
+	 * The accessible name of the chart, which is the label of the settings or the type of the chart.
+	 * @returns {string} The name.
+	 */
+	label() {
+		let type = ChartSpec.typeOf(this._chart) || "chart";
+		return this._settings.label || (type[0].toUpperCase() + type.substring(1).replace(/[A-Z]/g, c=>(" " + c.toLowerCase())) + " chart");
+	}
+	
+	/**
+	 * The id on which the ids of the description and the data table are based, which is the id of the chart or a generated one.
+	 * @returns {string} The id.
+	 */
+	id() {
+		return this._chart._id || this._generatedId;
+	}
+	
+	/**
+	 * Removes the data table, along with the chart.
+	 */
+	remove() {
+		if (this._table) this._table.remove();
+		this._table = null;
+	}
+	
+	_labelMarks() {
+		//The titles of the marks are left out when a tooltip shows their content
+		let chart = this._chart;
+		for (let mark of chart._markList()) {
+			let label = Chart._markContent(this._settings.markLabel || mark.template, mark).replace(/\n/g, ", ");
+			let title = d3.select(mark.node)
+				.attr("role", "graphics-symbol")
+				.attr("aria-label", label)
+				.selectAll("title")
+				.data(chart._tooltip ? [] : [label]);
+			title.exit().remove();
+			title.enter().append("title")
+				.merge(title)
+				.text(d=>d);
+		}
+	}
+	
+	_updateTable() {
+		let selection = this._chart._selection;
+		let id = this.id();
+		let description = this._settings.description ? id + "Description" : null;
+		let root = selection.node().ownerSVGElement;
+		if (!this._settings.dataTable || !root || !root.parentNode) {
+			this.remove();
+			selection.attr("aria-describedby", description);
+			return;
+		}
+		
+		//The table is only hidden visually, so screen readers still find it
+		if (!this._table) {
+			let table = root.ownerDocument.createElement("table");
+			root.parentNode.insertBefore(table, root.nextSibling);
+			this._table = d3.select(table)
+				.attr("class", "chartDataTable")
+				.attr("style", "position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;");
+			this._table.append("caption");
+			this._table.append("thead").append("tr");
+			this._table.append("tbody");
+		}
+		this._table.attr("id", id + "DataTable");
+		ChartAccessibility._setText(this._table.select("caption").node(), selection.attr("aria-label"));
+		selection.attr("aria-describedby", (description ? description + " " : "") + id + "DataTable");
+		
+		//The indexes are left out, as the rows are in the order of the marks
+		let data = this._chart._markList().filter(mark=>mark.focusable).map(mark=>{
+			if (!this._rowKeys.has(mark.node)) this._rowKeys.set(mark.node, this._nextRowKey++);
+			return {key: this._rowKeys.get(mark.node), fields: mark.fields};
+		});
+		let columns = [];
+		for (let row of data) {
+			for (let name in row.fields) {
+				if (!columns.includes(name) && (name != "index")) columns.push(name);
+			}
+		}
+		
+		//The rows and cells are matched by key, so only the text which changed is written
+		let cellText = value=>(value == null) ? "" : Array.isArray(value) ? value.join(", ") : (typeof(value) == "number") ? d3.format(",")(value) : String(value);
+		Chart.joinData(this._table.select("thead tr"), ".columnHeader", "th", columns, d=>d, enter=>enter.attr("scope", "col").text(d=>d));
+		Chart.joinData(this._table.select("tbody"), ".dataRow", "tr", data, d=>d.key)
+			.each(function(row) {
+				Chart.joinData(d3.select(this), ".dataCell", "td", columns.map(name=>cellText(row.fields[name])))
+					.each(function(text) {
+						ChartAccessibility._setText(this, text);
+					});
+			});
+	}
+	
+	static _setText(node, text) {
+		if (node.textContent != text) node.textContent = text;
+	}
+}
+
+ChartAccessibility._nextId = 0;
+
+/**
+ * Class that moves the keyboard focus between the marks of a chart. The Tab key reaches one mark of the chart, and the arrow, Home and End keys move the focus to the others. Each chart creates its own, see Chart.accessibility().
+ */
+class KeyboardNavigation {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The navigated chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		//The mark which is reached with the Tab key, which is the last one focused
+		this._focusedNode = null;
+		
+		//Focusing or activating a mark triggers its mouse events
+		let node = chart._selection.node();
+		node.addEventListener("keydown", event=>this._onKeyDown(event));
+		node.addEventListener("focusin", event=>this._onFocus(event, "mouseover"));
+		node.addEventListener("focusout", event=>this._onFocus(event, "mouseout"));
+	}
+	
+	/**
+	 * Whether the marks are navigated by the keyboard, as set by Chart.accessibility().
+	 * @returns {boolean} Whether the navigation is enabled.
+	 */
+	enabled() {
+		return this._chart._accessibility.settings().keyboard;
+	}
+	
+	/**
+	 * Updates the marks which can be focused, after the marks or the settings changed.
+	 */
+	update() {
+		let marks = [].concat(...this.rows());
+		if (!this.enabled()) {
+			for (let mark of marks) mark.node.removeAttribute("tabindex");
+			return;
+		}
+		
+		//Only one mark is reached with the Tab key, the others are reached with the arrow keys
+		let current = marks.find(mark=>(mark.node === this._focusedNode)) || marks[0];
+		for (let mark of marks) mark.node.setAttribute("tabindex", (mark === current) ? 0 : -1);
+	}
+	
+	/**
+	 * The rows of the focusable marks of the chart. Each group of marks is split in rows by its row function, which are navigated with the left and right keys, while the up and down keys change the row.
+	 * @returns {Object[][]} The marks of each row, as found by the chart.
+	 */
+	rows() {
+		let rows = [];
+		for (let marks of this._chart._marks()) {
+			if (!marks.selection || (marks.focusable === false)) continue;
+			let groupRows = [];
+			marks.selection.each(function(d, i) {
+				let mark = Chart._mark(marks, d, i, this);
+				let row = marks.row ? marks.row(mark) : 0;
+				if (!groupRows[row]) groupRows[row] = [];
+				groupRows[row].push(mark);
+			});
+			for (let row of groupRows) {
+				if (row) rows.push(marks.sort ? row.sort(marks.sort) : row);
+			}
+		}
+		return rows;
+	}
+	
+	_onFocus(event, eventName) {
+		if (!this.enabled() || (this._chart._findMark(event.target) == null)) return;
+		if (eventName == "mouseover") {
+			this._focusedNode = event.target;
+			this.update();
+		}
+		//The events bubble as the ones of the mouse, so the listeners of the chart, like the ones of a SelectionCoordinator, receive them
+		d3.select(event.target).dispatch(eventName, {bubbles: true});
+	}
+	
+	_onKeyDown(event) {
+		if (!this.enabled()) return;
+		let rows = this.rows();
+		let row = rows.findIndex(marks=>marks.some(mark=>(mark.node === event.target)));
+		if (row < 0) return;
+		let column = rows[row].findIndex(mark=>(mark.node === event.target));
+		
+		//With a single row, the up and down keys move as the left and right keys
+		let vertical = rows.length > 1;
+		let next = {row: row, column: column};
+		switch (event.key) {
+			case "ArrowRight": next.column++; break;
+			case "ArrowLeft": next.column--; break;
+			case "ArrowDown": if (vertical) next.row++; else next.column++; break;
+			case "ArrowUp": if (vertical) next.row--; else next.column--; break;
+			case "Home": next.column = 0; break;
+			case "End": next.column = rows[row].length - 1; break;
+			case "Enter":
+			case " ":
+				event.preventDefault();
+				d3.select(event.target).dispatch("click");
+				return;
+			default: return;
+		}
+		event.preventDefault();
+		next.row = Math.max(0, Math.min(next.row, rows.length - 1));
+		next.column = Math.max(0, Math.min(next.column, rows[next.row].length - 1));
+		rows[next.row][next.column].node.focus();
+	}
+}
+
+/**
+ * Class that plots the title, subtitle and axis titles of a chart around its margins. The space of the titles is taken from the plotting area, so the chart keeps its dimensions. Each chart creates its own, see Chart.title().
+ */
+class ChartTitles {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the titles.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._texts = {title: null, subtitle: null, xAxisTitle: null, yAxisTitle: null};
+		
+		//The space reserved for the titles, outside of the margins of the chart
+		this._space = {left: 0, right: 0, top: 0, bottom: 0};
+	}
+	
+	/**
+	 * The text of a title. If text is given, sets it, or removes the title if text is an empty string, otherwise returns the current text.
+	 * @param {string} name - The name of the title: title, subtitle, xAxisTitle or yAxisTitle.
+	 * @param {string} text - The new text.
+	 * @returns {string} The current text.
+	 */
+	text(name, text) {
+		if (text != null) {
+			this._texts[name] = text || null;
+			this.update();
+		}
+		return this._texts[name];
+	}
+	
+	/**
+	 * The margins of the chart, with the space of its titles.
+	 * @returns {Object} The left, right, top and bottom margins.
+	 */
+	margins() {
+		let margins = this._chart._margins;
+		return {
+			left: margins.left + this._space.left,
+			right: margins.right + this._space.right,
+			top: margins.top + this._space.top,
+			bottom: margins.bottom + this._space.bottom
+		};
+	}
+	
+	/**
+	 * Reserves the space of the titles, resizing the plotting area when it changed, and plots them.
+	 */
+	update() {
+		//Each title takes a line and a half of its font size, and the plotting area shrinks to keep the dimensions of the chart
+		let sizes = this._sizes();
+		let line = name=>(this._texts[name] ? sizes[name] * 1.5 : 0);
+		let space = {left: line("yAxisTitle"), right: 0, top: line("title") + line("subtitle"), bottom: line("xAxisTitle")};
+		if (Object.keys(space).some(side=>(space[side] != this._space[side]))) {
+			let dimensions = this._chart._outerDimensions();
+			this._space = space;
+			this._chart.resize(dimensions.width, dimensions.height);
+		} else {
+			this.layout();
+		}
+	}
+	
+	/**
+	 * Plots the titles at the positions given by the dimensions of the chart.
+	 */
+	layout() {
+		let chart = this._chart;
+		let sizes = this._sizes();
+		let origin = chart._origin();
+		let top = -chart._margins.top - this._space.top;
+		let titles = [{
+			name: "title",
+			className: "chartTitle",
+			x: chart._width / 2,
+			y: top + sizes.title,
+			weight: "bold"
+		}, {
+			name: "subtitle",
+			className: "chartSubtitle",
+			x: chart._width / 2,
+			y: top + (this._texts.title ? sizes.title * 1.5 : 0) + sizes.subtitle
+		}, {
+			name: "xAxisTitle",
+			className: "xAxisTitle",
+			x: chart._width / 2,
+			y: chart._height + chart._margins.bottom + sizes.xAxisTitle * 1.1
+		}, {
+			name: "yAxisTitle",
+			className: "yAxisTitle",
+			x: -chart._margins.left - sizes.yAxisTitle * 0.4,
+			y: chart._height / 2,
+			rotate: true
+		}];
+		
+		//The titles are centered on the plotting area, the one of the Y axis is rotated along it
+		for (let title of titles) {
+			Chart.joinData(chart._selection, "." + title.className, "text", this._texts[title.name] ? [this._texts[title.name]] : [])
+				.attr("text-anchor", "middle")
+				.attr("font-size", sizes[title.name])
+				.attr("font-weight", title.weight || null)
+				.attr("transform", "translate(" + (title.x - origin[0]) + "," + (title.y - origin[1]) + ")" + (title.rotate ? "rotate(-90)" : ""))
+				.text(d=>d);
+		}
+	}
+	
+	_sizes() {
+		let fontSizes = this._chart.theme().fontSizes;
+		return {title: fontSizes.title, subtitle: fontSizes.label, xAxisTitle: fontSizes.label, yAxisTitle: fontSizes.label};
+	}
+}
+
+/**
+ * Class that plots the axes of a chart from their scales and configurations. Each axis can be shown on either side of the chart, or on both. Each chart creates its own, see Chart.axis().
+ */
+class ChartAxes {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the axes.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		//The axes, by name, with their scales, configurations and the groups of each side
+		this._axes = {};
+		
+		//The gridlines stay beneath the marks, only above the background
+		this._gridLayer = null;
+	}
+	
+	/**
+	 * Whether the chart has an axis.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @returns {boolean} Whether the axis exists.
+	 */
+	has(name) {
+		return this._axes[name] != null;
+	}
+	
+	/**
+	 * The names of the axes of the chart.
+	 * @returns {string[]} The names.
+	 */
+	names() {
+		return Object.keys(this._axes);
+	}
+	
+	/**
+	 * The scale of an axis.
+	 * @param {string} name - The name of the axis.
+	 * @returns {d3.scale} The scale.
+	 */
+	scale(name) {
+		return this._axes[name].scale;
+	}
+	
+	/**
+	 * Adds an axis to the chart, with the default configuration.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @param {d3.scale} scale - The scale of the axis.
+	 * @param {string} orientation - The side of the axis, or "both".
+	 */
+	add(name, scale, orientation) {
+		let defaults = {visible: true, orientation: orientation, ticks: null, format: null, tickSize: 6, labelRotation: 0, nice: false, padding: 0, domain: null, grid: false, minorGrid: 0};
+		this._axes[name] = {
+			scale: scale,
+			dataDomain: scale.domain(),
+			config: Object.assign({}, defaults),
+			defaults: defaults,
+			sides: {}
+		};
+		this.update(name);
+	}
+	
+	/**
+	 * The configuration of an axis. If config is given, its fields replace the ones of the axis, otherwise returns the current configuration. See Chart.axis().
+	 * @param {string} name - The name of the axis.
+	 * @param {Object} config - The fields of the configuration to replace.
+	 * @returns {Object} The current configuration.
+	 */
+	config(name, config) {
+		let axis = this._axes[name];
+		if (config) {
+			let sides = ChartAxes.sides(name);
+			if ((config.orientation != null) && !sides.concat(["both"]).includes(config.orientation)) {
+				throw new Error("Invalid orientation of the " + name + " axis: expected " + sides.join(", ") + " or both.");
+			}
+			Object.assign(axis.config, config);
+			this.update(name, axis.dataDomain);
+		}
+		return Object.assign({}, axis.config);
+	}
+	
+	/**
+	 * The fields of the configuration of an axis changed from the defaults, which are exported by the specifications. The formats given by functions are left out.
+	 * @param {string} name - The name of the axis.
+	 * @returns {Object} The changed fields.
+	 */
+	changedConfig(name) {
+		let axis = this._axes[name];
+		let config = {};
+		for (let field in axis.config) {
+			if ((axis.config[field] !== axis.defaults[field]) && (typeof(axis.config[field]) != "function")) config[field] = axis.config[field];
+		}
+		return config;
+	}
+	
+	/**
+	 * Replaces the scale of an axis. A scale set by the user keeps its domain, which is padded only by the next data.
+	 * @param {string} name - The name of the axis.
+	 * @param {d3.scale} scale - The new scale.
+	 */
+	setScale(name, scale) {
+		this._axes[name].scale = scale;
+		this._axes[name].dataDomain = scale.domain();
+		this.update(name);
+	}
+	
+	/**
+	 * The domain of the data plotted on an axis, without the padding and the rounding of the axis.
+	 * @param {string} name - The name of the axis.
+	 * @returns {Array} The domain.
+	 */
+	domain(name) {
+		return this._axes[name].dataDomain;
+	}
+	
+	/**
+	 * Plots an axis again, after its scale or the dimensions of the chart changed.
+	 * @param {string} name - The name of the axis.
+	 * @param {Array} domain - The new domain of the data plotted on the axis, which is padded and rounded by the configuration. If not given, the scale keeps its domain.
+	 */
+	update(name, domain) {
+		let chart = this._chart;
+		let axis = this._axes[name];
+		let config = axis.config;
+		let scale = axis.scale;
+		
+		//Only the continuous scales are padded and rounded, unless their domains are fixed by the user or shared with other charts
+		if (domain) {
+			axis.dataDomain = domain.slice();
+			let fixedDomain = config.domain || chart._linkedDomains[name];
+			if (scale.invert && fixedDomain) {
+				scale.domain(fixedDomain);
+			} else if (scale.invert && (domain.length == 2)) {
+				let extent = domain[1] - domain[0];
+				if (config.padding && !isNaN(extent)) domain = [domain[0] - extent * config.padding, domain[1] + extent * config.padding];
+				scale.domain(domain);
+				if (config.nice && scale.nice) scale.nice((typeof(config.ticks) == "number") ? config.ticks : undefined);
+			} else {
+				scale.domain(domain);
+			}
+		}
+		
+		let sides = ChartAxes.sides(name);
+		let shown = !config.visible ? [] : (config.orientation == "both") ? sides : [config.orientation];
+		for (let side of sides) {
+			if (!axis.sides[side] && !shown.includes(side)) continue;
+			if (!axis.sides[side]) {
+				axis.sides[side] = {
+					axis: d3["axis" + side[0].toUpperCase() + side.substring(1)](),
+					group: chart._selection.append("g").attr("class", name + "Axis")
+				};
+			}
+			let entry = axis.sides[side];
+			entry.axis.scale(scale)
+				.tickSize(config.tickSize)
+				.tickArguments((typeof(config.ticks) == "number") ? [config.ticks] : [])
+				.tickValues(Array.isArray(config.ticks) ? config.ticks : null)
+				.tickFormat((typeof(config.format) == "string") ? d3.format(config.format) : config.format);
+			entry.group
+				.style("display", shown.includes(side) ? null : "none")
+				.attr("transform", (side == "bottom") ? "translate(0," + chart._height + ")" : (side == "right") ? "translate(" + chart._width + ",0)" : null);
+			Chart.adjustScaleDomain(scale, entry.axis, entry.group, null, chart);
+			ChartAxes._rotateTickLabels(entry.group, side, config);
+		}
+		this.updateGrid(name);
+	}
+	
+	/**
+	 * Plots the gridlines of an axis again, after its scale, its configuration or the theme of the chart changed.
+	 * @param {string} name - The name of the axis.
+	 */
+	updateGrid(name) {
+		let chart = this._chart;
+		let axis = this._axes[name];
+		let config = axis.config;
+		let scale = axis.scale;
+		
+		if (!this._gridLayer) {
+			if (!config.grid) return;
+			this._gridLayer = chart._selection.insert("g", ":first-child").attr("class", "grid");
+			chart._selection.select(".chartBackground").lower();
+		}
+		
+		let major = [];
+		let minor = [];
+		if (config.grid) {
+			major = Array.isArray(config.ticks) ? config.ticks : scale.ticks ? scale.ticks((typeof(config.ticks) == "number") ? config.ticks : 10) : scale.domain();
+			if ((config.minorGrid > 0) && scale.invert) {
+				for (let i = 1; i < major.length; i++) {
+					for (let j = 1; j <= config.minorGrid; j++) minor.push(major[i - 1] + (major[i] - major[i - 1]) * j / (config.minorGrid + 1));
+				}
+			}
+		}
+		
+		let theme = chart.theme();
+		let offset = scale.bandwidth ? scale.bandwidth() / 2 : 0;
+		let position = d=>(scale(d) + offset);
+		let layer = Chart.joinData(this._gridLayer, "." + name + "Grid", "g", [name]);
+		for (let lines of [{className: "gridLine", values: major, opacity: 1}, {className: "minorGridLine", values: minor, opacity: 0.5}]) {
+			let attributes = (name == "x") ? {x1: position, x2: position, y1: 0, y2: chart._height} : {x1: 0, x2: chart._width, y1: position, y2: position};
+			let selection = Chart.joinData(layer, "." + lines.className, "line", lines.values, d=>d, enter=>Chart.insertAttributesEvents(enter, attributes, null), exit=>exit.remove())
+				.attr("stroke", theme.gridColor)
+				.attr("stroke-width", theme.strokeWidths.grid)
+				.attr("stroke-opacity", lines.opacity)
+				.attr("shape-rendering", "crispEdges");
+			Chart.insertAttributesEvents(selection, attributes, null, chart._animate(selection));
+		}
+	}
+	
+	/**
+	 * The sides on which an axis can be shown.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @returns {string[]} The sides.
+	 */
+	static sides(name) {
+		return (name == "x") ? ["bottom", "top"] : ["left", "right"];
+	}
+	
+	static _rotateTickLabels(axisGroup, side, config) {
+		//The labels turn around their anchor, which moves to the end closer to the axis
+		let rotation = config.labelRotation || 0;
+		let spacing = Math.max(config.tickSize, 0) + 3;
+		let anchor = {
+			bottom: [0, spacing, (rotation < 0) ? "end" : "start"],
+			top: [0, -spacing, (rotation < 0) ? "start" : "end"],
+			left: [-spacing, 0, "end"],
+			right: [spacing, 0, "start"]
+		}[side];
+		axisGroup.selectAll(".tick text")
+			.attr("transform", rotation ? "rotate(" + rotation + "," + anchor[0] + "," + anchor[1] + ")" : null)
+			.attr("text-anchor", (rotation && (side == "bottom" || side == "top")) ? anchor[2] : null);
+	}
+}
+
+/**
+ * Class that plots the annotations of a chart, above its marks. The annotations are positioned in the coordinates of the data by the chart, so they follow the changes of its scales. Each chart creates its own, see Chart.setAnnotations().
+ */
+class AnnotationLayer {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The annotated chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._layer = null;
+		
+		this._selection = null;
+	}
+	
+	/**
+	 * Plots the annotations, matching them with the current ones. See Chart.setAnnotations().
+	 * @param {Object[]} annotations - An array of annotations.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the annotations.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each annotation. If not given, they are matched by index.
+	 */
+	set(annotations, attributes, onEvents, key) {
+		let chart = this._chart;
+		if (!this._layer) this._layer = chart._selection.append("g").attr("class", "annotations");
+		let onExit = exit=>chart._animate(exit).attr("opacity", 0).remove();
+		this._selection = Chart.joinData(this._layer, ".annotation", "g", annotations, key, null, onExit);
+		
+		Chart.insertAttributesEvents(this._selection, attributes, onEvents);
+		for (let type of ChartSpec._annotationTypes) this._selection.classed(type + "Annotation", d=>(d.type == type));
+		this.layout();
+	}
+	
+	/**
+	 * Keeps the annotations above the marks, after the marks changed.
+	 */
+	raise() {
+		if (this._layer) this._layer.raise();
+	}
+	
+	/**
+	 * Removes the annotations.
+	 */
+	remove() {
+		if (this._layer) this._layer.remove();
+		this._layer = null;
+		this._selection = null;
+	}
+	
+	/**
+	 * Places the annotations again, after the scales of the chart changed.
+	 */
+	layout() {
+		if (!this._selection) return;
+		let chart = this._chart;
+		let theme = chart.theme();
+		
+		this._selection.each(function(d) {
+			let group = d3.select(this);
+			let name = (d.x != null) ? "x" : "y";
+			let shape = [];
+			let point = null;
+			let label = {x: 0, y: 0, dx: 0, dy: 0, anchor: "start"};
+			
+			if ((d.type == "line") || (d.type == "band")) {
+				let values = (d.type == "line") ? [d[name]] : d[name];
+				let lines = values.map(value=>chart._annotationLine(name, value));
+				shape = (d.type == "line") ? lines[0] : lines[0].concat(lines[1].slice().reverse());
+				label = {x: lines[0][0][0], y: lines[0][0][1], dx: 4, dy: (name == "x") ? 12 : -4, anchor: "start"};
+			} else {
+				point = chart._annotationPoint(d.x, d.y);
+				let dx = (d.type == "callout") ? ((d.dx != null) ? d.dx : 30) : 0;
+				let dy = (d.type == "callout") ? ((d.dy != null) ? d.dy : -30) : 0;
+				label = {x: point[0] + dx, y: point[1] + dy, dx: 0, dy: (dy > 0) ? 12 : -4, anchor: (d.type == "note") ? "middle" : (dx < 0) ? "end" : "start"};
+			}
+			
+			let path = Chart.joinData(group, ".annotationShape", "path", (shape.length > 0) ? [shape] : [])
+				.attr("fill", (d.type == "band") ? theme.foreground : "none")
+				.attr("fill-opacity", 0.1)
+				.attr("stroke-dasharray", (d.type == "line") ? "4,3" : null)
+				.attr("stroke-width", (d.type == "band") ? 0 : theme.strokeWidths.mark);
+			chart._animate(path).attr("d", points=>(d3.line()(points) + ((d.type == "band") ? "Z" : "")));
+			
+			let callout = (d.type == "callout") ? [point] : [];
+			let leader = Chart.joinData(group, ".annotationLeader", "line", callout)
+				.attr("stroke-width", theme.strokeWidths.mark);
+			chart._animate(leader)
+				.attr("x1", p=>p[0])
+				.attr("y1", p=>p[1])
+				.attr("x2", label.x)
+				.attr("y2", label.y);
+			let circle = Chart.joinData(group, ".annotationPoint", "circle", callout)
+				.attr("r", 3)
+				.attr("fill", theme.foreground)
+				.attr("stroke", "none");
+			chart._animate(circle)
+				.attr("cx", p=>p[0])
+				.attr("cy", p=>p[1]);
+			
+			let text = Chart.joinData(group, ".annotationLabel", "text", (d.label != null) ? [d.label] : [])
+				.attr("stroke", "none")
+				.attr("fill", theme.textColor)
+				.attr("text-anchor", label.anchor)
+				.attr("dx", label.dx)
+				.attr("dy", label.dy)
+				.text(t=>t);
+			chart._animate(text)
+				.attr("x", label.x)
+				.attr("y", label.y);
+		});
+	}
+}
+
+/**
+ * Class that selects the marks of a chart inside a free-form shape drawn over it. The polygon of the lasso is kept in the coordinates of the data, so it follows the marks. Each chart creates its own, see Chart.lasso().
+ */
+class Lasso {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the lasso.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._group = null;
+		
+		this._polygon = null;
+	}
+	
+	/**
+	 * Whether the lasso is enabled.
+	 * @returns {boolean} Whether the lasso is enabled.
+	 */
+	enabled() {
+		return this._group != null;
+	}
+	
+	/**
+	 * Enables the lasso, beneath the marks it selects.
+	 * @param {Object} marks - The marks selected by the lasso, as returned by the chart.
+	 */
+	enable(marks) {
+		if (this._group) return;
+		//The area of the lasso stays beneath the marks, so they still receive the pointer
+		this._group = this._chart._selection.insert("g", ()=>marks.selection ? marks.selection.node() : null)
+			.attr("class", "lasso");
+		this._group.append("rect")
+			.attr("class", "lassoArea")
+			.attr("fill", "none")
+			.attr("pointer-events", "all")
+			.style("cursor", "crosshair")
+			.node().addEventListener("mousedown", event=>this._onStart(event));
+		this._group.append("path")
+			.attr("class", "lassoPath")
+			.attr("fill-opacity", 0.1)
+			.attr("stroke-dasharray", "4,3")
+			.attr("pointer-events", "none");
+		this.layout();
+	}
+	
+	/**
+	 * Disables the lasso, restoring all the marks.
+	 */
+	disable() {
+		if (!this._group) return;
+		this._group.remove();
+		this._group = null;
+		this._polygon = null;
+		let selection = this._chart._lassoMarks().selection;
+		if (selection) this._chart._highlight(selection, null);
+	}
+	
+	/**
+	 * Sets the polygon of the lasso, selecting the marks inside of it, and emits a select event.
+	 * @param {number[][]} polygon - The points of the polygon, in the coordinates of the data, or null to clear it.
+	 */
+	set(polygon) {
+		this._polygon = polygon;
+		this.layout();
+		let marks = this._chart._lassoMarks();
+		this._chart._emitSelection(marks.selection, this._contains() || (()=>false), {polygon: this._polygon});
+	}
+	
+	/**
+	 * Places the lasso again and highlights the marks inside of it, after the marks or the scales of the chart changed.
+	 */
+	layout() {
+		if (!this._group) return;
+		let chart = this._chart;
+		let marks = chart._lassoMarks();
+		let foreground = chart.theme().foreground;
+		this._group.select(".lassoArea")
+			.attr("width", chart._width)
+			.attr("height", chart._height);
+		this._group.select(".lassoPath")
+			.attr("d", this._polygon ? "M" + this._polygon.map(marks.project).join("L") + "Z" : null)
+			.attr("fill", foreground)
+			.attr("stroke", foreground);
+		if (marks.selection) chart._highlight(marks.selection, this._contains());
+	}
+	
+	_contains() {
+		//Whether each mark is inside the lasso, or null without a lasso
+		if (!this._polygon) return null;
+		let marks = this._chart._lassoMarks();
+		let points = this._polygon.map(marks.project);
+		return (d, i)=>d3.polygonContains(points, marks.position(d, i));
+	}
+	
+	_onStart(event) {
+		if (event.button != 0) return;
+		//The lasso takes the drag, so the chart isn't panned
+		event.preventDefault();
+		event.stopPropagation();
+		
+		let area = event.currentTarget;
+		let view = area.ownerDocument.defaultView;
+		let points = [d3.clientPoint(area, event)];
+		let path = this._group.select(".lassoPath");
+		let onMove = moveEvent=>{
+			points.push(d3.clientPoint(area, moveEvent));
+			path.attr("d", "M" + points.join("L"));
+		};
+		let onEnd = endEvent=>{
+			view.removeEventListener("mousemove", onMove);
+			view.removeEventListener("mouseup", onEnd);
+			//A click without a shape clears the lasso
+			this.set((points.length > 2) ? points.map(this._chart._lassoMarks().invert) : null);
+		};
+		view.addEventListener("mousemove", onMove);
+		view.addEventListener("mouseup", onEnd);
+	}
+}
+
+/**
+ * Class that represents the tooltip of a chart. Shows the information of the mark under the pointer or with the keyboard focus, inside the container of the chart.
+ */
+class Tooltip {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart whose marks are described by the tooltip.
+	 * @param {(string|function)} template - The content of the tooltip. See template().
+	 */
+	constructor(chart, template) {
+		this._chart = chart;
+		
+		this._template = template || null;
+		
+		this._offset = 12;
+		
+		this._padding = 6;
+		
+		this._selection = chart.container()
+			.append("g")
+			.attr("class", "chartTooltip")
+			.attr("role", "tooltip")
+			.attr("pointer-events", "none")
+			.attr("font-size", 12)
+			.style("display", "none");
+		this._background = this._selection
+			.append("rect")
+			.attr("class", "tooltipBackground")
+			.attr("rx", 3)
+			.attr("fill-opacity", 0.9);
+		this._text = this._selection
+			.append("text")
+			.attr("class", "tooltipText");
+		
+		//The tooltip takes the theme of its chart
+		this._applyTheme();
+		
+		//The listeners are on the tag of the chart, so they stay when the marks are plotted again
+		this._listeners = {
+			mousemove: event=>this._showTarget(event.target, d3.clientPoint(this._selection.node().parentNode, event)),
+			mouseout: event=>this.hide(),
+			focusin: event=>this._showTarget(event.target, null),
+			focusout: event=>this.hide()
+		};
+		for (let type in this._listeners) chart.selection().node().addEventListener(type, this._listeners[type]);
+	}
+	
+	/**
+	 * Returns the chart of the tooltip.
+	 * @returns {Chart} The chart described by this tooltip.
+	 */
+	chart() {
+		return this._chart;
+	}
+	
+	/**
+	 * Returns the selection of the tooltip.
+	 * @returns {d3.selection} The tag of this tooltip.
+	 */
+	selection() {
+		return this._selection;
+	}
+	
+	/**
+	 * The content of the tooltip. Each type of chart has a default content. If template is given, sets it, otherwise returns the current template.
+	 * A string template has fields between braces, which can have a d3 format after a colon, like "{label}: {value:.1f}". Each line of the template is a line of the tooltip.
+	 * A function template receives the fields, the datum and the index of the mark, and returns the content.
+	 * The fields of the marks are the label, value and index of the columns of a Histogram; the label, value, percentage and index of the slices of a Pie; the x, y and index of the dots of a Scatterplot; the row, column and value of the cells of a Correlation; the properties of the features and the longitude and latitude of the dots of a Map; the series, label, index and value of the dots of a Segments; the labels and values of a StarGlyph.
+	 * @param {(string|function)} template - The new template.
+	 * @returns {(Tooltip|string|function)} This object or the current template.
+	 */
+	template(template) {
+		if (template) {
+			this._template = template;
+			return this;
+		} else {
+			return this._template;
+		}
+	}
+	
+	/**
+	 * The distance between the pointer and the tooltip. If offset is given, sets it, otherwise returns the current offset.
+	 * @param {number} offset - The new offset.
+	 * @returns {(Tooltip|number)} This object or the current offset.
+	 */
+	offset(offset) {
+		if (offset != null) {
+			this._offset = offset;
+			return this;
+		} else {
+			return this._offset;
+		}
+	}
+	
+	/**
+	 * Shows the tooltip of a mark of the chart.
+	 * @param {Object} mark - The mark, as found by the chart, with its datum, index, fields and default template.
+	 * @param {number[]} point - The point of the container near which the tooltip is placed.
+	 * @returns {Tooltip} This tooltip.
+	 */
+	show(mark, point) {
+		let template = this._template || mark.template;
+		let lines = Chart._markContent(template, mark).split("\n");
+		
+		Chart.joinData(this._text, ".tooltipLine", "tspan", lines)
+			.attr("x", this._padding)
+			.attr("dy", (d, i)=>(i == 0) ? "1em" : "1.2em")
+			.text(d=>d);
+		this._text.attr("y", this._padding);
+		this._selection.style("display", null).raise();
+		
+		//The size of the text is estimated where it can't be measured
+		let fontSize = +this._selection.attr("font-size");
+		let box = this._text.node().getBBox ? this._text.node().getBBox() : {width: d3.max(lines, d=>d.length) * fontSize * 0.6, height: lines.length * fontSize * 1.2};
+		let width = box.width + 2 * this._padding;
+		let height = box.height + 2 * this._padding;
+		this._background
+			.attr("width", width)
+			.attr("height", height);
+		
+		//The tooltip goes to the other side of the point when it doesn't fit inside the container
+		let container = this._selection.node().parentNode;
+		let bounds = container.getBoundingClientRect();
+		let containerWidth = +d3.select(container).attr("width") || bounds.width;
+		let containerHeight = +d3.select(container).attr("height") || bounds.height;
+		let x = point[0] + this._offset;
+		if (x + width > containerWidth) x = point[0] - this._offset - width;
+		let y = point[1] + this._offset;
+		if (y + height > containerHeight) y = point[1] - this._offset - height;
+		x = Math.max(0, Math.min(x, containerWidth - width));
+		y = Math.max(0, Math.min(y, containerHeight - height));
+		this._selection.attr("transform", "translate(" + x + "," + y + ")");
+		
+		return this;
+	}
+	
+	/**
+	 * Hides the tooltip.
+	 * @returns {Tooltip} This tooltip.
+	 */
+	hide() {
+		this._selection.style("display", "none");
+		return this;
+	}
+	
+	/**
+	 * Removes the tooltip from the chart.
+	 */
+	remove() {
+		for (let type in this._listeners) this._chart.selection().node().removeEventListener(type, this._listeners[type]);
+		this._selection.remove();
+	}
+	
+	_applyTheme() {
+		let theme = this._chart.theme();
+		this._selection.attr("font-family", theme.fontFamily);
+		this._background
+			.attr("fill", theme.background || "white")
+			.attr("stroke", theme.foreground);
+		this._text.attr("fill", theme.textColor);
+	}
+	
+	_showTarget(node, point) {
+		let mark = this._chart._findMark(node);
+		if (mark == null) return this.hide();
+		
+		//With the keyboard, the tooltip is placed above the center of the mark
+		if (point == null) {
+			let bounds = node.getBoundingClientRect();
+			point = d3.clientPoint(this._selection.node().parentNode, {clientX: bounds.left + bounds.width / 2, clientY: bounds.top});
+		}
+		return this.show(mark, point);
+	}
+}
+
+
+/**
+ * Class that links the selections of several charts. The marks of the charts are matched by a key, so hovering or selecting marks in one of the charts highlights the marks with the same keys in all of them.
+ */
+class SelectionCoordinator {
+	/**
+	 * @constructor
+	 * @param {function} key - The key of a mark, which receives its datum and index. Uses the index by default.
+	 */
+	constructor(key) {
+		this._key = key || ((d, i)=>i);
+		
+		//The charts, with their own keys and the listeners added to them
+		this._entries = [];
+		
+		//The keys selected, by a brush, a lasso or select(), and the keys under the pointer, which are shown while the pointer stays
+		this._selected = null;
+		this._hovered = null;
+		
+		this._dispatch = d3.dispatch("select", "hover");
+	}
+	
+	/**
+	 * The key of the marks of the charts without their own keys. If key is given, sets it, otherwise returns the current key.
+	 * @param {function} key - The new key, which receives the datum and the index of a mark.
+	 * @returns {(SelectionCoordinator|function)} This object or the current key.
+	 */
+	key(key) {
+		if (key) {
+			this._key = key;
+			this._highlightCharts();
+			return this;
+		} else {
+			return this._key;
+		}
+	}
+	
+	/**
+	 * Returns the charts linked by the coordinator.
+	 * @returns {Chart[]} The charts added to this coordinator.
+	 */
+	charts() {
+		return this._entries.map(entry=>entry.chart);
+	}
+	
+	/**
+	 * Adds a chart to the coordinator. A chart is linked by one coordinator at a time, so it leaves its previous coordinator.
+	 * @param {Chart} chart - The chart.
+	 * @param {function} key - The key of the marks of this chart, when they differ from the other charts. Uses the key of the coordinator by default.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	add(chart, key) {
+		if (chart._coordinator) chart._coordinator.remove(chart);
+		
+		//The focus of the keyboard triggers the mouse events of the marks, so it also highlights them
+		let entry = {chart: chart, key: key || null, listeners: {
+			mouseover: event=>this._onHover(entry, event.target),
+			mouseout: event=>this._onHover(entry, null)
+		}};
+		for (let type in entry.listeners) chart.selection().node().addEventListener(type, entry.listeners[type]);
+		chart.on("select.coordinator", event=>this._onSelect(entry, event));
+		chart._coordinator = this;
+		this._entries.push(entry);
+		this._highlightChart(chart);
+		return this;
+	}
+	
+	/**
+	 * Removes a chart from the coordinator, restoring its marks.
+	 * @param {Chart} chart - The chart.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	remove(chart) {
+		let entry = this._entry(chart);
+		if (entry == null) return this;
+		
+		for (let type in entry.listeners) chart.selection().node().removeEventListener(type, entry.listeners[type]);
+		chart.on("select.coordinator", null);
+		chart._coordinator = null;
+		this._entries.splice(this._entries.indexOf(entry), 1);
+		for (let marks of SelectionCoordinator._linkedMarks(chart)) chart._highlight(marks.selection, null);
+		return this;
+	}
+	
+	/**
+	 * Selects the marks with the given keys in all the charts, dimming the others.
+	 * @param {Array} keys - The keys of the selected marks.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	select(keys) {
+		this._setSelected(Array.from(keys), null);
+		return this;
+	}
+	
+	/**
+	 * Clears the selection, restoring the marks of all the charts.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	clear() {
+		this._setSelected(null, null);
+		return this;
+	}
+	
+	/**
+	 * Returns the keys selected.
+	 * @returns {Array} The keys of the selected marks, or null if there isn't a selection.
+	 */
+	selected() {
+		return this._selected ? Array.from(this._selected) : null;
+	}
+	
+	/**
+	 * Adds, removes or returns a listener of the events of the coordinator. A select event is emitted when the selection changes and a hover event when the pointer enters or leaves a mark, with the keys, or null, at its keys field and the chart where it happened, or null, at its chart field.
+	 * @param {string} typenames - The type of the event, select or hover, with an optional name after a dot.
+	 * @param {function} listener - The new listener, or null to remove the current one. The listener receives the object of the event.
+	 * @returns {(SelectionCoordinator|function)} This object or the current listener.
+	 */
+	on(typenames, listener) {
+		if (listener !== undefined) {
+			this._dispatch.on(typenames, listener);
+			return this;
+		} else {
+			return this._dispatch.on(typenames);
+		}
+	}
+	
+	_entry(chart) {
+		return this._entries.find(entry=>(entry.chart === chart)) || null;
+	}
+	
+	_onHover(entry, node) {
+		let mark = node ? entry.chart._findMark(node) : null;
+		let hovered = (mark && mark.focusable) ? new Set([(entry.key || this._key)(mark.datum, mark.index)]) : null;
+		if ((hovered == null) && (this._hovered == null)) return;
+		
+		this._hovered = hovered;
+		this._highlightCharts();
+		this._dispatch.call("hover", this, {keys: hovered ? Array.from(hovered) : null, chart: entry.chart});
+	}
+	
+	_onSelect(entry, event) {
+		//A brush or lasso without a shape clears the selection
+		let key = entry.key || this._key;
+		let cleared = (event.extent == null) && (event.polygon == null);
+		this._setSelected(cleared ? null : event.data.map((d, i)=>key(d, event.indices[i])), entry.chart);
+	}
+	
+	_setSelected(keys, chart) {
+		this._selected = keys ? new Set(keys) : null;
+		this._highlightCharts();
+		this._dispatch.call("select", this, {keys: this.selected(), chart: chart});
+	}
+	
+	_highlightCharts() {
+		for (let entry of this._entries) this._highlightChart(entry.chart);
+	}
+	
+	_highlightChart(chart) {
+		//The marks under the pointer are shown instead of the selection
+		let entry = this._entry(chart);
+		let keys = this._hovered || this._selected;
+		let key = entry.key || this._key;
+		for (let marks of SelectionCoordinator._linkedMarks(chart)) chart._highlight(marks.selection, keys ? (d, i)=>keys.has(key(d, i)) : null);
+	}
+	
+	static _linkedMarks(chart) {
+		//The marks linked are those of the data, which are navigated with the keyboard
+		return chart._marks().filter(marks=>(marks.selection && (marks.focusable !== false)));
+	}
+}
+
+/**
+ * Class that links the scales of several charts, so they show their data at the same scale. The domains of the linked scales join the domains of the data of every chart, and follow the changes of the data and the zoom of any of them.
+ */
+class ScaleLink {
+	/**
+	 * @constructor
+	 * @param {(string|string[])} names - The scales linked: "x" and "y" for the continuous axes of a Histogram, Scatterplot or Segments, and "color" for the values of the regions of a Map. Links the x and y scales by default.
+	 */
+	constructor(names) {
+		this._names = (names == null) ? ["x", "y"] : [].concat(names);
+		
+		this._charts = [];
+		
+		//The domains of the data shared by the charts, which the zoom of a chart replaces until the zoom is reset
+		this._domains = {};
+		this._updating = false;
+		
+		ScaleLink._count = (ScaleLink._count || 0) + 1;
+		this._eventName = "scaleLink" + ScaleLink._count;
+	}
+	
+	/**
+	 * Returns the names of the linked scales.
+	 * @returns {string[]} The names of the scales.
+	 */
+	names() {
+		return this._names.slice();
+	}
+	
+	/**
+	 * Returns the linked charts.
+	 * @returns {Chart[]} The charts added to this link.
+	 */
+	charts() {
+		return this._charts.slice();
+	}
+	
+	/**
+	 * Returns the domains shared by the charts.
+	 * @returns {Object} The domains, by the names of the scales.
+	 */
+	domains() {
+		return Object.assign({}, this._domains);
 	}
 	
-	/** 
-	 * Adds a value to a field if it's null.
-	 * @param {Object} array - The array which will have a value added.
-	 * @param {(number|string)} field - The name of the field.
-	 * @param {(function|number|string)} value - The value added.
+	/**
+	 * Adds a chart to the link, sharing the domains of its scales with the other charts.
+	 * @param {Chart} chart - The chart.
+	 * @returns {ScaleLink} This link.
 	 */
-	static addIfNull(array, field, value) {
-		if (array[field] == null) array[field] = value;
+	add(chart) {
+		if (this._charts.includes(chart)) return this;
+		this._charts.push(chart);
+		chart._scaleLinks.push(this);
+		chart.on("zoom." + this._eventName, domains=>this._onZoom(chart, domains));
+		this._update(true);
+		return this;
 	}
 	
 	/**
-	 * Sets attributes and events of a selection.
-	 * @param {d3.selection} selection - The selection of elements used.
-	 * @param {Object} attributes - An object containing functions or constants for attributes of the selected elements.
-	 * @param {Object} onEvents - An object containing functions for events.
+	 * Removes a chart from the link. The chart computes its domains from its own data again, and the other charts share the domains of their data.
+	 * @param {Chart} chart - The chart.
+	 * @returns {ScaleLink} This link.
 	 */
-	static insertAttributesEvents(selection, attributes, onEvents) {
-		//Setting attributes
-		for (let attrName in attributes) {
-			selection.attr(attrName, attributes[attrName]);
+	remove(chart) {
+		if (!this._charts.includes(chart)) return this;
+		this._charts.splice(this._charts.indexOf(chart), 1);
+		chart._scaleLinks.splice(chart._scaleLinks.indexOf(this), 1);
+		chart.on("zoom." + this._eventName, null);
+		
+		let domains = {};
+		for (let name of this._names) domains[name] = null;
+		this._share([chart], domains);
+		this._update(true);
+		return this;
+	}
+	
+	_update(force) {
+		//The changes made while the domains are shared don't share them again
+		if (this._updating) return;
+		let union = Chart._unionDomains(this._charts);
+		let domains = {};
+		for (let name of this._names) {
+			if (union[name]) domains[name] = union[name];
 		}
+		let changed = this._names.some(name=>(String(domains[name]) != String(this._domains[name])));
+		if (!changed && !force) return;
 		
-		//Setting events
-		for (let eventName in onEvents) {
-			selection.on(eventName, onEvents[eventName]);
+		this._domains = domains;
+		this._share(this._charts, domains);
+	}
+	
+	_onZoom(source, zoomDomains) {
+		if (this._updating) return;
+		let domains = {};
+		for (let name of this._names) {
+			if (zoomDomains[name]) domains[name] = zoomDomains[name];
+		}
+		this._share(this._charts.filter(chart=>(chart !== source)), domains);
+	}
+	
+	_share(charts, domains) {
+		this._updating = true;
+		try {
+			for (let chart of charts) chart._shareDomains(domains);
+		} finally {
+			this._updating = false;
 		}
 	}
 }
@@ -225,26 +3101,15 @@ class Histogram extends Chart {
 		
 		this._xAxisScale = d3.scaleOrdinal()
 			.range([0, this._width]);
-		this._xAxis = d3.axisBottom(this._xAxisScale);
-		this._xAxisGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0," + this._height  + ")");
-		this._xAxisGroup.call(this._xAxis);
+		this._addAxis("x", this._xAxisScale, "bottom");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
-		this._yAxis = d3.axisLeft(this._yScale);
-		this._yAxisGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis");
-		this._yAxisGroup.call(this._yAxis);
+		this._addAxis("y", this._yScale, "left");
 		
 		this._colSelection = null;
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
+		this._applyTheme();
 	}
 	
 	/**
@@ -266,7 +3131,7 @@ class Histogram extends Chart {
 			this._xScale
 				.domain([0, scale.domain().length - 3])
 				.range([scale.range()[1], scale.range()[scale.domain().length - 2]]);
-			Chart.adjustScaleDomain(this._xAxisScale, this._xAxis, this._xAxisGroup, this._xAxisScale.domain());
+			this._setAxisScale("x", this._xAxisScale);
 			return this;
 		} else {
 			return this._xAxisScale;
@@ -281,7 +3146,7 @@ class Histogram extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, d3.extent(this._yScale.domain()));
+			this._setAxisScale("y", this._yScale);
 			return this;
 		} else {
 			return this._yScale;
@@ -304,7 +3169,7 @@ class Histogram extends Chart {
 	colorScale(scale) {
 		if (scale) {
 			this._colorScale = scale;
-			if (this._colSelection != null) this._colSelection.attr("fill", (d, i)=>(this._colorScale(i % scale.range().length)));
+			if (this._colSelection != null) this._animate(this._colSelection, "color").attr("fill", (d, i)=>(this._colorScale(i % scale.range().length)));
 			return this;
 		} else {
 			return this._colorScale;
@@ -316,14 +3181,16 @@ class Histogram extends Chart {
 	 * @param {number[]} dataset - An array of values for the columns.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the columns.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current columns. If not given, they are matched by index.
 	 * @returns {Histogram} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let colWidth = this._width / (this._xAxisScale.domain().length - 1);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, [0, d3.max(dataset)]);
+		this._updateAxis("y", [0, d3.max(dataset)]);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -334,16 +3201,92 @@ class Histogram extends Chart {
 		Chart.addIfNull(attributes, "width", colWidth);
 		Chart.addIfNull(attributes, "height", (d, i)=>(this._height - this._yScale(d)));
 		
+		//New columns grow from the bottom of the chart and the removed ones shrink to it
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("y", this._height).attr("height", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("y", this._height).attr("height", 0).remove();
+		
 		//Column selection and color setting
-		this._colSelection = this._selection.selectAll(".column").data(dataset).enter().append("rect")
-			.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
+		this._colSelection = Chart.joinData(this._selection, ".column", "rect", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._colSelection);
+		transition.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._colSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._colSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_marks() {
+		return [{
+			selection: this._colSelection,
+			fields: (d, i)=>({label: this._xAxisScale.domain()[i + 1], value: d, index: i}),
+			template: "{label}: {value}"
+		}];
+	}
+	
+	_describe(format) {
+		let items = this._colSelection ? this._colSelection.data().map((d, i)=>({label: this._xAxisScale.domain()[i + 1], value: d})) : [];
+		return Chart._describeExtremes(items, "column", format);
+	}
+	
+	_annotationScale(name) {
+		//The X values are labels of the axis or indexes of the columns
+		if (name == "x") return value=>(this._xAxisScale.domain().includes(value) ? this._xAxisScale(value) : this._xScale(value));
+		return super._annotationScale(name);
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number"))));
+		let hasAxis = (spec.scales != null) && (spec.scales.xAxis != null);
+		ChartSpec.checkSpec(errors, spec, "labels", "an array with a label for each value", v=>(!Array.isArray(spec.data) || (v.length == spec.data.length)), (spec.data != null) && !hasAxis);
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (spec.labels) {
+			//The first and last values of the axis leave half a column at each side
+			this.xAxisScale(d3.scaleOrdinal()
+				.domain([""].concat(spec.labels, [" "]))
+				.range(Chart.genSequence(0, spec.labels.length + 2, this._width)));
+		} else if (scales.xAxis) {
+			this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis));
+		}
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.color) this.colorScale(ChartSpec.scaleFromSpec(scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			xAxis: ChartSpec.scaleToSpec(this._xAxisScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			color: ChartSpec.scaleToSpec(this._colorScale)
+		};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._colSelection);
+		if (insertion) Object.assign(spec, insertion);
+	}
+	
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		
+		//The labels of the X axis keep their relative positions
+		if (previousWidth > 0) this._xAxisScale.range(this._xAxisScale.range().map(x=>(x * this._width / previousWidth)));
+		if (this._xAxisScale.domain().length > 2) this.xAxisScale(this._xAxisScale);
+		else this._updateAxis("x");
+		
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Histogram} This chart.
@@ -357,6 +3300,8 @@ class Histogram extends Chart {
 	}
 }
 
+ChartSpec.registerType("histogram", Histogram);
+
 /**
  * Class that represents a Segment chart. Can also be used to create stream graphs with the segments.setRanges() function.
  * @extends Chart
@@ -386,20 +3331,11 @@ class Segments extends Chart {
 		
 		this._xAxisScale = d3.scaleOrdinal()
 			.range([0, this._width]);
-		this._xAxis = d3.axisBottom(this._xAxisScale);
-		this._xAxisGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0," + this._height  + ")");
-		this._xAxisGroup.call(this._xAxis);
+		this._addAxis("x", this._xAxisScale, "bottom");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
-		this._yAxis = d3.axisLeft(this._yScale);
-		this._yAxisGroup = this._selection
-			.append("g")
-			.attr("class","yAxis");
-		this._yAxisGroup.call(this._yAxis);
+		this._addAxis("y", this._yScale, "left");
 		
 		//Layers to make sure the ranges stay behind the segments and the segments stay behind the dots
 		this._rangeLayer = this._selection.append("g");
@@ -421,13 +3357,7 @@ class Segments extends Chart {
 			.y0((d, i)=>this._yScale(d[0]))
 			.y1((d, i)=>this._yScale(d[1]));
 		
-		this._dotColorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeSet1.length, d3.schemeSet1.length - 1))
-			.range(d3.schemeSet1);
-		
-		this._rangeColorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeSet2.length, d3.schemeSet2.length - 1))
-			.range(d3.schemeSet2);
+		this._applyTheme();
 	}
 	
 	/**
@@ -447,7 +3377,7 @@ class Segments extends Chart {
 		if (scale) {
 			this._xAxisScale = scale;
 			this._xScale.domain([0, scale.domain().length-1]);
-			Chart.adjustScaleDomain(this._xAxisScale, this._xAxis, this._xAxisGroup);
+			this._setAxisScale("x", this._xAxisScale);
 			return this;
 		} else {
 			return this._xScale;
@@ -462,7 +3392,7 @@ class Segments extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup);
+			this._setAxisScale("y", this._yScale);
 			return this;
 		} else {
 			return this._yScale;
@@ -554,35 +3484,38 @@ class Segments extends Chart {
 	 * @param {number[][]} dataset - An array of arrays for each segment.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the segments.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current segments. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setSegments(dataset, attributes, onEvents) {
+	setSegments(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setSegments", arguments);
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>d3.extent(d));
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("segments", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		Chart.addIfNull(attributes, "id", (d, i)=>("seg" + i));
 		attributes.class = "segment";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._segPathGenerator(d)));
-		Chart.addIfNull(attributes, "stroke", "black");
+		Chart.addIfNull(attributes, "stroke", this.theme().foreground);
+		Chart.addIfNull(attributes, "stroke-width", this.theme().strokeWidths.mark);
 		
-		this._segSelection = this._segLayer.selectAll(".segment").data(dataset).enter().append("path")
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._segSelection = Chart.joinData(this._segLayer, ".segment", "path", dataset, key, null, onExit)
 			.attr("fill", "transparent");
 		
 		//Updating previous selections
 		if (this._dotSelection) {
-			this._dotSelection
-				.attr("cx", (d, i)=>this._xScale(i))
-				.attr("cy", (d, i)=>this._yScale(d));
+			Chart.insertAttributesEvents(this._dotSelection, {
+				cx: (d, i)=>this._xScale(i),
+				cy: (d, i)=>this._yScale(d)
+			}, null, this._animate(this._dotSelection));
 		}
-		if (this._rangeSelection) this._rangeSelection.attr("d", (d, i)=>(this._rangePathGenerator(d)));
+		if (this._rangeSelection) Chart.insertAttributesEvents(this._rangeSelection, {d: (d, i)=>(this._rangePathGenerator(d))}, null, this._animate(this._rangeSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._segSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._segSelection, attributes, onEvents, this._animate(this._segSelection));
+		this._marksChanged();
 		
 		return this;
 	}
@@ -592,16 +3525,15 @@ class Segments extends Chart {
 	 * @param {number[][]} dataset - An array of arrays for each dot.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the dots.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current dot groups. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setDots(dataset, attributes, onEvents) {
+	setDots(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setDots", arguments);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>d3.extent(d));
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("dots", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -609,22 +3541,32 @@ class Segments extends Chart {
 		Chart.addIfNull(attributes, "cx", (d, i)=>this._xScale(i));
 		Chart.addIfNull(attributes, "cy", (d, i)=>this._yScale(d));
 		
+		attributes.id = (d, i)=>("dot_" + this._xAxisScale.domain()[i]);
+		attributes.class = "groupDot";
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
+		
 		//Creating the groups
-		this._dotSelection = this._dotLayer.selectAll(".dotGroup").data(dataset).enter().append("g")
-			.attr("id", (d, i)=>("dotGroup" + i))
-			.attr("class", "dotGroup")
-			.attr("fill", (d, i)=>(thisChart._dotColorScale(i % thisChart._dotColorScale.domain().length)))
-			.selectAll(".groupDot").data(d=>d).enter().append("circle");
+		let groupSelection = Chart.joinData(this._dotLayer, ".dotGroup", "g", dataset, key, null, exit=>{
+			onExit(exit.selectAll(".groupDot"));
+			this._animate(exit).remove();
+		});
+		groupSelection.attr("id", (d, i)=>("dotGroup" + i));
+		this._animate(groupSelection).attr("fill", (d, i)=>(thisChart._dotColorScale(i % thisChart._dotColorScale.domain().length)));
+		this._dotSelection = Chart.joinData(groupSelection, ".groupDot", "circle", d=>d, null, onEnter, onExit);
 		
 		//Updating previous selections
-		if (this._segSelection) this._segSelection.attr("d", (d, i)=>(this._segPathGenerator(d)));
-		if (this._rangeSelection) this._rangeSelection.attr("d", (d, i)=>(this._rangePathGenerator(d)));
-		
-		attributes.id = (d, i)=>("dot_" + this._xAxisScale.domain()[i]);
-		attributes.class = "groupDot";
+		if (this._segSelection) Chart.insertAttributesEvents(this._segSelection, {d: (d, i)=>(this._segPathGenerator(d))}, null, this._animate(this._segSelection));
+		if (this._rangeSelection) Chart.insertAttributesEvents(this._rangeSelection, {d: (d, i)=>(this._rangePathGenerator(d))}, null, this._animate(this._rangeSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, this._animate(this._dotSelection));
+		this._marksChanged();
 		
 		return this;
 	}
@@ -636,16 +3578,15 @@ class Segments extends Chart {
 	 * @param {number[]} dataset[i][a] - Array with the minimum and maximum values (respectively) at index 'a'.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the ranges.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current ranges. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setRanges(dataset, attributes, onEvents) {		
+	setRanges(dataset, attributes, onEvents, key) {		
+		this._storeInsertion("setRanges", arguments);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>[d3.min(d.map(d=>d[0])), d3.max(d.map(d=>d[1]))]);
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("ranges", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -653,30 +3594,156 @@ class Segments extends Chart {
 		attributes.class = "range";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._rangePathGenerator(d)));
 		
-		this._rangeSelection = this._rangeLayer.selectAll(".range").data(dataset).enter().append("path")
-			.attr("fill", (d, i)=>(thisChart._rangeColorScale(i % thisChart._rangeColorScale.domain().length)));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._rangeSelection = Chart.joinData(this._rangeLayer, ".range", "path", dataset, key, null, onExit);
+		let transition = this._animate(this._rangeSelection);
+		transition.attr("fill", (d, i)=>(thisChart._rangeColorScale(i % thisChart._rangeColorScale.domain().length)));
 		
 		//Updating previous selections
 		if (this._dotSelection) {
-			this._dotSelection
-				.attr("cx", (d, i)=>this._xScale(i))
-				.attr("cy", (d, i)=>this._yScale(d));
+			Chart.insertAttributesEvents(this._dotSelection, {
+				cx: (d, i)=>this._xScale(i),
+				cy: (d, i)=>this._yScale(d)
+			}, null, this._animate(this._dotSelection));
 		}
-		if (this._segSelection) this._segSelection.attr("d", (d, i)=>(this._segPathGenerator(d)));
+		if (this._segSelection) Chart.insertAttributesEvents(this._segSelection, {d: (d, i)=>(this._segPathGenerator(d))}, null, this._animate(this._segSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._rangeSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._rangeSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_updateYDomain(layer, dataset) {
+		//The domain joins the data of the three layers, with the new dataset of one of them, so it also shrinks when they change
+		let data = {
+			segments: this._segSelection ? this._segSelection.data() : [],
+			dots: this._dotLayer.selectAll(".dotGroup").data(),
+			ranges: this._rangeSelection ? this._rangeSelection.data() : []
+		};
+		data[layer] = dataset;
+		let extents = data.segments.concat(data.dots).map(d=>d3.extent(d))
+			.concat(data.ranges.map(d=>[d3.min(d, d=>d[0]), d3.max(d, d=>d[1])]));
+		if (extents.length > 0) this._updateAxis("y", [d3.min(extents, d=>d[0]), d3.max(extents, d=>d[1])]);
+	}
+	
+	_marks() {
+		let groups = this._dotLayer.selectAll(".dotGroup").nodes();
+		let seriesFields = (d, i)=>({series: i + 1});
+		return [{
+			selection: this._dotSelection,
+			fields: (d, i, node)=>({series: groups.indexOf(node.parentNode) + 1, label: this._xLabel(i), index: i, value: d}),
+			template: "Series {series}\n{label}: {value}",
+			row: mark=>(mark.fields.series - 1)
+		}, {
+			//The lines and areas are described by their dots, which are navigated by the keyboard
+			selection: this._segSelection,
+			fields: seriesFields,
+			template: "Series {series}",
+			focusable: false
+		}, {
+			selection: this._rangeSelection,
+			fields: seriesFields,
+			template: "Range {series}",
+			focusable: false
+		}];
+	}
+	
+	_describe(format) {
+		//The series are described by their dots, or by their lines when there are no dots, and keep their numbers when empty ones are skipped
+		let series = this._dotSelection ? this._dotLayer.selectAll(".dotGroup").data() : this._segSelection ? this._segSelection.data() : [];
+		let sentences = [];
+		series.forEach((values, i)=>{
+			if (values.length == 0) return;
+			let first = values[0];
+			let last = values[values.length - 1];
+			let extent = d3.extent(values);
+			let trend = (first == last) ? "starts and ends at " + format.number(first) :
+				((last > first) ? "rises" : "falls") + " from " + format.number(first) + " at " + this._xLabel(0) + " to " + format.number(last) + " at " + this._xLabel(values.length - 1);
+			sentences.push("Series " + (i + 1) + " " + trend + ", ranging from " + format.number(extent[0]) + " to " + format.number(extent[1]) + ".");
+		});
+		if (this._rangeSelection) this._rangeSelection.data().forEach((range, i)=>{
+			if (range.length > 0) sentences.push("Range " + (i + 1) + " goes from " + format.number(d3.min(range, d=>d[0])) + " to " + format.number(d3.max(range, d=>d[1])) + ".");
+		});
+		return sentences;
+	}
+	
+	_xLabel(i) {
+		//Without labels, the X values are the indexes of the dots
+		let labels = this._xAxisScale.domain();
+		return (labels[i] != null) ? labels[i] : i;
+	}
+	
+	_annotationScale(name) {
+		//The X values are labels of the axis or indexes of the dots
+		if (name == "x") return value=>(this._xAxisScale.domain().includes(value) ? this._xAxisScale(value) : this._xScale(value));
+		return super._annotationScale(name);
+	}
+	
+	static _validateSpec(spec, errors) {
+		let isNumbers = d=>(Array.isArray(d) && d.every(v=>(typeof(v) == "number")));
+		ChartSpec.checkInsertionSpec(errors, spec, "segments", "an array of arrays of numbers", isNumbers);
+		ChartSpec.checkInsertionSpec(errors, spec, "dots", "an array of arrays of numbers", isNumbers);
+		ChartSpec.checkInsertionSpec(errors, spec, "ranges", "an array of arrays of [minimum, maximum] pairs", d=>(Array.isArray(d) && d.every(isNumbers)));
+		let hasAxis = (spec.scales != null) && (spec.scales.xAxis != null);
+		ChartSpec.checkSpec(errors, spec, "labels", "an array", Array.isArray, !hasAxis && ["segments", "dots", "ranges"].some(field=>(spec[field] != null)));
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (spec.labels) this.xAxisScale(d3.scaleOrdinal().domain(spec.labels).range(Chart.genSequence(0, spec.labels.length, this._width)));
+		else if (scales.xAxis) this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis));
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.dotColor) this.dotColorScale(ChartSpec.scaleFromSpec(scales.dotColor));
+		if (scales.rangeColor) this.rangeColorScale(ChartSpec.scaleFromSpec(scales.rangeColor));
+		
+		let ranges = ChartSpec.insertionFromSpec(spec.ranges);
+		let segments = ChartSpec.insertionFromSpec(spec.segments);
+		let dots = ChartSpec.insertionFromSpec(spec.dots);
+		if (ranges) this.setRanges.apply(this, ranges);
+		if (segments) this.setSegments.apply(this, segments);
+		if (dots) this.setDots.apply(this, dots);
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			xAxis: ChartSpec.scaleToSpec(this._xAxisScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			dotColor: ChartSpec.scaleToSpec(this._dotColorScale),
+			rangeColor: ChartSpec.scaleToSpec(this._rangeColorScale)
+		};
+		spec.segments = ChartSpec.insertionToSpec(this._insertions.setSegments, this._segSelection);
+		spec.dots = ChartSpec.insertionToSpec(this._insertions.setDots, null);
+		spec.ranges = ChartSpec.insertionToSpec(this._insertions.setRanges, this._rangeSelection);
+	}
+	
+	_applyTheme() {
+		let theme = this.theme();
+		this._dotColorScale = ChartTheme.paletteScale(theme.palette);
+		this._rangeColorScale = ChartTheme.paletteScale(theme.secondaryPalette);
+		super._applyTheme();
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		
+		//The labels of the X axis keep their relative positions
+		this._xScale.range([0, this._width]);
+		if (previousWidth > 0) this._xAxisScale.range(this._xAxisScale.range().map(x=>(x * this._width / previousWidth)));
+		this._updateAxis("x");
+		
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Segments} This chart.
 	 */
 	clear() {
 		if (this._dotSelection) {
-			this._dotSelection.remove();
+			this._dotLayer.selectAll(".dotGroup").remove();
 			this._dotSelection = null;
 		}
 		if (this._segSelection) {
@@ -691,6 +3758,8 @@ class Segments extends Chart {
 	}
 }
 
+ChartSpec.registerType("segments", Segments);
+
 /**
  * Class that represents a Map chart.
  * @extends Chart
@@ -716,19 +3785,30 @@ class Map extends Chart {
 		super(container, id, position, margins, dimensions, "mapChart");
 		
 		this._projection = d3.geoMercator();
+		this._projectionName = "geoMercator";
 		this._geoPath = d3.geoPath().projection(this._projection);
 		
 		this._fillValue = (d, i)=>1;
+		this._fillValueField = null;
 		
 		this._colorScale = d3.scalePow();
 		
-		this._colorScheme = d3.interpolateInferno;
+		//The domain of the color scale given by the user, while the domain shared by a ScaleLink replaces it
+		this._colorDomain = null;
 		
 		this._fillFunction = (d, i)=>this._colorScheme(this._colorScale(this._fillValue(d, i)));
 		
 		this._pathSelection = null;
 		
+		//The values of the regions, by the keys of their features, which stay bound to the paths
+		this._pathValues = d3.map();
+		this._valueKey = null;
+		
 		this._dotSelection = null;
+		
+		this._geojson = null;
+		
+		this._applyTheme();
 	}
 	
 	/**
@@ -749,11 +3829,13 @@ class Map extends Chart {
 	
 	/**
 	 * If a projection is given, sets the projection of the map, otherwise returns the current projection.
-	 * @param {Object} projection - The new projection of the map.
+	 * @param {(Object|string)} projection - The new projection of the map, or the name of a d3 projection, like "geoMercator".
 	 * @returns {(Map|d3.projection)} This object or the current projection.
 	 */
 	projection(projection) {
 		if (projection) {
+			this._projectionName = (typeof(projection) == "string") ? projection : null;
+			if (this._projectionName) projection = d3[projection]();
 			this._projection = projection;
 			this._geoPath = d3.geoPath().projection(this._projection);
 			return this;
@@ -764,11 +3846,13 @@ class Map extends Chart {
 	
 	/**
 	 * The function which determines the value of the dataset to be used on the fillFunction. Default function always returns 1. If a function is given, sets fillValue, otherwise returns the current fillValue.
-	 * @param {function} func - The new fillValue.
+	 * @param {(function|string)} func - The new fillValue, or the name of the field of each datum which is used as its value.
 	 * @returns {(Map|function)} This object or the current fillValue.
 	 */
 	fillValue(func) {
 		if (func) {
+			this._fillValueField = (typeof(func) == "string") ? func : null;
+			if (this._fillValueField) func = (d, i)=>d[this._fillValueField];
 			this._fillValue = func;
 			return this;
 		} else {
@@ -783,6 +3867,10 @@ class Map extends Chart {
 	 */
 	colorScale(scale) {
 		if (scale) {
+			if (this._linkedDomains.color) {
+				this._colorDomain = scale.domain();
+				scale.domain(this._linkedDomains.color);
+			}
 			this._colorScale = scale;
 			return this;
 		} else {
@@ -826,12 +3914,15 @@ class Map extends Chart {
 	 * @param {Object} geojson - The data of a geojson file.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each feature, used to match the features with the current paths. If not given, they are matched by index.
 	 * @returns {Map} This chart.
 	 */
-	setMap(geojson, attributes, onEvents) {
+	setMap(geojson, attributes, onEvents, key) {
+		this._storeInsertion("setMap", arguments);
 		let thisChart = this;
 		
 		//Scales the projection to centralize the map
+		this._geojson = geojson;
 		this._projection.fitExtent([[0, 0], [this._width, this._height]], geojson);
 		
 		//Mandatory attributes
@@ -840,11 +3931,15 @@ class Map extends Chart {
 		attributes.class = "mapPath";
 		Chart.addIfNull(attributes, "d", (d, i)=>this._geoPath(d.geometry));
 		
-		this._pathSelection = this._selection.selectAll(".mapPath").data(geojson.features).enter().append("path")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._pathSelection = Chart.joinData(this._selection, ".mapPath", "path", geojson.features, key, null, onExit);
+		let transition = this._animate(this._pathSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(thisChart._pathValue(d, i), i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents, transition);
+		this._annotations.layout();
+		this._marksChanged();
 		
 		return this;
 	}
@@ -854,28 +3949,49 @@ class Map extends Chart {
 	 * @param {number[][]} dataset - The data to be plotted on the map.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the features of the paths, so it receives both. If not given, they are matched by index. Paths without a matching value keep their previous value.
 	 * @returns {Map} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		
-		this._pathSelection.data(dataset)
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		//The features stay bound to the paths, so the map can be plotted again, and the attributes and events receive the values
+		this._valueKey = key || null;
+		let keys = d3.set();
+		dataset.forEach((d, i)=>{
+			keys.add(key ? key(d, i) : i);
+			this._pathValues.set(key ? key(d, i) : i, d);
+		});
+		let updateSelection = this._pathSelection.filter((d, i)=>keys.has(key ? key(d, i) : i));
+		let withValue = func=>((typeof(func) == "function") ? function(d, i, nodes) {
+			return func.call(this, thisChart._pathValue(d, i), i, nodes);
+		} : func);
+		let valueAttributes = {};
+		for (let name in attributes) valueAttributes[name] = withValue(attributes[name]);
+		let valueEvents = {};
+		for (let name in onEvents) valueEvents[name] = withValue(onEvents[name]);
+		
+		let transition = this._animate(updateSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(thisChart._pathValue(d, i), i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(updateSelection, valueAttributes, valueEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
 	/** 
-	 * Plots data as dots on the map chart.
+	 * Plots data as dots on the map chart. By default, each datum is a [longitude, latitude] pair positioned with the projection of the map.
 	 * @param {number[][]} dataset - The data to be plotted on the map.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current dots. If not given, they are matched by index.
 	 * @returns {Map} This chart.
 	 */
-	setDots(dataset, attributes, onEvents) {
+	setDots(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setDots", arguments);
 		let thisChart = this;
 		
 		//Mandatory attributes
@@ -883,18 +3999,159 @@ class Map extends Chart {
 		Chart.addIfNull(attributes, "id", (d, i)=>("dot" + i));
 		attributes.class = "mapDot";
 		Chart.addIfNull(attributes, "r", "3px");
-		Chart.addIfNull(attributes, "cx", 10);
-		Chart.addIfNull(attributes, "cy", 10);
+		Chart.addIfNull(attributes, "cx", (d, i)=>this._projection(d)[0]);
+		Chart.addIfNull(attributes, "cy", (d, i)=>this._projection(d)[1]);
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
 		
-		this._dotSelection = this._selection.selectAll(".mapDot").data(dataset).enter().append("circle")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		this._dotSelection = Chart.joinData(this._selection, ".mapDot", "circle", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._dotSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_pathValue(d, i) {
+		//The value of the region of a feature, or the feature itself before any value is set
+		let key = this._valueKey ? this._valueKey(d, i) : i;
+		return this._pathValues.has(key) ? this._pathValues.get(key) : d;
+	}
+	
+	_applyTheme() {
+		this._colorScheme = this.theme().sequential;
+		super._applyTheme();
+	}
+	
+	_marks() {
+		let fields = d=>((d.properties != null) ? d.properties : (typeof(d) == "object") ? d : {value: d});
+		return [{
+			selection: this._pathSelection,
+			fields: (d, i)=>{
+				let value = this._pathValue(d, i);
+				return Object.assign({}, fields(d), (value !== d) ? fields(value) : {});
+			},
+			template: fields=>Object.keys(fields).filter(name=>(typeof(fields[name]) != "object")).map(name=>Chart.formatTemplate("{name}: {value}", {name: name, value: fields[name]})).join("\n")
+		}, {
+			selection: this._dotSelection,
+			fields: (d, i)=>({longitude: d[0], latitude: d[1], index: i}),
+			template: "{longitude}, {latitude}"
+		}];
+	}
+	
+	_lassoMarks() {
+		return {
+			selection: this._dotSelection,
+			position: (d, i)=>this._projection(d),
+			project: point=>this._projection(point),
+			invert: point=>this._projection.invert(point)
+		};
+	}
+	
+	_scaleDomains() {
+		//The values given to the colors of the regions are the domain of the color scale
+		if (!this._insertions.setData || !this._pathSelection) return {};
+		let values = this._pathSelection.data().map((d, i)=>this._fillValue(this._pathValue(d, i), i)).filter(value=>(typeof(value) == "number") && !isNaN(value));
+		return (values.length > 0) ? {color: d3.extent(values)} : {};
+	}
+	
+	_shareDomains(domains) {
+		//The color scale gets back the domain of the user when its shared domain is removed
+		if (!domains.color && !this._linkedDomains.color) return;
+		if (domains.color && !this._linkedDomains.color) this._colorDomain = this._colorScale.domain();
+		this._linkDomains(domains);
+		this._colorScale.domain(domains.color || this._colorDomain);
+		this._redraw();
+	}
+	
+	_describe(format) {
+		//The values are the ones given to the colors of the regions, named by their name property when they have one
+		let sentences = [];
+		if (this._pathSelection) {
+			let items = this._pathSelection.data().map((d, i)=>{
+				let properties = ((d != null) && (typeof(d) == "object")) ? (d.properties || d) : {};
+				return {label: (properties.name != null) ? properties.name : "region " + (i + 1), value: this._fillValue(d, i)};
+			}).filter(item=>(typeof(item.value) == "number") && !isNaN(item.value));
+			let count = this._pathSelection.size();
+			sentences = (items.length > 0) ? Chart._describeExtremes(items, "region", format) : ["It has " + count + ((count == 1) ? " region." : " regions.")];
+		}
+		if (this._dotSelection) {
+			let count = this._dotSelection.size();
+			sentences.push("It has " + count + ((count == 1) ? " dot." : " dots."));
+		}
+		return sentences;
+	}
+	
+	_supportsAnnotations() {
+		return true;
+	}
+	
+	_annotationPoint(x, y) {
+		return this._projection([x, y]);
+	}
+	
+	_annotationLine(name, value) {
+		//The meridians and parallels are sampled across the bounds of the map, as the projection may curve them
+		let bounds = this._geojson ? d3.geoBounds(this._geojson) : [[-180, -85], [180, 85]];
+		return d3.range(33).map(i=>{
+			let t = i / 32;
+			let point = (name == "x") ? [value, bounds[1][1] + (bounds[0][1] - bounds[1][1]) * t] : [bounds[0][0] + (bounds[1][0] - bounds[0][0]) * t, value];
+			return this._projection(point);
+		});
+	}
+	
+	static _validateSpec(spec, errors) {
+		let needsMap = (spec.data != null) || (spec.dots != null);
+		ChartSpec.checkSpec(errors, spec, "geojson", "a geojson object with features", v=>((typeof(v) == "object") && Array.isArray(v.features)), needsMap);
+		ChartSpec.checkSpec(errors, spec, "projection", "the name of a d3 projection, like \"geoMercator\"", v=>((typeof(v) == "string") && v.startsWith("geo") && (typeof(d3[v]) == "function")));
+		ChartSpec.checkSpec(errors, spec, "fillValue", "the name of a field", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "data", "an array", Array.isArray);
+		ChartSpec.checkInsertionSpec(errors, spec, "dots", "an array of [longitude, latitude] pairs", d=>(Array.isArray(d) && (d.length == 2)));
+	}
+	
+	_applySpec(spec) {
+		if (spec.projection) this.projection(spec.projection);
+		if (spec.colorScheme) this.colorScheme(d3[spec.colorScheme]);
+		if (spec.scales && spec.scales.color) this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));
+		if (spec.fillValue) this.fillValue(spec.fillValue);
+		else if (spec.data) this.fillValue((d, i)=>d);
+		
+		if (spec.geojson) this.setMap(spec.geojson, spec.data ? null : ChartSpec.attributesFromSpec(spec.attributes));
+		//The features are identified by the same field of their properties
+		let key = ChartSpec.keyFromSpec(spec.key);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, key && ((d, i)=>key((d.type == "Feature") ? d.properties : d, i)));
+		let dots = ChartSpec.insertionFromSpec(spec.dots);
+		if (dots) this.setDots.apply(this, dots);
+	}
+	
+	_exportSpec(spec) {
+		if (this._projectionName) spec.projection = this._projectionName;
+		spec.colorScheme = ChartSpec.d3Name(this._colorScheme);
+		spec.scales = {color: ChartSpec.scaleToSpec(this._linkedDomains.color ? this._colorScale.copy().domain(this._colorDomain) : this._colorScale)};
+		if (this._insertions.setMap) spec.geojson = ChartSpec.copy(this._insertions.setMap[0]);
+		
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._pathSelection);
+		if (insertion) Object.assign(spec, insertion);
+		spec.dots = ChartSpec.insertionToSpec(this._insertions.setDots, this._dotSelection);
+		
+		//Colors given by a function are exported as the colors of the paths and dots
+		let fills = selection=>selection.nodes().map(node=>node.getAttribute("fill"));
+		if (this._fillValueField) {
+			spec.fillValue = this._fillValueField;
+		} else {
+			if (this._pathSelection) spec.attributes = Object.assign({fill: fills(this._pathSelection)}, spec.attributes);
+			if (spec.dots) spec.dots.attributes = Object.assign({fill: fills(this._dotSelection)}, spec.dots.attributes);
+		}
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Map} This chart.
@@ -904,6 +4161,8 @@ class Map extends Chart {
 			this._pathSelection.remove();
 			this._pathSelection = null;
 		}
+		this._pathValues = d3.map();
+		this._valueKey = null;
 		if (this._dotSelection) {
 			this._dotSelection.remove();
 			this._dotSelection = null;
@@ -912,6 +4171,8 @@ class Map extends Chart {
 	}
 }
 
+ChartSpec.registerType("map", Map);
+
 /**
  * Class that represents a Scatterplot.
  * @extends Chart
@@ -938,43 +4199,32 @@ class Scatterplot extends Chart {
 		
 		this._xScale = d3.scaleLinear()
 			.range([0, this._width]);
-		
-		this._xAxisTop = d3.axisTop(this._xScale);
-		this._xAxisTopGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis");
-		this._xAxisTopGroup.call(this._xAxisTop);
-		
-		this._xAxisBottom = d3.axisBottom(this._xScale);
-		this._xAxisBottomGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0, " + this._height + ")");
-		this._xAxisBottomGroup.call(this._xAxisBottom);
+		this._addAxis("x", this._xScale, "both");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
-		
-		this._yAxisLeft = d3.axisLeft(this._yScale);
-		this._yAxisLeftGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis")
-		this._yAxisLeftGroup.call(this._yAxisLeft);
-		
-		this._yAxisRight = d3.axisRight(this._yScale);
-		this._yAxisRightGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis")
-			.attr("transform", "translate(" + this._width + ", 0)");
-		this._yAxisRightGroup.call(this._yAxisRight);
+		this._addAxis("y", this._yScale, "both");
 		
 		this._dotSelection = null;
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
-		
 		this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
+		this._customFill = false;
+		
+		//The zoom rescales the domains from the ones at the start of the zoom, which are restored by resetZoom()
+		this._zoom = null;
+		this._zoomBehavior = null;
+		this._zoomBase = null;
+		this._zoomHome = null;
+		this._zoomSilent = false;
+		
+		//The extent of the brush is kept in the coordinates of the data, so it follows the scales
+		this._brush = null;
+		this._brushBehavior = null;
+		this._brushGroup = null;
+		this._brushExtent = null;
+		this._brushSilent = false;
+		
+		this._applyTheme();
 	}
 	
 	/**
@@ -985,9 +4235,8 @@ class Scatterplot extends Chart {
 	xScale(scale) {
 		if (scale) {
 			this._xScale = scale;
-			Chart.adjustScaleDomain(this._xScale, this._xAxisTop, this._xAxisTopGroup);
-			Chart.adjustScaleDomain(this._xScale, this._xAxisBottom, this._xAxisBottomGroup);
-			if (this._dotSelection) this._dotSelection.attr("cx", (d, i)=>this._xScale(d[0]));
+			this._setAxisScale("x", this._xScale);
+			if (this._dotSelection) this._animate(this._dotSelection).attr("cx", (d, i)=>this._xScale(d[0]));
 			return this;
 		} else {
 			return this._xScale;
@@ -1002,9 +4251,8 @@ class Scatterplot extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxisLeft, this._yAxisLeftGroup);
-			Chart.adjustScaleDomain(this._yScale, this._yAxisRight, this._yAxisRightGroup);
-			if (this._dotSelection) this._dotSelection.attr("cy", (d, i)=>this._yScale(d[1]));
+			this._setAxisScale("y", this._yScale);
+			if (this._dotSelection) this._animate(this._dotSelection).attr("cy", (d, i)=>this._yScale(d[1]));
 			return this;
 		} else {
 			return this._yScale;
@@ -1020,68 +4268,426 @@ class Scatterplot extends Chart {
 	}
 	
 	/**
-	 * The color scale of the scatterplot. Used to set the colors of each dot. If scale is given, sets it, otherwise returns the current colorScale.
-	 * @param {d3.scale} scale - The new colorScale.
-	 * @returns {(Scatterplot|d3.scale)} This object or the current colorScale.
+	 * The color scale of the scatterplot. Used to set the colors of each dot. If scale is given, sets it, otherwise returns the current colorScale.
+	 * @param {d3.scale} scale - The new colorScale.
+	 * @returns {(Scatterplot|d3.scale)} This object or the current colorScale.
+	 */
+	colorScale(scale) {
+		if (scale) {
+			this._colorScale = scale;
+			return this;
+		} else {
+			return this._colorScale;
+		}
+	}
+	
+	/**
+	 * The function which sets the colors of the dots. If a function is given, sets fillFunction. Setting func to null will reset fillFunction to its default value: (d, i)=>this._colorScale(i % this._colorScale.domain().length). Not passing a value makes it return the current fillFunction.
+	 * @param {function} func - The new fillFunction.
+	 * @returns {(Scatterplot|function)} This object or the current fillFunction.
+	 */
+	fillFunction(func) {
+		let thisChart = this;
+		if (func) this._fillFunction = func;
+		else if (func === null) this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
+		else return this._fillFunction;
+		this._customFill = (func != null);
+		
+		if (this._dotSelection) this._animate(this._dotSelection, "color").attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		return this;
+	}
+	
+	/** 
+	 * Inserts data on the scatterplot and plots it.
+	 * @param {number[]} dataset - An array of values for the dots.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the dots.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current dots. If not given, they are matched by index.
+	 * @returns {Scatterplot} This chart.
+	 */
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
+		let thisChart = this;
+		
+		//New data is shown without the zoom, which is kept when the chart is drawn again
+		let zoomed = (this._zoomHome != null);
+		let keepZoom = zoomed && this._redrawing && (this._zoom != null);
+		if (!keepZoom) {
+			this._zoomHome = null;
+			this._zoomBase = null;
+			this._setZoomTransform(d3.zoomIdentity);
+		}
+		
+		//Mandatory attributes
+		if (attributes == null) attributes = [];
+		Chart.addIfNull(attributes, "id", (d, i)=>("dot" + i));
+		attributes.class = "dot";
+		Chart.addIfNull(attributes, "cx", (d, i)=>(this._xScale(d[0])));
+		Chart.addIfNull(attributes, "cy", (d, i)=>(this._yScale(d[1])));
+		Chart.addIfNull(attributes, "r", "4px");
+		
+		//Adjusting the scales and axis
+		let minMaxX = d3.extent(dataset.map((d, i)=>this._xScale.invert(attributes.cx(d, i))));
+		let minMaxY = d3.extent(dataset.map((d, i)=>this._yScale.invert(attributes.cy(d, i))));
+		this._updateAxis("x", minMaxX);
+		this._updateAxis("y", minMaxY);
+		if (keepZoom) {
+			//The domains of the data become the ones restored by resetZoom()
+			this._zoomHome = {x: this._xScale.domain(), y: this._yScale.domain()};
+			let zoomDomains = this._zoomDomains();
+			this._xScale.domain(zoomDomains.x);
+			this._yScale.domain(zoomDomains.y);
+			this._updateAxis("x");
+			this._updateAxis("y");
+		} else if (zoomed) {
+			this._dispatch.call("zoom", this, {x: this._xScale.domain(), y: this._yScale.domain()});
+		}
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
+		
+		//Dot selection and color setting
+		this._dotSelection = Chart.joinData(this._selection, ".dot", "circle", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._dotSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		
+		//Insertion of attributes and events
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, transition);
+		if (this._zoom) this._dotSelection.attr("clip-path", "url(#" + this._id + "Clip)");
+		if (this._brush) this._moveBrush(false);
+		this._marksChanged();
+		
+		return this;
+	}
+	
+	/**
+	 * Enables or disables the zoom and pan of the chart with the mouse wheel, dragging and pinching. The zoom rescales the X and Y scales, moving the axes, dots, gridlines and annotations, and emits a zoom event with the new domains. Inserting data shows the chart without zoom. If options are given, sets them, otherwise returns the current settings, or null if the zoom is disabled.
+	 * @param {(Object|boolean)} options - The settings of the zoom, true to enable it with the default settings, or false to disable it.
+	 * @param {string} options.axis - The scales zoomed: "both", "x" or "y". Uses "both" by default.
+	 * @param {number[]} options.scaleExtent - The minimum and maximum zoom factors. Unlimited by default.
+	 * @returns {(Scatterplot|Object)} This object or the current settings.
+	 */
+	zoom(options) {
+		if (options == null) return this._zoom ? Object.assign({}, this._zoom) : null;
+		
+		if (options === false) {
+			this.resetZoom();
+			if (this._zoomBehavior) this._selection.on(".zoom", null);
+			this._selection.selectAll(".zoomArea, .zoomClip").remove();
+			if (this._dotSelection) this._dotSelection.attr("clip-path", null);
+			this._zoom = null;
+			this._zoomBehavior = null;
+			return this;
+		}
+		
+		this._zoom = Object.assign({axis: "both", scaleExtent: [0, Infinity]}, this._zoom, (options === true) ? {} : options);
+		if (!["both", "x", "y"].includes(this._zoom.axis)) throw new Error("Invalid zoom axis: expected both, x or y.");
+		
+		//The dots outside of the plotting area are hidden, and the empty area receives the events
+		if (!this._zoomBehavior) {
+			this._selection.append("clipPath")
+				.attr("class", "zoomClip")
+				.attr("id", this._id + "Clip")
+				.append("rect");
+			this._selection.insert("rect", ".xAxis")
+				.attr("class", "zoomArea")
+				.attr("fill", "none")
+				.attr("pointer-events", "all");
+			this._zoomBehavior = d3.zoom().on("zoom", ()=>this._onZoom());
+			this._selection.call(this._zoomBehavior);
+		}
+		this._zoomBehavior.scaleExtent(this._zoom.scaleExtent);
+		if (this._dotSelection) this._dotSelection.attr("clip-path", "url(#" + this._id + "Clip)");
+		this._layoutZoom();
+		return this;
+	}
+	
+	/**
+	 * Zooms the chart to show the given domains. The zoom must be enabled.
+	 * @param {number[]} domainX - The new domain of the X scale. If not given, keeps the current one.
+	 * @param {number[]} domainY - The new domain of the Y scale. If not given, keeps the current one.
+	 * @returns {Scatterplot} This chart.
+	 */
+	zoomTo(domainX, domainY) {
+		if (!this._zoom) throw new Error("The zoom of the chart must be enabled.");
+		if (!this._zoomHome) this._zoomHome = {x: this._xScale.domain(), y: this._yScale.domain()};
+		this._zoomBase = {x: domainX || this._xScale.domain(), y: domainY || this._yScale.domain()};
+		this._setZoomTransform(d3.zoomIdentity);
+		this._applyZoom(this._zoomBase.x, this._zoomBase.y);
+		return this;
+	}
+	
+	/**
+	 * Restores the domains of the scales before the zoom.
+	 * @returns {Scatterplot} This chart.
+	 */
+	resetZoom() {
+		if (!this._zoomHome) return this;
+		let home = this._zoomHome;
+		this._zoomHome = null;
+		this._zoomBase = null;
+		this._setZoomTransform(d3.zoomIdentity);
+		this._applyZoom(home.x, home.y);
+		return this;
+	}
+	
+	_setZoomTransform(transform) {
+		//Transforms set by the chart don't rescale the domains again
+		if (!this._zoomBehavior) return;
+		this._zoomSilent = true;
+		this._zoomBehavior.transform(this._selection, transform);
+		this._zoomSilent = false;
+	}
+	
+	_onZoom() {
+		if (this._zoomSilent) return;
+		if (!this._zoomBase) this._zoomBase = {x: this._xScale.domain(), y: this._yScale.domain()};
+		if (!this._zoomHome) this._zoomHome = this._zoomBase;
+		
+		let domains = this._zoomDomains();
+		this._applyZoom(domains.x, domains.y);
+	}
+	
+	_zoomDomains() {
+		//The domains at the start of the zoom, rescaled by its transform
+		let transform = d3.zoomTransform(this._selection.node());
+		let axis = this._zoom.axis;
+		return {
+			x: (axis == "y") ? this._xScale.domain() : transform.rescaleX(this._xScale.copy().domain(this._zoomBase.x)).domain(),
+			y: (axis == "x") ? this._yScale.domain() : transform.rescaleY(this._yScale.copy().domain(this._zoomBase.y)).domain()
+		};
+	}
+	
+	_applyZoom(domainX, domainY) {
+		//The zoom follows the pointer, without transitions
+		let duration = this._duration;
+		this._duration = 0;
+		this._xScale.domain(domainX);
+		this._yScale.domain(domainY);
+		this._updateAxis("x");
+		this._updateAxis("y");
+		if (this._dotSelection) {
+			this._dotSelection.interrupt()
+				.attr("cx", (d, i)=>this._dotPosition(d, i)[0])
+				.attr("cy", (d, i)=>this._dotPosition(d, i)[1]);
+		}
+		if (this._brush) this._moveBrush(false);
+		this._lasso.layout();
+		if (this._coordinator) this._coordinator._highlightChart(this);
+		this._duration = duration;
+		this._dispatch.call("zoom", this, {x: this._xScale.domain(), y: this._yScale.domain()});
+	}
+	
+	_dotPosition(d, i) {
+		//The position of a dot, with the attributes given to it or the scales
+		let attributes = this._insertions.setData[1] || {};
+		let position = (name, value)=>(typeof(attributes[name]) == "function") ? attributes[name](d, i) : (attributes[name] != null) ? parseFloat(attributes[name]) : value;
+		return [position("cx", this._xScale(d[0])), position("cy", this._yScale(d[1]))];
+	}
+	
+	/**
+	 * Enables or disables the brush, a rectangle dragged over the chart to select dots. The selected dots are highlighted, the others are dimmed, and a select event is emitted with their data and indices. If options are given, sets them, otherwise returns the current settings, or null if the brush is disabled.
+	 * @param {(Object|boolean)} options - The settings of the brush, true to enable it with the default settings, or false to disable it.
+	 * @param {string} options.axis - The dimensions of the brush: "xy" for a rectangle, "x" or "y" for a range of only one of the axes. Uses "xy" by default.
+	 * @returns {(Scatterplot|Object)} This object or the current settings.
+	 */
+	brush(options) {
+		if (options == null) return this._brush ? Object.assign({}, this._brush) : null;
+		
+		if (this._brushGroup) this._brushGroup.remove();
+		if (options === false) {
+			this._brushExtent = null;
+			if (this._brush && this._dotSelection) this._highlight(this._dotSelection, null);
+			this._brush = null;
+			this._brushBehavior = null;
+			this._brushGroup = null;
+			return this;
+		}
+		
+		//The brush replaces the lasso
+		this.lasso(false);
+		let brush = Object.assign({axis: "xy"}, this._brush, (options === true) ? {} : options);
+		if (!["xy", "x", "y"].includes(brush.axis)) throw new Error("Invalid brush axis: expected xy, x or y.");
+		if (this._brush && (this._brush.axis != brush.axis)) this._brushExtent = null;
+		this._brush = brush;
+		
+		//The brush stays beneath the dots, so they still receive the pointer
+		this._brushBehavior = ((brush.axis == "x") ? d3.brushX() : (brush.axis == "y") ? d3.brushY() : d3.brush())
+			.on("start brush end", ()=>this._onBrush());
+		this._brushGroup = this._selection.insert("g", ".dot")
+			.attr("class", "brush");
+		this._layoutBrush();
+		return this;
+	}
+	
+	/**
+	 * Sets the extent of the brush, which must be enabled, selecting the dots inside of it.
+	 * @param {Array} extent - The extent in the coordinates of the data: [[x0, y0], [x1, y1]] for a brush of both axes, or [minimum, maximum] for a brush of one axis.
+	 * @returns {Scatterplot} This chart.
+	 */
+	setBrush(extent) {
+		if (!this._brush) throw new Error("The brush of the chart must be enabled.");
+		this._brushExtent = extent;
+		this._moveBrush(true);
+		return this;
+	}
+	
+	/**
+	 * Clears the brush, restoring all the dots.
+	 * @returns {Scatterplot} This chart.
+	 */
+	clearBrush() {
+		if (!this._brush) return this;
+		this._brushExtent = null;
+		this._moveBrush(true);
+		return this;
+	}
+	
+	_layoutBrush() {
+		if (!this._brushBehavior) return;
+		this._brushBehavior.extent([[0, 0], [this._width, this._height]]);
+		this._brushGroup.call(this._brushBehavior);
+		this._moveBrush(false);
+	}
+	
+	_moveBrush(emit) {
+		let extent = this._brushExtent;
+		let pixels = null;
+		if (extent) {
+			let sort = values=>values.sort(d3.ascending);
+			if (this._brush.axis == "x") pixels = sort(extent.map(this._xScale));
+			else if (this._brush.axis == "y") pixels = sort(extent.map(this._yScale));
+			else pixels = d3.transpose([sort([this._xScale(extent[0][0]), this._xScale(extent[1][0])]), sort([this._yScale(extent[0][1]), this._yScale(extent[1][1])])]);
+		}
+		
+		this._brushSilent = true;
+		this._brushGroup.call(this._brushBehavior.move, pixels);
+		this._brushSilent = false;
+		this._selectBrushed(pixels, emit);
+	}
+	
+	_onBrush() {
+		if (this._brushSilent) return;
+		let pixels = d3.brushSelection(this._brushGroup.node());
+		if (pixels == null) {
+			this._brushExtent = null;
+		} else if (this._brush.axis == "x") {
+			this._brushExtent = pixels.map(this._xScale.invert);
+		} else if (this._brush.axis == "y") {
+			this._brushExtent = pixels.map(this._yScale.invert).reverse();
+		} else {
+			this._brushExtent = [[this._xScale.invert(pixels[0][0]), this._yScale.invert(pixels[1][1])], [this._xScale.invert(pixels[1][0]), this._yScale.invert(pixels[0][1])]];
+		}
+		this._selectBrushed(pixels, true);
+	}
+	
+	_selectBrushed(pixels, emit) {
+		if (!this._dotSelection) return;
+		let inside = (d, i)=>{
+			let position = this._dotPosition(d, i);
+			if (this._brush.axis == "x") return (position[0] >= pixels[0]) && (position[0] <= pixels[1]);
+			if (this._brush.axis == "y") return (position[1] >= pixels[0]) && (position[1] <= pixels[1]);
+			return (position[0] >= pixels[0][0]) && (position[0] <= pixels[1][0]) && (position[1] >= pixels[0][1]) && (position[1] <= pixels[1][1]);
+		};
+		this._highlight(this._dotSelection, pixels ? inside : null);
+		if (emit) this._emitSelection(this._dotSelection, pixels ? inside : ()=>false, {extent: this._brushExtent});
+	}
+	
+	/**
+	 * Enables or disables the lasso, replacing the brush. See Chart.lasso().
+	 * @param {boolean} enabled - Whether the lasso is enabled.
+	 * @returns {(Scatterplot|boolean)} This object or whether the lasso is enabled.
 	 */
-	colorScale(scale) {
-		if (scale) {
-			this._colorScale = scale;
-			return this;
-		} else {
-			return this._colorScale;
+	lasso(enabled) {
+		if (enabled) this.brush(false);
+		return super.lasso(enabled);
+	}
+	
+	_lassoMarks() {
+		return {
+			selection: this._dotSelection,
+			position: (d, i)=>this._dotPosition(d, i),
+			project: point=>[this._xScale(point[0]), this._yScale(point[1])],
+			invert: point=>[this._xScale.invert(point[0]), this._yScale.invert(point[1])]
+		};
+	}
+	
+	_layoutZoom() {
+		if (!this._zoomBehavior) return;
+		this._selection.selectAll(".zoomArea, .zoomClip rect")
+			.attr("width", this._width)
+			.attr("height", this._height);
+		this._zoomBehavior.extent([[0, 0], [this._width, this._height]]);
+	}
+	
+	_marks() {
+		return [{
+			selection: this._dotSelection,
+			fields: (d, i)=>({x: d[0], y: d[1], index: i}),
+			template: "x: {x}\ny: {y}",
+			sort: (a, b)=>((a.fields.x - b.fields.x) || (a.fields.y - b.fields.y))
+		}];
+	}
+	
+	_describe(format) {
+		let data = this._dotSelection ? this._dotSelection.data() : [];
+		if (data.length == 0) return [];
+		let x = d3.extent(data, d=>d[0]);
+		let y = d3.extent(data, d=>d[1]);
+		let count = data.length + ((data.length == 1) ? " dot" : " dots");
+		return ["It has " + count + ", with x from " + format.number(x[0]) + " to " + format.number(x[1]) + " and y from " + format.number(y[0]) + " to " + format.number(y[1]) + "."];
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of [x, y] pairs", v=>(Array.isArray(v) && v.every(d=>(Array.isArray(d) && (d.length >= 2)))));
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (scales.x) this.xScale(ChartSpec.scaleFromSpec(Object.assign({range: [0, this._width]}, scales.x)));
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.color) this.colorScale(ChartSpec.scaleFromSpec(scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+		
+		//The domains given by the specification replace the ones computed from the data
+		if (scales.x && scales.x.domain) this.xScale(this._xScale.domain(ChartSpec.scaleFromSpec(scales.x).domain()));
+		if (scales.y && scales.y.domain) this.yScale(this._yScale.domain(ChartSpec.scaleFromSpec(scales.y).domain()));
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			x: ChartSpec.scaleToSpec(this._xScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			color: ChartSpec.scaleToSpec(this._colorScale)
+		};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._dotSelection);
+		if (insertion) Object.assign(spec, insertion);
+		
+		//Colors set by a fill function are exported as the colors of the dots
+		if (insertion && this._customFill) {
+			spec.attributes = Object.assign({fill: this._dotSelection.nodes().map(node=>node.getAttribute("fill"))}, spec.attributes);
 		}
 	}
 	
-	/**
-	 * The function which sets the colors of the dots. If a function is given, sets fillFunction. Setting func to null will reset fillFunction to its default value: (d, i)=>this._colorScale(i % this._colorScale.domain().length). Not passing a value makes it return the current fillFunction.
-	 * @param {function} func - The new fillFunction.
-	 * @returns {(Scatterplot|function)} This object or the current fillFunction.
-	 */
-	fillFunction(func) {
-		let thisChart = this;
-		if (func) this._fillFunction = func;
-		else if (func === null) this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
-		else return this._fillFunction;
-		
-		if (this._dotSelection) this._dotSelection.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
-		return this;
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
 	}
 	
-	/** 
-	 * Inserts data on the scatterplot and plots it.
-	 * @param {number[]} dataset - An array of values for the dots.
-	 * @param {Object} attributes - An object containing functions or constants for attributes of the dots.
-	 * @param {Object} onEvents - An object containing functions for events.
-	 * @returns {Scatterplot} This chart.
-	 */
-	setData(dataset, attributes, onEvents) {
-		let thisChart = this;
-		
-		//Mandatory attributes
-		if (attributes == null) attributes = [];
-		Chart.addIfNull(attributes, "id", (d, i)=>("dot" + i));
-		attributes.class = "dot";
-		Chart.addIfNull(attributes, "cx", (d, i)=>(this._xScale(d[0])));
-		Chart.addIfNull(attributes, "cy", (d, i)=>(this._yScale(d[1])));
-		Chart.addIfNull(attributes, "r", "4px");
-		
-		//Adjusting the scales and axis
-		let minMaxX = d3.extent(dataset.map((d, i)=>this._xScale.invert(attributes.cx(d, i))));
-		let minMaxY = d3.extent(dataset.map((d, i)=>this._yScale.invert(attributes.cy(d, i))));
-		Chart.adjustScaleDomain(this._xScale, this._xAxisTop, this._xAxisTopGroup, minMaxX);
-		Chart.adjustScaleDomain(this._xScale, this._xAxisBottom, this._xAxisBottomGroup, minMaxX);
-		Chart.adjustScaleDomain(this._yScale, this._yAxisLeft, this._yAxisLeftGroup, minMaxY);
-		Chart.adjustScaleDomain(this._yScale, this._yAxisRight, this._yAxisRightGroup, minMaxY);
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
 		
-		//Dot selection and color setting
-		this._dotSelection = this._selection.selectAll(".dot").data(dataset).enter().append("circle")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
-		
-		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		this._xScale.range([0, this._width]);
+		this._updateAxis("x");
 		
-		return this;
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+		this._layoutZoom();
+		this._layoutBrush();
 	}
 	
 	/** 
@@ -1097,6 +4703,8 @@ class Scatterplot extends Chart {
 	}
 }
 
+ChartSpec.registerType("scatterplot", Scatterplot);
+
 /**
  * Class that represents a Pie chart. Used to represent proportions.
  * @extends Chart
@@ -1121,7 +4729,7 @@ class Pie extends Chart {
 	constructor(container, id, position, margins, dimensions) {
 		super(container, id, position, margins, dimensions, "pieChart");
 		
-		this._selection.attr("transform", "translate(" + (this._margins.left + this._width / 2) + "," + (this._margins.top + this._height / 2) + ")");
+		this._layout();
 		
 		this._sliceSelection = null;
 		
@@ -1130,9 +4738,7 @@ class Pie extends Chart {
 		this._innerRadius = (d, i)=>0;
 		this._outerRadius = (d, i)=>(d3.min([this._width, this._height]) / 2);
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
+		this._applyTheme();
 	}
 	
 	/**
@@ -1198,24 +4804,57 @@ class Pie extends Chart {
 	 * @param {number[]} dataset - An array of values for the slices.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the slices.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current slices. If not given, they are matched by index.
 	 * @returns {Pie} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		this._pieData = d3.pie()(dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
+		let defaultPath = (attributes.d == null);
 		Chart.addIfNull(attributes, "id", (d, i)=>("slice" + i));
 		attributes.class = "slice";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this.genSlice(d, i)()));
 		
+		//Removed slices close at their start angle
+		let onExit = exit=>{
+			if (this._duration > 0) {
+				this._animate(exit)
+					.attrTween("d", function() {
+						return thisChart._arcTween(this, Object.assign({}, this._current, {endAngle: this._current.startAngle}));
+					})
+					.remove();
+			} else {
+				exit.remove();
+			}
+		};
+		
 		//Slice sliceSelection and color setting
-		this._sliceSelection = this._selection.selectAll(".slice").data(dataset).enter().append("path")
-			.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
+		this._sliceSelection = Chart.joinData(this._selection, ".slice", "path", dataset, key, null, onExit);
+		let transition = this._animate(this._sliceSelection);
+		transition.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._sliceSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._sliceSelection, attributes, onEvents, transition);
+		
+		//The default slices are interpolated by their angles and radii, new slices open from their start angle
+		if (defaultPath && (transition !== this._sliceSelection)) {
+			let arcs = d3.local();
+			this._sliceSelection.each(function(d, i) {
+				arcs.set(this, thisChart._sliceArc(d, i));
+			});
+			transition.attrTween("d", function() {
+				return thisChart._arcTween(this, arcs.get(this));
+			});
+		} else {
+			this._sliceSelection.each(function(d, i) {
+				this._current = thisChart._sliceArc(d, i);
+			});
+		}
+		this._marksChanged();
 		
 		return this;
 	}
@@ -1225,9 +4864,11 @@ class Pie extends Chart {
 	 * @param {string[]} labels - An array of values for the labels.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each label, used to match the labels with the current ones. If not given, they are matched by index.
 	 * @returns {Pie} This chart.
 	 */
-	setSliceLabels(labels, attributes, onEvents) {
+	setSliceLabels(labels, attributes, onEvents, key) {
+		this._storeInsertion("setSliceLabels", arguments);
 		let centroids = this._sliceSelection.data().map((d, i)=>this.genSlice(d, i).centroid());
 		
 		//Mandatory attributes
@@ -1238,11 +4879,11 @@ class Pie extends Chart {
 		Chart.addIfNull(attributes, "text-anchor", "middle");
 		Chart.addIfNull(attributes, "dominant-baseline", "middle");
 		
-		this._labelSelection = this._selection.selectAll(".sliceLabel").data(labels).enter().append("text")
+		this._labelSelection = Chart.joinData(this._selection, ".sliceLabel", "text", labels, key)
 			.text((d, i)=>d);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents, this._animate(this._labelSelection));
 		
 		return this;
 	}
@@ -1254,11 +4895,89 @@ class Pie extends Chart {
 	 * @returns {d3.arc} Arc made with the value of the array.
 	 */
 	genSlice(d, i) {
+		let arc = this._sliceArc(d, i);
 		return d3.arc()
-			.innerRadius(this._innerRadius(d, i))
-			.outerRadius(this._outerRadius(d, i))
-			.startAngle(this._pieData[i].startAngle)
-			.endAngle(this._pieData[i].endAngle);
+			.innerRadius(arc.innerRadius)
+			.outerRadius(arc.outerRadius)
+			.startAngle(arc.startAngle)
+			.endAngle(arc.endAngle);
+	}
+	
+	_marks() {
+		let total = this._sliceSelection ? d3.sum(this._sliceSelection.data()) : 0;
+		let labels = this._labelSelection ? this._labelSelection.data() : [];
+		return [{
+			selection: this._sliceSelection,
+			fields: (d, i)=>({label: (labels[i] != null) ? labels[i] : i + 1, value: d, percentage: d / total, index: i}),
+			template: "{label}: {value} ({percentage:.1%})"
+		}];
+	}
+	
+	_describe(format) {
+		let slices = this._markList();
+		if (slices.length == 0) return [];
+		let largest = slices.reduce((a, b)=>(b.fields.value > a.fields.value) ? b : a).fields;
+		let count = slices.length + ((slices.length == 1) ? " slice" : " slices");
+		return ["It has " + count + ", with a total of " + format.number(d3.sum(slices, mark=>mark.fields.value)) + ". The largest is " + largest.label + ", with " + format.number(largest.value) + ", or " + format.percentage(largest.percentage) + " of the total."];
+	}
+	
+	static _validateSpec(spec, errors) {
+		let isRadius = v=>((typeof(v) == "number") || (Array.isArray(v) && v.every(r=>(typeof(r) == "number"))));
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number"))));
+		ChartSpec.checkSpec(errors, spec, "innerRadius", "a number or an array of numbers", isRadius);
+		ChartSpec.checkSpec(errors, spec, "outerRadius", "a number or an array of numbers", isRadius);
+	}
+	
+	_applySpec(spec) {
+		let radius = r=>(Array.isArray(r) ? (d, i)=>r[i] : (d, i)=>r);
+		if (spec.innerRadius != null) this.innerRadius(radius(spec.innerRadius));
+		if (spec.outerRadius != null) this.outerRadius(radius(spec.outerRadius));
+		if (spec.scales && spec.scales.color) this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+		if (spec.data && spec.labels) this.setSliceLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {color: ChartSpec.scaleToSpec(this._colorScale)};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._sliceSelection);
+		if (insertion) {
+			Object.assign(spec, insertion);
+			
+			//The radii are exported as the radius of each slice, or a single value if they are all equal
+			let radius = func=>{
+				let radii = spec.data.map((d, i)=>func(d, i));
+				return radii.every(r=>(r == radii[0])) ? radii[0] : radii;
+			};
+			spec.innerRadius = radius(this._innerRadius);
+			spec.outerRadius = radius(this._outerRadius);
+		}
+		if (this._insertions.setSliceLabels) spec.labels = ChartSpec.copy(this._insertions.setSliceLabels[0]);
+	}
+	
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
+	}
+	
+	_origin() {
+		//The origin of the chart is at its center
+		return [this._width / 2, this._height / 2];
+	}
+	
+	_sliceArc(d, i) {
+		return {
+			innerRadius: this._innerRadius(d, i),
+			outerRadius: this._outerRadius(d, i),
+			startAngle: this._pieData[i].startAngle,
+			endAngle: this._pieData[i].endAngle
+		};
+	}
+	
+	_arcTween(node, arc) {
+		let start = node._current || Object.assign({}, arc, {endAngle: arc.startAngle});
+		let interpolator = d3.interpolate(start, arc);
+		node._current = arc;
+		return t=>d3.arc()(interpolator(t));
 	}
 	
 	/** 
@@ -1279,6 +4998,8 @@ class Pie extends Chart {
 	}
 }
 
+ChartSpec.registerType("pie", Pie);
+
 /**
  * Class that represents a Star Glyph. Used to represent multiple variables of a single sample.
  * @extends Chart
@@ -1303,19 +5024,23 @@ class StarGlyph extends Chart {
 	constructor(container, id, position, margins, dimensions) {
 		super(container, id, position, margins, dimensions, "starGlyphChart");
 		
-		this._selection.attr("transform", "translate(" + (this._margins.left + this._width / 2) + "," + (this._margins.top + this._height / 2) + ")");
-		
 		this._polygonSelection = null;
 		
 		this._labelSelection = null;
 		
 		this._scales = [];
 		
+		//The domains given to the scales, which the domains shared by a ScaleLink replace
+		this._domains = [];
+		
 		this._pathGenerator = d3.lineRadial()
 			.angle((d, i)=>(this._getAngle(i)))
 			.radius((d, i)=>this._scales[i % this._scales.length](d));
 		
-		this._fillFunction = (d, i)=>"blue";
+		this._fillFunction = (d, i)=>this.theme().palette[0];
+		
+		this._layout();
+		this._applyTheme();
 	}
 	
 	/**
@@ -1368,12 +5093,9 @@ class StarGlyph extends Chart {
 	 * @returns {StarGlyph} This chart.
 	 */
 	setScaleDomains(newDomains) {
-		this._scales = [];
-		for (let i in newDomains) {
-			this._scales[i] = d3.scaleLinear()
-				.domain(newDomains[i])
-				.range([0, d3.min([this._width, this._height]) / 2]);
-		}
+		this._domains = [];
+		for (let i in newDomains) this._domains[i] = newDomains[i];
+		this._updateScales();
 		return this;
 	}
 	
@@ -1382,21 +5104,28 @@ class StarGlyph extends Chart {
 	 * @param {number[]} dataset - An array of values for the polygon.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the polygon.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies the dataset, receiving its values, used to match it with the current polygon. A dataset with another key replaces the polygon instead of updating it. If not given, the polygon is updated.
 	 * @returns {StarGlyph} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		Chart.addIfNull(attributes, "id", (d, i)=>("polygon" + i));
 		attributes.class = "polygon";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._pathGenerator(d, i)));
 		
-		dataset.push(dataset[0]);	//With this, the path will be closed
-		this._polygonSelection = this._selection.selectAll(".polygon").data([dataset]).enter().append("path")
-			.attr("fill", this._fillFunction);
+		//Without domains, each variable goes from 0 to its value
+		if (this._scales.length == 0) this.setScaleDomains(dataset.map(value=>d3.extent([0, value])));
+		
+		dataset = dataset.concat([dataset[0]]);	//With this, the path will be closed
+		this._polygonSelection = Chart.joinData(this._selection, ".polygon", "path", [dataset], key);
+		let transition = this._animate(this._polygonSelection);
+		transition.attr("fill", this._fillFunction);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._polygonSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._polygonSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
@@ -1406,9 +5135,11 @@ class StarGlyph extends Chart {
 	 * @param {string[]} labels - An array of values for the labels.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each label, used to match the labels with the current ones. If not given, they are matched by index.
 	 * @returns {StarGlyph} This chart.
 	 */
-	setCornerLabels(labels, attributes, onEvents) {
+	setCornerLabels(labels, attributes, onEvents, key) {
+		this._storeInsertion("setCornerLabels", arguments);
 		let radius = d3.min([this._width, this._height]) / 2 + 3;
 		
 		//Mandatory attributes
@@ -1419,15 +5150,92 @@ class StarGlyph extends Chart {
 		Chart.addIfNull(attributes, "text-anchor", (d, i)=>this._getTextAnchor(i));
 		Chart.addIfNull(attributes, "dominant-baseline", (d, i)=>this._getDominantBaseline(i));
 		
-		this._labelSelection = this._selection.selectAll(".cornerLabel").data(labels).enter().append("text")
+		this._labelSelection = Chart.joinData(this._selection, ".cornerLabel", "text", labels, key)
 			.text((d, i)=>d);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents, this._animate(this._labelSelection));
 		
 		return this;
 	}
 	
+	_marks() {
+		let labels = this._labelSelection ? this._labelSelection.data() : [];
+		return [{
+			selection: this._polygonSelection,
+			fields: (d, i)=>({labels: d.slice(0, -1).map((value, j)=>(labels[j] != null) ? labels[j] : j + 1), values: d.slice(0, -1)}),
+			template: fields=>fields.values.map((value, j)=>Chart.formatTemplate("{label}: {value}", {label: fields.labels[j], value: value})).join("\n")
+		}];
+	}
+	
+	_describe(format) {
+		let fields = this._markList().map(mark=>mark.fields)[0];
+		if (fields == null) return [];
+		return Chart._describeExtremes(fields.values.map((value, i)=>({label: fields.labels[i], value: value})), "value", format);
+	}
+	
+	static _validateSpec(spec, errors) {
+		let domains = spec.scaleDomains;
+		ChartSpec.checkSpec(errors, spec, "scaleDomains", "an array of [minimum, maximum] pairs", v=>(Array.isArray(v) && v.every(d=>(Array.isArray(d) && (d.length == 2)))), spec.data != null);
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers with a value for each scale domain", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number")) && (!Array.isArray(domains) || (v.length == domains.length))));
+		ChartSpec.checkSpec(errors, spec, "fill", "a color", v=>(typeof(v) == "string"));
+	}
+	
+	_applySpec(spec) {
+		if (spec.scaleDomains) this.setScaleDomains(spec.scaleDomains);
+		if (spec.fill) this.fillFunction((d, i)=>spec.fill);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes));
+		if (spec.labels) this.setCornerLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.scaleDomains = this._domains.map(domain=>domain.slice());
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._polygonSelection);
+		if (insertion) {
+			Object.assign(spec, insertion);
+			spec.fill = this._polygonSelection.attr("fill");
+		}
+		if (this._insertions.setCornerLabels) spec.labels = ChartSpec.copy(this._insertions.setCornerLabels[0]);
+	}
+	
+	_scaleDomains() {
+		//Each variable goes from 0 to its value, so the glyphs are compared by their sizes
+		let dataset = this._insertions.setData ? this._insertions.setData[0] : [];
+		let domains = {};
+		dataset.forEach((value, i)=>{
+			domains[i] = d3.extent([0, value]);
+		});
+		return domains;
+	}
+	
+	_shareDomains(domains) {
+		//A null domain restores the domain given to its scale
+		this._linkDomains(domains);
+		this._updateScales();
+		this._redraw();
+	}
+	
+	_updateScales() {
+		this._scales = [];
+		for (let i in this._domains) {
+			this._scales[i] = d3.scaleLinear()
+				.domain(this._linkedDomains[i] || this._domains[i])
+				.range([0, d3.min([this._width, this._height]) / 2]);
+		}
+	}
+	
+	_origin() {
+		//The origin of the chart is at its center
+		return [this._width / 2, this._height / 2];
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		for (let scale of this._scales) {
+			scale.range([0, d3.min([this._width, this._height]) / 2]);
+		}
+	}
+	
 	_getAngle(i) {
 		return 2 * Math.PI * i / this._scales.length;
 	}
@@ -1463,6 +5271,8 @@ class StarGlyph extends Chart {
 	}
 }
 
+ChartSpec.registerType("starGlyph", StarGlyph);
+
 /**
  * Class that represents a Correlation chart. It is used for plotting the correlation between any two variables of a dataset.
  * @extends Chart
@@ -1493,7 +5303,11 @@ class StarGlyph extends Chart {
 		this._ellipseSelection = null;
 		this._cellSelection = null;
 		
-		this._colorScheme = d3.interpolateRdYlBu;
+		//The keys of the variables of the rows and of the columns of the cells, when they are matched by key
+		this._rowKeys = d3.local();
+		this._cellKeys = d3.local();
+		
+		this._applyTheme();
 	}
 	
 	/**
@@ -1547,9 +5361,11 @@ class StarGlyph extends Chart {
 	 * @param {number[][]} names - The names of the dataset attributes.
 	 * @param {Object} attributes - An object containing functions or constants for the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each name, used to match the names with the current labels. If not given, they are matched by index.
 	 * @returns {Correlation} This chart.
 	 */
-	setLabels(names, attributes, onEvents) {
+	setLabels(names, attributes, onEvents, key) {
+		this._storeInsertion("setLabels", arguments);
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		attributes.class = "rowLabel";
@@ -1557,7 +5373,7 @@ class StarGlyph extends Chart {
 		attributes["dominant-baseline"] = "hanging";
 		attributes.transform = (d, i)=>("translate(0, "+((i+1/2) * this._height / names.length)+")rotate(45)");
 		
-		this._rowLabelSelection = this._selection.selectAll(".rowLabel").data(names).enter().append("text")
+		this._rowLabelSelection = Chart.joinData(this._selection, ".rowLabel", "text", names, key)
 			.text(d=>d);
 		
 		//Insertion of attributes and events
@@ -1567,7 +5383,7 @@ class StarGlyph extends Chart {
 		attributes["dominant-baseline"] = "bottom";
 		attributes.transform = (d, i)=>("translate("+((i+1/2) * this._width / names.length)+", 0)rotate(45)");
 		
-		this._colLabelSelection = this._selection.selectAll(".colLabel").data(names).enter().append("text")
+		this._colLabelSelection = Chart.joinData(this._selection, ".colLabel", "text", names, key)
 			.text(d=>d);
 		
 		//Insertion of attributes and events
@@ -1581,11 +5397,20 @@ class StarGlyph extends Chart {
 	 * @param {number[][]} dataset - The dataset which correlation will be calculated.
 	 * @param {Object} attributes - An object containing functions or constants for the ellipses that represent the correlations.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each variable, receiving the row of its correlations and its index, used to match the rows and columns of the table with the current ones. If not given, they are matched by index.
 	 * @returns {Correlation} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		let correlations = Correlation.pearson(dataset);
+		
+		//The rows and cells keep the keys of their variables, so the new correlations are matched with them by the keys of the variables
+		let variableKeys = key ? correlations.map(key) : null;
+		let storedKey = local=>(key ? function(d, i) {
+			let variableKey = local.get(this);
+			return (variableKey !== undefined) ? variableKey : variableKeys[i];
+		} : undefined);
 		let posScale = d3.scaleLinear()
 			.domain([-1, 0, 1])
 			.range([0.0000001, 1, Math.sqrt(2)]);
@@ -1600,34 +5425,109 @@ class StarGlyph extends Chart {
 		Chart.addIfNull(attributes, "stroke", (d, i)=>thisChart._colorScheme((d+1)/2));
 		
 		let rowTransform = (d, i)=>("translate(" + (this._width / (2 * dataset[0].length)) + "," + ((i + 1/2) * this._height / dataset[0].length) + ")");
-		this._ellipseSelection = this._selection.selectAll(".ellipseGroup").data(correlations).enter().append("g")
-			.attr("id", (d, i)=>("ellipseGroup" + i))
-			.attr("class", "ellipseGroup")
-			.attr("transform", rowTransform)
-			.selectAll(".groupEllipse").data(d=>d).enter().append("ellipse")
-				.attr("fill", (d, i)=>thisChart._colorScheme((d+1)/2));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		let ellipseGroups = Chart.joinData(this._selection, ".ellipseGroup", "g", correlations, storedKey(this._rowKeys), enter=>enter.attr("transform", rowTransform), onExit)
+			.attr("id", (d, i)=>("ellipseGroup" + i));
+		this._animate(ellipseGroups).attr("transform", rowTransform);
+		this._ellipseSelection = Chart.joinData(ellipseGroups, ".groupEllipse", "ellipse", d=>d, storedKey(this._cellKeys), null, onExit);
+		let ellipseTransition = this._animate(this._ellipseSelection);
+		ellipseTransition.attr("fill", (d, i)=>thisChart._colorScheme((d+1)/2));
 		
 		rowTransform = (d, i)=>("translate(0," + (i * this._height / dataset[0].length) + ")");
-		this._cellSelection = this._selection.selectAll(".rectGroup").data(correlations).enter().append("g")
-			.attr("id", (d, i)=>("rectGroup_" + i))
-			.attr("class", "rectGroup")
-			.attr("transform", rowTransform)
-			.selectAll(".groupRect").data(d=>d).enter().append("rect")
-				.attr("id", (d, i)=>"rect_" + i)
-				.attr("class", "groupRect")
-				.attr("x", (d, i)=>(i * this._width / dataset[0].length))
-				.attr("width", this._width / dataset[0].length)
-				.attr("height", this._height / dataset[0].length)
-				.attr("stroke", "black")
-				.attr("fill", "transparent");
+		let cellAttributes = {
+			x: (d, i)=>(i * this._width / dataset[0].length),
+			width: this._width / dataset[0].length,
+			height: this._height / dataset[0].length,
+			stroke: this.theme().foreground,
+			"stroke-width": this.theme().strokeWidths.mark,
+			fill: "transparent"
+		};
+		let cellGroups = Chart.joinData(this._selection, ".rectGroup", "g", correlations, storedKey(this._rowKeys), enter=>enter.attr("transform", rowTransform), onExit)
+			.attr("id", (d, i)=>("rectGroup_" + i));
+		this._animate(cellGroups).attr("transform", rowTransform);
+		this._cellSelection = Chart.joinData(cellGroups, ".groupRect", "rect", d=>d, storedKey(this._cellKeys), enter=>Chart.insertAttributesEvents(enter, cellAttributes, null), onExit)
+			.attr("id", (d, i)=>"rect_" + i);
+		Chart.insertAttributesEvents(this._cellSelection, cellAttributes, null, this._animate(this._cellSelection));
+		
+		if (key) {
+			let storeKey = local=>function(d, i) {
+				local.set(this, variableKeys[i]);
+			};
+			ellipseGroups.each(storeKey(this._rowKeys));
+			cellGroups.each(storeKey(this._rowKeys));
+			this._ellipseSelection.each(storeKey(this._cellKeys));
+			this._cellSelection.each(storeKey(this._cellKeys));
+		}
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._ellipseSelection, attributes, null);
+		Chart.insertAttributesEvents(this._ellipseSelection, attributes, null, ellipseTransition);
 		Chart.insertAttributesEvents(this._cellSelection, null, onEvents);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_applyTheme() {
+		this._colorScheme = this.theme().diverging;
+		super._applyTheme();
+	}
+	
+	_marks() {
+		let names = this._rowLabelSelection ? this._rowLabelSelection.data() : [];
+		let name = i=>(names[i] != null) ? names[i] : i + 1;
+		let fields = rows=>(d, i, node)=>({row: name(rows.indexOf(node.parentNode)), column: name(i), value: d});
+		let cellRows = this._selection.selectAll(".rectGroup").nodes();
+		return [{
+			selection: this._cellSelection,
+			fields: fields(cellRows),
+			template: "{row}, {column}: {value:.2f}",
+			row: mark=>cellRows.indexOf(mark.node.parentNode)
+		}, {
+			//The ellipses show the same coefficients as the cells, which are above them
+			selection: this._ellipseSelection,
+			fields: fields(this._selection.selectAll(".ellipseGroup").nodes()),
+			template: "{row}, {column}: {value:.2f}",
+			focusable: false
+		}];
+	}
+	
+	_describe(format) {
+		//Each pair of attributes is described once, by the coefficients above the diagonal
+		let names = this._rowLabelSelection ? this._rowLabelSelection.data() : [];
+		let name = i=>(names[i] != null) ? names[i] : i + 1;
+		let pairs = [];
+		this._selection.selectAll(".rectGroup").data().forEach((row, i)=>{
+			for (let j = i + 1; j < row.length; j++) pairs.push({row: name(i), column: name(j), value: row[j]});
+		});
+		if (pairs.length == 0) return [];
+		let sentences = [];
+		let positive = pairs.reduce((a, b)=>(b.value > a.value) ? b : a);
+		let negative = pairs.reduce((a, b)=>(b.value < a.value) ? b : a);
+		let pair = fields=>("between " + fields.row + " and " + fields.column + ", with " + format.number(fields.value));
+		if (positive.value > 0) sentences.push("The strongest positive correlation is " + pair(positive) + ".");
+		else sentences.push("There are no positive correlations.");
+		if (negative.value < 0) sentences.push("The strongest negative correlation is " + pair(negative) + ".");
+		else sentences.push("There are no negative correlations.");
+		return sentences;
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of rows with the same number of numbers", v=>(Array.isArray(v) && (v.length > 0) && v.every(d=>(Array.isArray(d) && (d.length == v[0].length) && d.every(value=>(typeof(value) == "number"))))));
+	}
+	
+	_applySpec(spec) {
+		if (spec.colorScheme) this.colorScheme(d3[spec.colorScheme]);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes));
+		if (spec.labels) this.setLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.colorScheme = ChartSpec.d3Name(this._colorScheme);
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, null);
+		if (insertion) Object.assign(spec, insertion);
+		if (this._insertions.setLabels) spec.labels = ChartSpec.copy(this._insertions.setLabels[0]);
+	}
+	
 	/**
 	 * Generates a table of correlation values using the Pearson algorithm.
 	 * @param {number[][]} dataset - The dataset which correlation will be calculated.
@@ -1668,17 +5568,19 @@ class StarGlyph extends Chart {
 			this._colLabelSelection = null;
 		}
 		if (this._ellipseSelection) {
-			this._ellipseSelection.remove();
+			this._selection.selectAll(".ellipseGroup").remove();
 			this._ellipseSelection = null;
 		}
 		if (this._cellSelection) {
-			this._cellSelection.remove();
+			this._selection.selectAll(".rectGroup").remove();
 			this._cellSelection = null;
 		}
 		return super.clear();
 	}
 }
 
+ChartSpec.registerType("correlation", Correlation);
+
 /**
  * Class that represents a Label table. It can be attached to any Chart with the chart.labelTable() function.
  * @extends Chart
@@ -1709,12 +5611,20 @@ class LabelTable extends Chart {
 		
 		this._textSelection = null;
 		
+		//The keys of the labels of the color rects, when they are matched by key
+		this._labelKeys = d3.local();
+		
 		this._border = this._selection.append("rect")
 			.attr("class", "border")
 			.attr("width", this._width)
-			.attr("height", this._height)
-			.attr("stroke", "black")
-			.attr("fill", "white");
+			.attr("height", this._height);
+		
+		//The data of the table is already at the data table of its chart
+		this.accessibility({label: "Legend", dataTable: false});
+		
+		//The table takes the theme of its chart
+		this._theme = chart._theme;
+		this._applyTheme();
 	}
 	
 	/** 
@@ -1749,15 +5659,40 @@ class LabelTable extends Chart {
 		return this._border;
 	}
 	
+	_exportSpec(spec) {
+		if (this._insertions.setValues) {
+			spec.colors = ChartSpec.copy(this._insertions.setValues[0]);
+			spec.values = ChartSpec.copy(this._insertions.setValues[1]);
+		}
+	}
+	
+	_applyTheme() {
+		let theme = this.theme();
+		super._applyTheme();
+		this._border
+			.attr("stroke", theme.foreground)
+			.attr("stroke-width", theme.strokeWidths.mark)
+			.attr("fill", theme.background || "white");
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		this._border
+			.attr("width", this._width)
+			.attr("height", this._height);
+	}
+	
 	/** 
 	 * Inserts data on the labels table.
 	 * @param {string[]} colors - An array of colors.
 	 * @param {(number[]|string[])} values - An array of labels for the colors.
 	 * @param {(function[]|number[])} colorAttributes - An object containing functions or constants for attributes of the color rects.
 	 * @param {(function[]|number[])} valueAttributes - An object containing functions or constants for attributes of the label texts.
+	 * @param {function} key - A function which identifies each label, used to match the labels and their colors with the current ones. If not given, they are matched by index.
 	 * @returns {LabelTable} This label table.
 	 */
-	setValues(colors, values, colorAttributes, valueAttributes) {
+	setValues(colors, values, colorAttributes, valueAttributes, key) {
+		this._storeInsertion("setValues", arguments);
 		let thisChart = this;
 		
 		//Mandatory attributes of the colors
@@ -1768,8 +5703,19 @@ class LabelTable extends Chart {
 		Chart.addIfNull(colorAttributes, "width", thisChart._height / colors.length);
 		Chart.addIfNull(colorAttributes, "height", thisChart._height / colors.length);
 		
-		this._colorSelection = this._selection.selectAll("colorPlot").data(colors).enter().append("rect")
+		//The rects keep the keys of their labels, so the new colors are matched with them by the keys of the labels
+		let labelKeys = key ? values.map(key) : null;
+		let colorKey = key ? function(d, i) {
+			let labelKey = thisChart._labelKeys.get(this);
+			return (labelKey !== undefined) ? labelKey : labelKeys[i];
+		} : undefined;
+		this._colorSelection = Chart.joinData(this._selection, ".colorPlot", "rect", colors, colorKey)
 			.attr("fill", (d, i)=>d);
+		if (key) {
+			this._colorSelection.each(function(d, i) {
+				thisChart._labelKeys.set(this, labelKeys[i]);
+			});
+		}
 		
 		//Insertion of attributes
 		Chart.insertAttributesEvents(this._colorSelection, colorAttributes, null);
@@ -1782,7 +5728,7 @@ class LabelTable extends Chart {
 		Chart.addIfNull(valueAttributes, "width", thisChart._width - valueAttributes["x"]);
 		Chart.addIfNull(valueAttributes, "height", colorAttributes["height"]);
 		
-		this._textSelection = this._selection.selectAll("colorLabel").data(values).enter().append("text")
+		this._textSelection = Chart.joinData(this._selection, ".colorLabel", "text", values, key)
 			.text(d=>d)
 			.attr("dominant-baseline", "hanging");
 		
@@ -1791,4 +5737,358 @@ class LabelTable extends Chart {
 		
 		return this;
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("labelTable", LabelTable);
+
+/**
+ * Class that represents a dashboard, a grid which creates and places charts inside a container. Each chart takes one or more cells of the grid, and a group of cells can hold a nested dashboard.
+ */
+class Dashboard {
+	/**
+	 * @constructor
+	 * @param {d3.selection} container - The tag in which the charts will be inserted.
+	 * @param {string} id - The id of the dashboard, which prefixes the ids of its charts.
+	 * @param {Object} position - The position of the dashboard.
+	 * @param {number} position.x - The X coordinate of the dashboard.
+	 * @param {number} position.y - The Y coordinate of the dashboard.
+	 * @param {Object} dimensions - The dimensions of the dashboard. Uses the dimensions of the container by default.
+	 * @param {number} dimensions.width - The width of the dashboard.
+	 * @param {number} dimensions.height - The height of the dashboard.
+	 * @param {Object} grid - The grid of the dashboard.
+	 * @param {(number|number[])} grid.columns - The number of columns, or the relative widths of the columns. Uses one column by default.
+	 * @param {(number|number[])} grid.rows - The number of rows, or the relative heights of the rows. By default, there are as many rows, of equal heights, as the cells taken.
+	 * @param {number} grid.gutter - The space between the cells. Uses 10 by default.
+	 */
+	constructor(container, id, position, dimensions, grid) {
+		this._container = container;
+		
+		this._id = id;
+		
+		this._x = (position != null) ? position.x : 0;
+		this._y = (position != null) ? position.y : 0;
+		
+		this._width = (dimensions != null) ? dimensions.width : +container.attr("width") - this._x;
+		this._height = (dimensions != null) ? dimensions.height : +container.attr("height") - this._y;
+		
+		grid = grid || {};
+		this._columns = (grid.columns != null) ? grid.columns : 1;
+		this._rows = (grid.rows != null) ? grid.rows : null;
+		this._gutter = (grid.gutter != null) ? grid.gutter : 10;
+		
+		//The charts and nested dashboards, each with its cell
+		this._items = [];
+		this._count = 0;
+		
+		this._resizeObserver = null;
+	}
+	
+	/**
+	 * Returns a selection of the tag containing the charts of this dashboard.
+	 * @returns {d3.selection} The container of this dashboard.
+	 */
+	container() {
+		return this._container;
+	}
+	
+	/**
+	 * Returns the id of the dashboard.
+	 * @returns {string} The id of this dashboard.
+	 */
+	id() {
+		return this._id;
+	}
+	
+	/**
+	 * If coordinates are given, moves the dashboard with its charts, otherwise returns its coordinates.
+	 * @param {number} x - The new X coordinate of the dashboard.
+	 * @param {number} y - The new Y coordinate of the dashboard.
+	 * @returns {(Dashboard|number[])} This object or the dashboard's coordinates.
+	 */
+	position(x, y) {
+		if ((x != null) && (y != null)) {
+			this._setBounds({x: x, y: y, width: this._width, height: this._height});
+			return this;
+		} else {
+			return [this._x, this._y];
+		}
+	}
+	
+	/**
+	 * The width of the dashboard.
+	 * @returns {number} The width of this dashboard.
+	 */
+	width() {
+		return this._width;
+	}
+	
+	/**
+	 * The height of the dashboard.
+	 * @returns {number} The height of this dashboard.
+	 */
+	height() {
+		return this._height;
+	}
+	
+	/**
+	 * Returns the charts of the dashboard, including those of its nested dashboards.
+	 * @returns {Chart[]} The charts, in the order they were added.
+	 */
+	charts() {
+		let charts = [];
+		for (let item of this._items) {
+			if (item.chart) charts.push(item.chart);
+			else charts = charts.concat(item.dashboard.charts());
+		}
+		return charts;
+	}
+	
+	/**
+	 * Creates a chart in a cell of the dashboard.
+	 * @param {(string|function|Object)} type - The type of the chart, by its name at Chart.fromSpec(), its class, or a specification, whose position and dimensions are replaced by the cell.
+	 * @param {Object} cell - The cell of the chart. Without its row and column, the chart takes the first free cells, row by row.
+	 * @param {number} cell.row - The first row of the chart.
+	 * @param {number} cell.column - The first column of the chart.
+	 * @param {number} cell.rowSpan - The number of rows taken by the chart. Uses 1 by default.
+	 * @param {number} cell.columnSpan - The number of columns taken by the chart. Uses 1 by default.
+	 * @param {string} cell.id - The id of the chart. Uses the id of the dashboard and a number by default.
+	 * @param {(number|Object)} cell.margins - The margins of the chart, as in its constructor.
+	 * @param {Object} cell.labelTable - A LabelTable placed by a side of the chart, inside the cell, with its side ("left", "right", "top" or "bottom", "right" by default), size (100 by default), id and margins.
+	 * @returns {Chart} The created chart.
+	 */
+	add(type, cell) {
+		cell = this._place(Object.assign({}, cell));
+		let id = cell.id || ((typeof(type) == "object") && type.id) || this._nextId();
+		let bounds = Dashboard._split(this._cellBounds(cell), cell.labelTable);
+		let position = {x: bounds.chart.x, y: bounds.chart.y};
+		let dimensions = {width: bounds.chart.width, height: bounds.chart.height};
+		
+		let chart;
+		if (typeof(type) == "object") {
+			chart = Chart.fromSpec(this._container, Object.assign({}, type, {id: id, position: position, dimensions: dimensions}, (cell.margins != null) ? {margins: cell.margins} : {}));
+		} else {
+			let chartClass = (typeof(type) == "string") ? Dashboard._chartTypes[type] : type;
+			if (!chartClass) throw new Error("Unknown type of chart: " + type + ". Expected one of " + Object.keys(Dashboard._chartTypes).join(", ") + ".");
+			chart = new chartClass(this._container, id, position, cell.margins, dimensions);
+		}
+		if (cell.labelTable) {
+			let table = cell.labelTable;
+			chart.labelTable(new LabelTable(chart, table.id || (id + "Labels"), {x: 0, y: 0}, table.margins, {width: bounds.table.width, height: bounds.table.height}));
+		}
+		
+		this._items.push({cell: cell, chart: chart});
+		this._layout();
+		return chart;
+	}
+	
+	/**
+	 * Creates a nested dashboard in a cell of the dashboard, with a grid of its own.
+	 * @param {Object} cell - The cell of the nested dashboard, with the row, column, rowSpan, columnSpan and id fields of add().
+	 * @param {Object} grid - The grid of the nested dashboard, as in the constructor.
+	 * @returns {Dashboard} The nested dashboard.
+	 */
+	group(cell, grid) {
+		cell = this._place(Object.assign({}, cell));
+		let bounds = this._cellBounds(cell);
+		let dashboard = new Dashboard(this._container, cell.id || this._nextId(), {x: bounds.x, y: bounds.y}, {width: bounds.width, height: bounds.height}, grid);
+		
+		this._items.push({cell: cell, dashboard: dashboard});
+		this._layout();
+		return dashboard;
+	}
+	
+	/**
+	 * Creates small multiples: the dataset is split in groups by a key, and each group is plotted by a chart in the free cells of the dashboard, labeled by the key at its title. The continuous scales of the charts share their domains, so the groups are compared at the same scale.
+	 * @param {(string|function|Object)} type - The type of the charts, as in add().
+	 * @param {Array} dataset - The data to be split.
+	 * @param {function} key - The key of the group of each datum, which receives the datum and its index.
+	 * @param {Object} options - The settings of the charts.
+	 * @param {function} options.value - The data plotted by the chart of a group, which receives the data of the group and its key. Uses the data of the group by default.
+	 * @param {function} options.plot - The function which plots the data of a group, receiving its chart, the data and the key. Calls setData() by default.
+	 * @param {(function|boolean)} options.label - The title of the chart of a group, which receives its key, or false to leave the charts without titles. Uses the key by default.
+	 * @param {boolean} options.shareScales - Whether the charts share the domains of their scales. True by default.
+	 * @param {Object} options.cell - The fields of the cells of the charts, like their margins or label tables, as in add().
+	 * @returns {Chart[]} The charts, in the order of the first datum of each group.
+	 */
+	facet(type, dataset, key, options) {
+		options = Object.assign({value: data=>data, plot: (chart, data)=>chart.setData(data), label: key=>String(key), shareScales: true, cell: {}}, options);
+		
+		//The groups keep the order of their first data
+		let groups = [];
+		let groupIndexes = {};
+		dataset.forEach((d, i)=>{
+			let groupKey = key(d, i);
+			if (!(groupKey in groupIndexes)) {
+				groupIndexes[groupKey] = groups.length;
+				groups.push({key: groupKey, data: []});
+			}
+			groups[groupIndexes[groupKey]].data.push(d);
+		});
+		
+		let charts = groups.map(group=>{
+			let chart = this.add(type, Object.assign({}, options.cell));
+			if (options.label) chart.title(options.label(group.key));
+			options.plot(chart, options.value(group.data, group.key), group.key);
+			return chart;
+		});
+		if (options.shareScales) {
+			let domains = Chart._unionDomains(charts);
+			for (let chart of charts) chart._shareDomains(domains);
+		}
+		return charts;
+	}
+	
+	/**
+	 * Resizes the dashboard, placing its charts and nested dashboards again and resizing them to their cells.
+	 * @param {number} width - The new width of the dashboard. If not given, uses the width of the container.
+	 * @param {number} height - The new height of the dashboard. If not given, uses the height of the container.
+	 * @returns {Dashboard} This dashboard.
+	 */
+	resize(width, height) {
+		if (width == null) width = this._container.attr("width") - this._x;
+		if (height == null) height = this._container.attr("height") - this._y;
+		this._setBounds({x: this._x, y: this._y, width: +width, height: +height});
+		return this;
+	}
+	
+	/**
+	 * Makes the dashboard follow the size of its container. The dashboard is resized to fill the container, starting at its position.
+	 * @param {boolean} enabled - Whether the dashboard is resized when the container is.
+	 * @returns {Dashboard} This dashboard.
+	 */
+	autoResize(enabled) {
+		let node = this._container.node();
+		let view = d3.select(node.ownerDocument.defaultView);
+		let onResize = ()=>{
+			let box = node.getBoundingClientRect();
+			this.resize(box.width - this._x, box.height - this._y);
+		};
+		
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		this._resizeObserver = null;
+		view.on("resize." + this._id, null);
+		
+		if (enabled) {
+			if (typeof(ResizeObserver) != "undefined") {
+				this._resizeObserver = new ResizeObserver(onResize);
+				this._resizeObserver.observe(node);
+			} else {
+				view.on("resize." + this._id, onResize);
+			}
+		}
+		return this;
+	}
+	
+	_nextId() {
+		return this._id + "-" + (this._count++);
+	}
+	
+	_columnCount() {
+		return Array.isArray(this._columns) ? this._columns.length : this._columns;
+	}
+	
+	_rowCount() {
+		//Without fixed rows, the grid grows to the cells taken
+		if (this._rows != null) return Array.isArray(this._rows) ? this._rows.length : this._rows;
+		return Math.max(1, d3.max(this._items, item=>(item.cell.row + item.cell.rowSpan)) || 0);
+	}
+	
+	_place(cell) {
+		cell.rowSpan = cell.rowSpan || 1;
+		cell.columnSpan = cell.columnSpan || 1;
+		let columns = this._columnCount();
+		if (cell.columnSpan > columns) throw new Error("The cell doesn't fit in the columns of the dashboard.");
+		
+		if ((cell.row == null) && (cell.column == null)) {
+			//The cell takes the first free space, row by row
+			let taken = (row, column)=>this._items.some(item=>(row >= item.cell.row) && (row < item.cell.row + item.cell.rowSpan) && (column >= item.cell.column) && (column < item.cell.column + item.cell.columnSpan));
+			let fits = (row, column)=>(column + cell.columnSpan <= columns) && d3.range(row, row + cell.rowSpan).every(r=>d3.range(column, column + cell.columnSpan).every(c=>!taken(r, c)));
+			let index = 0;
+			while (!fits(Math.floor(index / columns), index % columns)) index++;
+			cell.row = Math.floor(index / columns);
+			cell.column = index % columns;
+		}
+		cell.row = cell.row || 0;
+		cell.column = cell.column || 0;
+		
+		if (cell.column + cell.columnSpan > columns) throw new Error("The cell doesn't fit in the columns of the dashboard.");
+		if ((this._rows != null) && (cell.row + cell.rowSpan > this._rowCount())) throw new Error("The cell doesn't fit in the rows of the dashboard.");
+		return cell;
+	}
+	
+	_tracks(weights, count, length) {
+		//The sizes of the columns or rows, which share the length left by the gutters
+		if (!Array.isArray(weights)) weights = d3.range(count).map(()=>1);
+		let free = Math.max(0, length - this._gutter * (weights.length - 1));
+		let total = d3.sum(weights);
+		return weights.map(weight=>(free * weight / total));
+	}
+	
+	_cellBounds(cell) {
+		let columns = this._tracks(this._columns, this._columnCount(), this._width);
+		let rows = this._tracks(this._rows, Math.max(this._rowCount(), cell.row + cell.rowSpan), this._height);
+		let start = (tracks, index)=>(d3.sum(tracks.slice(0, index)) + this._gutter * index);
+		let size = (tracks, index, span)=>(d3.sum(tracks.slice(index, index + span)) + this._gutter * (span - 1));
+		return {
+			x: this._x + start(columns, cell.column),
+			y: this._y + start(rows, cell.row),
+			width: size(columns, cell.column, cell.columnSpan),
+			height: size(rows, cell.row, cell.rowSpan)
+		};
+	}
+	
+	_setBounds(bounds) {
+		this._x = bounds.x;
+		this._y = bounds.y;
+		this._width = bounds.width;
+		this._height = bounds.height;
+		this._layout();
+	}
+	
+	_layout() {
+		for (let item of this._items) {
+			let bounds = this._cellBounds(item.cell);
+			if (item.dashboard) {
+				item.dashboard._setBounds(bounds);
+				continue;
+			}
+			
+			let split = Dashboard._split(bounds, item.cell.labelTable);
+			let chart = item.chart;
+			chart.position(split.chart.x, split.chart.y).resize(split.chart.width, split.chart.height);
+			
+			//The label table is inside the tag of the chart, so its position is relative to the origin of the chart
+			let table = item.cell.labelTable ? chart.labelTable() : null;
+			if (table) {
+				let offset = chart._offset();
+				table.position(split.table.x - offset[0], split.table.y - offset[1]).resize(split.table.width, split.table.height);
+			}
+		}
+	}
+	
+	static _split(bounds, labelTable) {
+		//The label table takes a side of the cell, and the chart takes the rest
+		if (!labelTable) return {chart: bounds, table: null};
+		let side = labelTable.side || "right";
+		if (!["left", "right", "top", "bottom"].includes(side)) throw new Error("Invalid label table side: expected left, right, top or bottom.");
+		let horizontal = (side == "left") || (side == "right");
+		let size = Math.min((labelTable.size != null) ? labelTable.size : 100, horizontal ? bounds.width : bounds.height);
+		let chart = Object.assign({}, bounds);
+		let table = Object.assign({}, bounds);
+		if (horizontal) {
+			chart.width -= size;
+			table.width = size;
+			if (side == "left") chart.x += size;
+			else table.x += chart.width;
+		} else {
+			chart.height -= size;
+			table.height = size;
+			if (side == "top") chart.y += size;
+			else table.y += chart.height;
+		}
+		return {chart: chart, table: table};
+	}
+}
+
+//The types of charts added by their names, which are the ones of the specifications. Naming the classes here makes the module of the dashboard create them, so their specifications are also known by Chart.fromSpec().
+Dashboard._chartTypes = {histogram: Histogram, segments: Segments, map: Map, scatterplot: Scatterplot, pie: Pie, starGlyph: StarGlyph, correlation: Correlation};
\ No newline at end of file
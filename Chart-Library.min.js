@@ -1 +1 @@
-class Chart{constructor(container,id,position,margins,dimensions,tagClass){this._container=container;this._id=id;if(position==null||typeof position!="object"){this._x=0;this._y=0}else{this._x=position.x;this._y=position.y}if(margins==null){this._margins={left:10,right:10,top:10,bottom:10}}else if(typeof margins=="number"){this._margins={left:margins,right:margins,top:margins,bottom:margins}}else{this._margins=margins}if(dimensions==null){this._width=container.attr("width")-this._margins.left-this._margins.right;this._height=container.attr("height")-this._margins.top-this._margins.bottom}else{this._width=dimensions.width-this._margins.left-this._margins.right;this._height=dimensions.height-this._margins.top-this._margins.bottom}this._selection=this._container.append("g").attr("id",this._id).attr("class",tagClass).attr("transform","translate("+(this._margins.left+this._x)+","+(this._margins.top+this._y)+")")}container(){return this._container}id(id){if(id){this._id=id;this._selection.attr("id",id);return this}else{return this._id}}position(){return[this._x,this._y]}margins(){return this._margins}width(){return this._width}height(){return this._height}selection(){return this._selection}labelTable(table){if(table)this._labelTable=table;return this._labelTable}clear(){if(this._labelTable){this._labelTable.selection().remove();this._labelTable=null}return this}static genSequence(start,size,end){let output=[];size--;for(let i=0;i<=size;i++){output.push(start+i*(end-start)/size)}return output}static adjustScaleDomain(scale,axis,axisGroup,domain){if(domain)scale.domain(domain);axis.scale(scale);axisGroup.call(axis)}static addIfNull(array,field,value){if(array[field]==null)array[field]=value}static insertAttributesEvents(selection,attributes,onEvents){for(let attrName in attributes){selection.attr(attrName,attributes[attrName])}for(let eventName in onEvents){selection.on(eventName,onEvents[eventName])}}}class Histogram extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"histogramChart");this._xScale=d3.scaleLinear();this._xAxisScale=d3.scaleOrdinal().range([0,this._width]);this._xAxis=d3.axisBottom(this._xAxisScale);this._xAxisGroup=this._selection.append("g").attr("class","xAxis").attr("transform","translate(0,"+this._height+")");this._xAxisGroup.call(this._xAxis);this._yScale=d3.scaleLinear().range([this._height,0]);this._yAxis=d3.axisLeft(this._yScale);this._yAxisGroup=this._selection.append("g").attr("class","yAxis");this._yAxisGroup.call(this._yAxis);this._colSelection=null;this._colorScale=d3.scaleLinear().domain(Chart.genSequence(0,d3.schemeCategory10.length,d3.schemeCategory10.length-1)).range(d3.schemeCategory10)}xScale(){return this._xScale}xAxisScale(scale){if(scale){this._xAxisScale=scale;this._xScale.domain([0,scale.domain().length-3]).range([scale.range()[1],scale.range()[scale.domain().length-2]]);Chart.adjustScaleDomain(this._xAxisScale,this._xAxis,this._xAxisGroup,this._xAxisScale.domain());return this}else{return this._xAxisScale}}yScale(scale){if(scale){this._yScale=scale;Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup,d3.extent(this._yScale.domain()));return this}else{return this._yScale}}colSelection(){return this._colSelection}colorScale(scale){if(scale){this._colorScale=scale;if(this._colSelection!=null)this._colSelection.attr("fill",(d,i)=>this._colorScale(i%scale.range().length));return this}else{return this._colorScale}}setData(dataset,attributes,onEvents){let colWidth=this._width/(this._xAxisScale.domain().length-1);let thisChart=this;Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup,[0,d3.max(dataset)]);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"col"+this._xAxisScale.domain()[i+1]);attributes.class="column";Chart.addIfNull(attributes,"x",(d,i)=>this._xScale(i)-colWidth/2);Chart.addIfNull(attributes,"y",(d,i)=>this._yScale(d));Chart.addIfNull(attributes,"width",colWidth);Chart.addIfNull(attributes,"height",(d,i)=>this._height-this._yScale(d));this._colSelection=this._selection.selectAll(".column").data(dataset).enter().append("rect").attr("fill",(d,i)=>thisChart._colorScale(i%thisChart._colorScale.domain().length));Chart.insertAttributesEvents(this._colSelection,attributes,onEvents);return this}clear(){if(this._colSelection){this._colSelection.remove();this._colSelection=null}return super.clear()}}class Segments extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"segmentsChart");this._xScale=d3.scaleLinear().range([0,this._width]);this._xAxisScale=d3.scaleOrdinal().range([0,this._width]);this._xAxis=d3.axisBottom(this._xAxisScale);this._xAxisGroup=this._selection.append("g").attr("class","xAxis").attr("transform","translate(0,"+this._height+")");this._xAxisGroup.call(this._xAxis);this._yScale=d3.scaleLinear().range([this._height,0]);this._yAxis=d3.axisLeft(this._yScale);this._yAxisGroup=this._selection.append("g").attr("class","yAxis");this._yAxisGroup.call(this._yAxis);this._rangeLayer=this._selection.append("g");this._segLayer=this._selection.append("g");this._dotLayer=this._selection.append("g");this._segSelection=null;this._dotSelection=null;this._rangeSelection=null;this._segPathGenerator=d3.line().x((d,i)=>this._xScale(i)).y((d,i)=>this._yScale(d));this._rangePathGenerator=d3.area().x((d,i)=>this._xScale(i)).y0((d,i)=>this._yScale(d[0])).y1((d,i)=>this._yScale(d[1]));this._dotColorScale=d3.scaleLinear().domain(Chart.genSequence(0,d3.schemeSet1.length,d3.schemeSet1.length-1)).range(d3.schemeSet1);this._rangeColorScale=d3.scaleLinear().domain(Chart.genSequence(0,d3.schemeSet2.length,d3.schemeSet2.length-1)).range(d3.schemeSet2)}xScale(){return this._xScale}xAxisScale(scale){if(scale){this._xAxisScale=scale;this._xScale.domain([0,scale.domain().length-1]);Chart.adjustScaleDomain(this._xAxisScale,this._xAxis,this._xAxisGroup);return this}else{return this._xScale}}yScale(scale){if(scale){this._yScale=scale;Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup);return this}else{return this._yScale}}segSelection(){return this._segSelection}dotSelection(){return this._dotSelection}rangeSelection(){return this._rangeSelection}segPathGenerator(gen){if(gen){this._segPathGenerator=gen;return this}else{return this._segPathGenerator}}rangePathGenerator(gen){if(gen){this._rangePathGenerator=gen;return this}else{return this._rangePathGenerator}}dotColorScale(scale){if(scale){this._dotColorScale=scale;return this}else{return this._dotColorScale}}rangeColorScale(scale){if(scale){this._rangeColorScale=scale;return this}else{return this._rangeColorScale}}setSegments(dataset,attributes,onEvents){let datasetExtent=dataset.map(d=>d3.extent(d));datasetExtent.push(this._yScale.domain());let newDomain=[d3.min(datasetExtent.map(d=>d[0])),d3.max(datasetExtent.map(d=>d[1]))];Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup,newDomain);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"seg"+i);attributes.class="segment";Chart.addIfNull(attributes,"d",(d,i)=>this._segPathGenerator(d));Chart.addIfNull(attributes,"stroke","black");this._segSelection=this._segLayer.selectAll(".segment").data(dataset).enter().append("path").attr("fill","transparent");if(this._dotSelection){this._dotSelection.attr("cx",(d,i)=>this._xScale(i)).attr("cy",(d,i)=>this._yScale(d))}if(this._rangeSelection)this._rangeSelection.attr("d",(d,i)=>this._rangePathGenerator(d));Chart.insertAttributesEvents(this._segSelection,attributes,onEvents);return this}setDots(dataset,attributes,onEvents){let thisChart=this;let datasetExtent=dataset.map(d=>d3.extent(d));datasetExtent.push(this._yScale.domain());let newDomain=[d3.min(datasetExtent.map(d=>d[0])),d3.max(datasetExtent.map(d=>d[1]))];Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup,newDomain);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"r","5px");Chart.addIfNull(attributes,"cx",(d,i)=>this._xScale(i));Chart.addIfNull(attributes,"cy",(d,i)=>this._yScale(d));this._dotSelection=this._dotLayer.selectAll(".dotGroup").data(dataset).enter().append("g").attr("id",(d,i)=>"dotGroup"+i).attr("class","dotGroup").attr("fill",(d,i)=>thisChart._dotColorScale(i%thisChart._dotColorScale.domain().length)).selectAll(".groupDot").data(d=>d).enter().append("circle");if(this._segSelection)this._segSelection.attr("d",(d,i)=>this._segPathGenerator(d));if(this._rangeSelection)this._rangeSelection.attr("d",(d,i)=>this._rangePathGenerator(d));attributes.id=((d,i)=>"dot_"+this._xAxisScale.domain()[i]);attributes.class="groupDot";Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents);return this}setRanges(dataset,attributes,onEvents){let thisChart=this;let datasetExtent=dataset.map(d=>[d3.min(d.map(d=>d[0])),d3.max(d.map(d=>d[1]))]);datasetExtent.push(this._yScale.domain());let newDomain=[d3.min(datasetExtent.map(d=>d[0])),d3.max(datasetExtent.map(d=>d[1]))];Chart.adjustScaleDomain(this._yScale,this._yAxis,this._yAxisGroup,newDomain);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"range"+i);attributes.class="range";Chart.addIfNull(attributes,"d",(d,i)=>this._rangePathGenerator(d));this._rangeSelection=this._rangeLayer.selectAll(".range").data(dataset).enter().append("path").attr("fill",(d,i)=>thisChart._rangeColorScale(i%thisChart._rangeColorScale.domain().length));if(this._dotSelection){this._dotSelection.attr("cx",(d,i)=>this._xScale(i)).attr("cy",(d,i)=>this._yScale(d))}if(this._segSelection)this._segSelection.attr("d",(d,i)=>this._segPathGenerator(d));Chart.insertAttributesEvents(this._rangeSelection,attributes,onEvents);return this}clear(){if(this._dotSelection){this._dotSelection.remove();this._dotSelection=null}if(this._segSelection){this._segSelection.remove();this._segSelection=null}if(this._rangeSelection){this._rangeSelection.remove();this._rangeSelection=null}return super.clear()}}class Map extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"mapChart");this._projection=d3.geoMercator();this._geoPath=d3.geoPath().projection(this._projection);this._fillValue=((d,i)=>1);this._colorScale=d3.scalePow();this._colorScheme=d3.interpolateInferno;this._fillFunction=((d,i)=>this._colorScheme(this._colorScale(this._fillValue(d,i))));this._pathSelection=null;this._dotSelection=null}pathSelection(){return this._pathSelection}dotSelection(){return this._dotSelection}projection(projection){if(projection){this._projection=projection;this._geoPath=d3.geoPath().projection(this._projection);return this}else{return this._projection}}fillValue(func){if(func){this._fillValue=func;return this}else{return this._fillValue}}colorScale(scale){if(scale){this._colorScale=scale;return this}else{return this._colorScale}}colorScheme(scheme){if(scheme){this._colorScheme=scheme;return this}else{return this._colorScheme}}fillFunction(func){if(func){this._fillFunction=func;return this}else if(func===null){this._fillFunction=((d,i)=>this._colorScheme(this._colorScale(this._fillValue(d,i))));return this}else{return this._fillFunction}}setMap(geojson,attributes,onEvents){let thisChart=this;this._projection.fitExtent([[0,0],[this._width,this._height]],geojson);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>d.properties.L1);attributes.class="mapPath";Chart.addIfNull(attributes,"d",(d,i)=>this._geoPath(d.geometry));this._pathSelection=this._selection.selectAll(".mapPath").data(geojson.features).enter().append("path").attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._pathSelection,attributes,onEvents);return this}setData(dataset,attributes,onEvents){let thisChart=this;this._pathSelection.data(dataset).attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._pathSelection,attributes,onEvents);return this}setDots(dataset,attributes,onEvents){let thisChart=this;if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"dot"+i);attributes.class="mapDot";Chart.addIfNull(attributes,"r","3px");Chart.addIfNull(attributes,"cx",10);Chart.addIfNull(attributes,"cy",10);this._dotSelection=this._selection.selectAll(".mapDot").data(dataset).enter().append("circle").attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents);return this}clear(){if(this._pathSelection){this._pathSelection.remove();this._pathSelection=null}if(this._dotSelection){this._dotSelection.remove();this._dotSelection=null}return super.clear()}}class Scatterplot extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"scatterplotChart");this._xScale=d3.scaleLinear().range([0,this._width]);this._xAxisTop=d3.axisTop(this._xScale);this._xAxisTopGroup=this._selection.append("g").attr("class","xAxis");this._xAxisTopGroup.call(this._xAxisTop);this._xAxisBottom=d3.axisBottom(this._xScale);this._xAxisBottomGroup=this._selection.append("g").attr("class","xAxis").attr("transform","translate(0, "+this._height+")");this._xAxisBottomGroup.call(this._xAxisBottom);this._yScale=d3.scaleLinear().range([this._height,0]);this._yAxisLeft=d3.axisLeft(this._yScale);this._yAxisLeftGroup=this._selection.append("g").attr("class","yAxis");this._yAxisLeftGroup.call(this._yAxisLeft);this._yAxisRight=d3.axisRight(this._yScale);this._yAxisRightGroup=this._selection.append("g").attr("class","yAxis").attr("transform","translate("+this._width+", 0)");this._yAxisRightGroup.call(this._yAxisRight);this._dotSelection=null;this._colorScale=d3.scaleLinear().domain(Chart.genSequence(0,d3.schemeCategory10.length,d3.schemeCategory10.length-1)).range(d3.schemeCategory10);this._fillFunction=((d,i)=>this._colorScale(i%this._colorScale.domain().length))}xScale(scale){if(scale){this._xScale=scale;Chart.adjustScaleDomain(this._xScale,this._xAxisTop,this._xAxisTopGroup);Chart.adjustScaleDomain(this._xScale,this._xAxisBottom,this._xAxisBottomGroup);if(this._dotSelection)this._dotSelection.attr("cx",(d,i)=>this._xScale(d[0]));return this}else{return this._xScale}}yScale(scale){if(scale){this._yScale=scale;Chart.adjustScaleDomain(this._yScale,this._yAxisLeft,this._yAxisLeftGroup);Chart.adjustScaleDomain(this._yScale,this._yAxisRight,this._yAxisRightGroup);if(this._dotSelection)this._dotSelection.attr("cy",(d,i)=>this._yScale(d[1]));return this}else{return this._yScale}}dotSelection(){return this._dotSelection}colorScale(scale){if(scale){this._colorScale=scale;return this}else{return this._colorScale}}fillFunction(func){let thisChart=this;if(func)this._fillFunction=func;else if(func===null)this._fillFunction=((d,i)=>this._colorScale(i%this._colorScale.domain().length));else return this._fillFunction;if(this._dotSelection)this._dotSelection.attr("fill",(d,i)=>thisChart._fillFunction(d,i));return this}setData(dataset,attributes,onEvents){let thisChart=this;if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"dot"+i);attributes.class="dot";Chart.addIfNull(attributes,"cx",(d,i)=>this._xScale(d[0]));Chart.addIfNull(attributes,"cy",(d,i)=>this._yScale(d[1]));Chart.addIfNull(attributes,"r","4px");let minMaxX=d3.extent(dataset.map((d,i)=>this._xScale.invert(attributes.cx(d,i))));let minMaxY=d3.extent(dataset.map((d,i)=>this._yScale.invert(attributes.cy(d,i))));Chart.adjustScaleDomain(this._xScale,this._xAxisTop,this._xAxisTopGroup,minMaxX);Chart.adjustScaleDomain(this._xScale,this._xAxisBottom,this._xAxisBottomGroup,minMaxX);Chart.adjustScaleDomain(this._yScale,this._yAxisLeft,this._yAxisLeftGroup,minMaxY);Chart.adjustScaleDomain(this._yScale,this._yAxisRight,this._yAxisRightGroup,minMaxY);this._dotSelection=this._selection.selectAll(".dot").data(dataset).enter().append("circle").attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents);return this}clear(){if(this._dotSelection){this._dotSelection.remove();this._dotSelection=null}return super.clear()}}class Pie extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"pieChart");this._selection.attr("transform","translate("+(this._margins.left+this._width/2)+","+(this._margins.top+this._height/2)+")");this._sliceSelection=null;this._labelSelection=null;this._innerRadius=((d,i)=>0);this._outerRadius=((d,i)=>d3.min([this._width,this._height])/2);this._colorScale=d3.scaleLinear().domain(Chart.genSequence(0,d3.schemeCategory10.length,d3.schemeCategory10.length-1)).range(d3.schemeCategory10)}sliceSelection(){return this._sliceSelection}labelSelection(){return this._labelSelection}innerRadius(func){if(func){this._innerRadius=func;return this}else{return this._innerRadius}}outerRadius(func){if(func){this._outerRadius=func;return this}else{return this._outerRadius}}colorScale(scale){if(scale){this._colorScale=scale;return this}else{return this._colorScale}}setData(dataset,attributes,onEvents){let thisChart=this;this._pieData=d3.pie()(dataset);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"slice"+i);attributes.class="slice";Chart.addIfNull(attributes,"d",(d,i)=>this.genSlice(d,i)());this._sliceSelection=this._selection.selectAll(".slice").data(dataset).enter().append("path").attr("fill",(d,i)=>thisChart._colorScale(i%thisChart._colorScale.domain().length));Chart.insertAttributesEvents(this._sliceSelection,attributes,onEvents);return this}setSliceLabels(labels,attributes,onEvents){let centroids=this._sliceSelection.data().map((d,i)=>this.genSlice(d,i).centroid());if(attributes==null)attributes=[];attributes.class="sliceLabel";Chart.addIfNull(attributes,"x",(d,i)=>centroids[i][0]);Chart.addIfNull(attributes,"y",(d,i)=>centroids[i][1]);Chart.addIfNull(attributes,"text-anchor","middle");Chart.addIfNull(attributes,"dominant-baseline","middle");this._labelSelection=this._selection.selectAll(".sliceLabel").data(labels).enter().append("text").text((d,i)=>d);Chart.insertAttributesEvents(this._labelSelection,attributes,onEvents);return this}genSlice(d,i){return d3.arc().innerRadius(this._innerRadius(d,i)).outerRadius(this._outerRadius(d,i)).startAngle(this._pieData[i].startAngle).endAngle(this._pieData[i].endAngle)}clear(){if(this._sliceSelection){this._sliceSelection.remove();this._sliceSelection=null;this._pieData=null}if(this._labelSelection){this._labelSelection.remove();this._labelSelection=null}return super.clear()}}class StarGlyph extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"starGlyphChart");this._selection.attr("transform","translate("+(this._margins.left+this._width/2)+","+(this._margins.top+this._height/2)+")");this._polygonSelection=null;this._labelSelection=null;this._scales=[];this._pathGenerator=d3.lineRadial().angle((d,i)=>this._getAngle(i)).radius((d,i)=>this._scales[i%this._scales.length](d));this._fillFunction=((d,i)=>"blue")}polygonSelection(){return this._polygonSelection}labelSelection(){return this._labelSelection}pathGenerator(gen){if(gen){this._pathGenerator=gen;return this}else{return this._pathGenerator}}fillFunction(func){if(func){this._fillFunction=func;return this}else{return this._fillFunction}}setScaleDomains(newDomains){this._scales=[];for(let i in newDomains){this._scales[i]=d3.scaleLinear().domain(newDomains[i]).range([0,d3.min([this._width,this._height])/2])}return this}setData(dataset,attributes,onEvents){if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"polygon"+i);attributes.class="polygon";Chart.addIfNull(attributes,"d",(d,i)=>this._pathGenerator(d,i));dataset.push(dataset[0]);this._polygonSelection=this._selection.selectAll(".polygon").data([dataset]).enter().append("path").attr("fill",this._fillFunction);Chart.insertAttributesEvents(this._polygonSelection,attributes,onEvents);return this}setCornerLabels(labels,attributes,onEvents){let radius=d3.min([this._width,this._height])/2+3;if(attributes==null)attributes=[];attributes.class="cornerLabel";Chart.addIfNull(attributes,"x",(d,i)=>Math.sin(this._getAngle(i))*radius);Chart.addIfNull(attributes,"y",(d,i)=>-Math.cos(this._getAngle(i))*radius);Chart.addIfNull(attributes,"text-anchor",(d,i)=>this._getTextAnchor(i));Chart.addIfNull(attributes,"dominant-baseline",(d,i)=>this._getDominantBaseline(i));this._labelSelection=this._selection.selectAll(".cornerLabel").data(labels).enter().append("text").text((d,i)=>d);Chart.insertAttributesEvents(this._labelSelection,attributes,onEvents);return this}_getAngle(i){return 2*Math.PI*i/this._scales.length}_getTextAnchor(i){let sine=Math.sin(this._getAngle(i));return sine<-1e-6?"end":sine>1e-6?"start":"middle"}_getDominantBaseline(i){let cosine=Math.cos(this._getAngle(i));return cosine<-1e-6?"hanging":cosine>1e-6?"baseline":"middle"}clear(){if(this._polygonSelection){this._polygonSelection.remove();this._polygonSelection=null}if(this._labelSelection){this._labelSelection.remove();this._labelSelection=null}return super.clear()}}class Correlation extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"correlationChart");this._rowLabelSelection=null;this._colLabelSelection=null;this._ellipseSelection=null;this._cellSelection=null;this._colorScheme=d3.interpolateRdYlBu}rowLabelSelection(){return this._rowLabelSelection}colLabelSelection(){return this._colLabelSelection}ellipseSelection(){return this._ellipseSelection}cellSelection(){return this._cellSelection}colorScheme(scheme){if(scheme){this._colorScheme=scheme;return this}else{return this._colorScheme}}setLabels(names,attributes,onEvents){if(attributes==null)attributes=[];attributes.class="rowLabel";Chart.addIfNull(attributes,"text-anchor","end");attributes["dominant-baseline"]="hanging";attributes.transform=((d,i)=>"translate(0, "+(i+1/2)*this._height/names.length+")rotate(45)");this._rowLabelSelection=this._selection.selectAll(".rowLabel").data(names).enter().append("text").text(d=>d);Chart.insertAttributesEvents(this._rowLabelSelection,attributes,null);attributes.class="colLabel";attributes["dominant-baseline"]="bottom";attributes.transform=((d,i)=>"translate("+(i+1/2)*this._width/names.length+", 0)rotate(45)");this._colLabelSelection=this._selection.selectAll(".colLabel").data(names).enter().append("text").text(d=>d);Chart.insertAttributesEvents(this._colLabelSelection,attributes,onEvents);return this}setData(dataset,attributes,onEvents){let thisChart=this;let correlations=Correlation.pearson(dataset);let posScale=d3.scaleLinear().domain([-1,0,1]).range([1e-7,1,Math.sqrt(2)]);if(attributes==null)attributes=[];attributes.id=((d,i)=>"ellipse_"+i);attributes.class="groupEllipse";attributes.rx=((d,i)=>posScale(d)*d3.min([this._height,this._width])/(2*dataset[0].length));attributes.ry=((d,i)=>posScale(-d)*d3.min([this._width,this._height])/(2*dataset[0].length));attributes.transform=((d,i)=>"translate("+i*this._width/dataset[0].length+", 0)rotate(-45)");Chart.addIfNull(attributes,"stroke",(d,i)=>thisChart._colorScheme((d+1)/2));let rowTransform=(d,i)=>"translate("+this._width/(2*dataset[0].length)+","+(i+1/2)*this._height/dataset[0].length+")";this._ellipseSelection=this._selection.selectAll(".ellipseGroup").data(correlations).enter().append("g").attr("id",(d,i)=>"ellipseGroup"+i).attr("class","ellipseGroup").attr("transform",rowTransform).selectAll(".groupEllipse").data(d=>d).enter().append("ellipse").attr("fill",(d,i)=>thisChart._colorScheme((d+1)/2));rowTransform=((d,i)=>"translate(0,"+i*this._height/dataset[0].length+")");this._cellSelection=this._selection.selectAll(".rectGroup").data(correlations).enter().append("g").attr("id",(d,i)=>"rectGroup_"+i).attr("class","rectGroup").attr("transform",rowTransform).selectAll(".groupRect").data(d=>d).enter().append("rect").attr("id",(d,i)=>"rect_"+i).attr("class","groupRect").attr("x",(d,i)=>i*this._width/dataset[0].length).attr("width",this._width/dataset[0].length).attr("height",this._height/dataset[0].length).attr("stroke","black").attr("fill","transparent");Chart.insertAttributesEvents(this._ellipseSelection,attributes,null);Chart.insertAttributesEvents(this._cellSelection,null,onEvents);return this}static pearson(dataset){let means=new Array(dataset[0].length);for(let i=0;i<dataset[0].length;i++){means[i]=d3.mean(dataset.map(d=>d[i]))}let output=new Array(dataset[0].length);for(let i=0;i<dataset[0].length;i++){output[i]=new Array(dataset[0].length);for(let j=0;j<dataset[0].length;j++){let covariance=d3.sum(dataset.map(d=>(d[i]-means[i])*(d[j]-means[j])));let stdDeviationI=d3.sum(dataset.map(d=>(d[i]-means[i])*(d[i]-means[i])));let stdDeviationJ=d3.sum(dataset.map(d=>(d[j]-means[j])*(d[j]-means[j])));output[i][j]=covariance/Math.sqrt(stdDeviationI*stdDeviationJ)}}return output}clear(){if(this._rowLabelSelection){this._rowLabelSelection.remove();this._rowLabelSelection=null}if(this._colLabelSelection){this._colLabelSelection.remove();this._colLabelSelection=null}if(this._ellipseSelection){this._ellipseSelection.remove();this._ellipseSelection=null}if(this._cellSelection){this._cellSelection.remove();this._cellSelection=null}return super.clear()}}class LabelTable extends Chart{constructor(chart,id,position,margins,dimensions){super(chart.selection(),id,position,margins,dimensions,"labels");this._chart=chart;this._colorSelection=null;this._textSelection=null;this._border=this._selection.append("rect").attr("class","border").attr("width",this._width).attr("height",this._height).attr("stroke","black").attr("fill","white")}chart(){return this._chart}colorSelection(){return this._colorSelection}textSelection(){return this._textSelection}border(rect){return this._border}setValues(colors,values,colorAttributes,valueAttributes){let thisChart=this;if(colorAttributes==null)colorAttributes=[];colorAttributes["class"]="colorPlot";Chart.addIfNull(colorAttributes,"x",0);Chart.addIfNull(colorAttributes,"y",(d,i)=>i*thisChart._height/colors.length);Chart.addIfNull(colorAttributes,"width",thisChart._height/colors.length);Chart.addIfNull(colorAttributes,"height",thisChart._height/colors.length);this._colorSelection=this._selection.selectAll("colorPlot").data(colors).enter().append("rect").attr("fill",(d,i)=>d);Chart.insertAttributesEvents(this._colorSelection,colorAttributes,null);if(valueAttributes==null)valueAttributes=[];valueAttributes["class"]="colorLabel";Chart.addIfNull(valueAttributes,"x",colorAttributes["width"]+5);Chart.addIfNull(valueAttributes,"y",colorAttributes["y"]);Chart.addIfNull(valueAttributes,"width",thisChart._width-valueAttributes["x"]);Chart.addIfNull(valueAttributes,"height",colorAttributes["height"]);this._textSelection=this._selection.selectAll("colorLabel").data(values).enter().append("text").text(d=>d).attr("dominant-baseline","hanging");Chart.insertAttributesEvents(this._textSelection,valueAttributes,null);return this}}
\ No newline at end of file
+class ChartTheme{static defaultTheme(theme){if(theme)ChartTheme._defaultTheme=ChartTheme.resolve(theme);return ChartTheme._defaultTheme||ChartTheme.themes.light}static resolve(theme,base){if(typeof theme=="string"){if(!ChartTheme.themes[theme])throw new Error('Unknown theme "'+theme+'".');return ChartTheme.themes[theme]}if(theme==null||typeof theme!="object")throw new Error("Invalid theme: expected a name or an object.");base=base||ChartTheme.themes.light;let resolved=Object.assign({},base,theme);resolved.fontSizes=Object.assign({},base.fontSizes,theme.fontSizes);resolved.strokeWidths=Object.assign({},base.strokeWidths,theme.strokeWidths);for(let field of ChartTheme.schemeFields){if(typeof resolved[field]=="string")resolved[field]=d3[resolved[field]];if(resolved[field]==null)throw new Error('Invalid theme field "'+field+'".')}return resolved}static paletteScale(colors){return d3.scaleLinear().domain(d3.range(colors.length)).range(colors)}}ChartTheme.schemeFields=["palette","secondaryPalette","sequential","diverging"];ChartTheme.themes={light:{palette:d3.schemeCategory10,secondaryPalette:d3.schemeSet2,sequential:d3.interpolateInferno,diverging:d3.interpolateRdYlBu,fontFamily:"sans-serif",fontSizes:{axis:10,label:16,title:20},textColor:"#000",axisColor:"#000",gridColor:"#ddd",foreground:"black",strokeWidths:{axis:1,grid:1,mark:1},background:null},dark:{palette:d3.schemeSet3,secondaryPalette:d3.schemePastel2,sequential:d3.interpolateViridis,diverging:d3.interpolateRdYlBu,fontFamily:"sans-serif",fontSizes:{axis:10,label:16,title:20},textColor:"#eee",axisColor:"#bbb",gridColor:"#444",foreground:"#ddd",strokeWidths:{axis:1,grid:1,mark:1},background:"#1e1e1e"},print:{palette:d3.schemeDark2,secondaryPalette:d3.schemePastel1,sequential:d3.interpolateGreys,diverging:d3.interpolatePuOr,fontFamily:"serif",fontSizes:{axis:11,label:14,title:20},textColor:"#000",axisColor:"#000",gridColor:"#bbb",foreground:"black",strokeWidths:{axis:1.5,grid:.5,mark:1.5},background:"white"}};class ChartSpec{static registerType(name,chartClass){if(!ChartSpec._types)ChartSpec._types={};ChartSpec._types[name]=chartClass}static fromSpec(container,spec){let errors=ChartSpec.validateSpec(spec,container);if(errors.length>0)throw new Error("Invalid chart specification. "+errors.join(" "));let chart=new ChartSpec._types[spec.type](container,spec.id,spec.position,spec.margins,spec.dimensions);if(spec.transition)chart.transition(spec.transition.duration,spec.transition.easing&&d3[spec.transition.easing]);if(spec.theme)chart.theme(spec.theme);for(let name of ChartSpec._titles){if(spec[name])chart[name](spec[name])}for(let name in spec.axes)chart.axis(name,spec.axes[name]);chart._applySpec(spec);if(spec.annotations)chart.setAnnotations(spec.annotations);if(spec.labelTable){let table=spec.labelTable;chart.labelTable(new ChartSpec._types.labelTable(chart,table.id,table.position,table.margins,table.dimensions).setValues(table.colors,table.values))}return chart}static toSpec(chart){let spec={type:ChartSpec.typeOf(chart),id:chart._id,position:{x:chart._x,y:chart._y},margins:Object.assign({},chart._margins),dimensions:chart._outerDimensions()};if(chart._duration>0)spec.transition={duration:chart._duration,easing:ChartSpec.d3Name(chart._easing)};if(chart._theme)spec.theme=ChartSpec.themeToSpec(chart._theme);for(let name of ChartSpec._titles){if(chart[name]())spec[name]=chart[name]()}for(let name of chart._axes.names()){let config=chart._axes.changedConfig(name);if(Object.keys(config).length>0)spec.axes=Object.assign(spec.axes||{},{[name]:config})}chart._exportSpec(spec);if(chart._insertions.setAnnotations)spec.annotations=chart._insertions.setAnnotations[0];if(chart._labelTable){spec.labelTable=chart._labelTable.toSpec();delete spec.labelTable.type}return spec}static typeOf(chart){return Object.keys(ChartSpec._types||{}).find(name=>ChartSpec._types[name]===chart.constructor)}static validateSpec(spec,container){let errors=[];if(spec==null||typeof spec!="object")return["Invalid spec: expected an object."];let types=Object.keys(ChartSpec._types||{}).filter(name=>name!="labelTable");let registration="The type of a chart is registered when its class is created, so load its file, call its factory, like createPie(d3), or create all the classes with createLibrary(d3).";if(!types.includes(spec.type)){errors.push('Invalid spec field "type": expected one of the registered types ('+types.join(", ")+"). "+registration)}let isNumber=v=>typeof v=="number"&&isFinite(v);let isMargins=v=>isNumber(v)||typeof v=="object"&&["left","right","top","bottom"].every(side=>isNumber(v[side]));ChartSpec.checkSpec(errors,spec,"id","a string",v=>typeof v=="string");ChartSpec.checkSpec(errors,spec,"position.x","a number",isNumber,spec.position!=null);ChartSpec.checkSpec(errors,spec,"position.y","a number",isNumber,spec.position!=null);ChartSpec.checkSpec(errors,spec,"margins","a number or an object with left, right, top and bottom numbers",isMargins);if(spec.dimensions!=null||!container||!container.attr("width")||!container.attr("height")){ChartSpec.checkSpec(errors,spec,"dimensions.width","a number",isNumber,true);ChartSpec.checkSpec(errors,spec,"dimensions.height","a number",isNumber,true)}ChartSpec.checkSpec(errors,spec,"transition.duration","a number",isNumber,spec.transition!=null);ChartSpec.checkSpec(errors,spec,"transition.easing","the name of a d3 easing",v=>typeof d3[v]=="function"&&v.startsWith("ease"));ChartSpec.checkSpec(errors,spec,"attributes","an object of constants or arrays with the value of each element",v=>typeof v=="object"&&Object.values(v).every(value=>typeof value!="function"));ChartSpec.checkSpec(errors,spec,"key","the name of a field",v=>typeof v=="string"||isNumber(v));ChartSpec.checkSpec(errors,spec,"colorScheme","the name of a d3 color scheme",v=>typeof d3[v]=="function");ChartSpec.checkSpec(errors,spec,"labels","an array",Array.isArray);for(let name of ChartSpec._titles)ChartSpec.checkSpec(errors,spec,name,"a string",v=>typeof v=="string");ChartSpec.checkSpec(errors,spec,"axes","an object with the configurations of the x and y axes",v=>typeof v=="object"&&Object.keys(v).every(name=>["x","y"].includes(name)));for(let name of["x","y"]){if(spec.axes==null||typeof spec.axes[name]!="object")continue;let field="axes."+name+".";let sides=name=="x"?["bottom","top"]:["left","right"];ChartSpec.checkSpec(errors,spec,field+"visible","a boolean",v=>typeof v=="boolean");ChartSpec.checkSpec(errors,spec,field+"orientation",sides.join(", ")+" or both",v=>sides.concat(["both"]).includes(v));ChartSpec.checkSpec(errors,spec,field+"ticks","a number or an array of values",v=>isNumber(v)||Array.isArray(v));ChartSpec.checkSpec(errors,spec,field+"format","a d3 format",v=>{try{d3.format(v);return true}catch(e){return false}});for(let number of["tickSize","labelRotation","padding"])ChartSpec.checkSpec(errors,spec,field+number,"a number",isNumber);ChartSpec.checkSpec(errors,spec,field+"nice","a boolean",v=>typeof v=="boolean");ChartSpec.checkSpec(errors,spec,field+"domain","an array of two values",v=>Array.isArray(v)&&v.length==2);ChartSpec.checkSpec(errors,spec,field+"grid","a boolean",v=>typeof v=="boolean");ChartSpec.checkSpec(errors,spec,field+"minorGrid","a number",isNumber)}ChartSpec.checkSpec(errors,spec,"annotations","an array of annotations with a type among "+ChartSpec._annotationTypes.join(", "),v=>Array.isArray(v)&&v.every(d=>d!=null&&ChartSpec._annotationTypes.includes(d.type)));ChartSpec.checkSpec(errors,spec,"theme","the name of a theme at Chart.themes or a theme object",v=>{try{ChartTheme.resolve(v);return true}catch(e){return false}});for(let name in spec.scales||{}){ChartSpec.checkSpec(errors,spec,"scales."+name+".type",'the name of a d3 scale, like "linear"',v=>typeof v=="string"&&typeof d3["scale"+v[0].toUpperCase()+v.substring(1)]=="function");ChartSpec.checkSpec(errors,spec,"scales."+name+".domain","an array",Array.isArray);ChartSpec.checkSpec(errors,spec,"scales."+name+".range","an array",Array.isArray);ChartSpec.checkSpec(errors,spec,"scales."+name+".scheme","the name of a d3 color scheme or an array of colors",v=>Array.isArray(v)||Array.isArray(d3[v]));ChartSpec.checkSpec(errors,spec,"scales."+name+".interpolator","the name of a d3 interpolator",v=>typeof d3[v]=="function")}if(spec.labelTable!=null){if(!ChartSpec._types||!ChartSpec._types.labelTable)errors.push('Invalid spec field "labelTable": the LabelTable class isn\'t created. '+registration);ChartSpec.checkSpec(errors,spec,"labelTable.colors","an array",Array.isArray,true);ChartSpec.checkSpec(errors,spec,"labelTable.values","an array",Array.isArray,true);ChartSpec.checkSpec(errors,spec,"labelTable.dimensions.width","a number",isNumber,true);ChartSpec.checkSpec(errors,spec,"labelTable.dimensions.height","a number",isNumber,true)}if(types.includes(spec.type))ChartSpec._types[spec.type]._validateSpec(spec,errors);return errors}static scaleFromSpec(spec){let scheme=typeof spec.scheme=="string"?d3[spec.scheme]:spec.scheme;if(spec.type==null&&scheme){return d3.scaleLinear().domain(d3.range(scheme.length)).range(scheme)}let scale=d3["scale"+spec.type[0].toUpperCase()+spec.type.substring(1)](spec.interpolator?d3[spec.interpolator]:undefined);if(spec.exponent!=null)scale.exponent(spec.exponent);if(spec.base!=null)scale.base(spec.base);if(spec.domain)scale.domain(spec.type=="time"?spec.domain.map(d=>new Date(d)):spec.domain);if(spec.range)scale.range(spec.range);else if(scheme)scale.range(scheme);if(spec.padding!=null)scale.padding(spec.padding);if(spec.paddingInner!=null)scale.paddingInner(spec.paddingInner);if(spec.paddingOuter!=null)scale.paddingOuter(spec.paddingOuter);if(spec.nice)scale.nice();if(spec.clamp)scale.clamp(true);return scale}static scaleToSpec(scale){let spec={};if(scale.interpolator&&!scale.range){spec.type="sequential";spec.interpolator=ChartSpec.d3Name(scale.interpolator())}else if(scale.paddingInner){spec.type="band";spec.paddingInner=scale.paddingInner();spec.paddingOuter=scale.paddingOuter()}else if(scale.step){spec.type="point";spec.padding=scale.padding()}else if(scale.quantiles){spec.type="quantile"}else if(scale.invertExtent){spec.type=scale.nice?"quantize":"threshold"}else if(!scale.invert){spec.type="ordinal"}else if(scale.base){spec.type="log";spec.base=scale.base()}else if(scale.exponent){spec.type="pow";spec.exponent=scale.exponent()}else{spec.type=scale.domain()[0]instanceof Date?"time":"linear"}spec.domain=scale.domain().map(d=>d instanceof Date?d.toISOString():d);if(scale.range)spec.range=scale.range().slice();if(scale.clamp&&scale.clamp())spec.clamp=true;return spec}static checkSpec(errors,spec,field,expected,test,required){let value=field.split(".").reduce((object,name)=>object==null?undefined:object[name],spec);if(value==null?required:!test(value)){errors.push('Invalid spec field "'+field+'": expected '+expected+".")}}static checkInsertionSpec(errors,spec,field,expected,test){let isInsertion=v=>Array.isArray(v)||typeof v=="object"&&Array.isArray(v.data);ChartSpec.checkSpec(errors,spec,field,"an array or an object with data, attributes and key fields",isInsertion);if(spec[field]!=null&&isInsertion(spec[field])&&!ChartSpec.insertionFromSpec(spec[field])[0].every(test)){errors.push('Invalid spec field "'+field+'": expected '+expected+".")}}static keyFromSpec(key){return key==null?undefined:d=>d[key]}static attributesFromSpec(attributes){if(attributes==null)return attributes;let output={};for(let name in attributes){let value=attributes[name];output[name]=Array.isArray(value)?(d,i)=>value[i]:value}return output}static attributesToSpec(attributes,selection){if(attributes==null)return undefined;let output={};for(let name in attributes){if(typeof attributes[name]!="function")output[name]=attributes[name];else if(selection)output[name]=selection.nodes().map(node=>node.getAttribute(name))}return output}static themeToSpec(theme){if(typeof theme=="string")return theme;let spec=Object.assign({},theme);for(let field of ChartTheme.schemeFields){if(spec[field]!=null)spec[field]=ChartSpec.d3Name(spec[field])||spec[field]}return ChartSpec.copy(spec)}static insertionToSpec(insertion,selection){if(!insertion)return undefined;let spec={data:ChartSpec.copy(insertion[0])};let attributes=ChartSpec.attributesToSpec(insertion[1],selection);if(attributes)spec.attributes=attributes;return spec}static d3Name(value){return Object.keys(d3).find(name=>d3[name]===value)}static copy(value){return JSON.parse(JSON.stringify(value))}static insertionFromSpec(value){if(value==null)return null;if(Array.isArray(value))return[value,null,null,undefined];return[value.data,ChartSpec.attributesFromSpec(value.attributes),null,ChartSpec.keyFromSpec(value.key)]}}ChartSpec._titles=["title","subtitle","xAxisTitle","yAxisTitle"];ChartSpec._annotationTypes=["line","band","callout","note"];class ChartExport{static toSVGString(chart,options){options=options||{};let namespace="http://www.w3.org/2000/svg";let source=options.container?chart._container.node():chart._selection.node();let document=source.ownerDocument;let svg=d3.select(document.createElementNS(namespace,"svg")).attr("xmlns",namespace).attr("xmlns:xlink","http://www.w3.org/1999/xlink");let box=ChartExport.box(chart,options);svg.attr("width",box[2]).attr("height",box[3]).attr("viewBox",box.join(" "));if(options.background){svg.append("rect").attr("x",box[0]).attr("y",box[1]).attr("width",box[2]).attr("height",box[3]).attr("fill",options.background)}let clones=options.container?Array.from(source.childNodes):[source];let view=document.defaultView;let fonts=new Set;for(let node of clones){let clone=node.cloneNode(true);if(node.nodeType==1)ChartExport._inlineStyles(view,node,clone,null,fonts);svg.node().appendChild(clone)}svg.selectAll("[aria-describedby]").each(function(){let ids=this.getAttribute("aria-describedby").split(/\s+/).filter(id=>id&&svg.select('[id="'+id+'"]').node());if(ids.length>0)this.setAttribute("aria-describedby",ids.join(" "));else this.removeAttribute("aria-describedby")});let fontRules=[];for(let sheet of Array.from(document.styleSheets||[])){let rules;try{rules=Array.from(sheet.cssRules||[])}catch(e){continue}for(let rule of rules){if(rule.style&&rule.cssText.startsWith("@font-face")&&fonts.has(rule.style.getPropertyValue("font-family").replace(/["']/g,"").trim())){fontRules.push(rule.cssText)}}}if(fontRules.length>0)svg.insert("defs",":first-child").append("style").text(fontRules.join("\n"));let serializer=new view.XMLSerializer;return'<?xml version="1.0" encoding="UTF-8" standalone="no"?>\n'+serializer.serializeToString(svg.node())}static toImage(chart,options){options=Object.assign({scale:1,type:"image/png"},options);let svg=ChartExport.toSVGString(chart,{container:options.container,background:options.background});let box=ChartExport.box(chart,options);let rasterizer=options.rasterizer||ChartExport.rasterizer();return Promise.resolve(rasterizer(svg,{width:box[2],height:box[3],scale:options.scale,document:chart._selection.node().ownerDocument})).then(canvas=>canvas.toDataURL(options.type))}static rasterizer(rasterizer){if(rasterizer)ChartExport._rasterizer=rasterizer;return ChartExport._rasterizer||ChartExport.canvasRasterizer}static canvasRasterizer(svg,options){let view=options.document.defaultView;let canvas=options.document.createElement("canvas");if(!view.Image||!canvas.getContext||!canvas.getContext("2d")){return Promise.reject(new Error("The chart can't be rasterized without the support of canvas. Set a rasterizer with Chart.rasterizer(), like Chart.nodeCanvasRasterizer()."))}return new Promise((resolve,reject)=>{let image=new view.Image;image.onload=()=>resolve(ChartExport._drawImage(canvas,image,options));image.onerror=()=>reject(new Error("The chart couldn't be rasterized."));image.src="data:image/svg+xml;charset=utf-8,"+encodeURIComponent(svg)})}static nodeCanvasRasterizer(canvasModule){return(svg,options)=>Promise.resolve(canvasModule.loadImage(Buffer.from(svg))).then(image=>ChartExport._drawImage(canvasModule.createCanvas(1,1),image,options))}static box(chart,options){if(options&&options.container){let bounds=chart._container.node().getBoundingClientRect();return[0,0,+chart._container.attr("width")||bounds.width,+chart._container.attr("height")||bounds.height]}let margins=chart._plotMargins();let dimensions=chart._outerDimensions();let corners=[[chart._x,chart._y],[chart._x+dimensions.width,chart._y+dimensions.height]];if(chart._labelTable){let origin=chart._origin();let table=chart._labelTable;let x=chart._x+margins.left+origin[0]+table._x;let y=chart._y+margins.top+origin[1]+table._y;let tableDimensions=table._outerDimensions();corners.push([x,y],[x+tableDimensions.width,y+tableDimensions.height])}let minimum=[d3.min(corners,d=>d[0]),d3.min(corners,d=>d[1])];return[minimum[0],minimum[1],d3.max(corners,d=>d[0])-minimum[0],d3.max(corners,d=>d[1])-minimum[1]]}static _inlineStyles(view,source,clone,parentStyle,fonts){let style=view.getComputedStyle(source);let inherited=["fill","fill-opacity","fill-rule","stroke","stroke-width","stroke-opacity","stroke-dasharray","stroke-linecap","stroke-linejoin","font-family","font-size","font-style","font-weight","text-anchor","dominant-baseline","visibility","color"];let notInherited={opacity:"1",display:"inline"};let declarations=[];for(let name of inherited){let value=style.getPropertyValue(name);if(value&&(parentStyle==null||value!=parentStyle.getPropertyValue(name)))declarations.push(name+":"+value)}for(let name in notInherited){let value=style.getPropertyValue(name);if(value&&value!=notInherited[name])declarations.push(name+":"+value)}if(declarations.length>0)clone.setAttribute("style",declarations.join(";"));let family=style.getPropertyValue("font-family");if(family)family.split(",").forEach(name=>fonts.add(name.replace(/["']/g,"").trim()));for(let i=0;i<source.children.length;i++){ChartExport._inlineStyles(view,source.children[i],clone.children[i],style,fonts)}}static _drawImage(canvas,image,options){canvas.width=Math.ceil(options.width*options.scale);canvas.height=Math.ceil(options.height*options.scale);let context=canvas.getContext("2d");context.scale(options.scale,options.scale);context.drawImage(image,0,0,options.width,options.height);return canvas}}class Chart{constructor(container,id,position,margins,dimensions,tagClass){this._container=container;this._id=id;if(position==null||typeof position!="object"){this._x=0;this._y=0}else{this._x=position.x;this._y=position.y}if(margins==null){this._margins={left:10,right:10,top:10,bottom:10}}else if(typeof margins=="number"){this._margins={left:margins,right:margins,top:margins,bottom:margins}}else{this._margins=margins}if(dimensions==null){this._width=container.attr("width")-this._margins.left-this._margins.right;this._height=container.attr("height")-this._margins.top-this._margins.bottom}else{this._width=dimensions.width-this._margins.left-this._margins.right;this._height=dimensions.height-this._margins.top-this._margins.bottom}this._selection=this._container.append("g").attr("id",this._id).attr("class",tagClass).attr("transform","translate("+(this._margins.left+this._x)+","+(this._margins.top+this._y)+")");this._duration=0;this._easing=d3.easeCubic;this._insertions={};this._redrawing=false;this._resizeObserver=null;this._tooltip=null;this._theme=null;this._titles=new ChartTitles(this);this._axes=new ChartAxes(this);this._annotations=new AnnotationLayer(this);this._lasso=new Lasso(this);this._coordinator=null;this._scaleLinks=[];this._linkedDomains={};this._dispatch=d3.dispatch.apply(null,Chart._eventTypes);this._accessibility=new ChartAccessibility(this);this._keyboardNavigation=new KeyboardNavigation(this)}container(){return this._container}id(id){if(id){this._id=id;this._selection.attr("id",id);this._accessibility.update();return this}else{return this._id}}position(x,y){if(x!=null&&y!=null){this._x=x;this._y=y;this._selection.attr("transform","translate("+this._offset()+")");return this}else{return[this._x,this._y]}}margins(){return this._margins}width(){return this._width}height(){return this._height}selection(){return this._selection}labelTable(table){if(table)this._labelTable=table;return this._labelTable}tooltip(tooltip){if(tooltip){if(this._tooltip&&this._tooltip!==tooltip)this._tooltip.remove();this._tooltip=tooltip;this._marksChanged()}return this._tooltip}accessibility(options){if(options){this._accessibility.settings(options);this._keyboardNavigation.update();return this}else{return this._accessibility.settings()}}dataTable(){return this._accessibility.table()}describe(options){options=options||{};let format={number:options.format||(value=>value.toLocaleString(options.locale,{maximumFractionDigits:2})),percentage:value=>value.toLocaleString(options.locale,{style:"percent",maximumFractionDigits:1})};return[this._accessibility.label()+"."].concat(this._describe(format)).join(" ")}theme(theme){if(theme){ChartTheme.resolve(theme);this._theme=theme;this._applyTheme();this._redraw();if(this._labelTable)this._labelTable.theme(theme);if(this._tooltip)this._tooltip._applyTheme();return this}else{let defaultTheme=ChartTheme.defaultTheme();return this._theme?ChartTheme.resolve(this._theme,defaultTheme):defaultTheme}}title(text){return this._title("title",text)}subtitle(text){return this._title("subtitle",text)}xAxisTitle(text){return this._title("xAxisTitle",text)}yAxisTitle(text){return this._title("yAxisTitle",text)}_title(name,text){if(text!=null){this._titles.text(name,text);return this}else{return this._titles.text(name)}}axis(name,config){if(!this._axes.has(name))throw new Error("The chart has no "+name+" axis.");if(config){this._axes.config(name,config);this._redraw();return this}else{return this._axes.config(name)}}on(typenames,listener){if(listener!==undefined){this._dispatch.on(typenames,listener);return this}else{return this._dispatch.on(typenames)}}lasso(enabled){if(enabled==null)return this._lasso.enabled();if(!enabled){this._lasso.disable();return this}let marks=this._lassoMarks();if(marks==null)throw new Error("This type of chart doesn't support the lasso.");this._lasso.enable(marks);return this}setLasso(polygon){if(!this._lasso.enabled())throw new Error("The lasso of the chart must be enabled.");this._lasso.set(polygon);return this}clearLasso(){if(this._lasso.enabled())this._lasso.set(null);return this}setAnnotations(annotations,attributes,onEvents,key){if(!this._supportsAnnotations())throw new Error("The chart doesn't support annotations.");this._storeInsertion("setAnnotations",arguments);if(attributes==null)attributes=[];attributes.class="annotation";Chart.addIfNull(attributes,"stroke",this.theme().foreground);this._annotations.set(annotations,attributes,onEvents,key);return this}resize(width,height){if(width==null)width=this._container.attr("width");if(height==null)height=this._container.attr("height");let previousWidth=this._width;let previousHeight=this._height;let margins=this._plotMargins();this._width=width-margins.left-margins.right;this._height=height-margins.top-margins.bottom;this._layout(previousWidth,previousHeight);this._redraw();return this}autoResize(enabled){let node=this._container.node();let view=d3.select(node.ownerDocument.defaultView);let onResize=()=>{let box=node.getBoundingClientRect();this.resize(box.width-this._x,box.height-this._y)};if(this._resizeObserver)this._resizeObserver.disconnect();this._resizeObserver=null;view.on("resize."+this._id,null);if(enabled){if(typeof ResizeObserver!="undefined"){this._resizeObserver=new ResizeObserver(onResize);this._resizeObserver.observe(node)}else{view.on("resize."+this._id,onResize)}}return this}toSpec(){return ChartSpec.toSpec(this)}toSVGString(options){return ChartExport.toSVGString(this,options)}toImage(options){return ChartExport.toImage(this,options)}_applySpec(spec){}_exportSpec(spec){}_layout(previousWidth,previousHeight){this._selection.attr("transform","translate("+this._offset()+")");this._layoutBackground();this._titles.layout()}_addAxis(name,scale,orientation){this._axes.add(name,scale,orientation)}_setAxisScale(name,scale){this._axes.setScale(name,scale);this._annotations.layout()}_axisDomain(name){return this._axes.domain(name)}_scaleDomains(){let domains={};for(let name of this._axes.names()){if(this._axes.scale(name).invert)domains[name]=this._axisDomain(name)}return domains}_shareDomains(domains){this._linkDomains(domains);for(let name in domains){if(this._axes.has(name)&&this._axes.scale(name).invert)this._updateAxis(name,this._axisDomain(name))}this._redraw()}_linkDomains(domains){for(let name in domains){if(domains[name])this._linkedDomains[name]=domains[name].slice();else delete this._linkedDomains[name]}}_updateAxis(name,domain){this._axes.update(name,domain);this._annotations.layout()}_supportsAnnotations(){return this._axes.has("x")}_annotationScale(name){let scale=this._axes.scale(name);let offset=scale.bandwidth?scale.bandwidth()/2:0;return value=>scale(value)+offset}_annotationPoint(x,y){return[this._annotationScale("x")(x),this._annotationScale("y")(y)]}_annotationLine(name,value){let position=this._annotationScale(name)(value);return name=="x"?[[position,0],[position,this._height]]:[[0,position],[this._width,position]]}_offset(){let origin=this._origin();let margins=this._plotMargins();return[margins.left+this._x+origin[0],margins.top+this._y+origin[1]]}_plotMargins(){return this._titles.margins()}_outerDimensions(){let margins=this._plotMargins();return{width:this._width+margins.left+margins.right,height:this._height+margins.top+margins.bottom}}_origin(){return[0,0]}_layoutBackground(){let origin=this._origin();let margins=this._plotMargins();let dimensions=this._outerDimensions();this._selection.select(".chartBackground").attr("x",-margins.left-origin[0]).attr("y",-margins.top-origin[1]).attr("width",dimensions.width).attr("height",dimensions.height)}_applyTheme(){let theme=this.theme();this._selection.attr("font-family",theme.fontFamily).attr("font-size",theme.fontSizes.label).attr("fill",theme.textColor);let background=this._selection.selectAll(".chartBackground").data(theme.background?[theme.background]:[]);background.exit().remove();background.enter().insert("rect",":first-child").attr("class","chartBackground").merge(background).attr("fill",d=>d);this._layoutBackground();this._titles.update();this._accessibility.labelChart();let thisChart=this;this._selection.selectAll(".xAxis, .yAxis").each(function(){thisChart._styleAxis(d3.select(this))});for(let name of this._axes.names())this._axes.updateGrid(name)}_styleAxis(axisGroup){let theme=this.theme();axisGroup.attr("font-family",theme.fontFamily).attr("font-size",theme.fontSizes.axis);axisGroup.selectAll(".domain, .tick line").attr("stroke",theme.axisColor).attr("stroke-width",theme.strokeWidths.axis);axisGroup.selectAll(".tick text").attr("fill",theme.textColor)}_marks(){return[]}_findMark(node){let found=null;for(let marks of this._marks()){if(marks.selection)marks.selection.each(function(d,i){if(this===node)found=Chart._mark(marks,d,i,this)});if(found)return found}return null}_markList(){let list=[];for(let marks of this._marks()){if(marks.selection)marks.selection.each(function(d,i){list.push(Chart._mark(marks,d,i,this))})}return list}_describe(format){return[]}_lassoMarks(){return null}_emitSelection(selection,selected,fields){let data=[];let indices=[];if(selection){selection.each((d,i)=>{if(selected(d,i)){data.push(d);indices.push(i)}})}this._dispatch.call("select",this,Object.assign({data:data,indices:indices},fields))}_highlight(selection,selected){selection.classed("selected",(d,i)=>selected!=null&&selected(d,i)).attr("opacity",(d,i)=>selected==null||selected(d,i)?null:.25)}_marksChanged(){this._annotations.raise();this._lasso.layout();if(this._coordinator)this._coordinator._highlightChart(this);for(let link of this._scaleLinks)link._update(false);this._accessibility.update();this._keyboardNavigation.update()}_storeInsertion(name,args){this._insertions[name]=Array.from(args).map(arg=>arg!=null&&typeof arg=="object"&&!Array.isArray(arg)?Object.assign({},arg):arg)}_redraw(){this._redrawing=true;try{this._accessibility.batch(()=>{for(let name in this._insertions){this[name].apply(this,this._insertions[name])}})}finally{this._redrawing=false}}transition(duration,easing){if(duration!=null){this._duration=duration;if(easing)this._easing=easing;return this}else{return{duration:this._duration,easing:this._easing}}}_animate(selection,name){if(this._duration>0)return selection.transition(name).duration(this._duration).ease(this._easing);return selection}clear(){if(this._labelTable){this._labelTable.selection().remove();this._labelTable=null}if(this._tooltip)this._tooltip.hide();this._annotations.remove();this._insertions={};this._accessibility.update();return this}static registerType(name,chartClass){ChartSpec.registerType(name,chartClass)}static rasterizer(rasterizer){return ChartExport.rasterizer(rasterizer)}static nodeCanvasRasterizer(canvasModule){return ChartExport.nodeCanvasRasterizer(canvasModule)}static defaultTheme(theme){return ChartTheme.defaultTheme(theme)}static fromSpec(container,spec){return ChartSpec.fromSpec(container,spec)}static validateSpec(spec,container){return ChartSpec.validateSpec(spec,container)}static scaleFromSpec(spec){return ChartSpec.scaleFromSpec(spec)}static scaleToSpec(scale){return ChartSpec.scaleToSpec(scale)}static _validateSpec(spec,errors){}static genSequence(start,size,end){let output=[];size--;for(let i=0;i<=size;i++){output.push(start+i*(end-start)/size)}return output}static adjustScaleDomain(scale,axis,axisGroup,domain,chart){if(domain)scale.domain(domain);axis.scale(scale);(chart?chart._animate(axisGroup):axisGroup).call(axis);if(chart)chart._styleAxis(axisGroup)}static addIfNull(array,field,value){if(array[field]==null)array[field]=value}static formatTemplate(template,fields){return template.replace(/\{(\w+)(?::([^}]+))?\}/g,(match,name,specifier)=>{let value=fields[name];if(value==null)return"";if(typeof value!="number")return value;return d3.format(specifier||",")(value)})}static joinData(parent,selector,tagName,dataset,key,onEnter,onExit){let update=parent.selectAll(selector).data(dataset,key);let exit=update.exit().classed(selector.substring(1),false);if(onExit)onExit(exit);else exit.remove();let enter=update.enter().append(tagName).attr("class",selector.substring(1));if(onEnter)onEnter(enter);return enter.merge(update).order()}static interpolatePath(start,end){if(!start||!end)return t=>end;let startCommands=start.match(/[a-z][^a-z]*/gi);let endCommands=end.match(/[a-z][^a-z]*/gi);let isPolyline=commands=>commands.every((c,i)=>c[0]==(i==0?"M":"L"));if(isPolyline(startCommands)&&isPolyline(endCommands)){let pad=(commands,size)=>commands.concat(d3.range(size-commands.length).map(()=>"L"+commands[commands.length-1].substring(1)));let size=d3.max([startCommands.length,endCommands.length]);startCommands=pad(startCommands,size);endCommands=pad(endCommands,size)}if(startCommands.map(c=>c[0]).join("")!=endCommands.map(c=>c[0]).join(""))return t=>end;let interpolator=d3.interpolateString(startCommands.join(""),endCommands.join(""));return t=>t<1?interpolator(t):end}static insertAttributesEvents(selection,attributes,onEvents,transition){let animated=transition!=null&&transition!==selection;for(let attrName in attributes){let value=attributes[attrName];if(!animated||attrName=="id"||attrName=="class"){selection.attr(attrName,value)}else if(attrName=="d"){let paths=d3.local();selection.each(function(d,i,nodes){paths.set(this,typeof value=="function"?value.call(this,d,i,nodes):value)});transition.attrTween(attrName,function(){return Chart.interpolatePath(this.getAttribute("d"),paths.get(this))})}else{transition.attr(attrName,value)}}for(let eventName in onEvents){selection.on(eventName,onEvents[eventName])}}static _mark(marks,d,i,node){return{node:node,datum:d,index:i,fields:marks.fields(d,i,node),template:marks.template,focusable:marks.focusable!==false}}static _describeExtremes(items,name,format){if(items.length==0)return[];let count=items.length+" "+name+(items.length==1?"":"s");let highest=items.reduce((a,b)=>b.value>a.value?b:a);let lowest=items.reduce((a,b)=>b.value<a.value?b:a);if(highest.value==lowest.value)return["It has "+count+", all with "+format.number(highest.value)+"."];return["It has "+count+". The highest is "+highest.label+", with "+format.number(highest.value)+", and the lowest is "+lowest.label+", with "+format.number(lowest.value)+"."]}static _markContent(template,mark){return String(typeof template=="function"?template(mark.fields,mark.datum,mark.index):Chart.formatTemplate(template,mark.fields))}static _unionDomains(charts){let domains={};for(let chart of charts){let chartDomains=chart._scaleDomains();for(let name in chartDomains)domains[name]=d3.extent((domains[name]||[]).concat(chartDomains[name]))}return domains}}Chart._eventTypes=["zoom","select"];Chart.themes=ChartTheme.themes;class ChartAccessibility{constructor(chart){this._chart=chart;this._settings={label:null,description:null,markLabel:null,dataTable:true,keyboard:true};this._generatedId="chart"+ChartAccessibility._nextId++;this._table=null;this._rowKeys=new WeakMap;this._nextRowKey=0;this._batchDepth=0;this._pending=false;chart._selection.attr("role","graphics-document");this.labelChart()}settings(options){if(options){Object.assign(this._settings,options);this.update()}return Object.assign({},this._settings)}table(){return this._table}update(){if(this._batchDepth>0){this._pending=true;return}this.labelChart();this._labelMarks();this._updateTable()}batch(callback){this._batchDepth++;try{callback()}finally{this._batchDepth--;if(this._batchDepth==0&&this._pending){this._pending=false;this.update()}}}labelChart(){let selection=this._chart._selection;let label=this.label();let description=this._settings.description;selection.attr("aria-label",label);let desc=selection.selectAll(function(){return Array.from(this.children).filter(node=>node.tagName=="desc")}).data(description?[description]:[]);desc.exit().remove();desc.enter().append("desc").merge(desc).attr("id",this.id()+"Description").text(d=>d).lower();let title=selection.selectAll(function(){return Array.from(this.children).filter(node=>node.tagName=="title")}).data([label]);title.enter().append("title").merge(title).text(d=>d).lower()}label(){let type=ChartSpec.typeOf(this._chart)||"chart";return this._settings.label||type[0].toUpperCase()+type.substring(1).replace(/[A-Z]/g,c=>" "+c.toLowerCase())+" chart"}id(){return this._chart._id||this._generatedId}remove(){if(this._table)this._table.remove();this._table=null}_labelMarks(){let chart=this._chart;for(let mark of chart._markList()){let label=Chart._markContent(this._settings.markLabel||mark.template,mark).replace(/\n/g,", ");let title=d3.select(mark.node).attr("role","graphics-symbol").attr("aria-label",label).selectAll("title").data(chart._tooltip?[]:[label]);title.exit().remove();title.enter().append("title").merge(title).text(d=>d)}}_updateTable(){let selection=this._chart._selection;let id=this.id();let description=this._settings.description?id+"Description":null;let root=selection.node().ownerSVGElement;if(!this._settings.dataTable||!root||!root.parentNode){this.remove();selection.attr("aria-describedby",description);return}if(!this._table){let table=root.ownerDocument.createElement("table");root.parentNode.insertBefore(table,root.nextSibling);this._table=d3.select(table).attr("class","chartDataTable").attr("style","position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;");this._table.append("caption");this._table.append("thead").append("tr");this._table.append("tbody")}this._table.attr("id",id+"DataTable");ChartAccessibility._setText(this._table.select("caption").node(),selection.attr("aria-label"));selection.attr("aria-describedby",(description?description+" ":"")+id+"DataTable");let data=this._chart._markList().filter(mark=>mark.focusable).map(mark=>{if(!this._rowKeys.has(mark.node))this._rowKeys.set(mark.node,this._nextRowKey++);return{key:this._rowKeys.get(mark.node),fields:mark.fields}});let columns=[];for(let row of data){for(let name in row.fields){if(!columns.includes(name)&&name!="index")columns.push(name)}}let cellText=value=>value==null?"":Array.isArray(value)?value.join(", "):typeof value=="number"?d3.format(",")(value):String(value);Chart.joinData(this._table.select("thead tr"),".columnHeader","th",columns,d=>d,enter=>enter.attr("scope","col").text(d=>d));Chart.joinData(this._table.select("tbody"),".dataRow","tr",data,d=>d.key).each(function(row){Chart.joinData(d3.select(this),".dataCell","td",columns.map(name=>cellText(row.fields[name]))).each(function(text){ChartAccessibility._setText(this,text)})})}static _setText(node,text){if(node.textContent!=text)node.textContent=text}}ChartAccessibility._nextId=0;class KeyboardNavigation{constructor(chart){this._chart=chart;this._focusedNode=null;let node=chart._selection.node();node.addEventListener("keydown",event=>this._onKeyDown(event));node.addEventListener("focusin",event=>this._onFocus(event,"mouseover"));node.addEventListener("focusout",event=>this._onFocus(event,"mouseout"))}enabled(){return this._chart._accessibility.settings().keyboard}update(){let marks=[].concat(...this.rows());if(!this.enabled()){for(let mark of marks)mark.node.removeAttribute("tabindex");return}let current=marks.find(mark=>mark.node===this._focusedNode)||marks[0];for(let mark of marks)mark.node.setAttribute("tabindex",mark===current?0:-1)}rows(){let rows=[];for(let marks of this._chart._marks()){if(!marks.selection||marks.focusable===false)continue;let groupRows=[];marks.selection.each(function(d,i){let mark=Chart._mark(marks,d,i,this);let row=marks.row?marks.row(mark):0;if(!groupRows[row])groupRows[row]=[];groupRows[row].push(mark)});for(let row of groupRows){if(row)rows.push(marks.sort?row.sort(marks.sort):row)}}return rows}_onFocus(event,eventName){if(!this.enabled()||this._chart._findMark(event.target)==null)return;if(eventName=="mouseover"){this._focusedNode=event.target;this.update()}d3.select(event.target).dispatch(eventName,{bubbles:true})}_onKeyDown(event){if(!this.enabled())return;let rows=this.rows();let row=rows.findIndex(marks=>marks.some(mark=>mark.node===event.target));if(row<0)return;let column=rows[row].findIndex(mark=>mark.node===event.target);let vertical=rows.length>1;let next={row:row,column:column};switch(event.key){case"ArrowRight":next.column++;break;case"ArrowLeft":next.column--;break;case"ArrowDown":if(vertical)next.row++;else next.column++;break;case"ArrowUp":if(vertical)next.row--;else next.column--;break;case"Home":next.column=0;break;case"End":next.column=rows[row].length-1;break;case"Enter":case" ":event.preventDefault();d3.select(event.target).dispatch("click");return;default:return}event.preventDefault();next.row=Math.max(0,Math.min(next.row,rows.length-1));next.column=Math.max(0,Math.min(next.column,rows[next.row].length-1));rows[next.row][next.column].node.focus()}}class ChartTitles{constructor(chart){this._chart=chart;this._texts={title:null,subtitle:null,xAxisTitle:null,yAxisTitle:null};this._space={left:0,right:0,top:0,bottom:0}}text(name,text){if(text!=null){this._texts[name]=text||null;this.update()}return this._texts[name]}margins(){let margins=this._chart._margins;return{left:margins.left+this._space.left,right:margins.right+this._space.right,top:margins.top+this._space.top,bottom:margins.bottom+this._space.bottom}}update(){let sizes=this._sizes();let line=name=>this._texts[name]?sizes[name]*1.5:0;let space={left:line("yAxisTitle"),right:0,top:line("title")+line("subtitle"),bottom:line("xAxisTitle")};if(Object.keys(space).some(side=>space[side]!=this._space[side])){let dimensions=this._chart._outerDimensions();this._space=space;this._chart.resize(dimensions.width,dimensions.height)}else{this.layout()}}layout(){let chart=this._chart;let sizes=this._sizes();let origin=chart._origin();let top=-chart._margins.top-this._space.top;let titles=[{name:"title",className:"chartTitle",x:chart._width/2,y:top+sizes.title,weight:"bold"},{name:"subtitle",className:"chartSubtitle",x:chart._width/2,y:top+(this._texts.title?sizes.title*1.5:0)+sizes.subtitle},{name:"xAxisTitle",className:"xAxisTitle",x:chart._width/2,y:chart._height+chart._margins.bottom+sizes.xAxisTitle*1.1},{name:"yAxisTitle",className:"yAxisTitle",x:-chart._margins.left-sizes.yAxisTitle*.4,y:chart._height/2,rotate:true}];for(let title of titles){Chart.joinData(chart._selection,"."+title.className,"text",this._texts[title.name]?[this._texts[title.name]]:[]).attr("text-anchor","middle").attr("font-size",sizes[title.name]).attr("font-weight",title.weight||null).attr("transform","translate("+(title.x-origin[0])+","+(title.y-origin[1])+")"+(title.rotate?"rotate(-90)":"")).text(d=>d)}}_sizes(){let fontSizes=this._chart.theme().fontSizes;return{title:fontSizes.title,subtitle:fontSizes.label,xAxisTitle:fontSizes.label,yAxisTitle:fontSizes.label}}}class ChartAxes{constructor(chart){this._chart=chart;this._axes={};this._gridLayer=null}has(name){return this._axes[name]!=null}names(){return Object.keys(this._axes)}scale(name){return this._axes[name].scale}add(name,scale,orientation){let defaults={visible:true,orientation:orientation,ticks:null,format:null,tickSize:6,labelRotation:0,nice:false,padding:0,domain:null,grid:false,minorGrid:0};this._axes[name]={scale:scale,dataDomain:scale.domain(),config:Object.assign({},defaults),defaults:defaults,sides:{}};this.update(name)}config(name,config){let axis=this._axes[name];if(config){let sides=ChartAxes.sides(name);if(config.orientation!=null&&!sides.concat(["both"]).includes(config.orientation)){throw new Error("Invalid orientation of the "+name+" axis: expected "+sides.join(", ")+" or both.")}Object.assign(axis.config,config);this.update(name,axis.dataDomain)}return Object.assign({},axis.config)}changedConfig(name){let axis=this._axes[name];let config={};for(let field in axis.config){if(axis.config[field]!==axis.defaults[field]&&typeof axis.config[field]!="function")config[field]=axis.config[field]}return config}setScale(name,scale){this._axes[name].scale=scale;this._axes[name].dataDomain=scale.domain();this.update(name)}domain(name){return this._axes[name].dataDomain}update(name,domain){let chart=this._chart;let axis=this._axes[name];let config=axis.config;let scale=axis.scale;if(domain){axis.dataDomain=domain.slice();let fixedDomain=config.domain||chart._linkedDomains[name];if(scale.invert&&fixedDomain){scale.domain(fixedDomain)}else if(scale.invert&&domain.length==2){let extent=domain[1]-domain[0];if(config.padding&&!isNaN(extent))domain=[domain[0]-extent*config.padding,domain[1]+extent*config.padding];scale.domain(domain);if(config.nice&&scale.nice)scale.nice(typeof config.ticks=="number"?config.ticks:undefined)}else{scale.domain(domain)}}let sides=ChartAxes.sides(name);let shown=!config.visible?[]:config.orientation=="both"?sides:[config.orientation];for(let side of sides){if(!axis.sides[side]&&!shown.includes(side))continue;if(!axis.sides[side]){axis.sides[side]={axis:d3["axis"+side[0].toUpperCase()+side.substring(1)](),group:chart._selection.append("g").attr("class",name+"Axis")}}let entry=axis.sides[side];entry.axis.scale(scale).tickSize(config.tickSize).tickArguments(typeof config.ticks=="number"?[config.ticks]:[]).tickValues(Array.isArray(config.ticks)?config.ticks:null).tickFormat(typeof config.format=="string"?d3.format(config.format):config.format);entry.group.style("display",shown.includes(side)?null:"none").attr("transform",side=="bottom"?"translate(0,"+chart._height+")":side=="right"?"translate("+chart._width+",0)":null);Chart.adjustScaleDomain(scale,entry.axis,entry.group,null,chart);ChartAxes._rotateTickLabels(entry.group,side,config)}this.updateGrid(name)}updateGrid(name){let chart=this._chart;let axis=this._axes[name];let config=axis.config;let scale=axis.scale;if(!this._gridLayer){if(!config.grid)return;this._gridLayer=chart._selection.insert("g",":first-child").attr("class","grid");chart._selection.select(".chartBackground").lower()}let major=[];let minor=[];if(config.grid){major=Array.isArray(config.ticks)?config.ticks:scale.ticks?scale.ticks(typeof config.ticks=="number"?config.ticks:10):scale.domain();if(config.minorGrid>0&&scale.invert){for(let i=1;i<major.length;i++){for(let j=1;j<=config.minorGrid;j++)minor.push(major[i-1]+(major[i]-major[i-1])*j/(config.minorGrid+1))}}}let theme=chart.theme();let offset=scale.bandwidth?scale.bandwidth()/2:0;let position=d=>scale(d)+offset;let layer=Chart.joinData(this._gridLayer,"."+name+"Grid","g",[name]);for(let lines of[{className:"gridLine",values:major,opacity:1},{className:"minorGridLine",values:minor,opacity:.5}]){let attributes=name=="x"?{x1:position,x2:position,y1:0,y2:chart._height}:{x1:0,x2:chart._width,y1:position,y2:position};let selection=Chart.joinData(layer,"."+lines.className,"line",lines.values,d=>d,enter=>Chart.insertAttributesEvents(enter,attributes,null),exit=>exit.remove()).attr("stroke",theme.gridColor).attr("stroke-width",theme.strokeWidths.grid).attr("stroke-opacity",lines.opacity).attr("shape-rendering","crispEdges");Chart.insertAttributesEvents(selection,attributes,null,chart._animate(selection))}}static sides(name){return name=="x"?["bottom","top"]:["left","right"]}static _rotateTickLabels(axisGroup,side,config){let rotation=config.labelRotation||0;let spacing=Math.max(config.tickSize,0)+3;let anchor={bottom:[0,spacing,rotation<0?"end":"start"],top:[0,-spacing,rotation<0?"start":"end"],left:[-spacing,0,"end"],right:[spacing,0,"start"]}[side];axisGroup.selectAll(".tick text").attr("transform",rotation?"rotate("+rotation+","+anchor[0]+","+anchor[1]+")":null).attr("text-anchor",rotation&&(side=="bottom"||side=="top")?anchor[2]:null)}}class AnnotationLayer{constructor(chart){this._chart=chart;this._layer=null;this._selection=null}set(annotations,attributes,onEvents,key){let chart=this._chart;if(!this._layer)this._layer=chart._selection.append("g").attr("class","annotations");let onExit=exit=>chart._animate(exit).attr("opacity",0).remove();this._selection=Chart.joinData(this._layer,".annotation","g",annotations,key,null,onExit);Chart.insertAttributesEvents(this._selection,attributes,onEvents);for(let type of ChartSpec._annotationTypes)this._selection.classed(type+"Annotation",d=>d.type==type);this.layout()}raise(){if(this._layer)this._layer.raise()}remove(){if(this._layer)this._layer.remove();this._layer=null;this._selection=null}layout(){if(!this._selection)return;let chart=this._chart;let theme=chart.theme();this._selection.each(function(d){let group=d3.select(this);let name=d.x!=null?"x":"y";let shape=[];let point=null;let label={x:0,y:0,dx:0,dy:0,anchor:"start"};if(d.type=="line"||d.type=="band"){let values=d.type=="line"?[d[name]]:d[name];let lines=values.map(value=>chart._annotationLine(name,value));shape=d.type=="line"?lines[0]:lines[0].concat(lines[1].slice().reverse());label={x:lines[0][0][0],y:lines[0][0][1],dx:4,dy:name=="x"?12:-4,anchor:"start"}}else{point=chart._annotationPoint(d.x,d.y);let dx=d.type=="callout"?d.dx!=null?d.dx:30:0;let dy=d.type=="callout"?d.dy!=null?d.dy:-30:0;label={x:point[0]+dx,y:point[1]+dy,dx:0,dy:dy>0?12:-4,anchor:d.type=="note"?"middle":dx<0?"end":"start"}}let path=Chart.joinData(group,".annotationShape","path",shape.length>0?[shape]:[]).attr("fill",d.type=="band"?theme.foreground:"none").attr("fill-opacity",.1).attr("stroke-dasharray",d.type=="line"?"4,3":null).attr("stroke-width",d.type=="band"?0:theme.strokeWidths.mark);chart._animate(path).attr("d",points=>d3.line()(points)+(d.type=="band"?"Z":""));let callout=d.type=="callout"?[point]:[];let leader=Chart.joinData(group,".annotationLeader","line",callout).attr("stroke-width",theme.strokeWidths.mark);chart._animate(leader).attr("x1",p=>p[0]).attr("y1",p=>p[1]).attr("x2",label.x).attr("y2",label.y);let circle=Chart.joinData(group,".annotationPoint","circle",callout).attr("r",3).attr("fill",theme.foreground).attr("stroke","none");chart._animate(circle).attr("cx",p=>p[0]).attr("cy",p=>p[1]);let text=Chart.joinData(group,".annotationLabel","text",d.label!=null?[d.label]:[]).attr("stroke","none").attr("fill",theme.textColor).attr("text-anchor",label.anchor).attr("dx",label.dx).attr("dy",label.dy).text(t=>t);chart._animate(text).attr("x",label.x).attr("y",label.y)})}}class Lasso{constructor(chart){this._chart=chart;this._group=null;this._polygon=null}enabled(){return this._group!=null}enable(marks){if(this._group)return;this._group=this._chart._selection.insert("g",()=>marks.selection?marks.selection.node():null).attr("class","lasso");this._group.append("rect").attr("class","lassoArea").attr("fill","none").attr("pointer-events","all").style("cursor","crosshair").node().addEventListener("mousedown",event=>this._onStart(event));this._group.append("path").attr("class","lassoPath").attr("fill-opacity",.1).attr("stroke-dasharray","4,3").attr("pointer-events","none");this.layout()}disable(){if(!this._group)return;this._group.remove();this._group=null;this._polygon=null;let selection=this._chart._lassoMarks().selection;if(selection)this._chart._highlight(selection,null)}set(polygon){this._polygon=polygon;this.layout();let marks=this._chart._lassoMarks();this._chart._emitSelection(marks.selection,this._contains()||(()=>false),{polygon:this._polygon})}layout(){if(!this._group)return;let chart=this._chart;let marks=chart._lassoMarks();let foreground=chart.theme().foreground;this._group.select(".lassoArea").attr("width",chart._width).attr("height",chart._height);this._group.select(".lassoPath").attr("d",this._polygon?"M"+this._polygon.map(marks.project).join("L")+"Z":null).attr("fill",foreground).attr("stroke",foreground);if(marks.selection)chart._highlight(marks.selection,this._contains())}_contains(){if(!this._polygon)return null;let marks=this._chart._lassoMarks();let points=this._polygon.map(marks.project);return(d,i)=>d3.polygonContains(points,marks.position(d,i))}_onStart(event){if(event.button!=0)return;event.preventDefault();event.stopPropagation();let area=event.currentTarget;let view=area.ownerDocument.defaultView;let points=[d3.clientPoint(area,event)];let path=this._group.select(".lassoPath");let onMove=moveEvent=>{points.push(d3.clientPoint(area,moveEvent));path.attr("d","M"+points.join("L"))};let onEnd=endEvent=>{view.removeEventListener("mousemove",onMove);view.removeEventListener("mouseup",onEnd);this.set(points.length>2?points.map(this._chart._lassoMarks().invert):null)};view.addEventListener("mousemove",onMove);view.addEventListener("mouseup",onEnd)}}class Tooltip{constructor(chart,template){this._chart=chart;this._template=template||null;this._offset=12;this._padding=6;this._selection=chart.container().append("g").attr("class","chartTooltip").attr("role","tooltip").attr("pointer-events","none").attr("font-size",12).style("display","none");this._background=this._selection.append("rect").attr("class","tooltipBackground").attr("rx",3).attr("fill-opacity",.9);this._text=this._selection.append("text").attr("class","tooltipText");this._applyTheme();this._listeners={mousemove:event=>this._showTarget(event.target,d3.clientPoint(this._selection.node().parentNode,event)),mouseout:event=>this.hide(),focusin:event=>this._showTarget(event.target,null),focusout:event=>this.hide()};for(let type in this._listeners)chart.selection().node().addEventListener(type,this._listeners[type])}chart(){return this._chart}selection(){return this._selection}template(template){if(template){this._template=template;return this}else{return this._template}}offset(offset){if(offset!=null){this._offset=offset;return this}else{return this._offset}}show(mark,point){let template=this._template||mark.template;let lines=Chart._markContent(template,mark).split("\n");Chart.joinData(this._text,".tooltipLine","tspan",lines).attr("x",this._padding).attr("dy",(d,i)=>i==0?"1em":"1.2em").text(d=>d);this._text.attr("y",this._padding);this._selection.style("display",null).raise();let fontSize=+this._selection.attr("font-size");let box=this._text.node().getBBox?this._text.node().getBBox():{width:d3.max(lines,d=>d.length)*fontSize*.6,height:lines.length*fontSize*1.2};let width=box.width+2*this._padding;let height=box.height+2*this._padding;this._background.attr("width",width).attr("height",height);let container=this._selection.node().parentNode;let bounds=container.getBoundingClientRect();let containerWidth=+d3.select(container).attr("width")||bounds.width;let containerHeight=+d3.select(container).attr("height")||bounds.height;let x=point[0]+this._offset;if(x+width>containerWidth)x=point[0]-this._offset-width;let y=point[1]+this._offset;if(y+height>containerHeight)y=point[1]-this._offset-height;x=Math.max(0,Math.min(x,containerWidth-width));y=Math.max(0,Math.min(y,containerHeight-height));this._selection.attr("transform","translate("+x+","+y+")");return this}hide(){this._selection.style("display","none");return this}remove(){for(let type in this._listeners)this._chart.selection().node().removeEventListener(type,this._listeners[type]);this._selection.remove()}_applyTheme(){let theme=this._chart.theme();this._selection.attr("font-family",theme.fontFamily);this._background.attr("fill",theme.background||"white").attr("stroke",theme.foreground);this._text.attr("fill",theme.textColor)}_showTarget(node,point){let mark=this._chart._findMark(node);if(mark==null)return this.hide();if(point==null){let bounds=node.getBoundingClientRect();point=d3.clientPoint(this._selection.node().parentNode,{clientX:bounds.left+bounds.width/2,clientY:bounds.top})}return this.show(mark,point)}}class SelectionCoordinator{constructor(key){this._key=key||((d,i)=>i);this._entries=[];this._selected=null;this._hovered=null;this._dispatch=d3.dispatch("select","hover")}key(key){if(key){this._key=key;this._highlightCharts();return this}else{return this._key}}charts(){return this._entries.map(entry=>entry.chart)}add(chart,key){if(chart._coordinator)chart._coordinator.remove(chart);let entry={chart:chart,key:key||null,listeners:{mouseover:event=>this._onHover(entry,event.target),mouseout:event=>this._onHover(entry,null)}};for(let type in entry.listeners)chart.selection().node().addEventListener(type,entry.listeners[type]);chart.on("select.coordinator",event=>this._onSelect(entry,event));chart._coordinator=this;this._entries.push(entry);this._highlightChart(chart);return this}remove(chart){let entry=this._entry(chart);if(entry==null)return this;for(let type in entry.listeners)chart.selection().node().removeEventListener(type,entry.listeners[type]);chart.on("select.coordinator",null);chart._coordinator=null;this._entries.splice(this._entries.indexOf(entry),1);for(let marks of SelectionCoordinator._linkedMarks(chart))chart._highlight(marks.selection,null);return this}select(keys){this._setSelected(Array.from(keys),null);return this}clear(){this._setSelected(null,null);return this}selected(){return this._selected?Array.from(this._selected):null}on(typenames,listener){if(listener!==undefined){this._dispatch.on(typenames,listener);return this}else{return this._dispatch.on(typenames)}}_entry(chart){return this._entries.find(entry=>entry.chart===chart)||null}_onHover(entry,node){let mark=node?entry.chart._findMark(node):null;let hovered=mark&&mark.focusable?new Set([(entry.key||this._key)(mark.datum,mark.index)]):null;if(hovered==null&&this._hovered==null)return;this._hovered=hovered;this._highlightCharts();this._dispatch.call("hover",this,{keys:hovered?Array.from(hovered):null,chart:entry.chart})}_onSelect(entry,event){let key=entry.key||this._key;let cleared=event.extent==null&&event.polygon==null;this._setSelected(cleared?null:event.data.map((d,i)=>key(d,event.indices[i])),entry.chart)}_setSelected(keys,chart){this._selected=keys?new Set(keys):null;this._highlightCharts();this._dispatch.call("select",this,{keys:this.selected(),chart:chart})}_highlightCharts(){for(let entry of this._entries)this._highlightChart(entry.chart)}_highlightChart(chart){let entry=this._entry(chart);let keys=this._hovered||this._selected;let key=entry.key||this._key;for(let marks of SelectionCoordinator._linkedMarks(chart))chart._highlight(marks.selection,keys?(d,i)=>keys.has(key(d,i)):null)}static _linkedMarks(chart){return chart._marks().filter(marks=>marks.selection&&marks.focusable!==false)}}class ScaleLink{constructor(names){this._names=names==null?["x","y"]:[].concat(names);this._charts=[];this._domains={};this._updating=false;ScaleLink._count=(ScaleLink._count||0)+1;this._eventName="scaleLink"+ScaleLink._count}names(){return this._names.slice()}charts(){return this._charts.slice()}domains(){return Object.assign({},this._domains)}add(chart){if(this._charts.includes(chart))return this;this._charts.push(chart);chart._scaleLinks.push(this);chart.on("zoom."+this._eventName,domains=>this._onZoom(chart,domains));this._update(true);return this}remove(chart){if(!this._charts.includes(chart))return this;this._charts.splice(this._charts.indexOf(chart),1);chart._scaleLinks.splice(chart._scaleLinks.indexOf(this),1);chart.on("zoom."+this._eventName,null);let domains={};for(let name of this._names)domains[name]=null;this._share([chart],domains);this._update(true);return this}_update(force){if(this._updating)return;let union=Chart._unionDomains(this._charts);let domains={};for(let name of this._names){if(union[name])domains[name]=union[name]}let changed=this._names.some(name=>String(domains[name])!=String(this._domains[name]));if(!changed&&!force)return;this._domains=domains;this._share(this._charts,domains)}_onZoom(source,zoomDomains){if(this._updating)return;let domains={};for(let name of this._names){if(zoomDomains[name])domains[name]=zoomDomains[name]}this._share(this._charts.filter(chart=>chart!==source),domains)}_share(charts,domains){this._updating=true;try{for(let chart of charts)chart._shareDomains(domains)}finally{this._updating=false}}}class Histogram extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"histogramChart");this._xScale=d3.scaleLinear();this._xAxisScale=d3.scaleOrdinal().range([0,this._width]);this._addAxis("x",this._xAxisScale,"bottom");this._yScale=d3.scaleLinear().range([this._height,0]);this._addAxis("y",this._yScale,"left");this._colSelection=null;this._applyTheme()}xScale(){return this._xScale}xAxisScale(scale){if(scale){this._xAxisScale=scale;this._xScale.domain([0,scale.domain().length-3]).range([scale.range()[1],scale.range()[scale.domain().length-2]]);this._setAxisScale("x",this._xAxisScale);return this}else{return this._xAxisScale}}yScale(scale){if(scale){this._yScale=scale;this._setAxisScale("y",this._yScale);return this}else{return this._yScale}}colSelection(){return this._colSelection}colorScale(scale){if(scale){this._colorScale=scale;if(this._colSelection!=null)this._animate(this._colSelection,"color").attr("fill",(d,i)=>this._colorScale(i%scale.range().length));return this}else{return this._colorScale}}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);let colWidth=this._width/(this._xAxisScale.domain().length-1);let thisChart=this;this._updateAxis("y",[0,d3.max(dataset)]);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"col"+this._xAxisScale.domain()[i+1]);attributes.class="column";Chart.addIfNull(attributes,"x",(d,i)=>this._xScale(i)-colWidth/2);Chart.addIfNull(attributes,"y",(d,i)=>this._yScale(d));Chart.addIfNull(attributes,"width",colWidth);Chart.addIfNull(attributes,"height",(d,i)=>this._height-this._yScale(d));let onEnter=enter=>{Chart.insertAttributesEvents(enter,attributes,null);enter.attr("y",this._height).attr("height",0)};let onExit=exit=>this._animate(exit).attr("y",this._height).attr("height",0).remove();this._colSelection=Chart.joinData(this._selection,".column","rect",dataset,key,onEnter,onExit);let transition=this._animate(this._colSelection);transition.attr("fill",(d,i)=>thisChart._colorScale(i%thisChart._colorScale.domain().length));Chart.insertAttributesEvents(this._colSelection,attributes,onEvents,transition);this._marksChanged();return this}_marks(){return[{selection:this._colSelection,fields:(d,i)=>({label:this._xAxisScale.domain()[i+1],value:d,index:i}),template:"{label}: {value}"}]}_describe(format){let items=this._colSelection?this._colSelection.data().map((d,i)=>({label:this._xAxisScale.domain()[i+1],value:d})):[];return Chart._describeExtremes(items,"column",format)}_annotationScale(name){if(name=="x")return value=>this._xAxisScale.domain().includes(value)?this._xAxisScale(value):this._xScale(value);return super._annotationScale(name)}static _validateSpec(spec,errors){ChartSpec.checkSpec(errors,spec,"data","an array of numbers",v=>Array.isArray(v)&&v.every(d=>typeof d=="number"));let hasAxis=spec.scales!=null&&spec.scales.xAxis!=null;ChartSpec.checkSpec(errors,spec,"labels","an array with a label for each value",v=>!Array.isArray(spec.data)||v.length==spec.data.length,spec.data!=null&&!hasAxis)}_applySpec(spec){let scales=spec.scales||{};if(spec.labels){this.xAxisScale(d3.scaleOrdinal().domain([""].concat(spec.labels,[" "])).range(Chart.genSequence(0,spec.labels.length+2,this._width)))}else if(scales.xAxis){this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis))}if(scales.y)this.yScale(ChartSpec.scaleFromSpec(Object.assign({range:[this._height,0]},scales.y)));if(scales.color)this.colorScale(ChartSpec.scaleFromSpec(scales.color));if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes),null,ChartSpec.keyFromSpec(spec.key))}_exportSpec(spec){spec.scales={xAxis:ChartSpec.scaleToSpec(this._xAxisScale),y:ChartSpec.scaleToSpec(this._yScale),color:ChartSpec.scaleToSpec(this._colorScale)};let insertion=ChartSpec.insertionToSpec(this._insertions.setData,this._colSelection);if(insertion)Object.assign(spec,insertion)}_applyTheme(){this._colorScale=ChartTheme.paletteScale(this.theme().palette);super._applyTheme()}_layout(previousWidth,previousHeight){super._layout(previousWidth,previousHeight);if(previousWidth>0)this._xAxisScale.range(this._xAxisScale.range().map(x=>x*this._width/previousWidth));if(this._xAxisScale.domain().length>2)this.xAxisScale(this._xAxisScale);else this._updateAxis("x");this._yScale.range([this._height,0]);this._updateAxis("y")}clear(){if(this._colSelection){this._colSelection.remove();this._colSelection=null}return super.clear()}}ChartSpec.registerType("histogram",Histogram);class Segments extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"segmentsChart");this._xScale=d3.scaleLinear().range([0,this._width]);this._xAxisScale=d3.scaleOrdinal().range([0,this._width]);this._addAxis("x",this._xAxisScale,"bottom");this._yScale=d3.scaleLinear().range([this._height,0]);this._addAxis("y",this._yScale,"left");this._rangeLayer=this._selection.append("g");this._segLayer=this._selection.append("g");this._dotLayer=this._selection.append("g");this._segSelection=null;this._dotSelection=null;this._rangeSelection=null;this._segPathGenerator=d3.line().x((d,i)=>this._xScale(i)).y((d,i)=>this._yScale(d));this._rangePathGenerator=d3.area().x((d,i)=>this._xScale(i)).y0((d,i)=>this._yScale(d[0])).y1((d,i)=>this._yScale(d[1]));this._applyTheme()}xScale(){return this._xScale}xAxisScale(scale){if(scale){this._xAxisScale=scale;this._xScale.domain([0,scale.domain().length-1]);this._setAxisScale("x",this._xAxisScale);return this}else{return this._xScale}}yScale(scale){if(scale){this._yScale=scale;this._setAxisScale("y",this._yScale);return this}else{return this._yScale}}segSelection(){return this._segSelection}dotSelection(){return this._dotSelection}rangeSelection(){return this._rangeSelection}segPathGenerator(gen){if(gen){this._segPathGenerator=gen;return this}else{return this._segPathGenerator}}rangePathGenerator(gen){if(gen){this._rangePathGenerator=gen;return this}else{return this._rangePathGenerator}}dotColorScale(scale){if(scale){this._dotColorScale=scale;return this}else{return this._dotColorScale}}rangeColorScale(scale){if(scale){this._rangeColorScale=scale;return this}else{return this._rangeColorScale}}setSegments(dataset,attributes,onEvents,key){this._storeInsertion("setSegments",arguments);this._updateYDomain("segments",dataset);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"seg"+i);attributes.class="segment";Chart.addIfNull(attributes,"d",(d,i)=>this._segPathGenerator(d));Chart.addIfNull(attributes,"stroke",this.theme().foreground);Chart.addIfNull(attributes,"stroke-width",this.theme().strokeWidths.mark);let onExit=exit=>this._animate(exit).attr("opacity",0).remove();this._segSelection=Chart.joinData(this._segLayer,".segment","path",dataset,key,null,onExit).attr("fill","transparent");if(this._dotSelection){Chart.insertAttributesEvents(this._dotSelection,{cx:(d,i)=>this._xScale(i),cy:(d,i)=>this._yScale(d)},null,this._animate(this._dotSelection))}if(this._rangeSelection)Chart.insertAttributesEvents(this._rangeSelection,{d:(d,i)=>this._rangePathGenerator(d)},null,this._animate(this._rangeSelection));Chart.insertAttributesEvents(this._segSelection,attributes,onEvents,this._animate(this._segSelection));this._marksChanged();return this}setDots(dataset,attributes,onEvents,key){this._storeInsertion("setDots",arguments);let thisChart=this;this._updateYDomain("dots",dataset);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"r","5px");Chart.addIfNull(attributes,"cx",(d,i)=>this._xScale(i));Chart.addIfNull(attributes,"cy",(d,i)=>this._yScale(d));attributes.id=(d,i)=>"dot_"+this._xAxisScale.domain()[i];attributes.class="groupDot";let onEnter=enter=>{Chart.insertAttributesEvents(enter,attributes,null);enter.attr("r",0)};let onExit=exit=>this._animate(exit).attr("r",0).remove();let groupSelection=Chart.joinData(this._dotLayer,".dotGroup","g",dataset,key,null,exit=>{onExit(exit.selectAll(".groupDot"));this._animate(exit).remove()});groupSelection.attr("id",(d,i)=>"dotGroup"+i);this._animate(groupSelection).attr("fill",(d,i)=>thisChart._dotColorScale(i%thisChart._dotColorScale.domain().length));this._dotSelection=Chart.joinData(groupSelection,".groupDot","circle",d=>d,null,onEnter,onExit);if(this._segSelection)Chart.insertAttributesEvents(this._segSelection,{d:(d,i)=>this._segPathGenerator(d)},null,this._animate(this._segSelection));if(this._rangeSelection)Chart.insertAttributesEvents(this._rangeSelection,{d:(d,i)=>this._rangePathGenerator(d)},null,this._animate(this._rangeSelection));Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents,this._animate(this._dotSelection));this._marksChanged();return this}setRanges(dataset,attributes,onEvents,key){this._storeInsertion("setRanges",arguments);let thisChart=this;this._updateYDomain("ranges",dataset);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"range"+i);attributes.class="range";Chart.addIfNull(attributes,"d",(d,i)=>this._rangePathGenerator(d));let onExit=exit=>this._animate(exit).attr("opacity",0).remove();this._rangeSelection=Chart.joinData(this._rangeLayer,".range","path",dataset,key,null,onExit);let transition=this._animate(this._rangeSelection);transition.attr("fill",(d,i)=>thisChart._rangeColorScale(i%thisChart._rangeColorScale.domain().length));if(this._dotSelection){Chart.insertAttributesEvents(this._dotSelection,{cx:(d,i)=>this._xScale(i),cy:(d,i)=>this._yScale(d)},null,this._animate(this._dotSelection))}if(this._segSelection)Chart.insertAttributesEvents(this._segSelection,{d:(d,i)=>this._segPathGenerator(d)},null,this._animate(this._segSelection));Chart.insertAttributesEvents(this._rangeSelection,attributes,onEvents,transition);this._marksChanged();return this}_updateYDomain(layer,dataset){let data={segments:this._segSelection?this._segSelection.data():[],dots:this._dotLayer.selectAll(".dotGroup").data(),ranges:this._rangeSelection?this._rangeSelection.data():[]};data[layer]=dataset;let extents=data.segments.concat(data.dots).map(d=>d3.extent(d)).concat(data.ranges.map(d=>[d3.min(d,d=>d[0]),d3.max(d,d=>d[1])]));if(extents.length>0)this._updateAxis("y",[d3.min(extents,d=>d[0]),d3.max(extents,d=>d[1])])}_marks(){let groups=this._dotLayer.selectAll(".dotGroup").nodes();let seriesFields=(d,i)=>({series:i+1});return[{selection:this._dotSelection,fields:(d,i,node)=>({series:groups.indexOf(node.parentNode)+1,label:this._xLabel(i),index:i,value:d}),template:"Series {series}\n{label}: {value}",row:mark=>mark.fields.series-1},{selection:this._segSelection,fields:seriesFields,template:"Series {series}",focusable:false},{selection:this._rangeSelection,fields:seriesFields,template:"Range {series}",focusable:false}]}_describe(format){let series=this._dotSelection?this._dotLayer.selectAll(".dotGroup").data():this._segSelection?this._segSelection.data():[];let sentences=[];series.forEach((values,i)=>{if(values.length==0)return;let first=values[0];let last=values[values.length-1];let extent=d3.extent(values);let trend=first==last?"starts and ends at "+format.number(first):(last>first?"rises":"falls")+" from "+format.number(first)+" at "+this._xLabel(0)+" to "+format.number(last)+" at "+this._xLabel(values.length-1);sentences.push("Series "+(i+1)+" "+trend+", ranging from "+format.number(extent[0])+" to "+format.number(extent[1])+".")});if(this._rangeSelection)this._rangeSelection.data().forEach((range,i)=>{if(range.length>0)sentences.push("Range "+(i+1)+" goes from "+format.number(d3.min(range,d=>d[0]))+" to "+format.number(d3.max(range,d=>d[1]))+".")});return sentences}_xLabel(i){let labels=this._xAxisScale.domain();return labels[i]!=null?labels[i]:i}_annotationScale(name){if(name=="x")return value=>this._xAxisScale.domain().includes(value)?this._xAxisScale(value):this._xScale(value);return super._annotationScale(name)}static _validateSpec(spec,errors){let isNumbers=d=>Array.isArray(d)&&d.every(v=>typeof v=="number");ChartSpec.checkInsertionSpec(errors,spec,"segments","an array of arrays of numbers",isNumbers);ChartSpec.checkInsertionSpec(errors,spec,"dots","an array of arrays of numbers",isNumbers);ChartSpec.checkInsertionSpec(errors,spec,"ranges","an array of arrays of [minimum, maximum] pairs",d=>Array.isArray(d)&&d.every(isNumbers));let hasAxis=spec.scales!=null&&spec.scales.xAxis!=null;ChartSpec.checkSpec(errors,spec,"labels","an array",Array.isArray,!hasAxis&&["segments","dots","ranges"].some(field=>spec[field]!=null))}_applySpec(spec){let scales=spec.scales||{};if(spec.labels)this.xAxisScale(d3.scaleOrdinal().domain(spec.labels).range(Chart.genSequence(0,spec.labels.length,this._width)));else if(scales.xAxis)this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis));if(scales.y)this.yScale(ChartSpec.scaleFromSpec(Object.assign({range:[this._height,0]},scales.y)));if(scales.dotColor)this.dotColorScale(ChartSpec.scaleFromSpec(scales.dotColor));if(scales.rangeColor)this.rangeColorScale(ChartSpec.scaleFromSpec(scales.rangeColor));let ranges=ChartSpec.insertionFromSpec(spec.ranges);let segments=ChartSpec.insertionFromSpec(spec.segments);let dots=ChartSpec.insertionFromSpec(spec.dots);if(ranges)this.setRanges.apply(this,ranges);if(segments)this.setSegments.apply(this,segments);if(dots)this.setDots.apply(this,dots)}_exportSpec(spec){spec.scales={xAxis:ChartSpec.scaleToSpec(this._xAxisScale),y:ChartSpec.scaleToSpec(this._yScale),dotColor:ChartSpec.scaleToSpec(this._dotColorScale),rangeColor:ChartSpec.scaleToSpec(this._rangeColorScale)};spec.segments=ChartSpec.insertionToSpec(this._insertions.setSegments,this._segSelection);spec.dots=ChartSpec.insertionToSpec(this._insertions.setDots,null);spec.ranges=ChartSpec.insertionToSpec(this._insertions.setRanges,this._rangeSelection)}_applyTheme(){let theme=this.theme();this._dotColorScale=ChartTheme.paletteScale(theme.palette);this._rangeColorScale=ChartTheme.paletteScale(theme.secondaryPalette);super._applyTheme()}_layout(previousWidth,previousHeight){super._layout(previousWidth,previousHeight);this._xScale.range([0,this._width]);if(previousWidth>0)this._xAxisScale.range(this._xAxisScale.range().map(x=>x*this._width/previousWidth));this._updateAxis("x");this._yScale.range([this._height,0]);this._updateAxis("y")}clear(){if(this._dotSelection){this._dotLayer.selectAll(".dotGroup").remove();this._dotSelection=null}if(this._segSelection){this._segSelection.remove();this._segSelection=null}if(this._rangeSelection){this._rangeSelection.remove();this._rangeSelection=null}return super.clear()}}ChartSpec.registerType("segments",Segments);class Map extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"mapChart");this._projection=d3.geoMercator();this._projectionName="geoMercator";this._geoPath=d3.geoPath().projection(this._projection);this._fillValue=(d,i)=>1;this._fillValueField=null;this._colorScale=d3.scalePow();this._colorDomain=null;this._fillFunction=(d,i)=>this._colorScheme(this._colorScale(this._fillValue(d,i)));this._pathSelection=null;this._pathValues=d3.map();this._valueKey=null;this._dotSelection=null;this._geojson=null;this._applyTheme()}pathSelection(){return this._pathSelection}dotSelection(){return this._dotSelection}projection(projection){if(projection){this._projectionName=typeof projection=="string"?projection:null;if(this._projectionName)projection=d3[projection]();this._projection=projection;this._geoPath=d3.geoPath().projection(this._projection);return this}else{return this._projection}}fillValue(func){if(func){this._fillValueField=typeof func=="string"?func:null;if(this._fillValueField)func=(d,i)=>d[this._fillValueField];this._fillValue=func;return this}else{return this._fillValue}}colorScale(scale){if(scale){if(this._linkedDomains.color){this._colorDomain=scale.domain();scale.domain(this._linkedDomains.color)}this._colorScale=scale;return this}else{return this._colorScale}}colorScheme(scheme){if(scheme){this._colorScheme=scheme;return this}else{return this._colorScheme}}fillFunction(func){if(func){this._fillFunction=func;return this}else if(func===null){this._fillFunction=(d,i)=>this._colorScheme(this._colorScale(this._fillValue(d,i)));return this}else{return this._fillFunction}}setMap(geojson,attributes,onEvents,key){this._storeInsertion("setMap",arguments);let thisChart=this;this._geojson=geojson;this._projection.fitExtent([[0,0],[this._width,this._height]],geojson);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>d.properties.L1);attributes.class="mapPath";Chart.addIfNull(attributes,"d",(d,i)=>this._geoPath(d.geometry));let onExit=exit=>this._animate(exit).attr("opacity",0).remove();this._pathSelection=Chart.joinData(this._selection,".mapPath","path",geojson.features,key,null,onExit);let transition=this._animate(this._pathSelection);transition.attr("fill",(d,i)=>thisChart._fillFunction(thisChart._pathValue(d,i),i));Chart.insertAttributesEvents(this._pathSelection,attributes,onEvents,transition);this._annotations.layout();this._marksChanged();return this}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);let thisChart=this;this._valueKey=key||null;let keys=d3.set();dataset.forEach((d,i)=>{keys.add(key?key(d,i):i);this._pathValues.set(key?key(d,i):i,d)});let updateSelection=this._pathSelection.filter((d,i)=>keys.has(key?key(d,i):i));let withValue=func=>typeof func=="function"?function(d,i,nodes){return func.call(this,thisChart._pathValue(d,i),i,nodes)}:func;let valueAttributes={};for(let name in attributes)valueAttributes[name]=withValue(attributes[name]);let valueEvents={};for(let name in onEvents)valueEvents[name]=withValue(onEvents[name]);let transition=this._animate(updateSelection);transition.attr("fill",(d,i)=>thisChart._fillFunction(thisChart._pathValue(d,i),i));Chart.insertAttributesEvents(updateSelection,valueAttributes,valueEvents,transition);this._marksChanged();return this}setDots(dataset,attributes,onEvents,key){this._storeInsertion("setDots",arguments);let thisChart=this;if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"dot"+i);attributes.class="mapDot";Chart.addIfNull(attributes,"r","3px");Chart.addIfNull(attributes,"cx",(d,i)=>this._projection(d)[0]);Chart.addIfNull(attributes,"cy",(d,i)=>this._projection(d)[1]);let onEnter=enter=>{Chart.insertAttributesEvents(enter,attributes,null);enter.attr("r",0)};let onExit=exit=>this._animate(exit).attr("r",0).remove();this._dotSelection=Chart.joinData(this._selection,".mapDot","circle",dataset,key,onEnter,onExit);let transition=this._animate(this._dotSelection);transition.attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents,transition);this._marksChanged();return this}_pathValue(d,i){let key=this._valueKey?this._valueKey(d,i):i;return this._pathValues.has(key)?this._pathValues.get(key):d}_applyTheme(){this._colorScheme=this.theme().sequential;super._applyTheme()}_marks(){let fields=d=>d.properties!=null?d.properties:typeof d=="object"?d:{value:d};return[{selection:this._pathSelection,fields:(d,i)=>{let value=this._pathValue(d,i);return Object.assign({},fields(d),value!==d?fields(value):{})},template:fields=>Object.keys(fields).filter(name=>typeof fields[name]!="object").map(name=>Chart.formatTemplate("{name}: {value}",{name:name,value:fields[name]})).join("\n")},{selection:this._dotSelection,fields:(d,i)=>({longitude:d[0],latitude:d[1],index:i}),template:"{longitude}, {latitude}"}]}_lassoMarks(){return{selection:this._dotSelection,position:(d,i)=>this._projection(d),project:point=>this._projection(point),invert:point=>this._projection.invert(point)}}_scaleDomains(){if(!this._insertions.setData||!this._pathSelection)return{};let values=this._pathSelection.data().map((d,i)=>this._fillValue(this._pathValue(d,i),i)).filter(value=>typeof value=="number"&&!isNaN(value));return values.length>0?{color:d3.extent(values)}:{}}_shareDomains(domains){if(!domains.color&&!this._linkedDomains.color)return;if(domains.color&&!this._linkedDomains.color)this._colorDomain=this._colorScale.domain();this._linkDomains(domains);this._colorScale.domain(domains.color||this._colorDomain);this._redraw()}_describe(format){let sentences=[];if(this._pathSelection){let items=this._pathSelection.data().map((d,i)=>{let properties=d!=null&&typeof d=="object"?d.properties||d:{};return{label:properties.name!=null?properties.name:"region "+(i+1),value:this._fillValue(d,i)}}).filter(item=>typeof item.value=="number"&&!isNaN(item.value));let count=this._pathSelection.size();sentences=items.length>0?Chart._describeExtremes(items,"region",format):["It has "+count+(count==1?" region.":" regions.")]}if(this._dotSelection){let count=this._dotSelection.size();sentences.push("It has "+count+(count==1?" dot.":" dots."))}return sentences}_supportsAnnotations(){return true}_annotationPoint(x,y){return this._projection([x,y])}_annotationLine(name,value){let bounds=this._geojson?d3.geoBounds(this._geojson):[[-180,-85],[180,85]];return d3.range(33).map(i=>{let t=i/32;let point=name=="x"?[value,bounds[1][1]+(bounds[0][1]-bounds[1][1])*t]:[bounds[0][0]+(bounds[1][0]-bounds[0][0])*t,value];return this._projection(point)})}static _validateSpec(spec,errors){let needsMap=spec.data!=null||spec.dots!=null;ChartSpec.checkSpec(errors,spec,"geojson","a geojson object with features",v=>typeof v=="object"&&Array.isArray(v.features),needsMap);ChartSpec.checkSpec(errors,spec,"projection",'the name of a d3 projection, like "geoMercator"',v=>typeof v=="string"&&v.startsWith("geo")&&typeof d3[v]=="function");ChartSpec.checkSpec(errors,spec,"fillValue","the name of a field",v=>typeof v=="string");ChartSpec.checkSpec(errors,spec,"data","an array",Array.isArray);ChartSpec.checkInsertionSpec(errors,spec,"dots","an array of [longitude, latitude] pairs",d=>Array.isArray(d)&&d.length==2)}_applySpec(spec){if(spec.projection)this.projection(spec.projection);if(spec.colorScheme)this.colorScheme(d3[spec.colorScheme]);if(spec.scales&&spec.scales.color)this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));if(spec.fillValue)this.fillValue(spec.fillValue);else if(spec.data)this.fillValue((d,i)=>d);if(spec.geojson)this.setMap(spec.geojson,spec.data?null:ChartSpec.attributesFromSpec(spec.attributes));let key=ChartSpec.keyFromSpec(spec.key);if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes),null,key&&((d,i)=>key(d.type=="Feature"?d.properties:d,i)));let dots=ChartSpec.insertionFromSpec(spec.dots);if(dots)this.setDots.apply(this,dots)}_exportSpec(spec){if(this._projectionName)spec.projection=this._projectionName;spec.colorScheme=ChartSpec.d3Name(this._colorScheme);spec.scales={color:ChartSpec.scaleToSpec(this._linkedDomains.color?this._colorScale.copy().domain(this._colorDomain):this._colorScale)};if(this._insertions.setMap)spec.geojson=ChartSpec.copy(this._insertions.setMap[0]);let insertion=ChartSpec.insertionToSpec(this._insertions.setData,this._pathSelection);if(insertion)Object.assign(spec,insertion);spec.dots=ChartSpec.insertionToSpec(this._insertions.setDots,this._dotSelection);let fills=selection=>selection.nodes().map(node=>node.getAttribute("fill"));if(this._fillValueField){spec.fillValue=this._fillValueField}else{if(this._pathSelection)spec.attributes=Object.assign({fill:fills(this._pathSelection)},spec.attributes);if(spec.dots)spec.dots.attributes=Object.assign({fill:fills(this._dotSelection)},spec.dots.attributes)}}clear(){if(this._pathSelection){this._pathSelection.remove();this._pathSelection=null}this._pathValues=d3.map();this._valueKey=null;if(this._dotSelection){this._dotSelection.remove();this._dotSelection=null}return super.clear()}}ChartSpec.registerType("map",Map);class Scatterplot extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"scatterplotChart");this._xScale=d3.scaleLinear().range([0,this._width]);this._addAxis("x",this._xScale,"both");this._yScale=d3.scaleLinear().range([this._height,0]);this._addAxis("y",this._yScale,"both");this._dotSelection=null;this._fillFunction=(d,i)=>this._colorScale(i%this._colorScale.domain().length);this._customFill=false;this._zoom=null;this._zoomBehavior=null;this._zoomBase=null;this._zoomHome=null;this._zoomSilent=false;this._brush=null;this._brushBehavior=null;this._brushGroup=null;this._brushExtent=null;this._brushSilent=false;this._applyTheme()}xScale(scale){if(scale){this._xScale=scale;this._setAxisScale("x",this._xScale);if(this._dotSelection)this._animate(this._dotSelection).attr("cx",(d,i)=>this._xScale(d[0]));return this}else{return this._xScale}}yScale(scale){if(scale){this._yScale=scale;this._setAxisScale("y",this._yScale);if(this._dotSelection)this._animate(this._dotSelection).attr("cy",(d,i)=>this._yScale(d[1]));return this}else{return this._yScale}}dotSelection(){return this._dotSelection}colorScale(scale){if(scale){this._colorScale=scale;return this}else{return this._colorScale}}fillFunction(func){let thisChart=this;if(func)this._fillFunction=func;else if(func===null)this._fillFunction=(d,i)=>this._colorScale(i%this._colorScale.domain().length);else return this._fillFunction;this._customFill=func!=null;if(this._dotSelection)this._animate(this._dotSelection,"color").attr("fill",(d,i)=>thisChart._fillFunction(d,i));return this}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);let thisChart=this;let zoomed=this._zoomHome!=null;let keepZoom=zoomed&&this._redrawing&&this._zoom!=null;if(!keepZoom){this._zoomHome=null;this._zoomBase=null;this._setZoomTransform(d3.zoomIdentity)}if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"dot"+i);attributes.class="dot";Chart.addIfNull(attributes,"cx",(d,i)=>this._xScale(d[0]));Chart.addIfNull(attributes,"cy",(d,i)=>this._yScale(d[1]));Chart.addIfNull(attributes,"r","4px");let minMaxX=d3.extent(dataset.map((d,i)=>this._xScale.invert(attributes.cx(d,i))));let minMaxY=d3.extent(dataset.map((d,i)=>this._yScale.invert(attributes.cy(d,i))));this._updateAxis("x",minMaxX);this._updateAxis("y",minMaxY);if(keepZoom){this._zoomHome={x:this._xScale.domain(),y:this._yScale.domain()};let zoomDomains=this._zoomDomains();this._xScale.domain(zoomDomains.x);this._yScale.domain(zoomDomains.y);this._updateAxis("x");this._updateAxis("y")}else if(zoomed){this._dispatch.call("zoom",this,{x:this._xScale.domain(),y:this._yScale.domain()})}let onEnter=enter=>{Chart.insertAttributesEvents(enter,attributes,null);enter.attr("r",0)};let onExit=exit=>this._animate(exit).attr("r",0).remove();this._dotSelection=Chart.joinData(this._selection,".dot","circle",dataset,key,onEnter,onExit);let transition=this._animate(this._dotSelection);transition.attr("fill",(d,i)=>thisChart._fillFunction(d,i));Chart.insertAttributesEvents(this._dotSelection,attributes,onEvents,transition);if(this._zoom)this._dotSelection.attr("clip-path","url(#"+this._id+"Clip)");if(this._brush)this._moveBrush(false);this._marksChanged();return this}zoom(options){if(options==null)return this._zoom?Object.assign({},this._zoom):null;if(options===false){this.resetZoom();if(this._zoomBehavior)this._selection.on(".zoom",null);this._selection.selectAll(".zoomArea, .zoomClip").remove();if(this._dotSelection)this._dotSelection.attr("clip-path",null);this._zoom=null;this._zoomBehavior=null;return this}this._zoom=Object.assign({axis:"both",scaleExtent:[0,Infinity]},this._zoom,options===true?{}:options);if(!["both","x","y"].includes(this._zoom.axis))throw new Error("Invalid zoom axis: expected both, x or y.");if(!this._zoomBehavior){this._selection.append("clipPath").attr("class","zoomClip").attr("id",this._id+"Clip").append("rect");this._selection.insert("rect",".xAxis").attr("class","zoomArea").attr("fill","none").attr("pointer-events","all");this._zoomBehavior=d3.zoom().on("zoom",()=>this._onZoom());this._selection.call(this._zoomBehavior)}this._zoomBehavior.scaleExtent(this._zoom.scaleExtent);if(this._dotSelection)this._dotSelection.attr("clip-path","url(#"+this._id+"Clip)");this._layoutZoom();return this}zoomTo(domainX,domainY){if(!this._zoom)throw new Error("The zoom of the chart must be enabled.");if(!this._zoomHome)this._zoomHome={x:this._xScale.domain(),y:this._yScale.domain()};this._zoomBase={x:domainX||this._xScale.domain(),y:domainY||this._yScale.domain()};this._setZoomTransform(d3.zoomIdentity);this._applyZoom(this._zoomBase.x,this._zoomBase.y);return this}resetZoom(){if(!this._zoomHome)return this;let home=this._zoomHome;this._zoomHome=null;this._zoomBase=null;this._setZoomTransform(d3.zoomIdentity);this._applyZoom(home.x,home.y);return this}_setZoomTransform(transform){if(!this._zoomBehavior)return;this._zoomSilent=true;this._zoomBehavior.transform(this._selection,transform);this._zoomSilent=false}_onZoom(){if(this._zoomSilent)return;if(!this._zoomBase)this._zoomBase={x:this._xScale.domain(),y:this._yScale.domain()};if(!this._zoomHome)this._zoomHome=this._zoomBase;let domains=this._zoomDomains();this._applyZoom(domains.x,domains.y)}_zoomDomains(){let transform=d3.zoomTransform(this._selection.node());let axis=this._zoom.axis;return{x:axis=="y"?this._xScale.domain():transform.rescaleX(this._xScale.copy().domain(this._zoomBase.x)).domain(),y:axis=="x"?this._yScale.domain():transform.rescaleY(this._yScale.copy().domain(this._zoomBase.y)).domain()}}_applyZoom(domainX,domainY){let duration=this._duration;this._duration=0;this._xScale.domain(domainX);this._yScale.domain(domainY);this._updateAxis("x");this._updateAxis("y");if(this._dotSelection){this._dotSelection.interrupt().attr("cx",(d,i)=>this._dotPosition(d,i)[0]).attr("cy",(d,i)=>this._dotPosition(d,i)[1])}if(this._brush)this._moveBrush(false);this._lasso.layout();if(this._coordinator)this._coordinator._highlightChart(this);this._duration=duration;this._dispatch.call("zoom",this,{x:this._xScale.domain(),y:this._yScale.domain()})}_dotPosition(d,i){let attributes=this._insertions.setData[1]||{};let position=(name,value)=>typeof attributes[name]=="function"?attributes[name](d,i):attributes[name]!=null?parseFloat(attributes[name]):value;return[position("cx",this._xScale(d[0])),position("cy",this._yScale(d[1]))]}brush(options){if(options==null)return this._brush?Object.assign({},this._brush):null;if(this._brushGroup)this._brushGroup.remove();if(options===false){this._brushExtent=null;if(this._brush&&this._dotSelection)this._highlight(this._dotSelection,null);this._brush=null;this._brushBehavior=null;this._brushGroup=null;return this}this.lasso(false);let brush=Object.assign({axis:"xy"},this._brush,options===true?{}:options);if(!["xy","x","y"].includes(brush.axis))throw new Error("Invalid brush axis: expected xy, x or y.");if(this._brush&&this._brush.axis!=brush.axis)this._brushExtent=null;this._brush=brush;this._brushBehavior=(brush.axis=="x"?d3.brushX():brush.axis=="y"?d3.brushY():d3.brush()).on("start brush end",()=>this._onBrush());this._brushGroup=this._selection.insert("g",".dot").attr("class","brush");this._layoutBrush();return this}setBrush(extent){if(!this._brush)throw new Error("The brush of the chart must be enabled.");this._brushExtent=extent;this._moveBrush(true);return this}clearBrush(){if(!this._brush)return this;this._brushExtent=null;this._moveBrush(true);return this}_layoutBrush(){if(!this._brushBehavior)return;this._brushBehavior.extent([[0,0],[this._width,this._height]]);this._brushGroup.call(this._brushBehavior);this._moveBrush(false)}_moveBrush(emit){let extent=this._brushExtent;let pixels=null;if(extent){let sort=values=>values.sort(d3.ascending);if(this._brush.axis=="x")pixels=sort(extent.map(this._xScale));else if(this._brush.axis=="y")pixels=sort(extent.map(this._yScale));else pixels=d3.transpose([sort([this._xScale(extent[0][0]),this._xScale(extent[1][0])]),sort([this._yScale(extent[0][1]),this._yScale(extent[1][1])])])}this._brushSilent=true;this._brushGroup.call(this._brushBehavior.move,pixels);this._brushSilent=false;this._selectBrushed(pixels,emit)}_onBrush(){if(this._brushSilent)return;let pixels=d3.brushSelection(this._brushGroup.node());if(pixels==null){this._brushExtent=null}else if(this._brush.axis=="x"){this._brushExtent=pixels.map(this._xScale.invert)}else if(this._brush.axis=="y"){this._brushExtent=pixels.map(this._yScale.invert).reverse()}else{this._brushExtent=[[this._xScale.invert(pixels[0][0]),this._yScale.invert(pixels[1][1])],[this._xScale.invert(pixels[1][0]),this._yScale.invert(pixels[0][1])]]}this._selectBrushed(pixels,true)}_selectBrushed(pixels,emit){if(!this._dotSelection)return;let inside=(d,i)=>{let position=this._dotPosition(d,i);if(this._brush.axis=="x")return position[0]>=pixels[0]&&position[0]<=pixels[1];if(this._brush.axis=="y")return position[1]>=pixels[0]&&position[1]<=pixels[1];return position[0]>=pixels[0][0]&&position[0]<=pixels[1][0]&&position[1]>=pixels[0][1]&&position[1]<=pixels[1][1]};this._highlight(this._dotSelection,pixels?inside:null);if(emit)this._emitSelection(this._dotSelection,pixels?inside:()=>false,{extent:this._brushExtent})}lasso(enabled){if(enabled)this.brush(false);return super.lasso(enabled)}_lassoMarks(){return{selection:this._dotSelection,position:(d,i)=>this._dotPosition(d,i),project:point=>[this._xScale(point[0]),this._yScale(point[1])],invert:point=>[this._xScale.invert(point[0]),this._yScale.invert(point[1])]}}_layoutZoom(){if(!this._zoomBehavior)return;this._selection.selectAll(".zoomArea, .zoomClip rect").attr("width",this._width).attr("height",this._height);this._zoomBehavior.extent([[0,0],[this._width,this._height]])}_marks(){return[{selection:this._dotSelection,fields:(d,i)=>({x:d[0],y:d[1],index:i}),template:"x: {x}\ny: {y}",sort:(a,b)=>a.fields.x-b.fields.x||a.fields.y-b.fields.y}]}_describe(format){let data=this._dotSelection?this._dotSelection.data():[];if(data.length==0)return[];let x=d3.extent(data,d=>d[0]);let y=d3.extent(data,d=>d[1]);let count=data.length+(data.length==1?" dot":" dots");return["It has "+count+", with x from "+format.number(x[0])+" to "+format.number(x[1])+" and y from "+format.number(y[0])+" to "+format.number(y[1])+"."]}static _validateSpec(spec,errors){ChartSpec.checkSpec(errors,spec,"data","an array of [x, y] pairs",v=>Array.isArray(v)&&v.every(d=>Array.isArray(d)&&d.length>=2))}_applySpec(spec){let scales=spec.scales||{};if(scales.x)this.xScale(ChartSpec.scaleFromSpec(Object.assign({range:[0,this._width]},scales.x)));if(scales.y)this.yScale(ChartSpec.scaleFromSpec(Object.assign({range:[this._height,0]},scales.y)));if(scales.color)this.colorScale(ChartSpec.scaleFromSpec(scales.color));if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes),null,ChartSpec.keyFromSpec(spec.key));if(scales.x&&scales.x.domain)this.xScale(this._xScale.domain(ChartSpec.scaleFromSpec(scales.x).domain()));if(scales.y&&scales.y.domain)this.yScale(this._yScale.domain(ChartSpec.scaleFromSpec(scales.y).domain()))}_exportSpec(spec){spec.scales={x:ChartSpec.scaleToSpec(this._xScale),y:ChartSpec.scaleToSpec(this._yScale),color:ChartSpec.scaleToSpec(this._colorScale)};let insertion=ChartSpec.insertionToSpec(this._insertions.setData,this._dotSelection);if(insertion)Object.assign(spec,insertion);if(insertion&&this._customFill){spec.attributes=Object.assign({fill:this._dotSelection.nodes().map(node=>node.getAttribute("fill"))},spec.attributes)}}_applyTheme(){this._colorScale=ChartTheme.paletteScale(this.theme().palette);super._applyTheme()}_layout(previousWidth,previousHeight){super._layout(previousWidth,previousHeight);this._xScale.range([0,this._width]);this._updateAxis("x");this._yScale.range([this._height,0]);this._updateAxis("y");this._layoutZoom();this._layoutBrush()}clear(){if(this._dotSelection){this._dotSelection.remove();this._dotSelection=null}return super.clear()}}ChartSpec.registerType("scatterplot",Scatterplot);class Pie extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"pieChart");this._layout();this._sliceSelection=null;this._labelSelection=null;this._innerRadius=(d,i)=>0;this._outerRadius=(d,i)=>d3.min([this._width,this._height])/2;this._applyTheme()}sliceSelection(){return this._sliceSelection}labelSelection(){return this._labelSelection}innerRadius(func){if(func){this._innerRadius=func;return this}else{return this._innerRadius}}outerRadius(func){if(func){this._outerRadius=func;return this}else{return this._outerRadius}}colorScale(scale){if(scale){this._colorScale=scale;return this}else{return this._colorScale}}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);let thisChart=this;this._pieData=d3.pie()(dataset);if(attributes==null)attributes=[];let defaultPath=attributes.d==null;Chart.addIfNull(attributes,"id",(d,i)=>"slice"+i);attributes.class="slice";Chart.addIfNull(attributes,"d",(d,i)=>this.genSlice(d,i)());let onExit=exit=>{if(this._duration>0){this._animate(exit).attrTween("d",function(){return thisChart._arcTween(this,Object.assign({},this._current,{endAngle:this._current.startAngle}))}).remove()}else{exit.remove()}};this._sliceSelection=Chart.joinData(this._selection,".slice","path",dataset,key,null,onExit);let transition=this._animate(this._sliceSelection);transition.attr("fill",(d,i)=>thisChart._colorScale(i%thisChart._colorScale.domain().length));Chart.insertAttributesEvents(this._sliceSelection,attributes,onEvents,transition);if(defaultPath&&transition!==this._sliceSelection){let arcs=d3.local();this._sliceSelection.each(function(d,i){arcs.set(this,thisChart._sliceArc(d,i))});transition.attrTween("d",function(){return thisChart._arcTween(this,arcs.get(this))})}else{this._sliceSelection.each(function(d,i){this._current=thisChart._sliceArc(d,i)})}this._marksChanged();return this}setSliceLabels(labels,attributes,onEvents,key){this._storeInsertion("setSliceLabels",arguments);let centroids=this._sliceSelection.data().map((d,i)=>this.genSlice(d,i).centroid());if(attributes==null)attributes=[];attributes.class="sliceLabel";Chart.addIfNull(attributes,"x",(d,i)=>centroids[i][0]);Chart.addIfNull(attributes,"y",(d,i)=>centroids[i][1]);Chart.addIfNull(attributes,"text-anchor","middle");Chart.addIfNull(attributes,"dominant-baseline","middle");this._labelSelection=Chart.joinData(this._selection,".sliceLabel","text",labels,key).text((d,i)=>d);Chart.insertAttributesEvents(this._labelSelection,attributes,onEvents,this._animate(this._labelSelection));return this}genSlice(d,i){let arc=this._sliceArc(d,i);return d3.arc().innerRadius(arc.innerRadius).outerRadius(arc.outerRadius).startAngle(arc.startAngle).endAngle(arc.endAngle)}_marks(){let total=this._sliceSelection?d3.sum(this._sliceSelection.data()):0;let labels=this._labelSelection?this._labelSelection.data():[];return[{selection:this._sliceSelection,fields:(d,i)=>({label:labels[i]!=null?labels[i]:i+1,value:d,percentage:d/total,index:i}),template:"{label}: {value} ({percentage:.1%})"}]}_describe(format){let slices=this._markList();if(slices.length==0)return[];let largest=slices.reduce((a,b)=>b.fields.value>a.fields.value?b:a).fields;let count=slices.length+(slices.length==1?" slice":" slices");return["It has "+count+", with a total of "+format.number(d3.sum(slices,mark=>mark.fields.value))+". The largest is "+largest.label+", with "+format.number(largest.value)+", or "+format.percentage(largest.percentage)+" of the total."]}static _validateSpec(spec,errors){let isRadius=v=>typeof v=="number"||Array.isArray(v)&&v.every(r=>typeof r=="number");ChartSpec.checkSpec(errors,spec,"data","an array of numbers",v=>Array.isArray(v)&&v.every(d=>typeof d=="number"));ChartSpec.checkSpec(errors,spec,"innerRadius","a number or an array of numbers",isRadius);ChartSpec.checkSpec(errors,spec,"outerRadius","a number or an array of numbers",isRadius)}_applySpec(spec){let radius=r=>Array.isArray(r)?(d,i)=>r[i]:(d,i)=>r;if(spec.innerRadius!=null)this.innerRadius(radius(spec.innerRadius));if(spec.outerRadius!=null)this.outerRadius(radius(spec.outerRadius));if(spec.scales&&spec.scales.color)this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes),null,ChartSpec.keyFromSpec(spec.key));if(spec.data&&spec.labels)this.setSliceLabels(spec.labels)}_exportSpec(spec){spec.scales={color:ChartSpec.scaleToSpec(this._colorScale)};let insertion=ChartSpec.insertionToSpec(this._insertions.setData,this._sliceSelection);if(insertion){Object.assign(spec,insertion);let radius=func=>{let radii=spec.data.map((d,i)=>func(d,i));return radii.every(r=>r==radii[0])?radii[0]:radii};spec.innerRadius=radius(this._innerRadius);spec.outerRadius=radius(this._outerRadius)}if(this._insertions.setSliceLabels)spec.labels=ChartSpec.copy(this._insertions.setSliceLabels[0])}_applyTheme(){this._colorScale=ChartTheme.paletteScale(this.theme().palette);super._applyTheme()}_origin(){return[this._width/2,this._height/2]}_sliceArc(d,i){return{innerRadius:this._innerRadius(d,i),outerRadius:this._outerRadius(d,i),startAngle:this._pieData[i].startAngle,endAngle:this._pieData[i].endAngle}}_arcTween(node,arc){let start=node._current||Object.assign({},arc,{endAngle:arc.startAngle});let interpolator=d3.interpolate(start,arc);node._current=arc;return t=>d3.arc()(interpolator(t))}clear(){if(this._sliceSelection){this._sliceSelection.remove();this._sliceSelection=null;this._pieData=null}if(this._labelSelection){this._labelSelection.remove();this._labelSelection=null}return super.clear()}}ChartSpec.registerType("pie",Pie);class StarGlyph extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"starGlyphChart");this._polygonSelection=null;this._labelSelection=null;this._scales=[];this._domains=[];this._pathGenerator=d3.lineRadial().angle((d,i)=>this._getAngle(i)).radius((d,i)=>this._scales[i%this._scales.length](d));this._fillFunction=(d,i)=>this.theme().palette[0];this._layout();this._applyTheme()}polygonSelection(){return this._polygonSelection}labelSelection(){return this._labelSelection}pathGenerator(gen){if(gen){this._pathGenerator=gen;return this}else{return this._pathGenerator}}fillFunction(func){if(func){this._fillFunction=func;return this}else{return this._fillFunction}}setScaleDomains(newDomains){this._domains=[];for(let i in newDomains)this._domains[i]=newDomains[i];this._updateScales();return this}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);if(attributes==null)attributes=[];Chart.addIfNull(attributes,"id",(d,i)=>"polygon"+i);attributes.class="polygon";Chart.addIfNull(attributes,"d",(d,i)=>this._pathGenerator(d,i));if(this._scales.length==0)this.setScaleDomains(dataset.map(value=>d3.extent([0,value])));dataset=dataset.concat([dataset[0]]);this._polygonSelection=Chart.joinData(this._selection,".polygon","path",[dataset],key);let transition=this._animate(this._polygonSelection);transition.attr("fill",this._fillFunction);Chart.insertAttributesEvents(this._polygonSelection,attributes,onEvents,transition);this._marksChanged();return this}setCornerLabels(labels,attributes,onEvents,key){this._storeInsertion("setCornerLabels",arguments);let radius=d3.min([this._width,this._height])/2+3;if(attributes==null)attributes=[];attributes.class="cornerLabel";Chart.addIfNull(attributes,"x",(d,i)=>Math.sin(this._getAngle(i))*radius);Chart.addIfNull(attributes,"y",(d,i)=>-Math.cos(this._getAngle(i))*radius);Chart.addIfNull(attributes,"text-anchor",(d,i)=>this._getTextAnchor(i));Chart.addIfNull(attributes,"dominant-baseline",(d,i)=>this._getDominantBaseline(i));this._labelSelection=Chart.joinData(this._selection,".cornerLabel","text",labels,key).text((d,i)=>d);Chart.insertAttributesEvents(this._labelSelection,attributes,onEvents,this._animate(this._labelSelection));return this}_marks(){let labels=this._labelSelection?this._labelSelection.data():[];return[{selection:this._polygonSelection,fields:(d,i)=>({labels:d.slice(0,-1).map((value,j)=>labels[j]!=null?labels[j]:j+1),values:d.slice(0,-1)}),template:fields=>fields.values.map((value,j)=>Chart.formatTemplate("{label}: {value}",{label:fields.labels[j],value:value})).join("\n")}]}_describe(format){let fields=this._markList().map(mark=>mark.fields)[0];if(fields==null)return[];return Chart._describeExtremes(fields.values.map((value,i)=>({label:fields.labels[i],value:value})),"value",format)}static _validateSpec(spec,errors){let domains=spec.scaleDomains;ChartSpec.checkSpec(errors,spec,"scaleDomains","an array of [minimum, maximum] pairs",v=>Array.isArray(v)&&v.every(d=>Array.isArray(d)&&d.length==2),spec.data!=null);ChartSpec.checkSpec(errors,spec,"data","an array of numbers with a value for each scale domain",v=>Array.isArray(v)&&v.every(d=>typeof d=="number")&&(!Array.isArray(domains)||v.length==domains.length));ChartSpec.checkSpec(errors,spec,"fill","a color",v=>typeof v=="string")}_applySpec(spec){if(spec.scaleDomains)this.setScaleDomains(spec.scaleDomains);if(spec.fill)this.fillFunction((d,i)=>spec.fill);if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes));if(spec.labels)this.setCornerLabels(spec.labels)}_exportSpec(spec){spec.scaleDomains=this._domains.map(domain=>domain.slice());let insertion=ChartSpec.insertionToSpec(this._insertions.setData,this._polygonSelection);if(insertion){Object.assign(spec,insertion);spec.fill=this._polygonSelection.attr("fill")}if(this._insertions.setCornerLabels)spec.labels=ChartSpec.copy(this._insertions.setCornerLabels[0])}_scaleDomains(){let dataset=this._insertions.setData?this._insertions.setData[0]:[];let domains={};dataset.forEach((value,i)=>{domains[i]=d3.extent([0,value])});return domains}_shareDomains(domains){this._linkDomains(domains);this._updateScales();this._redraw()}_updateScales(){this._scales=[];for(let i in this._domains){this._scales[i]=d3.scaleLinear().domain(this._linkedDomains[i]||this._domains[i]).range([0,d3.min([this._width,this._height])/2])}}_origin(){return[this._width/2,this._height/2]}_layout(previousWidth,previousHeight){super._layout(previousWidth,previousHeight);for(let scale of this._scales){scale.range([0,d3.min([this._width,this._height])/2])}}_getAngle(i){return 2*Math.PI*i/this._scales.length}_getTextAnchor(i){let sine=Math.sin(this._getAngle(i));return sine<-1e-6?"end":sine>1e-6?"start":"middle"}_getDominantBaseline(i){let cosine=Math.cos(this._getAngle(i));return cosine<-1e-6?"hanging":cosine>1e-6?"baseline":"middle"}clear(){if(this._polygonSelection){this._polygonSelection.remove();this._polygonSelection=null}if(this._labelSelection){this._labelSelection.remove();this._labelSelection=null}return super.clear()}}ChartSpec.registerType("starGlyph",StarGlyph);class Correlation extends Chart{constructor(container,id,position,margins,dimensions){super(container,id,position,margins,dimensions,"correlationChart");this._rowLabelSelection=null;this._colLabelSelection=null;this._ellipseSelection=null;this._cellSelection=null;this._rowKeys=d3.local();this._cellKeys=d3.local();this._applyTheme()}rowLabelSelection(){return this._rowLabelSelection}colLabelSelection(){return this._colLabelSelection}ellipseSelection(){return this._ellipseSelection}cellSelection(){return this._cellSelection}colorScheme(scheme){if(scheme){this._colorScheme=scheme;return this}else{return this._colorScheme}}setLabels(names,attributes,onEvents,key){this._storeInsertion("setLabels",arguments);if(attributes==null)attributes=[];attributes.class="rowLabel";Chart.addIfNull(attributes,"text-anchor","end");attributes["dominant-baseline"]="hanging";attributes.transform=(d,i)=>"translate(0, "+(i+1/2)*this._height/names.length+")rotate(45)";this._rowLabelSelection=Chart.joinData(this._selection,".rowLabel","text",names,key).text(d=>d);Chart.insertAttributesEvents(this._rowLabelSelection,attributes,null);attributes.class="colLabel";attributes["dominant-baseline"]="bottom";attributes.transform=(d,i)=>"translate("+(i+1/2)*this._width/names.length+", 0)rotate(45)";this._colLabelSelection=Chart.joinData(this._selection,".colLabel","text",names,key).text(d=>d);Chart.insertAttributesEvents(this._colLabelSelection,attributes,onEvents);return this}setData(dataset,attributes,onEvents,key){this._storeInsertion("setData",arguments);let thisChart=this;let correlations=Correlation.pearson(dataset);let variableKeys=key?correlations.map(key):null;let storedKey=local=>key?function(d,i){let variableKey=local.get(this);return variableKey!==undefined?variableKey:variableKeys[i]}:undefined;let posScale=d3.scaleLinear().domain([-1,0,1]).range([1e-7,1,Math.sqrt(2)]);if(attributes==null)attributes=[];attributes.id=(d,i)=>"ellipse_"+i;attributes.class="groupEllipse";attributes.rx=(d,i)=>posScale(d)*d3.min([this._height,this._width])/(2*dataset[0].length);attributes.ry=(d,i)=>posScale(-d)*d3.min([this._width,this._height])/(2*dataset[0].length);attributes.transform=(d,i)=>"translate("+i*this._width/dataset[0].length+", 0)rotate(-45)";Chart.addIfNull(attributes,"stroke",(d,i)=>thisChart._colorScheme((d+1)/2));let rowTransform=(d,i)=>"translate("+this._width/(2*dataset[0].length)+","+(i+1/2)*this._height/dataset[0].length+")";let onExit=exit=>this._animate(exit).attr("opacity",0).remove();let ellipseGroups=Chart.joinData(this._selection,".ellipseGroup","g",correlations,storedKey(this._rowKeys),enter=>enter.attr("transform",rowTransform),onExit).attr("id",(d,i)=>"ellipseGroup"+i);this._animate(ellipseGroups).attr("transform",rowTransform);this._ellipseSelection=Chart.joinData(ellipseGroups,".groupEllipse","ellipse",d=>d,storedKey(this._cellKeys),null,onExit);let ellipseTransition=this._animate(this._ellipseSelection);ellipseTransition.attr("fill",(d,i)=>thisChart._colorScheme((d+1)/2));rowTransform=(d,i)=>"translate(0,"+i*this._height/dataset[0].length+")";let cellAttributes={x:(d,i)=>i*this._width/dataset[0].length,width:this._width/dataset[0].length,height:this._height/dataset[0].length,stroke:this.theme().foreground,"stroke-width":this.theme().strokeWidths.mark,fill:"transparent"};let cellGroups=Chart.joinData(this._selection,".rectGroup","g",correlations,storedKey(this._rowKeys),enter=>enter.attr("transform",rowTransform),onExit).attr("id",(d,i)=>"rectGroup_"+i);this._animate(cellGroups).attr("transform",rowTransform);this._cellSelection=Chart.joinData(cellGroups,".groupRect","rect",d=>d,storedKey(this._cellKeys),enter=>Chart.insertAttributesEvents(enter,cellAttributes,null),onExit).attr("id",(d,i)=>"rect_"+i);Chart.insertAttributesEvents(this._cellSelection,cellAttributes,null,this._animate(this._cellSelection));if(key){let storeKey=local=>function(d,i){local.set(this,variableKeys[i])};ellipseGroups.each(storeKey(this._rowKeys));cellGroups.each(storeKey(this._rowKeys));this._ellipseSelection.each(storeKey(this._cellKeys));this._cellSelection.each(storeKey(this._cellKeys))}Chart.insertAttributesEvents(this._ellipseSelection,attributes,null,ellipseTransition);Chart.insertAttributesEvents(this._cellSelection,null,onEvents);this._marksChanged();return this}_applyTheme(){this._colorScheme=this.theme().diverging;super._applyTheme()}_marks(){let names=this._rowLabelSelection?this._rowLabelSelection.data():[];let name=i=>names[i]!=null?names[i]:i+1;let fields=rows=>(d,i,node)=>({row:name(rows.indexOf(node.parentNode)),column:name(i),value:d});let cellRows=this._selection.selectAll(".rectGroup").nodes();return[{selection:this._cellSelection,fields:fields(cellRows),template:"{row}, {column}: {value:.2f}",row:mark=>cellRows.indexOf(mark.node.parentNode)},{selection:this._ellipseSelection,fields:fields(this._selection.selectAll(".ellipseGroup").nodes()),template:"{row}, {column}: {value:.2f}",focusable:false}]}_describe(format){let names=this._rowLabelSelection?this._rowLabelSelection.data():[];let name=i=>names[i]!=null?names[i]:i+1;let pairs=[];this._selection.selectAll(".rectGroup").data().forEach((row,i)=>{for(let j=i+1;j<row.length;j++)pairs.push({row:name(i),column:name(j),value:row[j]})});if(pairs.length==0)return[];let sentences=[];let positive=pairs.reduce((a,b)=>b.value>a.value?b:a);let negative=pairs.reduce((a,b)=>b.value<a.value?b:a);let pair=fields=>"between "+fields.row+" and "+fields.column+", with "+format.number(fields.value);if(positive.value>0)sentences.push("The strongest positive correlation is "+pair(positive)+".");else sentences.push("There are no positive correlations.");if(negative.value<0)sentences.push("The strongest negative correlation is "+pair(negative)+".");else sentences.push("There are no negative correlations.");return sentences}static _validateSpec(spec,errors){ChartSpec.checkSpec(errors,spec,"data","an array of rows with the same number of numbers",v=>Array.isArray(v)&&v.length>0&&v.every(d=>Array.isArray(d)&&d.length==v[0].length&&d.every(value=>typeof value=="number")))}_applySpec(spec){if(spec.colorScheme)this.colorScheme(d3[spec.colorScheme]);if(spec.data)this.setData(spec.data,ChartSpec.attributesFromSpec(spec.attributes));if(spec.labels)this.setLabels(spec.labels)}_exportSpec(spec){spec.colorScheme=ChartSpec.d3Name(this._colorScheme);let insertion=ChartSpec.insertionToSpec(this._insertions.setData,null);if(insertion)Object.assign(spec,insertion);if(this._insertions.setLabels)spec.labels=ChartSpec.copy(this._insertions.setLabels[0])}static pearson(dataset){let means=new Array(dataset[0].length);for(let i=0;i<dataset[0].length;i++){means[i]=d3.mean(dataset.map(d=>d[i]))}let output=new Array(dataset[0].length);for(let i=0;i<dataset[0].length;i++){output[i]=new Array(dataset[0].length);for(let j=0;j<dataset[0].length;j++){let covariance=d3.sum(dataset.map(d=>(d[i]-means[i])*(d[j]-means[j])));let stdDeviationI=d3.sum(dataset.map(d=>(d[i]-means[i])*(d[i]-means[i])));let stdDeviationJ=d3.sum(dataset.map(d=>(d[j]-means[j])*(d[j]-means[j])));output[i][j]=covariance/Math.sqrt(stdDeviationI*stdDeviationJ)}}return output}clear(){if(this._rowLabelSelection){this._rowLabelSelection.remove();this._rowLabelSelection=null}if(this._colLabelSelection){this._colLabelSelection.remove();this._colLabelSelection=null}if(this._ellipseSelection){this._selection.selectAll(".ellipseGroup").remove();this._ellipseSelection=null}if(this._cellSelection){this._selection.selectAll(".rectGroup").remove();this._cellSelection=null}return super.clear()}}ChartSpec.registerType("correlation",Correlation);class LabelTable extends Chart{constructor(chart,id,position,margins,dimensions){super(chart.selection(),id,position,margins,dimensions,"labels");this._chart=chart;this._colorSelection=null;this._textSelection=null;this._labelKeys=d3.local();this._border=this._selection.append("rect").attr("class","border").attr("width",this._width).attr("height",this._height);this.accessibility({label:"Legend",dataTable:false});this._theme=chart._theme;this._applyTheme()}chart(){return this._chart}colorSelection(){return this._colorSelection}textSelection(){return this._textSelection}border(rect){return this._border}_exportSpec(spec){if(this._insertions.setValues){spec.colors=ChartSpec.copy(this._insertions.setValues[0]);spec.values=ChartSpec.copy(this._insertions.setValues[1])}}_applyTheme(){let theme=this.theme();super._applyTheme();this._border.attr("stroke",theme.foreground).attr("stroke-width",theme.strokeWidths.mark).attr("fill",theme.background||"white")}_layout(previousWidth,previousHeight){super._layout(previousWidth,previousHeight);this._border.attr("width",this._width).attr("height",this._height)}setValues(colors,values,colorAttributes,valueAttributes,key){this._storeInsertion("setValues",arguments);let thisChart=this;if(colorAttributes==null)colorAttributes=[];colorAttributes["class"]="colorPlot";Chart.addIfNull(colorAttributes,"x",0);Chart.addIfNull(colorAttributes,"y",(d,i)=>i*thisChart._height/colors.length);Chart.addIfNull(colorAttributes,"width",thisChart._height/colors.length);Chart.addIfNull(colorAttributes,"height",thisChart._height/colors.length);let labelKeys=key?values.map(key):null;let colorKey=key?function(d,i){let labelKey=thisChart._labelKeys.get(this);return labelKey!==undefined?labelKey:labelKeys[i]}:undefined;this._colorSelection=Chart.joinData(this._selection,".colorPlot","rect",colors,colorKey).attr("fill",(d,i)=>d);if(key){this._colorSelection.each(function(d,i){thisChart._labelKeys.set(this,labelKeys[i])})}Chart.insertAttributesEvents(this._colorSelection,colorAttributes,null);if(valueAttributes==null)valueAttributes=[];valueAttributes["class"]="colorLabel";Chart.addIfNull(valueAttributes,"x",colorAttributes["width"]+5);Chart.addIfNull(valueAttributes,"y",colorAttributes["y"]);Chart.addIfNull(valueAttributes,"width",thisChart._width-valueAttributes["x"]);Chart.addIfNull(valueAttributes,"height",colorAttributes["height"]);this._textSelection=Chart.joinData(this._selection,".colorLabel","text",values,key).text(d=>d).attr("dominant-baseline","hanging");Chart.insertAttributesEvents(this._textSelection,valueAttributes,null);return this}}ChartSpec.registerType("labelTable",LabelTable);class Dashboard{constructor(container,id,position,dimensions,grid){this._container=container;this._id=id;this._x=position!=null?position.x:0;this._y=position!=null?position.y:0;this._width=dimensions!=null?dimensions.width:+container.attr("width")-this._x;this._height=dimensions!=null?dimensions.height:+container.attr("height")-this._y;grid=grid||{};this._columns=grid.columns!=null?grid.columns:1;this._rows=grid.rows!=null?grid.rows:null;this._gutter=grid.gutter!=null?grid.gutter:10;this._items=[];this._count=0;this._resizeObserver=null}container(){return this._container}id(){return this._id}position(x,y){if(x!=null&&y!=null){this._setBounds({x:x,y:y,width:this._width,height:this._height});return this}else{return[this._x,this._y]}}width(){return this._width}height(){return this._height}charts(){let charts=[];for(let item of this._items){if(item.chart)charts.push(item.chart);else charts=charts.concat(item.dashboard.charts())}return charts}add(type,cell){cell=this._place(Object.assign({},cell));let id=cell.id||typeof type=="object"&&type.id||this._nextId();let bounds=Dashboard._split(this._cellBounds(cell),cell.labelTable);let position={x:bounds.chart.x,y:bounds.chart.y};let dimensions={width:bounds.chart.width,height:bounds.chart.height};let chart;if(typeof type=="object"){chart=Chart.fromSpec(this._container,Object.assign({},type,{id:id,position:position,dimensions:dimensions},cell.margins!=null?{margins:cell.margins}:{}))}else{let chartClass=typeof type=="string"?Dashboard._chartTypes[type]:type;if(!chartClass)throw new Error("Unknown type of chart: "+type+". Expected one of "+Object.keys(Dashboard._chartTypes).join(", ")+".");chart=new chartClass(this._container,id,position,cell.margins,dimensions)}if(cell.labelTable){let table=cell.labelTable;chart.labelTable(new LabelTable(chart,table.id||id+"Labels",{x:0,y:0},table.margins,{width:bounds.table.width,height:bounds.table.height}))}this._items.push({cell:cell,chart:chart});this._layout();return chart}group(cell,grid){cell=this._place(Object.assign({},cell));let bounds=this._cellBounds(cell);let dashboard=new Dashboard(this._container,cell.id||this._nextId(),{x:bounds.x,y:bounds.y},{width:bounds.width,height:bounds.height},grid);this._items.push({cell:cell,dashboard:dashboard});this._layout();return dashboard}facet(type,dataset,key,options){options=Object.assign({value:data=>data,plot:(chart,data)=>chart.setData(data),label:key=>String(key),shareScales:true,cell:{}},options);let groups=[];let groupIndexes={};dataset.forEach((d,i)=>{let groupKey=key(d,i);if(!(groupKey in groupIndexes)){groupIndexes[groupKey]=groups.length;groups.push({key:groupKey,data:[]})}groups[groupIndexes[groupKey]].data.push(d)});let charts=groups.map(group=>{let chart=this.add(type,Object.assign({},options.cell));if(options.label)chart.title(options.label(group.key));options.plot(chart,options.value(group.data,group.key),group.key);return chart});if(options.shareScales){let domains=Chart._unionDomains(charts);for(let chart of charts)chart._shareDomains(domains)}return charts}resize(width,height){if(width==null)width=this._container.attr("width")-this._x;if(height==null)height=this._container.attr("height")-this._y;this._setBounds({x:this._x,y:this._y,width:+width,height:+height});return this}autoResize(enabled){let node=this._container.node();let view=d3.select(node.ownerDocument.defaultView);let onResize=()=>{let box=node.getBoundingClientRect();this.resize(box.width-this._x,box.height-this._y)};if(this._resizeObserver)this._resizeObserver.disconnect();this._resizeObserver=null;view.on("resize."+this._id,null);if(enabled){if(typeof ResizeObserver!="undefined"){this._resizeObserver=new ResizeObserver(onResize);this._resizeObserver.observe(node)}else{view.on("resize."+this._id,onResize)}}return this}_nextId(){return this._id+"-"+this._count++}_columnCount(){return Array.isArray(this._columns)?this._columns.length:this._columns}_rowCount(){if(this._rows!=null)return Array.isArray(this._rows)?this._rows.length:this._rows;return Math.max(1,d3.max(this._items,item=>item.cell.row+item.cell.rowSpan)||0)}_place(cell){cell.rowSpan=cell.rowSpan||1;cell.columnSpan=cell.columnSpan||1;let columns=this._columnCount();if(cell.columnSpan>columns)throw new Error("The cell doesn't fit in the columns of the dashboard.");if(cell.row==null&&cell.column==null){let taken=(row,column)=>this._items.some(item=>row>=item.cell.row&&row<item.cell.row+item.cell.rowSpan&&column>=item.cell.column&&column<item.cell.column+item.cell.columnSpan);let fits=(row,column)=>column+cell.columnSpan<=columns&&d3.range(row,row+cell.rowSpan).every(r=>d3.range(column,column+cell.columnSpan).every(c=>!taken(r,c)));let index=0;while(!fits(Math.floor(index/columns),index%columns))index++;cell.row=Math.floor(index/columns);cell.column=index%columns}cell.row=cell.row||0;cell.column=cell.column||0;if(cell.column+cell.columnSpan>columns)throw new Error("The cell doesn't fit in the columns of the dashboard.");if(this._rows!=null&&cell.row+cell.rowSpan>this._rowCount())throw new Error("The cell doesn't fit in the rows of the dashboard.");return cell}_tracks(weights,count,length){if(!Array.isArray(weights))weights=d3.range(count).map(()=>1);let free=Math.max(0,length-this._gutter*(weights.length-1));let total=d3.sum(weights);return weights.map(weight=>free*weight/total)}_cellBounds(cell){let columns=this._tracks(this._columns,this._columnCount(),this._width);let rows=this._tracks(this._rows,Math.max(this._rowCount(),cell.row+cell.rowSpan),this._height);let start=(tracks,index)=>d3.sum(tracks.slice(0,index))+this._gutter*index;let size=(tracks,index,span)=>d3.sum(tracks.slice(index,index+span))+this._gutter*(span-1);return{x:this._x+start(columns,cell.column),y:this._y+start(rows,cell.row),width:size(columns,cell.column,cell.columnSpan),height:size(rows,cell.row,cell.rowSpan)}}_setBounds(bounds){this._x=bounds.x;this._y=bounds.y;this._width=bounds.width;this._height=bounds.height;this._layout()}_layout(){for(let item of this._items){let bounds=this._cellBounds(item.cell);if(item.dashboard){item.dashboard._setBounds(bounds);continue}let split=Dashboard._split(bounds,item.cell.labelTable);let chart=item.chart;chart.position(split.chart.x,split.chart.y).resize(split.chart.width,split.chart.height);let table=item.cell.labelTable?chart.labelTable():null;if(table){let offset=chart._offset();table.position(split.table.x-offset[0],split.table.y-offset[1]).resize(split.table.width,split.table.height)}}}static _split(bounds,labelTable){if(!labelTable)return{chart:bounds,table:null};let side=labelTable.side||"right";if(!["left","right","top","bottom"].includes(side))throw new Error("Invalid label table side: expected left, right, top or bottom.");let horizontal=side=="left"||side=="right";let size=Math.min(labelTable.size!=null?labelTable.size:100,horizontal?bounds.width:bounds.height);let chart=Object.assign({},bounds);let table=Object.assign({},bounds);if(horizontal){chart.width-=size;table.width=size;if(side=="left")chart.x+=size;else table.x+=chart.width}else{chart.height-=size;table.height=size;if(side=="top")chart.y+=size;else table.y+=chart.height}return{chart:chart,table:table}}}Dashboard._chartTypes={histogram:Histogram,segments:Segments,map:Map,scatterplot:Scatterplot,pie:Pie,starGlyph:StarGlyph,correlation:Correlation};
\ No newline at end of file
@@ -52,6 +52,39 @@
 			.attr("id", this._id)
 			.attr("class", tagClass)
 			.attr("transform", "translate(" + (this._margins.left + this._x) + "," + (this._margins.top + this._y) + ")");
+		
+		this._duration = 0;
+		this._easing = d3.easeCubic;
+		
+		this._insertions = {};
+		this._redrawing = false;
+		
+		this._resizeObserver = null;
+		
+		this._tooltip = null;
+		
+		this._theme = null;
+		
+		this._titles = new ChartTitles(this);
+		
+		this._axes = new ChartAxes(this);
+		
+		this._annotations = new AnnotationLayer(this);
+		
+		this._lasso = new Lasso(this);
+		
+		//The SelectionCoordinator which links the selections of the chart with other charts, and the ScaleLinks which link its scales
+		this._coordinator = null;
+		this._scaleLinks = [];
+		
+		//The domains shared with other charts, like the charts of a facet or of a ScaleLink, by the names of the scales, which are kept apart from the settings of the user
+		this._linkedDomains = {};
+		
+		this._dispatch = d3.dispatch.apply(null, Chart._eventTypes);
+		
+		this._accessibility = new ChartAccessibility(this);
+		
+		this._keyboardNavigation = new KeyboardNavigation(this);
 	}
 	
 	/**
@@ -71,6 +104,7 @@
 		if (id) {
 			this._id = id;
 			this._selection.attr("id", id);
+			this._accessibility.update();
 			return this;
 		} else {
 			return this._id;
@@ -78,11 +112,20 @@
 	}
 	
 	/**
-	 * Returns the coordinates of the origin of the chart.
-	 * @returns {number[]} The chart's coordinates.
+	 * If coordinates are given, moves the chart, otherwise returns the coordinates of its origin.
+	 * @param {number} x - The new X coordinate of the chart.
+	 * @param {number} y - The new Y coordinate of the chart.
+	 * @returns {(Chart|number[])} This object or the chart's coordinates.
 	 */
-	position() {
-		return [this._x, this._y];
+	position(x, y) {
+		if ((x != null) && (y != null)) {
+			this._x = x;
+			this._y = y;
+			this._selection.attr("transform", "translate(" + this._offset() + ")");
+			return this;
+		} else {
+			return [this._x, this._y];
+		}
 	}
 	
 	/**
@@ -127,6 +170,576 @@
 		return this._labelTable;
 	}
 	
+	/**
+	 * The tooltip of the chart. If tooltip is given, sets the tooltip, removing the previous one. Always returns the current or, if set, the new tooltip.
+	 * @param {Tooltip} tooltip - The new tooltip.
+	 * @returns {Tooltip} The new tooltip.
+	 */
+	tooltip(tooltip) {
+		if (tooltip) {
+			if (this._tooltip && (this._tooltip !== tooltip)) this._tooltip.remove();
+			this._tooltip = tooltip;
+			this._marksChanged();
+		}
+		return this._tooltip;
+	}
+	
+	/**
+	 * The accessibility settings of the chart. The chart and its marks have a role, an aria-label and a title, the chart also has a description, and a visually hidden table with the plotted data is placed after the container. If options is given, sets the given settings, otherwise returns the current settings.
+	 * @param {Object} options - The accessibility settings.
+	 * @param {string} options.label - The accessible name of the chart. Uses the type of the chart by default.
+	 * @param {string} options.description - The description of the chart.
+	 * @param {(string|function)} options.markLabel - The template of the labels of the marks, as in Tooltip.template(). Uses the default content of the tooltips by default.
+	 * @param {boolean} options.dataTable - Whether the hidden data table is created. True by default.
+	 * @param {boolean} options.keyboard - Whether the marks can be focused with the Tab key and navigated with the arrow, Home and End keys. A focused mark triggers the mouseover and mouseout events given to the chart, and the Enter and Space keys trigger its click event. True by default.
+	 * @returns {(Chart|Object)} This object or the current settings.
+	 */
+	accessibility(options) {
+		if (options) {
+			this._accessibility.settings(options);
+			this._keyboardNavigation.update();
+			return this;
+		} else {
+			return this._accessibility.settings();
+		}
+	}
+	
+	/**
+	 * Returns the hidden table with the data plotted by the chart.
+	 * @returns {d3.selection} The data table of this chart, or null if it isn't created.
+	 */
+	dataTable() {
+		return this._accessibility.table();
+	}
+	
+	/**
+	 * Writes a summary of the data plotted by the chart, which can be used as its description or as a caption.
+	 * It names the chart and describes its extremes: the highest and lowest columns of a Histogram, the largest slice of a Pie, the strongest positive and negative pairs of a Correlation, the trend and range of each series of a Segments, the highest and lowest values of a Map, the ranges of a Scatterplot and the highest and lowest values of a StarGlyph.
+	 * @param {Object} options - The options of the summary.
+	 * @param {string} options.locale - The locale of the numbers, like "en-US" or "pt-BR". Uses the locale of the environment by default.
+	 * @param {function} options.format - A function which receives a number and returns its text, used instead of the locale.
+	 * @returns {string} The summary.
+	 */
+	describe(options) {
+		options = options || {};
+		let format = {
+			number: options.format || (value=>value.toLocaleString(options.locale, {maximumFractionDigits: 2})),
+			percentage: value=>value.toLocaleString(options.locale, {style: "percent", maximumFractionDigits: 1})
+		};
+		return [this._accessibility.label() + "."].concat(this._describe(format)).join(" ");
+	}
+	
+	/**
+	 * The theme of the chart, which sets its colors, fonts, stroke widths and background. If theme is given, sets it and plots the chart again with it, otherwise returns the current theme, with the fields of the default theme which this chart's theme doesn't set.
+	 * The colors given by the theme replace the colors of the scales of the chart.
+	 * @param {(string|Object)} theme - The name of a theme at Chart.themes, or an object with the fields of a theme to replace. See Chart.themes.
+	 * @returns {(Chart|Object)} This object or the current theme.
+	 */
+	theme(theme) {
+		if (theme) {
+			ChartTheme.resolve(theme);
+			this._theme = theme;
+			this._applyTheme();
+			this._redraw();
+			if (this._labelTable) this._labelTable.theme(theme);
+			if (this._tooltip) this._tooltip._applyTheme();
+			return this;
+		} else {
+			let defaultTheme = ChartTheme.defaultTheme();
+			return this._theme ? ChartTheme.resolve(this._theme, defaultTheme) : defaultTheme;
+		}
+	}
+	
+	/**
+	 * The title of the chart, plotted above it. The space of the title is taken from the plotting area, so the dimensions of the chart are kept. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title.
+	 * @returns {(Chart|string)} This object or the current title.
+	 */
+	title(text) {
+		return this._title("title", text);
+	}
+	
+	/**
+	 * The subtitle of the chart, plotted below its title. If text is given, sets the subtitle, or removes it if text is an empty string. Otherwise returns the current subtitle.
+	 * @param {string} text - The new subtitle.
+	 * @returns {(Chart|string)} This object or the current subtitle.
+	 */
+	subtitle(text) {
+		return this._title("subtitle", text);
+	}
+	
+	/**
+	 * The title of the X axis, plotted below the bottom margin. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title of the X axis.
+	 * @returns {(Chart|string)} This object or the current title of the X axis.
+	 */
+	xAxisTitle(text) {
+		return this._title("xAxisTitle", text);
+	}
+	
+	/**
+	 * The title of the Y axis, plotted rotated at the left of the left margin. If text is given, sets the title, or removes it if text is an empty string. Otherwise returns the current title.
+	 * @param {string} text - The new title of the Y axis.
+	 * @returns {(Chart|string)} This object or the current title of the Y axis.
+	 */
+	yAxisTitle(text) {
+		return this._title("yAxisTitle", text);
+	}
+	
+	_title(name, text) {
+		if (text != null) {
+			this._titles.text(name, text);
+			return this;
+		} else {
+			return this._titles.text(name);
+		}
+	}
+	
+	/**
+	 * The configuration of an axis of the chart, for the charts with axes: Histogram, Scatterplot and Segments. If config is given, its fields replace the ones of the axis and the chart is plotted again, otherwise returns the current configuration.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @param {Object} config - The fields of the configuration to replace.
+	 * @param {boolean} config.visible - Whether the axis is shown.
+	 * @param {string} config.orientation - The side of the axis: "bottom", "top" or "both" for the X axis, "left", "right" or "both" for the Y axis.
+	 * @param {(number|Array)} config.ticks - The approximate number of ticks, or the values of the ticks.
+	 * @param {(string|function)} config.format - The d3 format of the tick labels, like ".1f", or a function which receives a value and returns its label.
+	 * @param {number} config.tickSize - The length of the ticks.
+	 * @param {number} config.labelRotation - The rotation of the tick labels, in degrees.
+	 * @param {boolean} config.nice - Whether the domains computed from the data are extended to round values. Only used by continuous scales.
+	 * @param {number} config.padding - The fraction of the domains computed from the data added to each of their ends. Only used by continuous scales.
+	 * @param {Array} config.domain - A fixed domain, [minimum, maximum], used instead of the domain computed from the data or shared with other charts, like the ones of a ScaleLink, or null to compute it again. Only used by continuous scales.
+	 * @param {boolean} config.grid - Whether gridlines are drawn across the chart at the ticks of the axis, beneath the marks.
+	 * @param {number} config.minorGrid - The number of minor gridlines drawn between each pair of ticks. Only used by continuous scales.
+	 * @returns {(Chart|Object)} This object or the current configuration.
+	 */
+	axis(name, config) {
+		if (!this._axes.has(name)) throw new Error("The chart has no " + name + " axis.");
+		if (config) {
+			this._axes.config(name, config);
+			this._redraw();
+			return this;
+		} else {
+			return this._axes.config(name);
+		}
+	}
+	
+	/**
+	 * Adds, removes or returns a listener of the events of the chart. The events are listed at Chart._eventTypes. The type may be followed by a dot and a name, like "zoom.axes", so an event can have many listeners.
+	 * @param {string} typenames - The type of the event, with an optional name.
+	 * @param {function} listener - The new listener, or null to remove the current one. The listener receives the object of the event.
+	 * @returns {(Chart|function)} This object or the current listener.
+	 */
+	on(typenames, listener) {
+		if (listener !== undefined) {
+			this._dispatch.on(typenames, listener);
+			return this;
+		} else {
+			return this._dispatch.on(typenames);
+		}
+	}
+	
+	/**
+	 * Enables or disables the lasso, a free-form shape drawn over the chart to select marks. The selected marks are highlighted, the others are dimmed, and a select event is emitted with their data and indices and the polygon of the lasso. Used by the dots of the Scatterplot and of the Map. If enabled is given, sets it, otherwise returns whether the lasso is enabled.
+	 * @param {boolean} enabled - Whether the lasso is enabled.
+	 * @returns {(Chart|boolean)} This object or whether the lasso is enabled.
+	 */
+	lasso(enabled) {
+		if (enabled == null) return this._lasso.enabled();
+		
+		if (!enabled) {
+			this._lasso.disable();
+			return this;
+		}
+		
+		let marks = this._lassoMarks();
+		if (marks == null) throw new Error("This type of chart doesn't support the lasso.");
+		this._lasso.enable(marks);
+		return this;
+	}
+	
+	/**
+	 * Sets the polygon of the lasso, which must be enabled, selecting the marks inside of it.
+	 * @param {number[][]} polygon - The points of the polygon, in the coordinates of the data: [x, y] in a Scatterplot, or [longitude, latitude] in a Map.
+	 * @returns {Chart} This chart.
+	 */
+	setLasso(polygon) {
+		if (!this._lasso.enabled()) throw new Error("The lasso of the chart must be enabled.");
+		this._lasso.set(polygon);
+		return this;
+	}
+	
+	/**
+	 * Clears the lasso, restoring all the marks.
+	 * @returns {Chart} This chart.
+	 */
+	clearLasso() {
+		if (this._lasso.enabled()) this._lasso.set(null);
+		return this;
+	}
+	
+	/**
+	 * Plots annotations on the chart, positioned in the coordinates of the data so they follow the changes of the scales. Used by the charts with axes, Histogram, Scatterplot and Segments, and by the Map, where x is the longitude and y is the latitude.
+	 * Each annotation is an object with a type and an optional label:
+	 * - {type: "line", x: value} or {type: "line", y: value} is a reference line across the chart;
+	 * - {type: "band", x: [from, to]} or {type: "band", y: [from, to]} is a shaded band across the chart;
+	 * - {type: "callout", x: value, y: value, dx: number, dy: number} is a point with a leader line to its label, which is dx and dy pixels away from it;
+	 * - {type: "note", x: value, y: value} is a label at a point.
+	 * The X values of a Histogram and a Segments are labels of the X axis or indexes of the columns and dots.
+	 * @param {Object[]} annotations - An array of annotations.
+	 * @param {Object} attributes - An object containing functions or constants for attributes of the annotations.
+	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each annotation, used to match the annotations with the current ones. If not given, they are matched by index.
+	 * @returns {Chart} This chart.
+	 */
+	setAnnotations(annotations, attributes, onEvents, key) {
+		if (!this._supportsAnnotations()) throw new Error("The chart doesn't support annotations.");
+		this._storeInsertion("setAnnotations", arguments);
+		
+		//Mandatory attributes
+		if (attributes == null) attributes = [];
+		attributes.class = "annotation";
+		Chart.addIfNull(attributes, "stroke", this.theme().foreground);
+		
+		this._annotations.set(annotations, attributes, onEvents, key);
+		return this;
+	}
+	
+	/**
+	 * Resizes the chart, recomputing its scales and axes and plotting its data again.
+	 * @param {number} width - The new width of the chart, counting the margins. If not given, uses the width of the container.
+	 * @param {number} height - The new height of the chart, counting the margins. If not given, uses the height of the container.
+	 * @returns {Chart} This chart.
+	 */
+	resize(width, height) {
+		if (width == null) width = this._container.attr("width");
+		if (height == null) height = this._container.attr("height");
+		
+		let previousWidth = this._width;
+		let previousHeight = this._height;
+		let margins = this._plotMargins();
+		this._width = width - margins.left - margins.right;
+		this._height = height - margins.top - margins.bottom;
+		
+		this._layout(previousWidth, previousHeight);
+		this._redraw();
+		return this;
+	}
+	
+	/**
+	 * Makes the chart follow the size of its container. The chart is resized to fill the container, starting at its position.
+	 * @param {boolean} enabled - Whether the chart is resized when the container is.
+	 * @returns {Chart} This chart.
+	 */
+	autoResize(enabled) {
+		let node = this._container.node();
+		let view = d3.select(node.ownerDocument.defaultView);
+		let onResize = ()=>{
+			let box = node.getBoundingClientRect();
+			this.resize(box.width - this._x, box.height - this._y);
+		};
+		
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		this._resizeObserver = null;
+		view.on("resize." + this._id, null);
+		
+		if (enabled) {
+			if (typeof(ResizeObserver) != "undefined") {
+				this._resizeObserver = new ResizeObserver(onResize);
+				this._resizeObserver.observe(node);
+			} else {
+				view.on("resize." + this._id, onResize);
+			}
+		}
+		return this;
+	}
+	
+	/**
+	 * Exports the configuration and the data of the chart as a specification, which Chart.fromSpec() uses to create the same chart. Attributes set by functions are exported with the values of the plotted elements, events and key functions are not exported.
+	 * @returns {Object} The specification of the chart.
+	 */
+	toSpec() {
+		return ChartSpec.toSpec(this);
+	}
+	
+	/**
+	 * Serializes the chart as a standalone SVG document. The computed styles of the elements and the font faces they use are inlined, so the document renders as in the page. The label table of the chart is included.
+	 * @param {Object} options - The options of the serialization.
+	 * @param {boolean} options.container - Whether the whole container is serialized instead of only this chart.
+	 * @param {string} options.background - A color painted behind the chart.
+	 * @returns {string} The SVG document.
+	 */
+	toSVGString(options) {
+		return ChartExport.toSVGString(this, options);
+	}
+	
+	/**
+	 * Rasterizes the chart into an image. The chart is serialized with toSVGString() and drawn by a rasterizer, which is the browser canvas by default. See Chart.rasterizer().
+	 * @param {Object} options - The options of the image.
+	 * @param {number} options.scale - The number of pixels of the image for each pixel of the chart. 1 by default.
+	 * @param {string} options.background - A color painted behind the chart. The image is transparent by default.
+	 * @param {string} options.type - The MIME type of the image. "image/png" by default.
+	 * @param {boolean} options.container - Whether the whole container is rasterized instead of only this chart.
+	 * @param {function} options.rasterizer - A rasterizer used instead of the default one.
+	 * @returns {Promise} A promise of the data URL of the image.
+	 */
+	toImage(options) {
+		return ChartExport.toImage(this, options);
+	}
+	
+	_applySpec(spec) {
+		//Each type of chart inserts the fields of its specification
+	}
+	
+	_exportSpec(spec) {
+		//Each type of chart exports its settings and data
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		this._selection.attr("transform", "translate(" + this._offset() + ")");
+		this._layoutBackground();
+		this._titles.layout();
+	}
+	
+	_addAxis(name, scale, orientation) {
+		this._axes.add(name, scale, orientation);
+	}
+	
+	_setAxisScale(name, scale) {
+		this._axes.setScale(name, scale);
+		this._annotations.layout();
+	}
+	
+	_axisDomain(name) {
+		return this._axes.domain(name);
+	}
+	
+	_scaleDomains() {
+		//The domains of the data of the continuous scales, by name, which are shared with other charts by _shareDomains()
+		let domains = {};
+		for (let name of this._axes.names()) {
+			if (this._axes.scale(name).invert) domains[name] = this._axisDomain(name);
+		}
+		return domains;
+	}
+	
+	_shareDomains(domains) {
+		//The shared domains replace the domains of the data, which are used again after a null domain
+		this._linkDomains(domains);
+		for (let name in domains) {
+			if (this._axes.has(name) && this._axes.scale(name).invert) this._updateAxis(name, this._axisDomain(name));
+		}
+		this._redraw();
+	}
+	
+	_linkDomains(domains) {
+		//A null domain removes the shared domain of its scale
+		for (let name in domains) {
+			if (domains[name]) this._linkedDomains[name] = domains[name].slice();
+			else delete this._linkedDomains[name];
+		}
+	}
+	
+	_updateAxis(name, domain) {
+		this._axes.update(name, domain);
+		this._annotations.layout();
+	}
+	
+	_supportsAnnotations() {
+		return this._axes.has("x");
+	}
+	
+	_annotationScale(name) {
+		let scale = this._axes.scale(name);
+		let offset = scale.bandwidth ? scale.bandwidth() / 2 : 0;
+		return value=>(scale(value) + offset);
+	}
+	
+	_annotationPoint(x, y) {
+		return [this._annotationScale("x")(x), this._annotationScale("y")(y)];
+	}
+	
+	_annotationLine(name, value) {
+		//The points of a line across the chart where the coordinate of the axis has the value, starting at its top or left
+		let position = this._annotationScale(name)(value);
+		return (name == "x") ? [[position, 0], [position, this._height]] : [[0, position], [this._width, position]];
+	}
+	
+	_offset() {
+		//The translation of the tag of the chart, to the origin inside its margins
+		let origin = this._origin();
+		let margins = this._plotMargins();
+		return [margins.left + this._x + origin[0], margins.top + this._y + origin[1]];
+	}
+	
+	_plotMargins() {
+		//The margins given to the chart, with the space of its titles
+		return this._titles.margins();
+	}
+	
+	_outerDimensions() {
+		let margins = this._plotMargins();
+		return {width: this._width + margins.left + margins.right, height: this._height + margins.top + margins.bottom};
+	}
+	
+	_origin() {
+		//The position of the origin of the chart inside its margins
+		return [0, 0];
+	}
+	
+	_layoutBackground() {
+		let origin = this._origin();
+		let margins = this._plotMargins();
+		let dimensions = this._outerDimensions();
+		this._selection.select(".chartBackground")
+			.attr("x", -margins.left - origin[0])
+			.attr("y", -margins.top - origin[1])
+			.attr("width", dimensions.width)
+			.attr("height", dimensions.height);
+	}
+	
+	_applyTheme() {
+		//Each type of chart also takes the colors of its scales from the theme
+		let theme = this.theme();
+		this._selection
+			.attr("font-family", theme.fontFamily)
+			.attr("font-size", theme.fontSizes.label)
+			.attr("fill", theme.textColor);
+		
+		let background = this._selection.selectAll(".chartBackground").data(theme.background ? [theme.background] : []);
+		background.exit().remove();
+		background.enter().insert("rect", ":first-child")
+			.attr("class", "chartBackground")
+			.merge(background)
+			.attr("fill", d=>d);
+		this._layoutBackground();
+		this._titles.update();
+		this._accessibility.labelChart();
+		
+		let thisChart = this;
+		this._selection.selectAll(".xAxis, .yAxis").each(function() {
+			thisChart._styleAxis(d3.select(this));
+		});
+		for (let name of this._axes.names()) this._axes.updateGrid(name);
+	}
+	
+	_styleAxis(axisGroup) {
+		let theme = this.theme();
+		axisGroup
+			.attr("font-family", theme.fontFamily)
+			.attr("font-size", theme.fontSizes.axis);
+		axisGroup.selectAll(".domain, .tick line")
+			.attr("stroke", theme.axisColor)
+			.attr("stroke-width", theme.strokeWidths.axis);
+		axisGroup.selectAll(".tick text")
+			.attr("fill", theme.textColor);
+	}
+	
+	_marks() {
+		//Each type of chart lists its groups of marks, with the fields of each mark and the default template of its tooltip
+		return [];
+	}
+	
+	_findMark(node) {
+		let found = null;
+		for (let marks of this._marks()) {
+			if (marks.selection) marks.selection.each(function(d, i) {
+				if (this === node) found = Chart._mark(marks, d, i, this);
+			});
+			if (found) return found;
+		}
+		return null;
+	}
+	
+	_markList() {
+		let list = [];
+		for (let marks of this._marks()) {
+			if (marks.selection) marks.selection.each(function(d, i) {
+				list.push(Chart._mark(marks, d, i, this));
+			});
+		}
+		return list;
+	}
+	
+	_describe(format) {
+		//Each type of chart returns the sentences of its summary, with the numbers written by format.number and format.percentage
+		return [];
+	}
+	
+	_lassoMarks() {
+		//The charts with a lasso return the marks it selects, with functions for their positions and to convert between the data and the plotting area
+		return null;
+	}
+	
+	_emitSelection(selection, selected, fields) {
+		let data = [];
+		let indices = [];
+		if (selection) {
+			selection.each((d, i)=>{
+				if (selected(d, i)) {
+					data.push(d);
+					indices.push(i);
+				}
+			});
+		}
+		this._dispatch.call("select", this, Object.assign({data: data, indices: indices}, fields));
+	}
+	
+	_highlight(selection, selected) {
+		//The selected marks keep their opacity and the others are dimmed, or all of them are restored if selected is null
+		selection
+			.classed("selected", (d, i)=>((selected != null) && selected(d, i)))
+			.attr("opacity", (d, i)=>((selected == null) || selected(d, i)) ? null : 0.25);
+	}
+	
+	_marksChanged() {
+		this._annotations.raise();
+		this._lasso.layout();
+		if (this._coordinator) this._coordinator._highlightChart(this);
+		for (let link of this._scaleLinks) link._update(false);
+		this._accessibility.update();
+		this._keyboardNavigation.update();
+	}
+	
+	_storeInsertion(name, args) {
+		//The attribute objects are copied, as the insertion functions fill them with default values
+		this._insertions[name] = Array.from(args).map(arg=>((arg != null) && (typeof(arg) == "object") && !Array.isArray(arg)) ? Object.assign({}, arg) : arg);
+	}
+	
+	_redraw() {
+		//The marks are described once, after all of them are plotted again, and the insertions replayed keep the state of the interactions, like the zoom
+		this._redrawing = true;
+		try {
+			this._accessibility.batch(()=>{
+				for (let name in this._insertions) {
+					this[name].apply(this, this._insertions[name]);
+				}
+			});
+		} finally {
+			this._redrawing = false;
+		}
+	}
+	
+	/**
+	 * The transition used when the chart changes. If duration is given, sets the duration and the easing of the transitions, otherwise returns the current settings. A duration of 0 disables the animations.
+	 * @param {number} duration - The duration of the transitions, in milliseconds.
+	 * @param {function} easing - The easing function of the transitions. Uses d3.easeCubic by default.
+	 * @returns {(Chart|Object)} This object or the current duration and easing.
+	 */
+	transition(duration, easing) {
+		if (duration != null) {
+			this._duration = duration;
+			if (easing) this._easing = easing;
+			return this;
+		} else {
+			return {duration: this._duration, easing: this._easing};
+		}
+	}
+	
+	_animate(selection, name) {
+		if (this._duration > 0) return selection.transition(name).duration(this._duration).ease(this._easing);
+		return selection;
+	}
+	
 	/** 
 	 * Clears the chart, removing the label table.
 	 * @returns {Chart} This chart.
@@ -136,9 +749,117 @@
 			this._labelTable.selection().remove();
 			this._labelTable = null;
 		}
+		if (this._tooltip) this._tooltip.hide();
+		this._annotations.remove();
+		this._insertions = {};
+		this._accessibility.update();
 		return this;
 	}
 	
+	/**
+	 * Registers a type of chart, so it can be created by Chart.fromSpec().
+	 * @param {string} name - The name of the type, used at the type field of the specifications.
+	 * @param {function} chartClass - The class of the chart.
+	 */
+	static registerType(name, chartClass) {
+		ChartSpec.registerType(name, chartClass);
+	}
+	
+	/**
+	 * The rasterizer used by toImage(). If rasterizer is given, sets it, otherwise returns the current rasterizer. A rasterizer is a function which receives the SVG document of a chart and an object with its width, height, scale and document, and returns a canvas, or a promise of it, with the chart drawn. The canvas of the page is used by default.
+	 * @param {function} rasterizer - The new rasterizer.
+	 * @returns {function} The current rasterizer.
+	 */
+	static rasterizer(rasterizer) {
+		return ChartExport.rasterizer(rasterizer);
+	}
+	
+	/**
+	 * Creates a rasterizer from a canvas implementation for Node, like the canvas or @napi-rs/canvas packages.
+	 * @param {Object} canvasModule - The canvas module, with the createCanvas and loadImage functions.
+	 * @returns {function} The rasterizer.
+	 */
+	static nodeCanvasRasterizer(canvasModule) {
+		return ChartExport.nodeCanvasRasterizer(canvasModule);
+	}
+	
+	/**
+	 * The theme of the charts which don't set their own. If theme is given, sets it. Always returns the current or, if set, the new default theme. The charts created before take the new theme when their theme is set.
+	 * @param {(string|Object)} theme - The name of a theme at Chart.themes, or an object with the fields of a theme to replace on the light theme. See Chart.themes.
+	 * @returns {Object} The default theme.
+	 */
+	static defaultTheme(theme) {
+		return ChartTheme.defaultTheme(theme);
+	}
+	
+	/**
+	 * Creates a chart from a specification. The fields common to all charts are listed below, each type of chart also accepts the fields of its data and settings.
+	 * @param {d3.selection} container - The tag in which the chart will be inserted.
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {string} spec.type - The type of the chart: "correlation", "histogram", "map", "pie", "scatterplot", "segments" or "starGlyph".
+	 * @param {string} spec.id - The id of the chart tag.
+	 * @param {Object} spec.position - The position of the chart, with x and y fields.
+	 * @param {(number|Object)} spec.margins - The margins of the chart, as in the constructor.
+	 * @param {Object} spec.dimensions - The dimensions of the chart, with width and height fields.
+	 * @param {Object} spec.transition - The transition of the chart, with duration and easing fields. The easing is the name of a d3 easing, like "easeCubic".
+	 * @param {Array} spec.data - The data inserted on the chart.
+	 * @param {Object} spec.attributes - Attributes of the plotted data. Each one is a constant or an array with the value of each element.
+	 * @param {string} spec.key - The name of the field which identifies each datum.
+	 * @param {Object} spec.scales - Specifications of the scales of the chart, by name. See Chart.scaleFromSpec().
+	 * @param {string} spec.colorScheme - The name of a d3 color scheme, like "interpolateRdYlBu".
+	 * @param {(string|Object)} spec.theme - The theme of the chart, as in theme(). Its color schemes can be given by their d3 names.
+	 * @param {string[]} spec.labels - The labels of the chart: the columns of a histogram, the X axis of a segments chart, the slices of a pie, the corners of a star glyph or the variables of a correlation.
+	 * @param {Object} spec.labelTable - The label table of the chart, with id, position, margins, dimensions, colors and values fields.
+	 * @returns {Chart} The created chart.
+	 */
+	static fromSpec(container, spec) {
+		return ChartSpec.fromSpec(container, spec);
+	}
+	
+	/**
+	 * Validates a chart specification.
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {d3.selection} container - The tag in which the chart would be inserted. If given, it's used to check if the dimensions can be omitted.
+	 * @returns {string[]} The errors found, each naming the invalid field. Empty if the specification is valid.
+	 */
+	static validateSpec(spec, container) {
+		return ChartSpec.validateSpec(spec, container);
+	}
+	
+	/**
+	 * Creates a scale from its specification.
+	 * @param {Object} spec - The specification of the scale.
+	 * @param {string} spec.type - The name of the d3 scale, like "linear", "log" or "ordinal". If not given with a scheme, the colors of the scheme are spread on a linear scale.
+	 * @param {Array} spec.domain - The domain of the scale.
+	 * @param {Array} spec.range - The range of the scale.
+	 * @param {(string|string[])} spec.scheme - The name of a d3 color scheme, like "schemeCategory10", or an array of colors, used as the range.
+	 * @param {string} spec.interpolator - The name of a d3 interpolator, used by sequential scales.
+	 * @param {number} spec.exponent - The exponent of power scales.
+	 * @param {number} spec.base - The base of logarithmic scales.
+	 * @param {number} spec.padding - The padding of band and point scales.
+	 * @param {number} spec.paddingInner - The inner padding of band scales.
+	 * @param {number} spec.paddingOuter - The outer padding of band scales.
+	 * @param {boolean} spec.nice - Whether the domain is extended to round values.
+	 * @param {boolean} spec.clamp - Whether the output is kept inside the range.
+	 * @returns {d3.scale} The created scale.
+	 */
+	static scaleFromSpec(spec) {
+		return ChartSpec.scaleFromSpec(spec);
+	}
+	
+	/**
+	 * Exports a scale as a specification, which Chart.scaleFromSpec() uses to create the same scale.
+	 * @param {d3.scale} scale - The exported scale.
+	 * @returns {Object} The specification of the scale.
+	 */
+	static scaleToSpec(scale) {
+		return ChartSpec.scaleToSpec(scale);
+	}
+	
+	static _validateSpec(spec, errors) {
+		//Each type of chart validates the fields of its specification
+	}
+	
 	/** 
 	 * Generates an array with equally distanced values.
 	 * @param {number} start - The first value of the returned array.
@@ -161,11 +882,13 @@
 	 * @param {d3.axis} axis - The axis which uses the scale.
 	 * @param {d3.selection} axisGroup - The group in which the axis is.
 	 * @param {number[]} domain - The new domain of the scale.
+	 * @param {Chart} chart - The chart of the axis. If given, the axis is redrawn with the transition of the chart.
 	 */
-	static adjustScaleDomain(scale, axis, axisGroup, domain) {
+	static adjustScaleDomain(scale, axis, axisGroup, domain, chart) {
 		if (domain) scale.domain(domain);
 		axis.scale(scale);
-		axisGroup.call(axis);
+		(chart ? chart._animate(axisGroup) : axisGroup).call(axis);
+		if (chart) chart._styleAxis(axisGroup);
 	}
 	
 	/** 
@@ -178,16 +901,97 @@
 		if (array[field] == null) array[field] = value;
 	}
 	
+	/**
+	 * Replaces the fields of a template by their values. Numbers are formatted by the d3 format after the name of the field, if given.
+	 * @param {string} template - The template, like "{label}: {value:.1f}".
+	 * @param {Object} fields - The values of the fields, by name.
+	 * @returns {string} The formatted text.
+	 */
+	static formatTemplate(template, fields) {
+		return template.replace(/\{(\w+)(?::([^}]+))?\}/g, (match, name, specifier)=>{
+			let value = fields[name];
+			if (value == null) return "";
+			if (typeof(value) != "number") return value;
+			return d3.format(specifier || ",")(value);
+		});
+	}
+	
+	/**
+	 * Joins a dataset to the elements of a selection. Elements whose data remain are kept, elements are appended for new data and the ones whose data left are removed.
+	 * @param {d3.selection} parent - The selection which contains the elements.
+	 * @param {string} selector - The selector of the joined elements.
+	 * @param {string} tagName - The tag of the elements appended for new data.
+	 * @param {(Array|function)} dataset - The data joined to the elements.
+	 * @param {function} key - A function which identifies each datum. If not given, the data are joined by index.
+	 * @param {function} onEnter - A function which receives the appended elements, used to set their initial state.
+	 * @param {function} onExit - A function which receives the elements whose data left and removes them. If not given, they are removed immediately.
+	 * @returns {d3.selection} The updated and the appended elements, in the order of the dataset.
+	 */
+	static joinData(parent, selector, tagName, dataset, key, onEnter, onExit) {
+		let update = parent.selectAll(selector).data(dataset, key);
+		
+		//The leaving elements lose their class so they are not selected again while they leave
+		let exit = update.exit().classed(selector.substring(1), false);
+		if (onExit) onExit(exit);
+		else exit.remove();
+		
+		let enter = update.enter().append(tagName)
+			.attr("class", selector.substring(1));
+		if (onEnter) onEnter(enter);
+		
+		return enter.merge(update).order();
+	}
+	
+	/**
+	 * Creates an interpolator between two paths. Paths made only of lines are padded to the same number of points, so the shorter one grows or shrinks from its end. Other paths are interpolated when their commands match, otherwise the final path is used.
+	 * @param {string} start - The initial path.
+	 * @param {string} end - The final path.
+	 * @returns {function} Interpolator which returns the path at a time between 0 and 1.
+	 */
+	static interpolatePath(start, end) {
+		if (!start || !end) return t=>end;
+		let startCommands = start.match(/[a-z][^a-z]*/gi);
+		let endCommands = end.match(/[a-z][^a-z]*/gi);
+		let isPolyline = commands=>commands.every((c, i)=>(c[0] == ((i == 0) ? "M" : "L")));
+		
+		if (isPolyline(startCommands) && isPolyline(endCommands)) {
+			let pad = (commands, size)=>commands.concat(d3.range(size - commands.length).map(()=>("L" + commands[commands.length - 1].substring(1))));
+			let size = d3.max([startCommands.length, endCommands.length]);
+			startCommands = pad(startCommands, size);
+			endCommands = pad(endCommands, size);
+		}
+		
+		if (startCommands.map(c=>c[0]).join("") != endCommands.map(c=>c[0]).join("")) return t=>end;
+		let interpolator = d3.interpolateString(startCommands.join(""), endCommands.join(""));
+		return t=>((t < 1) ? interpolator(t) : end);
+	}
+	
 	/**
 	 * Sets attributes and events of a selection.
 	 * @param {d3.selection} selection - The selection of elements used.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the selected elements.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {d3.transition} transition - A transition of the selection. If given, the attributes other than id and class are animated with it.
 	 */
-	static insertAttributesEvents(selection, attributes, onEvents) {
+	static insertAttributesEvents(selection, attributes, onEvents, transition) {
+		let animated = (transition != null) && (transition !== selection);
+		
 		//Setting attributes
 		for (let attrName in attributes) {
-			selection.attr(attrName, attributes[attrName]);
+			let value = attributes[attrName];
+			if (!animated || attrName == "id" || attrName == "class") {
+				selection.attr(attrName, value);
+			} else if (attrName == "d") {
+				let paths = d3.local();
+				selection.each(function(d, i, nodes) {
+					paths.set(this, (typeof(value) == "function") ? value.call(this, d, i, nodes) : value);
+				});
+				transition.attrTween(attrName, function() {
+					return Chart.interpolatePath(this.getAttribute("d"), paths.get(this));
+				});
+			} else {
+				transition.attr(attrName, value);
+			}
 		}
 		
 		//Setting events
@@ -195,4 +999,40 @@
 			selection.on(eventName, onEvents[eventName]);
 		}
 	}
-}
\ No newline at end of file
+	
+	static _mark(marks, d, i, node) {
+		return {node: node, datum: d, index: i, fields: marks.fields(d, i, node), template: marks.template, focusable: marks.focusable !== false};
+	}
+	
+	static _describeExtremes(items, name, format) {
+		//Describes the highest and lowest of a list of labeled values
+		if (items.length == 0) return [];
+		let count = items.length + " " + name + ((items.length == 1) ? "" : "s");
+		let highest = items.reduce((a, b)=>(b.value > a.value) ? b : a);
+		let lowest = items.reduce((a, b)=>(b.value < a.value) ? b : a);
+		if (highest.value == lowest.value) return ["It has " + count + ", all with " + format.number(highest.value) + "."];
+		return ["It has " + count + ". The highest is " + highest.label + ", with " + format.number(highest.value) + ", and the lowest is " + lowest.label + ", with " + format.number(lowest.value) + "."];
+	}
+	
+	static _markContent(template, mark) {
+		return String((typeof(template) == "function") ? template(mark.fields, mark.datum, mark.index) : Chart.formatTemplate(template, mark.fields));
+	}
+	
+	static _unionDomains(charts) {
+		//The domains of the scales of several charts, joined by name
+		let domains = {};
+		for (let chart of charts) {
+			let chartDomains = chart._scaleDomains();
+			for (let name in chartDomains) domains[name] = d3.extent((domains[name] || []).concat(chartDomains[name]));
+		}
+		return domains;
+	}
+}
+
+//The events emitted by the charts, see Chart.on(). A zoom event has the new domains of the scales, at its x and y fields. A select event has the data and indexes of the selected marks, at its data and indices fields, with the extent of a brush or the polygon of a lasso.
+Chart._eventTypes = ["zoom", "select"];
+
+/**
+ * The built-in themes, by name: light, the default, dark and print. See ChartTheme.themes for the fields of a theme.
+ */
+Chart.themes = ChartTheme.themes;
\ No newline at end of file
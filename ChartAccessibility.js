@@ -0,0 +1,207 @@
+/**
+ * Class that describes a chart to screen readers: the roles, labels and titles of the chart and its marks, its description and a visually hidden table with the plotted data. Each chart creates its own, see Chart.accessibility().
+ */
+class ChartAccessibility {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The described chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._settings = {label: null, description: null, markLabel: null, dataTable: true, keyboard: true};
+		
+		//The ids of the description and the data table are based on the id of the chart, or on a generated one if it has none
+		this._generatedId = "chart" + ChartAccessibility._nextId++;
+		
+		this._table = null;
+		
+		//The rows of the table are matched to the marks by a key given to each mark node
+		this._rowKeys = new WeakMap();
+		this._nextRowKey = 0;
+		
+		//Inside batch(), the changes of the marks are described once at its end
+		this._batchDepth = 0;
+		this._pending = false;
+		
+		chart._selection.attr("role", "graphics-document");
+		this.labelChart();
+	}
+	
+	/**
+	 * The settings of the description. If options is given, sets the given settings and describes the chart again, otherwise returns the current settings. See Chart.accessibility().
+	 * @param {Object} options - The settings.
+	 * @returns {Object} The current settings.
+	 */
+	settings(options) {
+		if (options) {
+			Object.assign(this._settings, options);
+			this.update();
+		}
+		return Object.assign({}, this._settings);
+	}
+	
+	/**
+	 * Returns the hidden table with the data plotted by the chart.
+	 * @returns {d3.selection} The data table, or null if it isn't created.
+	 */
+	table() {
+		return this._table;
+	}
+	
+	/**
+	 * Describes the marks of the chart again, after they changed.
+	 */
+	update() {
+		if (this._batchDepth > 0) {
+			this._pending = true;
+			return;
+		}
+		this.labelChart();
+		this._labelMarks();
+		this._updateTable();
+	}
+	
+	/**
+	 * Runs a function which changes the marks, describing them once when it ends.
+	 * @param {function} callback - The function.
+	 */
+	batch(callback) {
+		this._batchDepth++;
+		try {
+			callback();
+		} finally {
+			this._batchDepth--;
+			if ((this._batchDepth == 0) && this._pending) {
+				this._pending = false;
+				this.update();
+			}
+		}
+	}
+	
+	/**
+	 * Writes the label of the chart and its title and description, which are its first children.
+	 */
+	labelChart() {
+		let selection = this._chart._selection;
+		let label = this.label();
+		let description = this._settings.description;
+		selection.attr("aria-label", label);
+		
+		let desc = selection.selectAll(function() {
+			return Array.from(this.children).filter(node=>(node.tagName == "desc"));
+		}).data(description ? [description] : []);
+		desc.exit().remove();
+		desc.enter().append("desc")
+			.merge(desc)
+			.attr("id", this.id() + "Description")
+			.text(d=>d)
+			.lower();
+		
+		let title = selection.selectAll(function() {
+			return Array.from(this.children).filter(node=>(node.tagName == "title"));
+		}).data([label]);
+		title.enter().append("title")
+			.merge(title)
+			.text(d=>d)
+			.lower();
+	}
+	
+	/**
+	 * The accessible name of the chart, which is the label of the settings or the type of the chart.
+	 * @returns {string} The name.
+	 */
+	label() {
+		let type = ChartSpec.typeOf(this._chart) || "chart";
+		return this._settings.label || (type[0].toUpperCase() + type.substring(1).replace(/[A-Z]/g, c=>(" " + c.toLowerCase())) + " chart");
+	}
+	
+	/**
+	 * The id on which the ids of the description and the data table are based, which is the id of the chart or a generated one.
+	 * @returns {string} The id.
+	 */
+	id() {
+		return this._chart._id || this._generatedId;
+	}
+	
+	/**
+	 * Removes the data table, along with the chart.
+	 */
+	remove() {
+		if (this._table) this._table.remove();
+		this._table = null;
+	}
+	
+	_labelMarks() {
+		//The titles of the marks are left out when a tooltip shows their content
+		let chart = this._chart;
+		for (let mark of chart._markList()) {
+			let label = Chart._markContent(this._settings.markLabel || mark.template, mark).replace(/\n/g, ", ");
+			let title = d3.select(mark.node)
+				.attr("role", "graphics-symbol")
+				.attr("aria-label", label)
+				.selectAll("title")
+				.data(chart._tooltip ? [] : [label]);
+			title.exit().remove();
+			title.enter().append("title")
+				.merge(title)
+				.text(d=>d);
+		}
+	}
+	
+	_updateTable() {
+		let selection = this._chart._selection;
+		let id = this.id();
+		let description = this._settings.description ? id + "Description" : null;
+		let root = selection.node().ownerSVGElement;
+		if (!this._settings.dataTable || !root || !root.parentNode) {
+			this.remove();
+			selection.attr("aria-describedby", description);
+			return;
+		}
+		
+		//The table is only hidden visually, so screen readers still find it
+		if (!this._table) {
+			let table = root.ownerDocument.createElement("table");
+			root.parentNode.insertBefore(table, root.nextSibling);
+			this._table = d3.select(table)
+				.attr("class", "chartDataTable")
+				.attr("style", "position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); clip-path: inset(50%); white-space: nowrap;");
+			this._table.append("caption");
+			this._table.append("thead").append("tr");
+			this._table.append("tbody");
+		}
+		this._table.attr("id", id + "DataTable");
+		ChartAccessibility._setText(this._table.select("caption").node(), selection.attr("aria-label"));
+		selection.attr("aria-describedby", (description ? description + " " : "") + id + "DataTable");
+		
+		//The indexes are left out, as the rows are in the order of the marks
+		let data = this._chart._markList().filter(mark=>mark.focusable).map(mark=>{
+			if (!this._rowKeys.has(mark.node)) this._rowKeys.set(mark.node, this._nextRowKey++);
+			return {key: this._rowKeys.get(mark.node), fields: mark.fields};
+		});
+		let columns = [];
+		for (let row of data) {
+			for (let name in row.fields) {
+				if (!columns.includes(name) && (name != "index")) columns.push(name);
+			}
+		}
+		
+		//The rows and cells are matched by key, so only the text which changed is written
+		let cellText = value=>(value == null) ? "" : Array.isArray(value) ? value.join(", ") : (typeof(value) == "number") ? d3.format(",")(value) : String(value);
+		Chart.joinData(this._table.select("thead tr"), ".columnHeader", "th", columns, d=>d, enter=>enter.attr("scope", "col").text(d=>d));
+		Chart.joinData(this._table.select("tbody"), ".dataRow", "tr", data, d=>d.key)
+			.each(function(row) {
+				Chart.joinData(d3.select(this), ".dataCell", "td", columns.map(name=>cellText(row.fields[name])))
+					.each(function(text) {
+						ChartAccessibility._setText(this, text);
+					});
+			});
+	}
+	
+	static _setText(node, text) {
+		if (node.textContent != text) node.textContent = text;
+	}
+}
+
+ChartAccessibility._nextId = 0;
\ No newline at end of file
@@ -0,0 +1,233 @@
+/**
+ * Class that plots the axes of a chart from their scales and configurations. Each axis can be shown on either side of the chart, or on both. Each chart creates its own, see Chart.axis().
+ */
+class ChartAxes {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the axes.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		//The axes, by name, with their scales, configurations and the groups of each side
+		this._axes = {};
+		
+		//The gridlines stay beneath the marks, only above the background
+		this._gridLayer = null;
+	}
+	
+	/**
+	 * Whether the chart has an axis.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @returns {boolean} Whether the axis exists.
+	 */
+	has(name) {
+		return this._axes[name] != null;
+	}
+	
+	/**
+	 * The names of the axes of the chart.
+	 * @returns {string[]} The names.
+	 */
+	names() {
+		return Object.keys(this._axes);
+	}
+	
+	/**
+	 * The scale of an axis.
+	 * @param {string} name - The name of the axis.
+	 * @returns {d3.scale} The scale.
+	 */
+	scale(name) {
+		return this._axes[name].scale;
+	}
+	
+	/**
+	 * Adds an axis to the chart, with the default configuration.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @param {d3.scale} scale - The scale of the axis.
+	 * @param {string} orientation - The side of the axis, or "both".
+	 */
+	add(name, scale, orientation) {
+		let defaults = {visible: true, orientation: orientation, ticks: null, format: null, tickSize: 6, labelRotation: 0, nice: false, padding: 0, domain: null, grid: false, minorGrid: 0};
+		this._axes[name] = {
+			scale: scale,
+			dataDomain: scale.domain(),
+			config: Object.assign({}, defaults),
+			defaults: defaults,
+			sides: {}
+		};
+		this.update(name);
+	}
+	
+	/**
+	 * The configuration of an axis. If config is given, its fields replace the ones of the axis, otherwise returns the current configuration. See Chart.axis().
+	 * @param {string} name - The name of the axis.
+	 * @param {Object} config - The fields of the configuration to replace.
+	 * @returns {Object} The current configuration.
+	 */
+	config(name, config) {
+		let axis = this._axes[name];
+		if (config) {
+			let sides = ChartAxes.sides(name);
+			if ((config.orientation != null) && !sides.concat(["both"]).includes(config.orientation)) {
+				throw new Error("Invalid orientation of the " + name + " axis: expected " + sides.join(", ") + " or both.");
+			}
+			Object.assign(axis.config, config);
+			this.update(name, axis.dataDomain);
+		}
+		return Object.assign({}, axis.config);
+	}
+	
+	/**
+	 * The fields of the configuration of an axis changed from the defaults, which are exported by the specifications. The formats given by functions are left out.
+	 * @param {string} name - The name of the axis.
+	 * @returns {Object} The changed fields.
+	 */
+	changedConfig(name) {
+		let axis = this._axes[name];
+		let config = {};
+		for (let field in axis.config) {
+			if ((axis.config[field] !== axis.defaults[field]) && (typeof(axis.config[field]) != "function")) config[field] = axis.config[field];
+		}
+		return config;
+	}
+	
+	/**
+	 * Replaces the scale of an axis. A scale set by the user keeps its domain, which is padded only by the next data.
+	 * @param {string} name - The name of the axis.
+	 * @param {d3.scale} scale - The new scale.
+	 */
+	setScale(name, scale) {
+		this._axes[name].scale = scale;
+		this._axes[name].dataDomain = scale.domain();
+		this.update(name);
+	}
+	
+	/**
+	 * The domain of the data plotted on an axis, without the padding and the rounding of the axis.
+	 * @param {string} name - The name of the axis.
+	 * @returns {Array} The domain.
+	 */
+	domain(name) {
+		return this._axes[name].dataDomain;
+	}
+	
+	/**
+	 * Plots an axis again, after its scale or the dimensions of the chart changed.
+	 * @param {string} name - The name of the axis.
+	 * @param {Array} domain - The new domain of the data plotted on the axis, which is padded and rounded by the configuration. If not given, the scale keeps its domain.
+	 */
+	update(name, domain) {
+		let chart = this._chart;
+		let axis = this._axes[name];
+		let config = axis.config;
+		let scale = axis.scale;
+		
+		//Only the continuous scales are padded and rounded, unless their domains are fixed by the user or shared with other charts
+		if (domain) {
+			axis.dataDomain = domain.slice();
+			let fixedDomain = config.domain || chart._linkedDomains[name];
+			if (scale.invert && fixedDomain) {
+				scale.domain(fixedDomain);
+			} else if (scale.invert && (domain.length == 2)) {
+				let extent = domain[1] - domain[0];
+				if (config.padding && !isNaN(extent)) domain = [domain[0] - extent * config.padding, domain[1] + extent * config.padding];
+				scale.domain(domain);
+				if (config.nice && scale.nice) scale.nice((typeof(config.ticks) == "number") ? config.ticks : undefined);
+			} else {
+				scale.domain(domain);
+			}
+		}
+		
+		let sides = ChartAxes.sides(name);
+		let shown = !config.visible ? [] : (config.orientation == "both") ? sides : [config.orientation];
+		for (let side of sides) {
+			if (!axis.sides[side] && !shown.includes(side)) continue;
+			if (!axis.sides[side]) {
+				axis.sides[side] = {
+					axis: d3["axis" + side[0].toUpperCase() + side.substring(1)](),
+					group: chart._selection.append("g").attr("class", name + "Axis")
+				};
+			}
+			let entry = axis.sides[side];
+			entry.axis.scale(scale)
+				.tickSize(config.tickSize)
+				.tickArguments((typeof(config.ticks) == "number") ? [config.ticks] : [])
+				.tickValues(Array.isArray(config.ticks) ? config.ticks : null)
+				.tickFormat((typeof(config.format) == "string") ? d3.format(config.format) : config.format);
+			entry.group
+				.style("display", shown.includes(side) ? null : "none")
+				.attr("transform", (side == "bottom") ? "translate(0," + chart._height + ")" : (side == "right") ? "translate(" + chart._width + ",0)" : null);
+			Chart.adjustScaleDomain(scale, entry.axis, entry.group, null, chart);
+			ChartAxes._rotateTickLabels(entry.group, side, config);
+		}
+		this.updateGrid(name);
+	}
+	
+	/**
+	 * Plots the gridlines of an axis again, after its scale, its configuration or the theme of the chart changed.
+	 * @param {string} name - The name of the axis.
+	 */
+	updateGrid(name) {
+		let chart = this._chart;
+		let axis = this._axes[name];
+		let config = axis.config;
+		let scale = axis.scale;
+		
+		if (!this._gridLayer) {
+			if (!config.grid) return;
+			this._gridLayer = chart._selection.insert("g", ":first-child").attr("class", "grid");
+			chart._selection.select(".chartBackground").lower();
+		}
+		
+		let major = [];
+		let minor = [];
+		if (config.grid) {
+			major = Array.isArray(config.ticks) ? config.ticks : scale.ticks ? scale.ticks((typeof(config.ticks) == "number") ? config.ticks : 10) : scale.domain();
+			if ((config.minorGrid > 0) && scale.invert) {
+				for (let i = 1; i < major.length; i++) {
+					for (let j = 1; j <= config.minorGrid; j++) minor.push(major[i - 1] + (major[i] - major[i - 1]) * j / (config.minorGrid + 1));
+				}
+			}
+		}
+		
+		let theme = chart.theme();
+		let offset = scale.bandwidth ? scale.bandwidth() / 2 : 0;
+		let position = d=>(scale(d) + offset);
+		let layer = Chart.joinData(this._gridLayer, "." + name + "Grid", "g", [name]);
+		for (let lines of [{className: "gridLine", values: major, opacity: 1}, {className: "minorGridLine", values: minor, opacity: 0.5}]) {
+			let attributes = (name == "x") ? {x1: position, x2: position, y1: 0, y2: chart._height} : {x1: 0, x2: chart._width, y1: position, y2: position};
+			let selection = Chart.joinData(layer, "." + lines.className, "line", lines.values, d=>d, enter=>Chart.insertAttributesEvents(enter, attributes, null), exit=>exit.remove())
+				.attr("stroke", theme.gridColor)
+				.attr("stroke-width", theme.strokeWidths.grid)
+				.attr("stroke-opacity", lines.opacity)
+				.attr("shape-rendering", "crispEdges");
+			Chart.insertAttributesEvents(selection, attributes, null, chart._animate(selection));
+		}
+	}
+	
+	/**
+	 * The sides on which an axis can be shown.
+	 * @param {string} name - The name of the axis, "x" or "y".
+	 * @returns {string[]} The sides.
+	 */
+	static sides(name) {
+		return (name == "x") ? ["bottom", "top"] : ["left", "right"];
+	}
+	
+	static _rotateTickLabels(axisGroup, side, config) {
+		//The labels turn around their anchor, which moves to the end closer to the axis
+		let rotation = config.labelRotation || 0;
+		let spacing = Math.max(config.tickSize, 0) + 3;
+		let anchor = {
+			bottom: [0, spacing, (rotation < 0) ? "end" : "start"],
+			top: [0, -spacing, (rotation < 0) ? "start" : "end"],
+			left: [-spacing, 0, "end"],
+			right: [spacing, 0, "start"]
+		}[side];
+		axisGroup.selectAll(".tick text")
+			.attr("transform", rotation ? "rotate(" + rotation + "," + anchor[0] + "," + anchor[1] + ")" : null)
+			.attr("text-anchor", (rotation && (side == "bottom" || side == "top")) ? anchor[2] : null);
+	}
+}
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * Class that exports charts as standalone SVG documents.
+ */
+class ChartExport {
+	/**
+	 * Serializes a chart as a standalone SVG document. See Chart.toSVGString().
+	 * @param {Chart} chart - The serialized chart.
+	 * @param {Object} options - The options of the serialization.
+	 * @returns {string} The SVG document.
+	 */
+	static toSVGString(chart, options) {
+		options = options || {};
+		let namespace = "http://www.w3.org/2000/svg";
+		let source = options.container ? chart._container.node() : chart._selection.node();
+		let document = source.ownerDocument;
+		let svg = d3.select(document.createElementNS(namespace, "svg"))
+			.attr("xmlns", namespace)
+			.attr("xmlns:xlink", "http://www.w3.org/1999/xlink");
+		
+		let box = ChartExport.box(chart, options);
+		svg.attr("width", box[2])
+			.attr("height", box[3])
+			.attr("viewBox", box.join(" "));
+		
+		if (options.background) {
+			svg.append("rect")
+				.attr("x", box[0])
+				.attr("y", box[1])
+				.attr("width", box[2])
+				.attr("height", box[3])
+				.attr("fill", options.background);
+		}
+		
+		let clones = options.container ? Array.from(source.childNodes) : [source];
+		let view = document.defaultView;
+		let fonts = new Set();
+		for (let node of clones) {
+			let clone = node.cloneNode(true);
+			if (node.nodeType == 1) ChartExport._inlineStyles(view, node, clone, null, fonts);
+			svg.node().appendChild(clone);
+		}
+		
+		//The data table isn't exported, so the references to it are removed
+		svg.selectAll("[aria-describedby]").each(function() {
+			let ids = this.getAttribute("aria-describedby").split(/\s+/).filter(id=>id && svg.select("[id=\"" + id + "\"]").node());
+			if (ids.length > 0) this.setAttribute("aria-describedby", ids.join(" "));
+			else this.removeAttribute("aria-describedby");
+		});
+		
+		//Font faces of the page used by the chart
+		let fontRules = [];
+		for (let sheet of Array.from(document.styleSheets || [])) {
+			let rules;
+			try {
+				rules = Array.from(sheet.cssRules || []);
+			} catch (e) {
+				continue;	//Rules of stylesheets from other origins can't be read
+			}
+			for (let rule of rules) {
+				if (rule.style && rule.cssText.startsWith("@font-face") && fonts.has(rule.style.getPropertyValue("font-family").replace(/["']/g, "").trim())) {
+					fontRules.push(rule.cssText);
+				}
+			}
+		}
+		if (fontRules.length > 0) svg.insert("defs", ":first-child").append("style").text(fontRules.join("\n"));
+		
+		let serializer = new view.XMLSerializer();
+		return "<?xml version=\"1.0\" encoding=\"UTF-8\" standalone=\"no\"?>\n" + serializer.serializeToString(svg.node());
+	}
+	
+	/**
+	 * Rasterizes a chart into an image. See Chart.toImage().
+	 * @param {Chart} chart - The rasterized chart.
+	 * @param {Object} options - The options of the image.
+	 * @returns {Promise} A promise of the data URL of the image.
+	 */
+	static toImage(chart, options) {
+		options = Object.assign({scale: 1, type: "image/png"}, options);
+		let svg = ChartExport.toSVGString(chart, {container: options.container, background: options.background});
+		//The image has the size of the serialized document, so the label table isn't cut
+		let box = ChartExport.box(chart, options);
+		let rasterizer = options.rasterizer || ChartExport.rasterizer();
+		
+		return Promise.resolve(rasterizer(svg, {
+			width: box[2],
+			height: box[3],
+			scale: options.scale,
+			document: chart._selection.node().ownerDocument
+		})).then(canvas=>canvas.toDataURL(options.type));
+	}
+	
+	/**
+	 * The rasterizer used by toImage(). If rasterizer is given, sets it, otherwise returns the current rasterizer. A rasterizer is a function which receives the SVG document of a chart and an object with its width, height, scale and document, and returns a canvas, or a promise of it, with the chart drawn. ChartExport.canvasRasterizer is used by default.
+	 * @param {function} rasterizer - The new rasterizer.
+	 * @returns {function} The current rasterizer.
+	 */
+	static rasterizer(rasterizer) {
+		if (rasterizer) ChartExport._rasterizer = rasterizer;
+		return ChartExport._rasterizer || ChartExport.canvasRasterizer;
+	}
+	
+	/**
+	 * Rasterizer which draws the chart on a canvas of the page. The promise is rejected where there isn't canvas support.
+	 * @param {string} svg - The SVG document of the chart.
+	 * @param {Object} options - The width, height, scale and document of the chart.
+	 * @returns {Promise} A promise of the canvas.
+	 */
+	static canvasRasterizer(svg, options) {
+		//Without canvas support, like in jsdom without a canvas package, the image would never load
+		let view = options.document.defaultView;
+		let canvas = options.document.createElement("canvas");
+		if (!view.Image || !canvas.getContext || !canvas.getContext("2d")) {
+			return Promise.reject(new Error("The chart can't be rasterized without the support of canvas. Set a rasterizer with Chart.rasterizer(), like Chart.nodeCanvasRasterizer()."));
+		}
+		
+		return new Promise((resolve, reject)=>{
+			let image = new view.Image();
+			image.onload = ()=>resolve(ChartExport._drawImage(canvas, image, options));
+			image.onerror = ()=>reject(new Error("The chart couldn't be rasterized."));
+			image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+		});
+	}
+	
+	/**
+	 * Creates a rasterizer from a canvas implementation for Node, like the canvas or @napi-rs/canvas packages.
+	 * @param {Object} canvasModule - The canvas module, with the createCanvas and loadImage functions.
+	 * @returns {function} The rasterizer.
+	 */
+	static nodeCanvasRasterizer(canvasModule) {
+		return (svg, options)=>(Promise.resolve(canvasModule.loadImage(Buffer.from(svg)))
+			.then(image=>ChartExport._drawImage(canvasModule.createCanvas(1, 1), image, options)));
+	}
+	
+	/**
+	 * The area exported by ChartExport.toSVGString(), which starts at the position of the chart, or at the origin of the container.
+	 * @param {Chart} chart - The exported chart.
+	 * @param {Object} options - The options of the serialization.
+	 * @param {boolean} options.container - Whether the whole container is exported instead of only the chart.
+	 * @returns {number[]} The x, y, width and height of the area, as in a viewBox.
+	 */
+	static box(chart, options) {
+		if (options && options.container) {
+			let bounds = chart._container.node().getBoundingClientRect();
+			return [0, 0, +chart._container.attr("width") || bounds.width, +chart._container.attr("height") || bounds.height];
+		}
+		
+		//The label table is placed inside the chart, but it may lie beyond the margins of the chart
+		let margins = chart._plotMargins();
+		let dimensions = chart._outerDimensions();
+		let corners = [[chart._x, chart._y], [chart._x + dimensions.width, chart._y + dimensions.height]];
+		if (chart._labelTable) {
+			let origin = chart._origin();
+			let table = chart._labelTable;
+			let x = chart._x + margins.left + origin[0] + table._x;
+			let y = chart._y + margins.top + origin[1] + table._y;
+			let tableDimensions = table._outerDimensions();
+			corners.push([x, y], [x + tableDimensions.width, y + tableDimensions.height]);
+		}
+		let minimum = [d3.min(corners, d=>d[0]), d3.min(corners, d=>d[1])];
+		return [minimum[0], minimum[1], d3.max(corners, d=>d[0]) - minimum[0], d3.max(corners, d=>d[1]) - minimum[1]];
+	}
+	
+	static _inlineStyles(view, source, clone, parentStyle, fonts) {
+		let style = view.getComputedStyle(source);
+		let inherited = ["fill", "fill-opacity", "fill-rule", "stroke", "stroke-width", "stroke-opacity", "stroke-dasharray", "stroke-linecap", "stroke-linejoin", "font-family", "font-size", "font-style", "font-weight", "text-anchor", "dominant-baseline", "visibility", "color"];
+		let notInherited = {"opacity": "1", "display": "inline"};
+		
+		//Inherited properties are only written where they change, so the root gets all of them, and the others where they differ from their initial value
+		let declarations = [];
+		for (let name of inherited) {
+			let value = style.getPropertyValue(name);
+			if (value && ((parentStyle == null) || (value != parentStyle.getPropertyValue(name)))) declarations.push(name + ":" + value);
+		}
+		for (let name in notInherited) {
+			let value = style.getPropertyValue(name);
+			if (value && (value != notInherited[name])) declarations.push(name + ":" + value);
+		}
+		if (declarations.length > 0) clone.setAttribute("style", declarations.join(";"));
+		
+		let family = style.getPropertyValue("font-family");
+		if (family) family.split(",").forEach(name=>fonts.add(name.replace(/["']/g, "").trim()));
+		
+		for (let i = 0; i < source.children.length; i++) {
+			ChartExport._inlineStyles(view, source.children[i], clone.children[i], style, fonts);
+		}
+	}	
+	static _drawImage(canvas, image, options) {
+		canvas.width = Math.ceil(options.width * options.scale);
+		canvas.height = Math.ceil(options.height * options.scale);
+		let context = canvas.getContext("2d");
+		context.scale(options.scale, options.scale);
+		context.drawImage(image, 0, 0, options.width, options.height);
+		return canvas;
+	}
+}
\ No newline at end of file
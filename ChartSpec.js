@@ -0,0 +1,373 @@
+/**
+ * Class that creates charts from declarative specifications, with the types of charts registered by their classes.
+ */
+class ChartSpec {
+	/**
+	 * Registers a type of chart, so it can be created by Chart.fromSpec().
+	 * @param {string} name - The name of the type, used at the type field of the specifications.
+	 * @param {function} chartClass - The class of the chart.
+	 */
+	static registerType(name, chartClass) {
+		if (!ChartSpec._types) ChartSpec._types = {};
+		ChartSpec._types[name] = chartClass;
+	}
+	
+	/**
+	 * Creates a chart from a specification. See Chart.fromSpec().
+	 * @param {d3.selection} container - The tag in which the chart will be inserted.
+	 * @param {Object} spec - The specification of the chart.
+	 * @returns {Chart} The created chart.
+	 */
+	static fromSpec(container, spec) {
+		let errors = ChartSpec.validateSpec(spec, container);
+		if (errors.length > 0) throw new Error("Invalid chart specification. " + errors.join(" "));
+		
+		let chart = new ChartSpec._types[spec.type](container, spec.id, spec.position, spec.margins, spec.dimensions);
+		if (spec.transition) chart.transition(spec.transition.duration, spec.transition.easing && d3[spec.transition.easing]);
+		if (spec.theme) chart.theme(spec.theme);
+		for (let name of ChartSpec._titles) {
+			if (spec[name]) chart[name](spec[name]);
+		}
+		for (let name in spec.axes) chart.axis(name, spec.axes[name]);
+		chart._applySpec(spec);
+		if (spec.annotations) chart.setAnnotations(spec.annotations);
+		
+		if (spec.labelTable) {
+			let table = spec.labelTable;
+			chart.labelTable(new ChartSpec._types.labelTable(chart, table.id, table.position, table.margins, table.dimensions)
+				.setValues(table.colors, table.values));
+		}
+		return chart;
+	}
+	
+	/**
+	 * Exports a chart as a specification. See Chart.toSpec().
+	 * @param {Chart} chart - The exported chart.
+	 * @returns {Object} The specification of the chart.
+	 */
+	static toSpec(chart) {
+		let spec = {
+			type: ChartSpec.typeOf(chart),
+			id: chart._id,
+			position: {x: chart._x, y: chart._y},
+			margins: Object.assign({}, chart._margins),
+			dimensions: chart._outerDimensions()
+		};
+		if (chart._duration > 0) spec.transition = {duration: chart._duration, easing: ChartSpec.d3Name(chart._easing)};
+		if (chart._theme) spec.theme = ChartSpec.themeToSpec(chart._theme);
+		for (let name of ChartSpec._titles) {
+			if (chart[name]()) spec[name] = chart[name]();
+		}
+		for (let name of chart._axes.names()) {
+			//Only the fields changed from the defaults are exported
+			let config = chart._axes.changedConfig(name);
+			if (Object.keys(config).length > 0) spec.axes = Object.assign(spec.axes || {}, {[name]: config});
+		}
+		
+		chart._exportSpec(spec);
+		
+		if (chart._insertions.setAnnotations) spec.annotations = chart._insertions.setAnnotations[0];
+		
+		if (chart._labelTable) {
+			spec.labelTable = chart._labelTable.toSpec();
+			delete spec.labelTable.type;
+		}
+		return spec;
+	}
+	
+	/**
+	 * Finds the registered type of a chart.
+	 * @param {Chart} chart - The chart.
+	 * @returns {string} The name of its type, or undefined if its class isn't registered.
+	 */
+	static typeOf(chart) {
+		return Object.keys(ChartSpec._types || {}).find(name=>(ChartSpec._types[name] === chart.constructor));
+	}
+	
+	/**
+	 * Validates a chart specification. See Chart.validateSpec().
+	 * @param {Object} spec - The specification of the chart.
+	 * @param {d3.selection} container - The tag in which the chart would be inserted. If given, it's used to check if the dimensions can be omitted.
+	 * @returns {string[]} The errors found, each naming the invalid field. Empty if the specification is valid.
+	 */
+	static validateSpec(spec, container) {
+		let errors = [];
+		if ((spec == null) || (typeof(spec) != "object")) return ["Invalid spec: expected an object."];
+		
+		//The types are registered when their classes are created, which the modules only do when their factories are called
+		let types = Object.keys(ChartSpec._types || {}).filter(name=>(name != "labelTable"));
+		let registration = "The type of a chart is registered when its class is created, so load its file, call its factory, like createPie(d3), or create all the classes with createLibrary(d3).";
+		if (!types.includes(spec.type)) {
+			errors.push("Invalid spec field \"type\": expected one of the registered types (" + types.join(", ") + "). " + registration);
+		}
+		
+		let isNumber = v=>((typeof(v) == "number") && isFinite(v));
+		let isMargins = v=>(isNumber(v) || ((typeof(v) == "object") && ["left", "right", "top", "bottom"].every(side=>isNumber(v[side]))));
+		ChartSpec.checkSpec(errors, spec, "id", "a string", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "position.x", "a number", isNumber, spec.position != null);
+		ChartSpec.checkSpec(errors, spec, "position.y", "a number", isNumber, spec.position != null);
+		ChartSpec.checkSpec(errors, spec, "margins", "a number or an object with left, right, top and bottom numbers", isMargins);
+		if ((spec.dimensions != null) || !container || !container.attr("width") || !container.attr("height")) {
+			ChartSpec.checkSpec(errors, spec, "dimensions.width", "a number", isNumber, true);
+			ChartSpec.checkSpec(errors, spec, "dimensions.height", "a number", isNumber, true);
+		}
+		ChartSpec.checkSpec(errors, spec, "transition.duration", "a number", isNumber, spec.transition != null);
+		ChartSpec.checkSpec(errors, spec, "transition.easing", "the name of a d3 easing", v=>(typeof(d3[v]) == "function") && v.startsWith("ease"));
+		ChartSpec.checkSpec(errors, spec, "attributes", "an object of constants or arrays with the value of each element", v=>((typeof(v) == "object") && Object.values(v).every(value=>(typeof(value) != "function"))));
+		ChartSpec.checkSpec(errors, spec, "key", "the name of a field", v=>((typeof(v) == "string") || isNumber(v)));
+		ChartSpec.checkSpec(errors, spec, "colorScheme", "the name of a d3 color scheme", v=>(typeof(d3[v]) == "function"));
+		ChartSpec.checkSpec(errors, spec, "labels", "an array", Array.isArray);
+		for (let name of ChartSpec._titles) ChartSpec.checkSpec(errors, spec, name, "a string", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "axes", "an object with the configurations of the x and y axes", v=>((typeof(v) == "object") && Object.keys(v).every(name=>["x", "y"].includes(name))));
+		for (let name of ["x", "y"]) {
+			if ((spec.axes == null) || (typeof(spec.axes[name]) != "object")) continue;
+			let field = "axes." + name + ".";
+			let sides = (name == "x") ? ["bottom", "top"] : ["left", "right"];
+			ChartSpec.checkSpec(errors, spec, field + "visible", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "orientation", sides.join(", ") + " or both", v=>sides.concat(["both"]).includes(v));
+			ChartSpec.checkSpec(errors, spec, field + "ticks", "a number or an array of values", v=>(isNumber(v) || Array.isArray(v)));
+			ChartSpec.checkSpec(errors, spec, field + "format", "a d3 format", v=>{
+				try {
+					d3.format(v);
+					return true;
+				} catch (e) {
+					return false;
+				}
+			});
+			for (let number of ["tickSize", "labelRotation", "padding"]) ChartSpec.checkSpec(errors, spec, field + number, "a number", isNumber);
+			ChartSpec.checkSpec(errors, spec, field + "nice", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "domain", "an array of two values", v=>(Array.isArray(v) && (v.length == 2)));
+			ChartSpec.checkSpec(errors, spec, field + "grid", "a boolean", v=>(typeof(v) == "boolean"));
+			ChartSpec.checkSpec(errors, spec, field + "minorGrid", "a number", isNumber);
+		}
+		ChartSpec.checkSpec(errors, spec, "annotations", "an array of annotations with a type among " + ChartSpec._annotationTypes.join(", "), v=>(Array.isArray(v) && v.every(d=>((d != null) && ChartSpec._annotationTypes.includes(d.type)))));
+		ChartSpec.checkSpec(errors, spec, "theme", "the name of a theme at Chart.themes or a theme object", v=>{
+			try {
+				ChartTheme.resolve(v);
+				return true;
+			} catch (e) {
+				return false;
+			}
+		});
+		
+		for (let name in (spec.scales || {})) {
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".type", "the name of a d3 scale, like \"linear\"", v=>((typeof(v) == "string") && (typeof(d3["scale" + v[0].toUpperCase() + v.substring(1)]) == "function")));
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".domain", "an array", Array.isArray);
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".range", "an array", Array.isArray);
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".scheme", "the name of a d3 color scheme or an array of colors", v=>(Array.isArray(v) || Array.isArray(d3[v])));
+			ChartSpec.checkSpec(errors, spec, "scales." + name + ".interpolator", "the name of a d3 interpolator", v=>(typeof(d3[v]) == "function"));
+		}
+		
+		if (spec.labelTable != null) {
+			if (!ChartSpec._types || !ChartSpec._types.labelTable) errors.push("Invalid spec field \"labelTable\": the LabelTable class isn't created. " + registration);
+			ChartSpec.checkSpec(errors, spec, "labelTable.colors", "an array", Array.isArray, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.values", "an array", Array.isArray, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.dimensions.width", "a number", isNumber, true);
+			ChartSpec.checkSpec(errors, spec, "labelTable.dimensions.height", "a number", isNumber, true);
+		}
+		
+		if (types.includes(spec.type)) ChartSpec._types[spec.type]._validateSpec(spec, errors);
+		return errors;
+	}
+	
+	/**
+	 * Creates a scale from its specification. See Chart.scaleFromSpec().
+	 * @param {Object} spec - The specification of the scale.
+	 * @returns {d3.scale} The created scale.
+	 */
+	static scaleFromSpec(spec) {
+		let scheme = (typeof(spec.scheme) == "string") ? d3[spec.scheme] : spec.scheme;
+		if ((spec.type == null) && scheme) {
+			return d3.scaleLinear()
+				.domain(d3.range(scheme.length))
+				.range(scheme);
+		}
+		
+		let scale = d3["scale" + spec.type[0].toUpperCase() + spec.type.substring(1)](spec.interpolator ? d3[spec.interpolator] : undefined);
+		if (spec.exponent != null) scale.exponent(spec.exponent);
+		if (spec.base != null) scale.base(spec.base);
+		if (spec.domain) scale.domain((spec.type == "time") ? spec.domain.map(d=>new Date(d)) : spec.domain);
+		if (spec.range) scale.range(spec.range);
+		else if (scheme) scale.range(scheme);
+		if (spec.padding != null) scale.padding(spec.padding);
+		if (spec.paddingInner != null) scale.paddingInner(spec.paddingInner);
+		if (spec.paddingOuter != null) scale.paddingOuter(spec.paddingOuter);
+		if (spec.nice) scale.nice();
+		if (spec.clamp) scale.clamp(true);
+		return scale;
+	}
+	
+	/**
+	 * Exports a scale as a specification. See Chart.scaleToSpec().
+	 * @param {d3.scale} scale - The exported scale.
+	 * @returns {Object} The specification of the scale.
+	 */
+	static scaleToSpec(scale) {
+		let spec = {};
+		if (scale.interpolator && !scale.range) {
+			spec.type = "sequential";
+			spec.interpolator = ChartSpec.d3Name(scale.interpolator());
+		} else if (scale.paddingInner) {
+			spec.type = "band";
+			spec.paddingInner = scale.paddingInner();
+			spec.paddingOuter = scale.paddingOuter();
+		} else if (scale.step) {
+			spec.type = "point";
+			spec.padding = scale.padding();
+		} else if (scale.quantiles) {
+			spec.type = "quantile";
+		} else if (scale.invertExtent) {
+			spec.type = scale.nice ? "quantize" : "threshold";
+		} else if (!scale.invert) {
+			spec.type = "ordinal";
+		} else if (scale.base) {
+			spec.type = "log";
+			spec.base = scale.base();
+		} else if (scale.exponent) {
+			spec.type = "pow";
+			spec.exponent = scale.exponent();
+		} else {
+			spec.type = (scale.domain()[0] instanceof Date) ? "time" : "linear";
+		}
+		
+		spec.domain = scale.domain().map(d=>((d instanceof Date) ? d.toISOString() : d));
+		if (scale.range) spec.range = scale.range().slice();
+		if (scale.clamp && scale.clamp()) spec.clamp = true;
+		return spec;
+	}
+	
+	/**
+	 * Checks a field of a specification, adding an error which names the field if it's invalid.
+	 * @param {string[]} errors - The errors found so far.
+	 * @param {Object} spec - The specification.
+	 * @param {string} field - The path of the field, with its names separated by dots, like "dimensions.width".
+	 * @param {string} expected - What the field should be, used in the error.
+	 * @param {function} test - A function which receives the value of the field and returns whether it's valid.
+	 * @param {boolean} required - Whether the field can't be omitted.
+	 */
+	static checkSpec(errors, spec, field, expected, test, required) {
+		let value = field.split(".").reduce((object, name)=>((object == null) ? undefined : object[name]), spec);
+		if ((value == null) ? required : !test(value)) {
+			errors.push("Invalid spec field \"" + field + "\": expected " + expected + ".");
+		}
+	}
+	
+	/**
+	 * Checks a field given as the insertion of a dataset: an array, or an object with data, attributes and key fields.
+	 * @param {string[]} errors - The errors found so far.
+	 * @param {Object} spec - The specification.
+	 * @param {string} field - The name of the field.
+	 * @param {string} expected - What each datum should be, used in the error.
+	 * @param {function} test - A function which receives each datum and returns whether it's valid.
+	 */
+	static checkInsertionSpec(errors, spec, field, expected, test) {
+		let isInsertion = v=>(Array.isArray(v) || ((typeof(v) == "object") && Array.isArray(v.data)));
+		ChartSpec.checkSpec(errors, spec, field, "an array or an object with data, attributes and key fields", isInsertion);
+		if ((spec[field] != null) && isInsertion(spec[field]) && !ChartSpec.insertionFromSpec(spec[field])[0].every(test)) {
+			errors.push("Invalid spec field \"" + field + "\": expected " + expected + ".");
+		}
+	}
+	
+	/**
+	 * Creates the key function of a dataset from the name of the field which identifies each datum.
+	 * @param {(string|number)} key - The name of the field.
+	 * @returns {function} The key function, or undefined if no field is given.
+	 */
+	static keyFromSpec(key) {
+		return (key == null) ? undefined : d=>d[key];
+	}
+	
+	/**
+	 * Creates the attributes of an insertion from their specification, where an array gives the value of each element.
+	 * @param {Object} attributes - The attributes of the specification.
+	 * @returns {Object} The attributes of the insertion function.
+	 */
+	static attributesFromSpec(attributes) {
+		if (attributes == null) return attributes;
+		let output = {};
+		for (let name in attributes) {
+			let value = attributes[name];
+			output[name] = Array.isArray(value) ? (d, i)=>value[i] : value;
+		}
+		return output;
+	}
+	
+	/**
+	 * Exports the attributes of an insertion. Functions are replaced by the values of the elements, which are only available if the elements aren't nested.
+	 * @param {Object} attributes - The attributes given to the insertion function.
+	 * @param {d3.selection} selection - The plotted elements. If not given, the functions aren't exported.
+	 * @returns {Object} The specification of the attributes.
+	 */
+	static attributesToSpec(attributes, selection) {
+		if (attributes == null) return undefined;
+		let output = {};
+		for (let name in attributes) {
+			if (typeof(attributes[name]) != "function") output[name] = attributes[name];
+			else if (selection) output[name] = selection.nodes().map(node=>node.getAttribute(name));
+		}
+		return output;
+	}
+	
+	/**
+	 * Exports the theme of a chart, with its color schemes written by their d3 names.
+	 * @param {(string|Object)} theme - The theme set on the chart.
+	 * @returns {(string|Object)} The specification of the theme.
+	 */
+	static themeToSpec(theme) {
+		if (typeof(theme) == "string") return theme;
+		let spec = Object.assign({}, theme);
+		for (let field of ChartTheme.schemeFields) {
+			if (spec[field] != null) spec[field] = ChartSpec.d3Name(spec[field]) || spec[field];
+		}
+		return ChartSpec.copy(spec);
+	}
+	
+	/**
+	 * Exports the arguments stored by an insertion function, with its data and attributes.
+	 * @param {Array} insertion - The arguments of the insertion.
+	 * @param {d3.selection} selection - The plotted elements.
+	 * @returns {Object} An object with data and attributes fields, or undefined if nothing was inserted.
+	 */
+	static insertionToSpec(insertion, selection) {
+		if (!insertion) return undefined;
+		let spec = {data: ChartSpec.copy(insertion[0])};
+		let attributes = ChartSpec.attributesToSpec(insertion[1], selection);
+		if (attributes) spec.attributes = attributes;
+		return spec;
+	}
+	
+	/**
+	 * Finds the name of a function or scheme of d3, like "easeCubic" or "interpolateViridis".
+	 * @param {*} value - The function or scheme.
+	 * @returns {string} Its name, or undefined if it isn't part of d3.
+	 */
+	static d3Name(value) {
+		return Object.keys(d3).find(name=>(d3[name] === value));
+	}
+	
+	/**
+	 * Copies a value which can be written as JSON.
+	 * @param {*} value - The copied value.
+	 * @returns {*} The copy.
+	 */
+	static copy(value) {
+		return JSON.parse(JSON.stringify(value));
+	}
+	
+	/**
+	 * Creates the arguments of an insertion function from a field checked by ChartSpec.checkInsertionSpec().
+	 * @param {(Array|Object)} value - The value of the field.
+	 * @returns {Array} The dataset, attributes, events and key of the insertion, or null if the field is omitted.
+	 */
+	static insertionFromSpec(value) {
+		if (value == null) return null;
+		if (Array.isArray(value)) return [value, null, null, undefined];
+		return [value.data, ChartSpec.attributesFromSpec(value.attributes), null, ChartSpec.keyFromSpec(value.key)];
+	}
+}
+
+//The titles of the charts which are given by the specifications
+ChartSpec._titles = ["title", "subtitle", "xAxisTitle", "yAxisTitle"];
+
+//The types of annotations, see Chart.setAnnotations()
+ChartSpec._annotationTypes = ["line", "band", "callout", "note"];
\ No newline at end of file
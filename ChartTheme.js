@@ -0,0 +1,113 @@
+/**
+ * Class that resolves the themes of the charts, which set their colors, fonts, stroke widths and background.
+ */
+class ChartTheme {
+	/**
+	 * The theme of the charts which don't set their own. If theme is given, sets it. Always returns the current or, if set, the new default theme. See Chart.defaultTheme().
+	 * @param {(string|Object)} theme - The name of a theme at ChartTheme.themes, or an object with the fields of a theme to replace on the light theme.
+	 * @returns {Object} The default theme.
+	 */
+	static defaultTheme(theme) {
+		if (theme) ChartTheme._defaultTheme = ChartTheme.resolve(theme);
+		return ChartTheme._defaultTheme || ChartTheme.themes.light;
+	}
+	
+	/**
+	 * Resolves a theme given by its name or by the fields it replaces.
+	 * @param {(string|Object)} theme - The name of a theme at ChartTheme.themes, or an object with the fields of a theme to replace. Its color schemes can be given by their d3 names.
+	 * @param {Object} base - The theme whose fields are replaced by a theme object. The light theme by default.
+	 * @returns {Object} The theme, with all its fields.
+	 */
+	static resolve(theme, base) {
+		if (typeof(theme) == "string") {
+			if (!ChartTheme.themes[theme]) throw new Error("Unknown theme \"" + theme + "\".");
+			return ChartTheme.themes[theme];
+		}
+		if ((theme == null) || (typeof(theme) != "object")) throw new Error("Invalid theme: expected a name or an object.");
+		base = base || ChartTheme.themes.light;
+		
+		//The nested fields are merged and the color schemes may be given by their d3 names
+		let resolved = Object.assign({}, base, theme);
+		resolved.fontSizes = Object.assign({}, base.fontSizes, theme.fontSizes);
+		resolved.strokeWidths = Object.assign({}, base.strokeWidths, theme.strokeWidths);
+		for (let field of ChartTheme.schemeFields) {
+			if (typeof(resolved[field]) == "string") resolved[field] = d3[resolved[field]];
+			if (resolved[field] == null) throw new Error("Invalid theme field \"" + field + "\".");
+		}
+		return resolved;
+	}
+	
+	/**
+	 * Creates the color scale of a categorical palette, which gives the color of each index.
+	 * @param {string[]} colors - The colors of the palette.
+	 * @returns {d3.scale} The color scale.
+	 */
+	static paletteScale(colors) {
+		return d3.scaleLinear()
+			.domain(d3.range(colors.length))
+			.range(colors);
+	}
+}
+
+/**
+ * The fields of the themes which are color schemes, which can be given by their d3 names.
+ */
+ChartTheme.schemeFields = ["palette", "secondaryPalette", "sequential", "diverging"];
+
+/**
+ * The built-in themes, by name. A theme has the fields:
+ * palette - The categorical colors of the marks.
+ * secondaryPalette - The categorical colors of secondary marks, like the ranges of a Segments chart.
+ * sequential - The interpolator of sequential values, like the ones of a Map.
+ * diverging - The interpolator of diverging values, like the coefficients of a Correlation.
+ * fontFamily - The font of the texts.
+ * fontSizes - The font sizes of the axes, labels and titles.
+ * textColor, axisColor, gridColor - The colors of the texts, axes and gridlines.
+ * foreground - The color of the lines and borders of the marks and label tables.
+ * strokeWidths - The stroke widths of the axes, gridlines and marks.
+ * background - The color painted behind the chart, or null.
+ */
+ChartTheme.themes = {
+	light: {
+		palette: d3.schemeCategory10,
+		secondaryPalette: d3.schemeSet2,
+		sequential: d3.interpolateInferno,
+		diverging: d3.interpolateRdYlBu,
+		fontFamily: "sans-serif",
+		fontSizes: {axis: 10, label: 16, title: 20},
+		textColor: "#000",
+		axisColor: "#000",
+		gridColor: "#ddd",
+		foreground: "black",
+		strokeWidths: {axis: 1, grid: 1, mark: 1},
+		background: null
+	},
+	dark: {
+		palette: d3.schemeSet3,
+		secondaryPalette: d3.schemePastel2,
+		sequential: d3.interpolateViridis,
+		diverging: d3.interpolateRdYlBu,
+		fontFamily: "sans-serif",
+		fontSizes: {axis: 10, label: 16, title: 20},
+		textColor: "#eee",
+		axisColor: "#bbb",
+		gridColor: "#444",
+		foreground: "#ddd",
+		strokeWidths: {axis: 1, grid: 1, mark: 1},
+		background: "#1e1e1e"
+	},
+	print: {
+		palette: d3.schemeDark2,
+		secondaryPalette: d3.schemePastel1,
+		sequential: d3.interpolateGreys,
+		diverging: d3.interpolatePuOr,
+		fontFamily: "serif",
+		fontSizes: {axis: 11, label: 14, title: 20},
+		textColor: "#000",
+		axisColor: "#000",
+		gridColor: "#bbb",
+		foreground: "black",
+		strokeWidths: {axis: 1.5, grid: 0.5, mark: 1.5},
+		background: "white"
+	}
+};
\ No newline at end of file
@@ -0,0 +1,110 @@
+/**
+ * Class that plots the title, subtitle and axis titles of a chart around its margins. The space of the titles is taken from the plotting area, so the chart keeps its dimensions. Each chart creates its own, see Chart.title().
+ */
+class ChartTitles {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the titles.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._texts = {title: null, subtitle: null, xAxisTitle: null, yAxisTitle: null};
+		
+		//The space reserved for the titles, outside of the margins of the chart
+		this._space = {left: 0, right: 0, top: 0, bottom: 0};
+	}
+	
+	/**
+	 * The text of a title. If text is given, sets it, or removes the title if text is an empty string, otherwise returns the current text.
+	 * @param {string} name - The name of the title: title, subtitle, xAxisTitle or yAxisTitle.
+	 * @param {string} text - The new text.
+	 * @returns {string} The current text.
+	 */
+	text(name, text) {
+		if (text != null) {
+			this._texts[name] = text || null;
+			this.update();
+		}
+		return this._texts[name];
+	}
+	
+	/**
+	 * The margins of the chart, with the space of its titles.
+	 * @returns {Object} The left, right, top and bottom margins.
+	 */
+	margins() {
+		let margins = this._chart._margins;
+		return {
+			left: margins.left + this._space.left,
+			right: margins.right + this._space.right,
+			top: margins.top + this._space.top,
+			bottom: margins.bottom + this._space.bottom
+		};
+	}
+	
+	/**
+	 * Reserves the space of the titles, resizing the plotting area when it changed, and plots them.
+	 */
+	update() {
+		//Each title takes a line and a half of its font size, and the plotting area shrinks to keep the dimensions of the chart
+		let sizes = this._sizes();
+		let line = name=>(this._texts[name] ? sizes[name] * 1.5 : 0);
+		let space = {left: line("yAxisTitle"), right: 0, top: line("title") + line("subtitle"), bottom: line("xAxisTitle")};
+		if (Object.keys(space).some(side=>(space[side] != this._space[side]))) {
+			let dimensions = this._chart._outerDimensions();
+			this._space = space;
+			this._chart.resize(dimensions.width, dimensions.height);
+		} else {
+			this.layout();
+		}
+	}
+	
+	/**
+	 * Plots the titles at the positions given by the dimensions of the chart.
+	 */
+	layout() {
+		let chart = this._chart;
+		let sizes = this._sizes();
+		let origin = chart._origin();
+		let top = -chart._margins.top - this._space.top;
+		let titles = [{
+			name: "title",
+			className: "chartTitle",
+			x: chart._width / 2,
+			y: top + sizes.title,
+			weight: "bold"
+		}, {
+			name: "subtitle",
+			className: "chartSubtitle",
+			x: chart._width / 2,
+			y: top + (this._texts.title ? sizes.title * 1.5 : 0) + sizes.subtitle
+		}, {
+			name: "xAxisTitle",
+			className: "xAxisTitle",
+			x: chart._width / 2,
+			y: chart._height + chart._margins.bottom + sizes.xAxisTitle * 1.1
+		}, {
+			name: "yAxisTitle",
+			className: "yAxisTitle",
+			x: -chart._margins.left - sizes.yAxisTitle * 0.4,
+			y: chart._height / 2,
+			rotate: true
+		}];
+		
+		//The titles are centered on the plotting area, the one of the Y axis is rotated along it
+		for (let title of titles) {
+			Chart.joinData(chart._selection, "." + title.className, "text", this._texts[title.name] ? [this._texts[title.name]] : [])
+				.attr("text-anchor", "middle")
+				.attr("font-size", sizes[title.name])
+				.attr("font-weight", title.weight || null)
+				.attr("transform", "translate(" + (title.x - origin[0]) + "," + (title.y - origin[1]) + ")" + (title.rotate ? "rotate(-90)" : ""))
+				.text(d=>d);
+		}
+	}
+	
+	_sizes() {
+		let fontSizes = this._chart.theme().fontSizes;
+		return {title: fontSizes.title, subtitle: fontSizes.label, xAxisTitle: fontSizes.label, yAxisTitle: fontSizes.label};
+	}
+}
\ No newline at end of file
@@ -28,7 +28,11 @@
 		this._ellipseSelection = null;
 		this._cellSelection = null;
 		
-		this._colorScheme = d3.interpolateRdYlBu;
+		//The keys of the variables of the rows and of the columns of the cells, when they are matched by key
+		this._rowKeys = d3.local();
+		this._cellKeys = d3.local();
+		
+		this._applyTheme();
 	}
 	
 	/**
@@ -82,9 +86,11 @@
 	 * @param {number[][]} names - The names of the dataset attributes.
 	 * @param {Object} attributes - An object containing functions or constants for the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each name, used to match the names with the current labels. If not given, they are matched by index.
 	 * @returns {Correlation} This chart.
 	 */
-	setLabels(names, attributes, onEvents) {
+	setLabels(names, attributes, onEvents, key) {
+		this._storeInsertion("setLabels", arguments);
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		attributes.class = "rowLabel";
@@ -92,7 +98,7 @@
 		attributes["dominant-baseline"] = "hanging";
 		attributes.transform = (d, i)=>("translate(0, "+((i+1/2) * this._height / names.length)+")rotate(45)");
 		
-		this._rowLabelSelection = this._selection.selectAll(".rowLabel").data(names).enter().append("text")
+		this._rowLabelSelection = Chart.joinData(this._selection, ".rowLabel", "text", names, key)
 			.text(d=>d);
 		
 		//Insertion of attributes and events
@@ -102,7 +108,7 @@
 		attributes["dominant-baseline"] = "bottom";
 		attributes.transform = (d, i)=>("translate("+((i+1/2) * this._width / names.length)+", 0)rotate(45)");
 		
-		this._colLabelSelection = this._selection.selectAll(".colLabel").data(names).enter().append("text")
+		this._colLabelSelection = Chart.joinData(this._selection, ".colLabel", "text", names, key)
 			.text(d=>d);
 		
 		//Insertion of attributes and events
@@ -116,11 +122,20 @@
 	 * @param {number[][]} dataset - The dataset which correlation will be calculated.
 	 * @param {Object} attributes - An object containing functions or constants for the ellipses that represent the correlations.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each variable, receiving the row of its correlations and its index, used to match the rows and columns of the table with the current ones. If not given, they are matched by index.
 	 * @returns {Correlation} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		let correlations = Correlation.pearson(dataset);
+		
+		//The rows and cells keep the keys of their variables, so the new correlations are matched with them by the keys of the variables
+		let variableKeys = key ? correlations.map(key) : null;
+		let storedKey = local=>(key ? function(d, i) {
+			let variableKey = local.get(this);
+			return (variableKey !== undefined) ? variableKey : variableKeys[i];
+		} : undefined);
 		let posScale = d3.scaleLinear()
 			.domain([-1, 0, 1])
 			.range([0.0000001, 1, Math.sqrt(2)]);
@@ -135,34 +150,109 @@
 		Chart.addIfNull(attributes, "stroke", (d, i)=>thisChart._colorScheme((d+1)/2));
 		
 		let rowTransform = (d, i)=>("translate(" + (this._width / (2 * dataset[0].length)) + "," + ((i + 1/2) * this._height / dataset[0].length) + ")");
-		this._ellipseSelection = this._selection.selectAll(".ellipseGroup").data(correlations).enter().append("g")
-			.attr("id", (d, i)=>("ellipseGroup" + i))
-			.attr("class", "ellipseGroup")
-			.attr("transform", rowTransform)
-			.selectAll(".groupEllipse").data(d=>d).enter().append("ellipse")
-				.attr("fill", (d, i)=>thisChart._colorScheme((d+1)/2));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		let ellipseGroups = Chart.joinData(this._selection, ".ellipseGroup", "g", correlations, storedKey(this._rowKeys), enter=>enter.attr("transform", rowTransform), onExit)
+			.attr("id", (d, i)=>("ellipseGroup" + i));
+		this._animate(ellipseGroups).attr("transform", rowTransform);
+		this._ellipseSelection = Chart.joinData(ellipseGroups, ".groupEllipse", "ellipse", d=>d, storedKey(this._cellKeys), null, onExit);
+		let ellipseTransition = this._animate(this._ellipseSelection);
+		ellipseTransition.attr("fill", (d, i)=>thisChart._colorScheme((d+1)/2));
 		
 		rowTransform = (d, i)=>("translate(0," + (i * this._height / dataset[0].length) + ")");
-		this._cellSelection = this._selection.selectAll(".rectGroup").data(correlations).enter().append("g")
-			.attr("id", (d, i)=>("rectGroup_" + i))
-			.attr("class", "rectGroup")
-			.attr("transform", rowTransform)
-			.selectAll(".groupRect").data(d=>d).enter().append("rect")
-				.attr("id", (d, i)=>"rect_" + i)
-				.attr("class", "groupRect")
-				.attr("x", (d, i)=>(i * this._width / dataset[0].length))
-				.attr("width", this._width / dataset[0].length)
-				.attr("height", this._height / dataset[0].length)
-				.attr("stroke", "black")
-				.attr("fill", "transparent");
+		let cellAttributes = {
+			x: (d, i)=>(i * this._width / dataset[0].length),
+			width: this._width / dataset[0].length,
+			height: this._height / dataset[0].length,
+			stroke: this.theme().foreground,
+			"stroke-width": this.theme().strokeWidths.mark,
+			fill: "transparent"
+		};
+		let cellGroups = Chart.joinData(this._selection, ".rectGroup", "g", correlations, storedKey(this._rowKeys), enter=>enter.attr("transform", rowTransform), onExit)
+			.attr("id", (d, i)=>("rectGroup_" + i));
+		this._animate(cellGroups).attr("transform", rowTransform);
+		this._cellSelection = Chart.joinData(cellGroups, ".groupRect", "rect", d=>d, storedKey(this._cellKeys), enter=>Chart.insertAttributesEvents(enter, cellAttributes, null), onExit)
+			.attr("id", (d, i)=>"rect_" + i);
+		Chart.insertAttributesEvents(this._cellSelection, cellAttributes, null, this._animate(this._cellSelection));
+		
+		if (key) {
+			let storeKey = local=>function(d, i) {
+				local.set(this, variableKeys[i]);
+			};
+			ellipseGroups.each(storeKey(this._rowKeys));
+			cellGroups.each(storeKey(this._rowKeys));
+			this._ellipseSelection.each(storeKey(this._cellKeys));
+			this._cellSelection.each(storeKey(this._cellKeys));
+		}
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._ellipseSelection, attributes, null);
+		Chart.insertAttributesEvents(this._ellipseSelection, attributes, null, ellipseTransition);
 		Chart.insertAttributesEvents(this._cellSelection, null, onEvents);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_applyTheme() {
+		this._colorScheme = this.theme().diverging;
+		super._applyTheme();
+	}
+	
+	_marks() {
+		let names = this._rowLabelSelection ? this._rowLabelSelection.data() : [];
+		let name = i=>(names[i] != null) ? names[i] : i + 1;
+		let fields = rows=>(d, i, node)=>({row: name(rows.indexOf(node.parentNode)), column: name(i), value: d});
+		let cellRows = this._selection.selectAll(".rectGroup").nodes();
+		return [{
+			selection: this._cellSelection,
+			fields: fields(cellRows),
+			template: "{row}, {column}: {value:.2f}",
+			row: mark=>cellRows.indexOf(mark.node.parentNode)
+		}, {
+			//The ellipses show the same coefficients as the cells, which are above them
+			selection: this._ellipseSelection,
+			fields: fields(this._selection.selectAll(".ellipseGroup").nodes()),
+			template: "{row}, {column}: {value:.2f}",
+			focusable: false
+		}];
+	}
+	
+	_describe(format) {
+		//Each pair of attributes is described once, by the coefficients above the diagonal
+		let names = this._rowLabelSelection ? this._rowLabelSelection.data() : [];
+		let name = i=>(names[i] != null) ? names[i] : i + 1;
+		let pairs = [];
+		this._selection.selectAll(".rectGroup").data().forEach((row, i)=>{
+			for (let j = i + 1; j < row.length; j++) pairs.push({row: name(i), column: name(j), value: row[j]});
+		});
+		if (pairs.length == 0) return [];
+		let sentences = [];
+		let positive = pairs.reduce((a, b)=>(b.value > a.value) ? b : a);
+		let negative = pairs.reduce((a, b)=>(b.value < a.value) ? b : a);
+		let pair = fields=>("between " + fields.row + " and " + fields.column + ", with " + format.number(fields.value));
+		if (positive.value > 0) sentences.push("The strongest positive correlation is " + pair(positive) + ".");
+		else sentences.push("There are no positive correlations.");
+		if (negative.value < 0) sentences.push("The strongest negative correlation is " + pair(negative) + ".");
+		else sentences.push("There are no negative correlations.");
+		return sentences;
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of rows with the same number of numbers", v=>(Array.isArray(v) && (v.length > 0) && v.every(d=>(Array.isArray(d) && (d.length == v[0].length) && d.every(value=>(typeof(value) == "number"))))));
+	}
+	
+	_applySpec(spec) {
+		if (spec.colorScheme) this.colorScheme(d3[spec.colorScheme]);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes));
+		if (spec.labels) this.setLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.colorScheme = ChartSpec.d3Name(this._colorScheme);
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, null);
+		if (insertion) Object.assign(spec, insertion);
+		if (this._insertions.setLabels) spec.labels = ChartSpec.copy(this._insertions.setLabels[0]);
+	}
+	
 	/**
 	 * Generates a table of correlation values using the Pearson algorithm.
 	 * @param {number[][]} dataset - The dataset which correlation will be calculated.
@@ -203,13 +293,15 @@
 			this._colLabelSelection = null;
 		}
 		if (this._ellipseSelection) {
-			this._ellipseSelection.remove();
+			this._selection.selectAll(".ellipseGroup").remove();
 			this._ellipseSelection = null;
 		}
 		if (this._cellSelection) {
-			this._cellSelection.remove();
+			this._selection.selectAll(".rectGroup").remove();
 			this._cellSelection = null;
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("correlation", Correlation);
\ No newline at end of file
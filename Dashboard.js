@@ -0,0 +1,351 @@
+/**
+ * Class that represents a dashboard, a grid which creates and places charts inside a container. Each chart takes one or more cells of the grid, and a group of cells can hold a nested dashboard.
+ */
+class Dashboard {
+	/**
+	 * @constructor
+	 * @param {d3.selection} container - The tag in which the charts will be inserted.
+	 * @param {string} id - The id of the dashboard, which prefixes the ids of its charts.
+	 * @param {Object} position - The position of the dashboard.
+	 * @param {number} position.x - The X coordinate of the dashboard.
+	 * @param {number} position.y - The Y coordinate of the dashboard.
+	 * @param {Object} dimensions - The dimensions of the dashboard. Uses the dimensions of the container by default.
+	 * @param {number} dimensions.width - The width of the dashboard.
+	 * @param {number} dimensions.height - The height of the dashboard.
+	 * @param {Object} grid - The grid of the dashboard.
+	 * @param {(number|number[])} grid.columns - The number of columns, or the relative widths of the columns. Uses one column by default.
+	 * @param {(number|number[])} grid.rows - The number of rows, or the relative heights of the rows. By default, there are as many rows, of equal heights, as the cells taken.
+	 * @param {number} grid.gutter - The space between the cells. Uses 10 by default.
+	 */
+	constructor(container, id, position, dimensions, grid) {
+		this._container = container;
+		
+		this._id = id;
+		
+		this._x = (position != null) ? position.x : 0;
+		this._y = (position != null) ? position.y : 0;
+		
+		this._width = (dimensions != null) ? dimensions.width : +container.attr("width") - this._x;
+		this._height = (dimensions != null) ? dimensions.height : +container.attr("height") - this._y;
+		
+		grid = grid || {};
+		this._columns = (grid.columns != null) ? grid.columns : 1;
+		this._rows = (grid.rows != null) ? grid.rows : null;
+		this._gutter = (grid.gutter != null) ? grid.gutter : 10;
+		
+		//The charts and nested dashboards, each with its cell
+		this._items = [];
+		this._count = 0;
+		
+		this._resizeObserver = null;
+	}
+	
+	/**
+	 * Returns a selection of the tag containing the charts of this dashboard.
+	 * @returns {d3.selection} The container of this dashboard.
+	 */
+	container() {
+		return this._container;
+	}
+	
+	/**
+	 * Returns the id of the dashboard.
+	 * @returns {string} The id of this dashboard.
+	 */
+	id() {
+		return this._id;
+	}
+	
+	/**
+	 * If coordinates are given, moves the dashboard with its charts, otherwise returns its coordinates.
+	 * @param {number} x - The new X coordinate of the dashboard.
+	 * @param {number} y - The new Y coordinate of the dashboard.
+	 * @returns {(Dashboard|number[])} This object or the dashboard's coordinates.
+	 */
+	position(x, y) {
+		if ((x != null) && (y != null)) {
+			this._setBounds({x: x, y: y, width: this._width, height: this._height});
+			return this;
+		} else {
+			return [this._x, this._y];
+		}
+	}
+	
+	/**
+	 * The width of the dashboard.
+	 * @returns {number} The width of this dashboard.
+	 */
+	width() {
+		return this._width;
+	}
+	
+	/**
+	 * The height of the dashboard.
+	 * @returns {number} The height of this dashboard.
+	 */
+	height() {
+		return this._height;
+	}
+	
+	/**
+	 * Returns the charts of the dashboard, including those of its nested dashboards.
+	 * @returns {Chart[]} The charts, in the order they were added.
+	 */
+	charts() {
+		let charts = [];
+		for (let item of this._items) {
+			if (item.chart) charts.push(item.chart);
+			else charts = charts.concat(item.dashboard.charts());
+		}
+		return charts;
+	}
+	
+	/**
+	 * Creates a chart in a cell of the dashboard.
+	 * @param {(string|function|Object)} type - The type of the chart, by its name at Chart.fromSpec(), its class, or a specification, whose position and dimensions are replaced by the cell.
+	 * @param {Object} cell - The cell of the chart. Without its row and column, the chart takes the first free cells, row by row.
+	 * @param {number} cell.row - The first row of the chart.
+	 * @param {number} cell.column - The first column of the chart.
+	 * @param {number} cell.rowSpan - The number of rows taken by the chart. Uses 1 by default.
+	 * @param {number} cell.columnSpan - The number of columns taken by the chart. Uses 1 by default.
+	 * @param {string} cell.id - The id of the chart. Uses the id of the dashboard and a number by default.
+	 * @param {(number|Object)} cell.margins - The margins of the chart, as in its constructor.
+	 * @param {Object} cell.labelTable - A LabelTable placed by a side of the chart, inside the cell, with its side ("left", "right", "top" or "bottom", "right" by default), size (100 by default), id and margins.
+	 * @returns {Chart} The created chart.
+	 */
+	add(type, cell) {
+		cell = this._place(Object.assign({}, cell));
+		let id = cell.id || ((typeof(type) == "object") && type.id) || this._nextId();
+		let bounds = Dashboard._split(this._cellBounds(cell), cell.labelTable);
+		let position = {x: bounds.chart.x, y: bounds.chart.y};
+		let dimensions = {width: bounds.chart.width, height: bounds.chart.height};
+		
+		let chart;
+		if (typeof(type) == "object") {
+			chart = Chart.fromSpec(this._container, Object.assign({}, type, {id: id, position: position, dimensions: dimensions}, (cell.margins != null) ? {margins: cell.margins} : {}));
+		} else {
+			let chartClass = (typeof(type) == "string") ? Dashboard._chartTypes[type] : type;
+			if (!chartClass) throw new Error("Unknown type of chart: " + type + ". Expected one of " + Object.keys(Dashboard._chartTypes).join(", ") + ".");
+			chart = new chartClass(this._container, id, position, cell.margins, dimensions);
+		}
+		if (cell.labelTable) {
+			let table = cell.labelTable;
+			chart.labelTable(new LabelTable(chart, table.id || (id + "Labels"), {x: 0, y: 0}, table.margins, {width: bounds.table.width, height: bounds.table.height}));
+		}
+		
+		this._items.push({cell: cell, chart: chart});
+		this._layout();
+		return chart;
+	}
+	
+	/**
+	 * Creates a nested dashboard in a cell of the dashboard, with a grid of its own.
+	 * @param {Object} cell - The cell of the nested dashboard, with the row, column, rowSpan, columnSpan and id fields of add().
+	 * @param {Object} grid - The grid of the nested dashboard, as in the constructor.
+	 * @returns {Dashboard} The nested dashboard.
+	 */
+	group(cell, grid) {
+		cell = this._place(Object.assign({}, cell));
+		let bounds = this._cellBounds(cell);
+		let dashboard = new Dashboard(this._container, cell.id || this._nextId(), {x: bounds.x, y: bounds.y}, {width: bounds.width, height: bounds.height}, grid);
+		
+		this._items.push({cell: cell, dashboard: dashboard});
+		this._layout();
+		return dashboard;
+	}
+	
+	/**
+	 * Creates small multiples: the dataset is split in groups by a key, and each group is plotted by a chart in the free cells of the dashboard, labeled by the key at its title. The continuous scales of the charts share their domains, so the groups are compared at the same scale.
+	 * @param {(string|function|Object)} type - The type of the charts, as in add().
+	 * @param {Array} dataset - The data to be split.
+	 * @param {function} key - The key of the group of each datum, which receives the datum and its index.
+	 * @param {Object} options - The settings of the charts.
+	 * @param {function} options.value - The data plotted by the chart of a group, which receives the data of the group and its key. Uses the data of the group by default.
+	 * @param {function} options.plot - The function which plots the data of a group, receiving its chart, the data and the key. Calls setData() by default.
+	 * @param {(function|boolean)} options.label - The title of the chart of a group, which receives its key, or false to leave the charts without titles. Uses the key by default.
+	 * @param {boolean} options.shareScales - Whether the charts share the domains of their scales. True by default.
+	 * @param {Object} options.cell - The fields of the cells of the charts, like their margins or label tables, as in add().
+	 * @returns {Chart[]} The charts, in the order of the first datum of each group.
+	 */
+	facet(type, dataset, key, options) {
+		options = Object.assign({value: data=>data, plot: (chart, data)=>chart.setData(data), label: key=>String(key), shareScales: true, cell: {}}, options);
+		
+		//The groups keep the order of their first data
+		let groups = [];
+		let groupIndexes = {};
+		dataset.forEach((d, i)=>{
+			let groupKey = key(d, i);
+			if (!(groupKey in groupIndexes)) {
+				groupIndexes[groupKey] = groups.length;
+				groups.push({key: groupKey, data: []});
+			}
+			groups[groupIndexes[groupKey]].data.push(d);
+		});
+		
+		let charts = groups.map(group=>{
+			let chart = this.add(type, Object.assign({}, options.cell));
+			if (options.label) chart.title(options.label(group.key));
+			options.plot(chart, options.value(group.data, group.key), group.key);
+			return chart;
+		});
+		if (options.shareScales) {
+			let domains = Chart._unionDomains(charts);
+			for (let chart of charts) chart._shareDomains(domains);
+		}
+		return charts;
+	}
+	
+	/**
+	 * Resizes the dashboard, placing its charts and nested dashboards again and resizing them to their cells.
+	 * @param {number} width - The new width of the dashboard. If not given, uses the width of the container.
+	 * @param {number} height - The new height of the dashboard. If not given, uses the height of the container.
+	 * @returns {Dashboard} This dashboard.
+	 */
+	resize(width, height) {
+		if (width == null) width = this._container.attr("width") - this._x;
+		if (height == null) height = this._container.attr("height") - this._y;
+		this._setBounds({x: this._x, y: this._y, width: +width, height: +height});
+		return this;
+	}
+	
+	/**
+	 * Makes the dashboard follow the size of its container. The dashboard is resized to fill the container, starting at its position.
+	 * @param {boolean} enabled - Whether the dashboard is resized when the container is.
+	 * @returns {Dashboard} This dashboard.
+	 */
+	autoResize(enabled) {
+		let node = this._container.node();
+		let view = d3.select(node.ownerDocument.defaultView);
+		let onResize = ()=>{
+			let box = node.getBoundingClientRect();
+			this.resize(box.width - this._x, box.height - this._y);
+		};
+		
+		if (this._resizeObserver) this._resizeObserver.disconnect();
+		this._resizeObserver = null;
+		view.on("resize." + this._id, null);
+		
+		if (enabled) {
+			if (typeof(ResizeObserver) != "undefined") {
+				this._resizeObserver = new ResizeObserver(onResize);
+				this._resizeObserver.observe(node);
+			} else {
+				view.on("resize." + this._id, onResize);
+			}
+		}
+		return this;
+	}
+	
+	_nextId() {
+		return this._id + "-" + (this._count++);
+	}
+	
+	_columnCount() {
+		return Array.isArray(this._columns) ? this._columns.length : this._columns;
+	}
+	
+	_rowCount() {
+		//Without fixed rows, the grid grows to the cells taken
+		if (this._rows != null) return Array.isArray(this._rows) ? this._rows.length : this._rows;
+		return Math.max(1, d3.max(this._items, item=>(item.cell.row + item.cell.rowSpan)) || 0);
+	}
+	
+	_place(cell) {
+		cell.rowSpan = cell.rowSpan || 1;
+		cell.columnSpan = cell.columnSpan || 1;
+		let columns = this._columnCount();
+		if (cell.columnSpan > columns) throw new Error("The cell doesn't fit in the columns of the dashboard.");
+		
+		if ((cell.row == null) && (cell.column == null)) {
+			//The cell takes the first free space, row by row
+			let taken = (row, column)=>this._items.some(item=>(row >= item.cell.row) && (row < item.cell.row + item.cell.rowSpan) && (column >= item.cell.column) && (column < item.cell.column + item.cell.columnSpan));
+			let fits = (row, column)=>(column + cell.columnSpan <= columns) && d3.range(row, row + cell.rowSpan).every(r=>d3.range(column, column + cell.columnSpan).every(c=>!taken(r, c)));
+			let index = 0;
+			while (!fits(Math.floor(index / columns), index % columns)) index++;
+			cell.row = Math.floor(index / columns);
+			cell.column = index % columns;
+		}
+		cell.row = cell.row || 0;
+		cell.column = cell.column || 0;
+		
+		if (cell.column + cell.columnSpan > columns) throw new Error("The cell doesn't fit in the columns of the dashboard.");
+		if ((this._rows != null) && (cell.row + cell.rowSpan > this._rowCount())) throw new Error("The cell doesn't fit in the rows of the dashboard.");
+		return cell;
+	}
+	
+	_tracks(weights, count, length) {
+		//The sizes of the columns or rows, which share the length left by the gutters
+		if (!Array.isArray(weights)) weights = d3.range(count).map(()=>1);
+		let free = Math.max(0, length - this._gutter * (weights.length - 1));
+		let total = d3.sum(weights);
+		return weights.map(weight=>(free * weight / total));
+	}
+	
+	_cellBounds(cell) {
+		let columns = this._tracks(this._columns, this._columnCount(), this._width);
+		let rows = this._tracks(this._rows, Math.max(this._rowCount(), cell.row + cell.rowSpan), this._height);
+		let start = (tracks, index)=>(d3.sum(tracks.slice(0, index)) + this._gutter * index);
+		let size = (tracks, index, span)=>(d3.sum(tracks.slice(index, index + span)) + this._gutter * (span - 1));
+		return {
+			x: this._x + start(columns, cell.column),
+			y: this._y + start(rows, cell.row),
+			width: size(columns, cell.column, cell.columnSpan),
+			height: size(rows, cell.row, cell.rowSpan)
+		};
+	}
+	
+	_setBounds(bounds) {
+		this._x = bounds.x;
+		this._y = bounds.y;
+		this._width = bounds.width;
+		this._height = bounds.height;
+		this._layout();
+	}
+	
+	_layout() {
+		for (let item of this._items) {
+			let bounds = this._cellBounds(item.cell);
+			if (item.dashboard) {
+				item.dashboard._setBounds(bounds);
+				continue;
+			}
+			
+			let split = Dashboard._split(bounds, item.cell.labelTable);
+			let chart = item.chart;
+			chart.position(split.chart.x, split.chart.y).resize(split.chart.width, split.chart.height);
+			
+			//The label table is inside the tag of the chart, so its position is relative to the origin of the chart
+			let table = item.cell.labelTable ? chart.labelTable() : null;
+			if (table) {
+				let offset = chart._offset();
+				table.position(split.table.x - offset[0], split.table.y - offset[1]).resize(split.table.width, split.table.height);
+			}
+		}
+	}
+	
+	static _split(bounds, labelTable) {
+		//The label table takes a side of the cell, and the chart takes the rest
+		if (!labelTable) return {chart: bounds, table: null};
+		let side = labelTable.side || "right";
+		if (!["left", "right", "top", "bottom"].includes(side)) throw new Error("Invalid label table side: expected left, right, top or bottom.");
+		let horizontal = (side == "left") || (side == "right");
+		let size = Math.min((labelTable.size != null) ? labelTable.size : 100, horizontal ? bounds.width : bounds.height);
+		let chart = Object.assign({}, bounds);
+		let table = Object.assign({}, bounds);
+		if (horizontal) {
+			chart.width -= size;
+			table.width = size;
+			if (side == "left") chart.x += size;
+			else table.x += chart.width;
+		} else {
+			chart.height -= size;
+			table.height = size;
+			if (side == "top") chart.y += size;
+			else table.y += chart.height;
+		}
+		return {chart: chart, table: table};
+	}
+}
+
+//The types of charts added by their names, which are the ones of the specifications. Naming the classes here makes the module of the dashboard create them, so their specifications are also known by Chart.fromSpec().
+Dashboard._chartTypes = {histogram: Histogram, segments: Segments, map: Map, scatterplot: Scatterplot, pie: Pie, starGlyph: StarGlyph, correlation: Correlation};
\ No newline at end of file
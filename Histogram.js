@@ -26,26 +26,15 @@ class Histogram extends Chart {
 		
 		this._xAxisScale = d3.scaleOrdinal()
 			.range([0, this._width]);
-		this._xAxis = d3.axisBottom(this._xAxisScale);
-		this._xAxisGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0," + this._height  + ")");
-		this._xAxisGroup.call(this._xAxis);
+		this._addAxis("x", this._xAxisScale, "bottom");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
-		this._yAxis = d3.axisLeft(this._yScale);
-		this._yAxisGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis");
-		this._yAxisGroup.call(this._yAxis);
+		this._addAxis("y", this._yScale, "left");
 		
 		this._colSelection = null;
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
+		this._applyTheme();
 	}
 	
 	/**
@@ -67,7 +56,7 @@ class Histogram extends Chart {
 			this._xScale
 				.domain([0, scale.domain().length - 3])
 				.range([scale.range()[1], scale.range()[scale.domain().length - 2]]);
-			Chart.adjustScaleDomain(this._xAxisScale, this._xAxis, this._xAxisGroup, this._xAxisScale.domain());
+			this._setAxisScale("x", this._xAxisScale);
 			return this;
 		} else {
 			return this._xAxisScale;
@@ -82,7 +71,7 @@ class Histogram extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, d3.extent(this._yScale.domain()));
+			this._setAxisScale("y", this._yScale);
 			return this;
 		} else {
 			return this._yScale;
@@ -105,7 +94,7 @@ class Histogram extends Chart {
 	colorScale(scale) {
 		if (scale) {
 			this._colorScale = scale;
-			if (this._colSelection != null) this._colSelection.attr("fill", (d, i)=>(this._colorScale(i % scale.range().length)));
+			if (this._colSelection != null) this._animate(this._colSelection, "color").attr("fill", (d, i)=>(this._colorScale(i % scale.range().length)));
 			return this;
 		} else {
 			return this._colorScale;
@@ -117,14 +106,16 @@ class Histogram extends Chart {
 	 * @param {number[]} dataset - An array of values for the columns.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the columns.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current columns. If not given, they are matched by index.
 	 * @returns {Histogram} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let colWidth = this._width / (this._xAxisScale.domain().length - 1);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, [0, d3.max(dataset)]);
+		this._updateAxis("y", [0, d3.max(dataset)]);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -135,16 +126,92 @@ class Histogram extends Chart {
 		Chart.addIfNull(attributes, "width", colWidth);
 		Chart.addIfNull(attributes, "height", (d, i)=>(this._height - this._yScale(d)));
 		
+		//New columns grow from the bottom of the chart and the removed ones shrink to it
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("y", this._height).attr("height", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("y", this._height).attr("height", 0).remove();
+		
 		//Column selection and color setting
-		this._colSelection = this._selection.selectAll(".column").data(dataset).enter().append("rect")
-			.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
+		this._colSelection = Chart.joinData(this._selection, ".column", "rect", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._colSelection);
+		transition.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._colSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._colSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_marks() {
+		return [{
+			selection: this._colSelection,
+			fields: (d, i)=>({label: this._xAxisScale.domain()[i + 1], value: d, index: i}),
+			template: "{label}: {value}"
+		}];
+	}
+	
+	_describe(format) {
+		let items = this._colSelection ? this._colSelection.data().map((d, i)=>({label: this._xAxisScale.domain()[i + 1], value: d})) : [];
+		return Chart._describeExtremes(items, "column", format);
+	}
+	
+	_annotationScale(name) {
+		//The X values are labels of the axis or indexes of the columns
+		if (name == "x") return value=>(this._xAxisScale.domain().includes(value) ? this._xAxisScale(value) : this._xScale(value));
+		return super._annotationScale(name);
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number"))));
+		let hasAxis = (spec.scales != null) && (spec.scales.xAxis != null);
+		ChartSpec.checkSpec(errors, spec, "labels", "an array with a label for each value", v=>(!Array.isArray(spec.data) || (v.length == spec.data.length)), (spec.data != null) && !hasAxis);
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (spec.labels) {
+			//The first and last values of the axis leave half a column at each side
+			this.xAxisScale(d3.scaleOrdinal()
+				.domain([""].concat(spec.labels, [" "]))
+				.range(Chart.genSequence(0, spec.labels.length + 2, this._width)));
+		} else if (scales.xAxis) {
+			this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis));
+		}
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.color) this.colorScale(ChartSpec.scaleFromSpec(scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			xAxis: ChartSpec.scaleToSpec(this._xAxisScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			color: ChartSpec.scaleToSpec(this._colorScale)
+		};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._colSelection);
+		if (insertion) Object.assign(spec, insertion);
+	}
+	
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		
+		//The labels of the X axis keep their relative positions
+		if (previousWidth > 0) this._xAxisScale.range(this._xAxisScale.range().map(x=>(x * this._width / previousWidth)));
+		if (this._xAxisScale.domain().length > 2) this.xAxisScale(this._xAxisScale);
+		else this._updateAxis("x");
+		
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Histogram} This chart.
@@ -156,4 +223,6 @@ class Histogram extends Chart {
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("histogram", Histogram);
\ No newline at end of file
@@ -0,0 +1,106 @@
+/**
+ * Class that moves the keyboard focus between the marks of a chart. The Tab key reaches one mark of the chart, and the arrow, Home and End keys move the focus to the others. Each chart creates its own, see Chart.accessibility().
+ */
+class KeyboardNavigation {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The navigated chart.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		//The mark which is reached with the Tab key, which is the last one focused
+		this._focusedNode = null;
+		
+		//Focusing or activating a mark triggers its mouse events
+		let node = chart._selection.node();
+		node.addEventListener("keydown", event=>this._onKeyDown(event));
+		node.addEventListener("focusin", event=>this._onFocus(event, "mouseover"));
+		node.addEventListener("focusout", event=>this._onFocus(event, "mouseout"));
+	}
+	
+	/**
+	 * Whether the marks are navigated by the keyboard, as set by Chart.accessibility().
+	 * @returns {boolean} Whether the navigation is enabled.
+	 */
+	enabled() {
+		return this._chart._accessibility.settings().keyboard;
+	}
+	
+	/**
+	 * Updates the marks which can be focused, after the marks or the settings changed.
+	 */
+	update() {
+		let marks = [].concat(...this.rows());
+		if (!this.enabled()) {
+			for (let mark of marks) mark.node.removeAttribute("tabindex");
+			return;
+		}
+		
+		//Only one mark is reached with the Tab key, the others are reached with the arrow keys
+		let current = marks.find(mark=>(mark.node === this._focusedNode)) || marks[0];
+		for (let mark of marks) mark.node.setAttribute("tabindex", (mark === current) ? 0 : -1);
+	}
+	
+	/**
+	 * The rows of the focusable marks of the chart. Each group of marks is split in rows by its row function, which are navigated with the left and right keys, while the up and down keys change the row.
+	 * @returns {Object[][]} The marks of each row, as found by the chart.
+	 */
+	rows() {
+		let rows = [];
+		for (let marks of this._chart._marks()) {
+			if (!marks.selection || (marks.focusable === false)) continue;
+			let groupRows = [];
+			marks.selection.each(function(d, i) {
+				let mark = Chart._mark(marks, d, i, this);
+				let row = marks.row ? marks.row(mark) : 0;
+				if (!groupRows[row]) groupRows[row] = [];
+				groupRows[row].push(mark);
+			});
+			for (let row of groupRows) {
+				if (row) rows.push(marks.sort ? row.sort(marks.sort) : row);
+			}
+		}
+		return rows;
+	}
+	
+	_onFocus(event, eventName) {
+		if (!this.enabled() || (this._chart._findMark(event.target) == null)) return;
+		if (eventName == "mouseover") {
+			this._focusedNode = event.target;
+			this.update();
+		}
+		//The events bubble as the ones of the mouse, so the listeners of the chart, like the ones of a SelectionCoordinator, receive them
+		d3.select(event.target).dispatch(eventName, {bubbles: true});
+	}
+	
+	_onKeyDown(event) {
+		if (!this.enabled()) return;
+		let rows = this.rows();
+		let row = rows.findIndex(marks=>marks.some(mark=>(mark.node === event.target)));
+		if (row < 0) return;
+		let column = rows[row].findIndex(mark=>(mark.node === event.target));
+		
+		//With a single row, the up and down keys move as the left and right keys
+		let vertical = rows.length > 1;
+		let next = {row: row, column: column};
+		switch (event.key) {
+			case "ArrowRight": next.column++; break;
+			case "ArrowLeft": next.column--; break;
+			case "ArrowDown": if (vertical) next.row++; else next.column++; break;
+			case "ArrowUp": if (vertical) next.row--; else next.column--; break;
+			case "Home": next.column = 0; break;
+			case "End": next.column = rows[row].length - 1; break;
+			case "Enter":
+			case " ":
+				event.preventDefault();
+				d3.select(event.target).dispatch("click");
+				return;
+			default: return;
+		}
+		event.preventDefault();
+		next.row = Math.max(0, Math.min(next.row, rows.length - 1));
+		next.column = Math.max(0, Math.min(next.column, rows[next.row].length - 1));
+		rows[next.row][next.column].node.focus();
+	}
+}
\ No newline at end of file
@@ -28,12 +28,20 @@ class LabelTable extends Chart {
 		
 		this._textSelection = null;
 		
+		//The keys of the labels of the color rects, when they are matched by key
+		this._labelKeys = d3.local();
+		
 		this._border = this._selection.append("rect")
 			.attr("class", "border")
 			.attr("width", this._width)
-			.attr("height", this._height)
-			.attr("stroke", "black")
-			.attr("fill", "white");
+			.attr("height", this._height);
+		
+		//The data of the table is already at the data table of its chart
+		this.accessibility({label: "Legend", dataTable: false});
+		
+		//The table takes the theme of its chart
+		this._theme = chart._theme;
+		this._applyTheme();
 	}
 	
 	/** 
@@ -68,15 +76,40 @@ class LabelTable extends Chart {
 		return this._border;
 	}
 	
+	_exportSpec(spec) {
+		if (this._insertions.setValues) {
+			spec.colors = ChartSpec.copy(this._insertions.setValues[0]);
+			spec.values = ChartSpec.copy(this._insertions.setValues[1]);
+		}
+	}
+	
+	_applyTheme() {
+		let theme = this.theme();
+		super._applyTheme();
+		this._border
+			.attr("stroke", theme.foreground)
+			.attr("stroke-width", theme.strokeWidths.mark)
+			.attr("fill", theme.background || "white");
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		this._border
+			.attr("width", this._width)
+			.attr("height", this._height);
+	}
+	
 	/** 
 	 * Inserts data on the labels table.
 	 * @param {string[]} colors - An array of colors.
 	 * @param {(number[]|string[])} values - An array of labels for the colors.
 	 * @param {(function[]|number[])} colorAttributes - An object containing functions or constants for attributes of the color rects.
 	 * @param {(function[]|number[])} valueAttributes - An object containing functions or constants for attributes of the label texts.
+	 * @param {function} key - A function which identifies each label, used to match the labels and their colors with the current ones. If not given, they are matched by index.
 	 * @returns {LabelTable} This label table.
 	 */
-	setValues(colors, values, colorAttributes, valueAttributes) {
+	setValues(colors, values, colorAttributes, valueAttributes, key) {
+		this._storeInsertion("setValues", arguments);
 		let thisChart = this;
 		
 		//Mandatory attributes of the colors
@@ -87,8 +120,19 @@ class LabelTable extends Chart {
 		Chart.addIfNull(colorAttributes, "width", thisChart._height / colors.length);
 		Chart.addIfNull(colorAttributes, "height", thisChart._height / colors.length);
 		
-		this._colorSelection = this._selection.selectAll("colorPlot").data(colors).enter().append("rect")
+		//The rects keep the keys of their labels, so the new colors are matched with them by the keys of the labels
+		let labelKeys = key ? values.map(key) : null;
+		let colorKey = key ? function(d, i) {
+			let labelKey = thisChart._labelKeys.get(this);
+			return (labelKey !== undefined) ? labelKey : labelKeys[i];
+		} : undefined;
+		this._colorSelection = Chart.joinData(this._selection, ".colorPlot", "rect", colors, colorKey)
 			.attr("fill", (d, i)=>d);
+		if (key) {
+			this._colorSelection.each(function(d, i) {
+				thisChart._labelKeys.set(this, labelKeys[i]);
+			});
+		}
 		
 		//Insertion of attributes
 		Chart.insertAttributesEvents(this._colorSelection, colorAttributes, null);
@@ -101,7 +145,7 @@ class LabelTable extends Chart {
 		Chart.addIfNull(valueAttributes, "width", thisChart._width - valueAttributes["x"]);
 		Chart.addIfNull(valueAttributes, "height", colorAttributes["height"]);
 		
-		this._textSelection = this._selection.selectAll("colorLabel").data(values).enter().append("text")
+		this._textSelection = Chart.joinData(this._selection, ".colorLabel", "text", values, key)
 			.text(d=>d)
 			.attr("dominant-baseline", "hanging");
 		
@@ -110,4 +154,6 @@ class LabelTable extends Chart {
 		
 		return this;
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("labelTable", LabelTable);
\ No newline at end of file
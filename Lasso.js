@@ -0,0 +1,120 @@
+/**
+ * Class that selects the marks of a chart inside a free-form shape drawn over it. The polygon of the lasso is kept in the coordinates of the data, so it follows the marks. Each chart creates its own, see Chart.lasso().
+ */
+class Lasso {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart with the lasso.
+	 */
+	constructor(chart) {
+		this._chart = chart;
+		
+		this._group = null;
+		
+		this._polygon = null;
+	}
+	
+	/**
+	 * Whether the lasso is enabled.
+	 * @returns {boolean} Whether the lasso is enabled.
+	 */
+	enabled() {
+		return this._group != null;
+	}
+	
+	/**
+	 * Enables the lasso, beneath the marks it selects.
+	 * @param {Object} marks - The marks selected by the lasso, as returned by the chart.
+	 */
+	enable(marks) {
+		if (this._group) return;
+		//The area of the lasso stays beneath the marks, so they still receive the pointer
+		this._group = this._chart._selection.insert("g", ()=>marks.selection ? marks.selection.node() : null)
+			.attr("class", "lasso");
+		this._group.append("rect")
+			.attr("class", "lassoArea")
+			.attr("fill", "none")
+			.attr("pointer-events", "all")
+			.style("cursor", "crosshair")
+			.node().addEventListener("mousedown", event=>this._onStart(event));
+		this._group.append("path")
+			.attr("class", "lassoPath")
+			.attr("fill-opacity", 0.1)
+			.attr("stroke-dasharray", "4,3")
+			.attr("pointer-events", "none");
+		this.layout();
+	}
+	
+	/**
+	 * Disables the lasso, restoring all the marks.
+	 */
+	disable() {
+		if (!this._group) return;
+		this._group.remove();
+		this._group = null;
+		this._polygon = null;
+		let selection = this._chart._lassoMarks().selection;
+		if (selection) this._chart._highlight(selection, null);
+	}
+	
+	/**
+	 * Sets the polygon of the lasso, selecting the marks inside of it, and emits a select event.
+	 * @param {number[][]} polygon - The points of the polygon, in the coordinates of the data, or null to clear it.
+	 */
+	set(polygon) {
+		this._polygon = polygon;
+		this.layout();
+		let marks = this._chart._lassoMarks();
+		this._chart._emitSelection(marks.selection, this._contains() || (()=>false), {polygon: this._polygon});
+	}
+	
+	/**
+	 * Places the lasso again and highlights the marks inside of it, after the marks or the scales of the chart changed.
+	 */
+	layout() {
+		if (!this._group) return;
+		let chart = this._chart;
+		let marks = chart._lassoMarks();
+		let foreground = chart.theme().foreground;
+		this._group.select(".lassoArea")
+			.attr("width", chart._width)
+			.attr("height", chart._height);
+		this._group.select(".lassoPath")
+			.attr("d", this._polygon ? "M" + this._polygon.map(marks.project).join("L") + "Z" : null)
+			.attr("fill", foreground)
+			.attr("stroke", foreground);
+		if (marks.selection) chart._highlight(marks.selection, this._contains());
+	}
+	
+	_contains() {
+		//Whether each mark is inside the lasso, or null without a lasso
+		if (!this._polygon) return null;
+		let marks = this._chart._lassoMarks();
+		let points = this._polygon.map(marks.project);
+		return (d, i)=>d3.polygonContains(points, marks.position(d, i));
+	}
+	
+	_onStart(event) {
+		if (event.button != 0) return;
+		//The lasso takes the drag, so the chart isn't panned
+		event.preventDefault();
+		event.stopPropagation();
+		
+		let area = event.currentTarget;
+		let view = area.ownerDocument.defaultView;
+		let points = [d3.clientPoint(area, event)];
+		let path = this._group.select(".lassoPath");
+		let onMove = moveEvent=>{
+			points.push(d3.clientPoint(area, moveEvent));
+			path.attr("d", "M" + points.join("L"));
+		};
+		let onEnd = endEvent=>{
+			view.removeEventListener("mousemove", onMove);
+			view.removeEventListener("mouseup", onEnd);
+			//A click without a shape clears the lasso
+			this.set((points.length > 2) ? points.map(this._chart._lassoMarks().invert) : null);
+		};
+		view.addEventListener("mousemove", onMove);
+		view.addEventListener("mouseup", onEnd);
+	}
+}
\ No newline at end of file
@@ -23,19 +23,30 @@ class Map extends Chart {
 		super(container, id, position, margins, dimensions, "mapChart");
 		
 		this._projection = d3.geoMercator();
+		this._projectionName = "geoMercator";
 		this._geoPath = d3.geoPath().projection(this._projection);
 		
 		this._fillValue = (d, i)=>1;
+		this._fillValueField = null;
 		
 		this._colorScale = d3.scalePow();
 		
-		this._colorScheme = d3.interpolateInferno;
+		//The domain of the color scale given by the user, while the domain shared by a ScaleLink replaces it
+		this._colorDomain = null;
 		
 		this._fillFunction = (d, i)=>this._colorScheme(this._colorScale(this._fillValue(d, i)));
 		
 		this._pathSelection = null;
 		
+		//The values of the regions, by the keys of their features, which stay bound to the paths
+		this._pathValues = d3.map();
+		this._valueKey = null;
+		
 		this._dotSelection = null;
+		
+		this._geojson = null;
+		
+		this._applyTheme();
 	}
 	
 	/**
@@ -56,11 +67,13 @@ class Map extends Chart {
 	
 	/**
 	 * If a projection is given, sets the projection of the map, otherwise returns the current projection.
-	 * @param {Object} projection - The new projection of the map.
+	 * @param {(Object|string)} projection - The new projection of the map, or the name of a d3 projection, like "geoMercator".
 	 * @returns {(Map|d3.projection)} This object or the current projection.
 	 */
 	projection(projection) {
 		if (projection) {
+			this._projectionName = (typeof(projection) == "string") ? projection : null;
+			if (this._projectionName) projection = d3[projection]();
 			this._projection = projection;
 			this._geoPath = d3.geoPath().projection(this._projection);
 			return this;
@@ -71,11 +84,13 @@ class Map extends Chart {
 	
 	/**
 	 * The function which determines the value of the dataset to be used on the fillFunction. Default function always returns 1. If a function is given, sets fillValue, otherwise returns the current fillValue.
-	 * @param {function} func - The new fillValue.
+	 * @param {(function|string)} func - The new fillValue, or the name of the field of each datum which is used as its value.
 	 * @returns {(Map|function)} This object or the current fillValue.
 	 */
 	fillValue(func) {
 		if (func) {
+			this._fillValueField = (typeof(func) == "string") ? func : null;
+			if (this._fillValueField) func = (d, i)=>d[this._fillValueField];
 			this._fillValue = func;
 			return this;
 		} else {
@@ -90,6 +105,10 @@ class Map extends Chart {
 	 */
 	colorScale(scale) {
 		if (scale) {
+			if (this._linkedDomains.color) {
+				this._colorDomain = scale.domain();
+				scale.domain(this._linkedDomains.color);
+			}
 			this._colorScale = scale;
 			return this;
 		} else {
@@ -133,12 +152,15 @@ class Map extends Chart {
 	 * @param {Object} geojson - The data of a geojson file.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each feature, used to match the features with the current paths. If not given, they are matched by index.
 	 * @returns {Map} This chart.
 	 */
-	setMap(geojson, attributes, onEvents) {
+	setMap(geojson, attributes, onEvents, key) {
+		this._storeInsertion("setMap", arguments);
 		let thisChart = this;
 		
 		//Scales the projection to centralize the map
+		this._geojson = geojson;
 		this._projection.fitExtent([[0, 0], [this._width, this._height]], geojson);
 		
 		//Mandatory attributes
@@ -147,11 +169,15 @@ class Map extends Chart {
 		attributes.class = "mapPath";
 		Chart.addIfNull(attributes, "d", (d, i)=>this._geoPath(d.geometry));
 		
-		this._pathSelection = this._selection.selectAll(".mapPath").data(geojson.features).enter().append("path")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._pathSelection = Chart.joinData(this._selection, ".mapPath", "path", geojson.features, key, null, onExit);
+		let transition = this._animate(this._pathSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(thisChart._pathValue(d, i), i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents, transition);
+		this._annotations.layout();
+		this._marksChanged();
 		
 		return this;
 	}
@@ -161,28 +187,49 @@ class Map extends Chart {
 	 * @param {number[][]} dataset - The data to be plotted on the map.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the features of the paths, so it receives both. If not given, they are matched by index. Paths without a matching value keep their previous value.
 	 * @returns {Map} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		
-		this._pathSelection.data(dataset)
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		//The features stay bound to the paths, so the map can be plotted again, and the attributes and events receive the values
+		this._valueKey = key || null;
+		let keys = d3.set();
+		dataset.forEach((d, i)=>{
+			keys.add(key ? key(d, i) : i);
+			this._pathValues.set(key ? key(d, i) : i, d);
+		});
+		let updateSelection = this._pathSelection.filter((d, i)=>keys.has(key ? key(d, i) : i));
+		let withValue = func=>((typeof(func) == "function") ? function(d, i, nodes) {
+			return func.call(this, thisChart._pathValue(d, i), i, nodes);
+		} : func);
+		let valueAttributes = {};
+		for (let name in attributes) valueAttributes[name] = withValue(attributes[name]);
+		let valueEvents = {};
+		for (let name in onEvents) valueEvents[name] = withValue(onEvents[name]);
+		
+		let transition = this._animate(updateSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(thisChart._pathValue(d, i), i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._pathSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(updateSelection, valueAttributes, valueEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
 	/** 
-	 * Plots data as dots on the map chart.
+	 * Plots data as dots on the map chart. By default, each datum is a [longitude, latitude] pair positioned with the projection of the map.
 	 * @param {number[][]} dataset - The data to be plotted on the map.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the map.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current dots. If not given, they are matched by index.
 	 * @returns {Map} This chart.
 	 */
-	setDots(dataset, attributes, onEvents) {
+	setDots(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setDots", arguments);
 		let thisChart = this;
 		
 		//Mandatory attributes
@@ -190,18 +237,159 @@ class Map extends Chart {
 		Chart.addIfNull(attributes, "id", (d, i)=>("dot" + i));
 		attributes.class = "mapDot";
 		Chart.addIfNull(attributes, "r", "3px");
-		Chart.addIfNull(attributes, "cx", 10);
-		Chart.addIfNull(attributes, "cy", 10);
+		Chart.addIfNull(attributes, "cx", (d, i)=>this._projection(d)[0]);
+		Chart.addIfNull(attributes, "cy", (d, i)=>this._projection(d)[1]);
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
 		
-		this._dotSelection = this._selection.selectAll(".mapDot").data(dataset).enter().append("circle")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		this._dotSelection = Chart.joinData(this._selection, ".mapDot", "circle", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._dotSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_pathValue(d, i) {
+		//The value of the region of a feature, or the feature itself before any value is set
+		let key = this._valueKey ? this._valueKey(d, i) : i;
+		return this._pathValues.has(key) ? this._pathValues.get(key) : d;
+	}
+	
+	_applyTheme() {
+		this._colorScheme = this.theme().sequential;
+		super._applyTheme();
+	}
+	
+	_marks() {
+		let fields = d=>((d.properties != null) ? d.properties : (typeof(d) == "object") ? d : {value: d});
+		return [{
+			selection: this._pathSelection,
+			fields: (d, i)=>{
+				let value = this._pathValue(d, i);
+				return Object.assign({}, fields(d), (value !== d) ? fields(value) : {});
+			},
+			template: fields=>Object.keys(fields).filter(name=>(typeof(fields[name]) != "object")).map(name=>Chart.formatTemplate("{name}: {value}", {name: name, value: fields[name]})).join("\n")
+		}, {
+			selection: this._dotSelection,
+			fields: (d, i)=>({longitude: d[0], latitude: d[1], index: i}),
+			template: "{longitude}, {latitude}"
+		}];
+	}
+	
+	_lassoMarks() {
+		return {
+			selection: this._dotSelection,
+			position: (d, i)=>this._projection(d),
+			project: point=>this._projection(point),
+			invert: point=>this._projection.invert(point)
+		};
+	}
+	
+	_scaleDomains() {
+		//The values given to the colors of the regions are the domain of the color scale
+		if (!this._insertions.setData || !this._pathSelection) return {};
+		let values = this._pathSelection.data().map((d, i)=>this._fillValue(this._pathValue(d, i), i)).filter(value=>(typeof(value) == "number") && !isNaN(value));
+		return (values.length > 0) ? {color: d3.extent(values)} : {};
+	}
+	
+	_shareDomains(domains) {
+		//The color scale gets back the domain of the user when its shared domain is removed
+		if (!domains.color && !this._linkedDomains.color) return;
+		if (domains.color && !this._linkedDomains.color) this._colorDomain = this._colorScale.domain();
+		this._linkDomains(domains);
+		this._colorScale.domain(domains.color || this._colorDomain);
+		this._redraw();
+	}
+	
+	_describe(format) {
+		//The values are the ones given to the colors of the regions, named by their name property when they have one
+		let sentences = [];
+		if (this._pathSelection) {
+			let items = this._pathSelection.data().map((d, i)=>{
+				let properties = ((d != null) && (typeof(d) == "object")) ? (d.properties || d) : {};
+				return {label: (properties.name != null) ? properties.name : "region " + (i + 1), value: this._fillValue(d, i)};
+			}).filter(item=>(typeof(item.value) == "number") && !isNaN(item.value));
+			let count = this._pathSelection.size();
+			sentences = (items.length > 0) ? Chart._describeExtremes(items, "region", format) : ["It has " + count + ((count == 1) ? " region." : " regions.")];
+		}
+		if (this._dotSelection) {
+			let count = this._dotSelection.size();
+			sentences.push("It has " + count + ((count == 1) ? " dot." : " dots."));
+		}
+		return sentences;
+	}
+	
+	_supportsAnnotations() {
+		return true;
+	}
+	
+	_annotationPoint(x, y) {
+		return this._projection([x, y]);
+	}
+	
+	_annotationLine(name, value) {
+		//The meridians and parallels are sampled across the bounds of the map, as the projection may curve them
+		let bounds = this._geojson ? d3.geoBounds(this._geojson) : [[-180, -85], [180, 85]];
+		return d3.range(33).map(i=>{
+			let t = i / 32;
+			let point = (name == "x") ? [value, bounds[1][1] + (bounds[0][1] - bounds[1][1]) * t] : [bounds[0][0] + (bounds[1][0] - bounds[0][0]) * t, value];
+			return this._projection(point);
+		});
+	}
+	
+	static _validateSpec(spec, errors) {
+		let needsMap = (spec.data != null) || (spec.dots != null);
+		ChartSpec.checkSpec(errors, spec, "geojson", "a geojson object with features", v=>((typeof(v) == "object") && Array.isArray(v.features)), needsMap);
+		ChartSpec.checkSpec(errors, spec, "projection", "the name of a d3 projection, like \"geoMercator\"", v=>((typeof(v) == "string") && v.startsWith("geo") && (typeof(d3[v]) == "function")));
+		ChartSpec.checkSpec(errors, spec, "fillValue", "the name of a field", v=>(typeof(v) == "string"));
+		ChartSpec.checkSpec(errors, spec, "data", "an array", Array.isArray);
+		ChartSpec.checkInsertionSpec(errors, spec, "dots", "an array of [longitude, latitude] pairs", d=>(Array.isArray(d) && (d.length == 2)));
+	}
+	
+	_applySpec(spec) {
+		if (spec.projection) this.projection(spec.projection);
+		if (spec.colorScheme) this.colorScheme(d3[spec.colorScheme]);
+		if (spec.scales && spec.scales.color) this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));
+		if (spec.fillValue) this.fillValue(spec.fillValue);
+		else if (spec.data) this.fillValue((d, i)=>d);
+		
+		if (spec.geojson) this.setMap(spec.geojson, spec.data ? null : ChartSpec.attributesFromSpec(spec.attributes));
+		//The features are identified by the same field of their properties
+		let key = ChartSpec.keyFromSpec(spec.key);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, key && ((d, i)=>key((d.type == "Feature") ? d.properties : d, i)));
+		let dots = ChartSpec.insertionFromSpec(spec.dots);
+		if (dots) this.setDots.apply(this, dots);
+	}
+	
+	_exportSpec(spec) {
+		if (this._projectionName) spec.projection = this._projectionName;
+		spec.colorScheme = ChartSpec.d3Name(this._colorScheme);
+		spec.scales = {color: ChartSpec.scaleToSpec(this._linkedDomains.color ? this._colorScale.copy().domain(this._colorDomain) : this._colorScale)};
+		if (this._insertions.setMap) spec.geojson = ChartSpec.copy(this._insertions.setMap[0]);
+		
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._pathSelection);
+		if (insertion) Object.assign(spec, insertion);
+		spec.dots = ChartSpec.insertionToSpec(this._insertions.setDots, this._dotSelection);
+		
+		//Colors given by a function are exported as the colors of the paths and dots
+		let fills = selection=>selection.nodes().map(node=>node.getAttribute("fill"));
+		if (this._fillValueField) {
+			spec.fillValue = this._fillValueField;
+		} else {
+			if (this._pathSelection) spec.attributes = Object.assign({fill: fills(this._pathSelection)}, spec.attributes);
+			if (spec.dots) spec.dots.attributes = Object.assign({fill: fills(this._dotSelection)}, spec.dots.attributes);
+		}
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Map} This chart.
@@ -211,10 +399,14 @@ class Map extends Chart {
 			this._pathSelection.remove();
 			this._pathSelection = null;
 		}
+		this._pathValues = d3.map();
+		this._valueKey = null;
 		if (this._dotSelection) {
 			this._dotSelection.remove();
 			this._dotSelection = null;
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("map", Map);
\ No newline at end of file
@@ -22,7 +22,7 @@ class Pie extends Chart {
 	constructor(container, id, position, margins, dimensions) {
 		super(container, id, position, margins, dimensions, "pieChart");
 		
-		this._selection.attr("transform", "translate(" + (this._margins.left + this._width / 2) + "," + (this._margins.top + this._height / 2) + ")");
+		this._layout();
 		
 		this._sliceSelection = null;
 		
@@ -31,9 +31,7 @@ class Pie extends Chart {
 		this._innerRadius = (d, i)=>0;
 		this._outerRadius = (d, i)=>(d3.min([this._width, this._height]) / 2);
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
+		this._applyTheme();
 	}
 	
 	/**
@@ -99,24 +97,57 @@ class Pie extends Chart {
 	 * @param {number[]} dataset - An array of values for the slices.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the slices.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current slices. If not given, they are matched by index.
 	 * @returns {Pie} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		this._pieData = d3.pie()(dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
+		let defaultPath = (attributes.d == null);
 		Chart.addIfNull(attributes, "id", (d, i)=>("slice" + i));
 		attributes.class = "slice";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this.genSlice(d, i)()));
 		
+		//Removed slices close at their start angle
+		let onExit = exit=>{
+			if (this._duration > 0) {
+				this._animate(exit)
+					.attrTween("d", function() {
+						return thisChart._arcTween(this, Object.assign({}, this._current, {endAngle: this._current.startAngle}));
+					})
+					.remove();
+			} else {
+				exit.remove();
+			}
+		};
+		
 		//Slice sliceSelection and color setting
-		this._sliceSelection = this._selection.selectAll(".slice").data(dataset).enter().append("path")
-			.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
+		this._sliceSelection = Chart.joinData(this._selection, ".slice", "path", dataset, key, null, onExit);
+		let transition = this._animate(this._sliceSelection);
+		transition.attr("fill", (d, i)=>(thisChart._colorScale(i % thisChart._colorScale.domain().length)));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._sliceSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._sliceSelection, attributes, onEvents, transition);
+		
+		//The default slices are interpolated by their angles and radii, new slices open from their start angle
+		if (defaultPath && (transition !== this._sliceSelection)) {
+			let arcs = d3.local();
+			this._sliceSelection.each(function(d, i) {
+				arcs.set(this, thisChart._sliceArc(d, i));
+			});
+			transition.attrTween("d", function() {
+				return thisChart._arcTween(this, arcs.get(this));
+			});
+		} else {
+			this._sliceSelection.each(function(d, i) {
+				this._current = thisChart._sliceArc(d, i);
+			});
+		}
+		this._marksChanged();
 		
 		return this;
 	}
@@ -126,9 +157,11 @@ class Pie extends Chart {
 	 * @param {string[]} labels - An array of values for the labels.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each label, used to match the labels with the current ones. If not given, they are matched by index.
 	 * @returns {Pie} This chart.
 	 */
-	setSliceLabels(labels, attributes, onEvents) {
+	setSliceLabels(labels, attributes, onEvents, key) {
+		this._storeInsertion("setSliceLabels", arguments);
 		let centroids = this._sliceSelection.data().map((d, i)=>this.genSlice(d, i).centroid());
 		
 		//Mandatory attributes
@@ -139,11 +172,11 @@ class Pie extends Chart {
 		Chart.addIfNull(attributes, "text-anchor", "middle");
 		Chart.addIfNull(attributes, "dominant-baseline", "middle");
 		
-		this._labelSelection = this._selection.selectAll(".sliceLabel").data(labels).enter().append("text")
+		this._labelSelection = Chart.joinData(this._selection, ".sliceLabel", "text", labels, key)
 			.text((d, i)=>d);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents, this._animate(this._labelSelection));
 		
 		return this;
 	}
@@ -155,11 +188,89 @@ class Pie extends Chart {
 	 * @returns {d3.arc} Arc made with the value of the array.
 	 */
 	genSlice(d, i) {
+		let arc = this._sliceArc(d, i);
 		return d3.arc()
-			.innerRadius(this._innerRadius(d, i))
-			.outerRadius(this._outerRadius(d, i))
-			.startAngle(this._pieData[i].startAngle)
-			.endAngle(this._pieData[i].endAngle);
+			.innerRadius(arc.innerRadius)
+			.outerRadius(arc.outerRadius)
+			.startAngle(arc.startAngle)
+			.endAngle(arc.endAngle);
+	}
+	
+	_marks() {
+		let total = this._sliceSelection ? d3.sum(this._sliceSelection.data()) : 0;
+		let labels = this._labelSelection ? this._labelSelection.data() : [];
+		return [{
+			selection: this._sliceSelection,
+			fields: (d, i)=>({label: (labels[i] != null) ? labels[i] : i + 1, value: d, percentage: d / total, index: i}),
+			template: "{label}: {value} ({percentage:.1%})"
+		}];
+	}
+	
+	_describe(format) {
+		let slices = this._markList();
+		if (slices.length == 0) return [];
+		let largest = slices.reduce((a, b)=>(b.fields.value > a.fields.value) ? b : a).fields;
+		let count = slices.length + ((slices.length == 1) ? " slice" : " slices");
+		return ["It has " + count + ", with a total of " + format.number(d3.sum(slices, mark=>mark.fields.value)) + ". The largest is " + largest.label + ", with " + format.number(largest.value) + ", or " + format.percentage(largest.percentage) + " of the total."];
+	}
+	
+	static _validateSpec(spec, errors) {
+		let isRadius = v=>((typeof(v) == "number") || (Array.isArray(v) && v.every(r=>(typeof(r) == "number"))));
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number"))));
+		ChartSpec.checkSpec(errors, spec, "innerRadius", "a number or an array of numbers", isRadius);
+		ChartSpec.checkSpec(errors, spec, "outerRadius", "a number or an array of numbers", isRadius);
+	}
+	
+	_applySpec(spec) {
+		let radius = r=>(Array.isArray(r) ? (d, i)=>r[i] : (d, i)=>r);
+		if (spec.innerRadius != null) this.innerRadius(radius(spec.innerRadius));
+		if (spec.outerRadius != null) this.outerRadius(radius(spec.outerRadius));
+		if (spec.scales && spec.scales.color) this.colorScale(ChartSpec.scaleFromSpec(spec.scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+		if (spec.data && spec.labels) this.setSliceLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {color: ChartSpec.scaleToSpec(this._colorScale)};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._sliceSelection);
+		if (insertion) {
+			Object.assign(spec, insertion);
+			
+			//The radii are exported as the radius of each slice, or a single value if they are all equal
+			let radius = func=>{
+				let radii = spec.data.map((d, i)=>func(d, i));
+				return radii.every(r=>(r == radii[0])) ? radii[0] : radii;
+			};
+			spec.innerRadius = radius(this._innerRadius);
+			spec.outerRadius = radius(this._outerRadius);
+		}
+		if (this._insertions.setSliceLabels) spec.labels = ChartSpec.copy(this._insertions.setSliceLabels[0]);
+	}
+	
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
+	}
+	
+	_origin() {
+		//The origin of the chart is at its center
+		return [this._width / 2, this._height / 2];
+	}
+	
+	_sliceArc(d, i) {
+		return {
+			innerRadius: this._innerRadius(d, i),
+			outerRadius: this._outerRadius(d, i),
+			startAngle: this._pieData[i].startAngle,
+			endAngle: this._pieData[i].endAngle
+		};
+	}
+	
+	_arcTween(node, arc) {
+		let start = node._current || Object.assign({}, arc, {endAngle: arc.startAngle});
+		let interpolator = d3.interpolate(start, arc);
+		node._current = arc;
+		return t=>d3.arc()(interpolator(t));
 	}
 	
 	/** 
@@ -178,4 +289,6 @@ class Pie extends Chart {
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("pie", Pie);
\ No newline at end of file
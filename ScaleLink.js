@@ -0,0 +1,110 @@
+/**
+ * Class that links the scales of several charts, so they show their data at the same scale. The domains of the linked scales join the domains of the data of every chart, and follow the changes of the data and the zoom of any of them.
+ */
+class ScaleLink {
+	/**
+	 * @constructor
+	 * @param {(string|string[])} names - The scales linked: "x" and "y" for the continuous axes of a Histogram, Scatterplot or Segments, and "color" for the values of the regions of a Map. Links the x and y scales by default.
+	 */
+	constructor(names) {
+		this._names = (names == null) ? ["x", "y"] : [].concat(names);
+		
+		this._charts = [];
+		
+		//The domains of the data shared by the charts, which the zoom of a chart replaces until the zoom is reset
+		this._domains = {};
+		this._updating = false;
+		
+		ScaleLink._count = (ScaleLink._count || 0) + 1;
+		this._eventName = "scaleLink" + ScaleLink._count;
+	}
+	
+	/**
+	 * Returns the names of the linked scales.
+	 * @returns {string[]} The names of the scales.
+	 */
+	names() {
+		return this._names.slice();
+	}
+	
+	/**
+	 * Returns the linked charts.
+	 * @returns {Chart[]} The charts added to this link.
+	 */
+	charts() {
+		return this._charts.slice();
+	}
+	
+	/**
+	 * Returns the domains shared by the charts.
+	 * @returns {Object} The domains, by the names of the scales.
+	 */
+	domains() {
+		return Object.assign({}, this._domains);
+	}
+	
+	/**
+	 * Adds a chart to the link, sharing the domains of its scales with the other charts.
+	 * @param {Chart} chart - The chart.
+	 * @returns {ScaleLink} This link.
+	 */
+	add(chart) {
+		if (this._charts.includes(chart)) return this;
+		this._charts.push(chart);
+		chart._scaleLinks.push(this);
+		chart.on("zoom." + this._eventName, domains=>this._onZoom(chart, domains));
+		this._update(true);
+		return this;
+	}
+	
+	/**
+	 * Removes a chart from the link. The chart computes its domains from its own data again, and the other charts share the domains of their data.
+	 * @param {Chart} chart - The chart.
+	 * @returns {ScaleLink} This link.
+	 */
+	remove(chart) {
+		if (!this._charts.includes(chart)) return this;
+		this._charts.splice(this._charts.indexOf(chart), 1);
+		chart._scaleLinks.splice(chart._scaleLinks.indexOf(this), 1);
+		chart.on("zoom." + this._eventName, null);
+		
+		let domains = {};
+		for (let name of this._names) domains[name] = null;
+		this._share([chart], domains);
+		this._update(true);
+		return this;
+	}
+	
+	_update(force) {
+		//The changes made while the domains are shared don't share them again
+		if (this._updating) return;
+		let union = Chart._unionDomains(this._charts);
+		let domains = {};
+		for (let name of this._names) {
+			if (union[name]) domains[name] = union[name];
+		}
+		let changed = this._names.some(name=>(String(domains[name]) != String(this._domains[name])));
+		if (!changed && !force) return;
+		
+		this._domains = domains;
+		this._share(this._charts, domains);
+	}
+	
+	_onZoom(source, zoomDomains) {
+		if (this._updating) return;
+		let domains = {};
+		for (let name of this._names) {
+			if (zoomDomains[name]) domains[name] = zoomDomains[name];
+		}
+		this._share(this._charts.filter(chart=>(chart !== source)), domains);
+	}
+	
+	_share(charts, domains) {
+		this._updating = true;
+		try {
+			for (let chart of charts) chart._shareDomains(domains);
+		} finally {
+			this._updating = false;
+		}
+	}
+}
\ No newline at end of file
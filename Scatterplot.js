@@ -24,43 +24,32 @@ class Scatterplot extends Chart {
 		
 		this._xScale = d3.scaleLinear()
 			.range([0, this._width]);
-		
-		this._xAxisTop = d3.axisTop(this._xScale);
-		this._xAxisTopGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis");
-		this._xAxisTopGroup.call(this._xAxisTop);
-		
-		this._xAxisBottom = d3.axisBottom(this._xScale);
-		this._xAxisBottomGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0, " + this._height + ")");
-		this._xAxisBottomGroup.call(this._xAxisBottom);
+		this._addAxis("x", this._xScale, "both");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
+		this._addAxis("y", this._yScale, "both");
 		
-		this._yAxisLeft = d3.axisLeft(this._yScale);
-		this._yAxisLeftGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis")
-		this._yAxisLeftGroup.call(this._yAxisLeft);
+		this._dotSelection = null;
 		
-		this._yAxisRight = d3.axisRight(this._yScale);
-		this._yAxisRightGroup = this._selection
-			.append("g")
-			.attr("class", "yAxis")
-			.attr("transform", "translate(" + this._width + ", 0)");
-		this._yAxisRightGroup.call(this._yAxisRight);
+		this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
+		this._customFill = false;
 		
-		this._dotSelection = null;
+		//The zoom rescales the domains from the ones at the start of the zoom, which are restored by resetZoom()
+		this._zoom = null;
+		this._zoomBehavior = null;
+		this._zoomBase = null;
+		this._zoomHome = null;
+		this._zoomSilent = false;
 		
-		this._colorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeCategory10.length, d3.schemeCategory10.length - 1))
-			.range(d3.schemeCategory10);
+		//The extent of the brush is kept in the coordinates of the data, so it follows the scales
+		this._brush = null;
+		this._brushBehavior = null;
+		this._brushGroup = null;
+		this._brushExtent = null;
+		this._brushSilent = false;
 		
-		this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
+		this._applyTheme();
 	}
 	
 	/**
@@ -71,9 +60,8 @@ class Scatterplot extends Chart {
 	xScale(scale) {
 		if (scale) {
 			this._xScale = scale;
-			Chart.adjustScaleDomain(this._xScale, this._xAxisTop, this._xAxisTopGroup);
-			Chart.adjustScaleDomain(this._xScale, this._xAxisBottom, this._xAxisBottomGroup);
-			if (this._dotSelection) this._dotSelection.attr("cx", (d, i)=>this._xScale(d[0]));
+			this._setAxisScale("x", this._xScale);
+			if (this._dotSelection) this._animate(this._dotSelection).attr("cx", (d, i)=>this._xScale(d[0]));
 			return this;
 		} else {
 			return this._xScale;
@@ -88,9 +76,8 @@ class Scatterplot extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxisLeft, this._yAxisLeftGroup);
-			Chart.adjustScaleDomain(this._yScale, this._yAxisRight, this._yAxisRightGroup);
-			if (this._dotSelection) this._dotSelection.attr("cy", (d, i)=>this._yScale(d[1]));
+			this._setAxisScale("y", this._yScale);
+			if (this._dotSelection) this._animate(this._dotSelection).attr("cy", (d, i)=>this._yScale(d[1]));
 			return this;
 		} else {
 			return this._yScale;
@@ -129,8 +116,9 @@ class Scatterplot extends Chart {
 		if (func) this._fillFunction = func;
 		else if (func === null) this._fillFunction = (d, i)=>this._colorScale(i % this._colorScale.domain().length);
 		else return this._fillFunction;
+		this._customFill = (func != null);
 		
-		if (this._dotSelection) this._dotSelection.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		if (this._dotSelection) this._animate(this._dotSelection, "color").attr("fill", (d, i)=>thisChart._fillFunction(d, i));
 		return this;
 	}
 	
@@ -139,11 +127,22 @@ class Scatterplot extends Chart {
 	 * @param {number[]} dataset - An array of values for the dots.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the dots.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each value, used to match the values with the current dots. If not given, they are matched by index.
 	 * @returns {Scatterplot} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		let thisChart = this;
 		
+		//New data is shown without the zoom, which is kept when the chart is drawn again
+		let zoomed = (this._zoomHome != null);
+		let keepZoom = zoomed && this._redrawing && (this._zoom != null);
+		if (!keepZoom) {
+			this._zoomHome = null;
+			this._zoomBase = null;
+			this._setZoomTransform(d3.zoomIdentity);
+		}
+		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		Chart.addIfNull(attributes, "id", (d, i)=>("dot" + i));
@@ -155,21 +154,367 @@ class Scatterplot extends Chart {
 		//Adjusting the scales and axis
 		let minMaxX = d3.extent(dataset.map((d, i)=>this._xScale.invert(attributes.cx(d, i))));
 		let minMaxY = d3.extent(dataset.map((d, i)=>this._yScale.invert(attributes.cy(d, i))));
-		Chart.adjustScaleDomain(this._xScale, this._xAxisTop, this._xAxisTopGroup, minMaxX);
-		Chart.adjustScaleDomain(this._xScale, this._xAxisBottom, this._xAxisBottomGroup, minMaxX);
-		Chart.adjustScaleDomain(this._yScale, this._yAxisLeft, this._yAxisLeftGroup, minMaxY);
-		Chart.adjustScaleDomain(this._yScale, this._yAxisRight, this._yAxisRightGroup, minMaxY);
+		this._updateAxis("x", minMaxX);
+		this._updateAxis("y", minMaxY);
+		if (keepZoom) {
+			//The domains of the data become the ones restored by resetZoom()
+			this._zoomHome = {x: this._xScale.domain(), y: this._yScale.domain()};
+			let zoomDomains = this._zoomDomains();
+			this._xScale.domain(zoomDomains.x);
+			this._yScale.domain(zoomDomains.y);
+			this._updateAxis("x");
+			this._updateAxis("y");
+		} else if (zoomed) {
+			this._dispatch.call("zoom", this, {x: this._xScale.domain(), y: this._yScale.domain()});
+		}
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
 		
 		//Dot selection and color setting
-		this._dotSelection = this._selection.selectAll(".dot").data(dataset).enter().append("circle")
-			.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
+		this._dotSelection = Chart.joinData(this._selection, ".dot", "circle", dataset, key, onEnter, onExit);
+		let transition = this._animate(this._dotSelection);
+		transition.attr("fill", (d, i)=>thisChart._fillFunction(d, i));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, transition);
+		if (this._zoom) this._dotSelection.attr("clip-path", "url(#" + this._id + "Clip)");
+		if (this._brush) this._moveBrush(false);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	/**
+	 * Enables or disables the zoom and pan of the chart with the mouse wheel, dragging and pinching. The zoom rescales the X and Y scales, moving the axes, dots, gridlines and annotations, and emits a zoom event with the new domains. Inserting data shows the chart without zoom. If options are given, sets them, otherwise returns the current settings, or null if the zoom is disabled.
+	 * @param {(Object|boolean)} options - The settings of the zoom, true to enable it with the default settings, or false to disable it.
+	 * @param {string} options.axis - The scales zoomed: "both", "x" or "y". Uses "both" by default.
+	 * @param {number[]} options.scaleExtent - The minimum and maximum zoom factors. Unlimited by default.
+	 * @returns {(Scatterplot|Object)} This object or the current settings.
+	 */
+	zoom(options) {
+		if (options == null) return this._zoom ? Object.assign({}, this._zoom) : null;
+		
+		if (options === false) {
+			this.resetZoom();
+			if (this._zoomBehavior) this._selection.on(".zoom", null);
+			this._selection.selectAll(".zoomArea, .zoomClip").remove();
+			if (this._dotSelection) this._dotSelection.attr("clip-path", null);
+			this._zoom = null;
+			this._zoomBehavior = null;
+			return this;
+		}
+		
+		this._zoom = Object.assign({axis: "both", scaleExtent: [0, Infinity]}, this._zoom, (options === true) ? {} : options);
+		if (!["both", "x", "y"].includes(this._zoom.axis)) throw new Error("Invalid zoom axis: expected both, x or y.");
+		
+		//The dots outside of the plotting area are hidden, and the empty area receives the events
+		if (!this._zoomBehavior) {
+			this._selection.append("clipPath")
+				.attr("class", "zoomClip")
+				.attr("id", this._id + "Clip")
+				.append("rect");
+			this._selection.insert("rect", ".xAxis")
+				.attr("class", "zoomArea")
+				.attr("fill", "none")
+				.attr("pointer-events", "all");
+			this._zoomBehavior = d3.zoom().on("zoom", ()=>this._onZoom());
+			this._selection.call(this._zoomBehavior);
+		}
+		this._zoomBehavior.scaleExtent(this._zoom.scaleExtent);
+		if (this._dotSelection) this._dotSelection.attr("clip-path", "url(#" + this._id + "Clip)");
+		this._layoutZoom();
+		return this;
+	}
+	
+	/**
+	 * Zooms the chart to show the given domains. The zoom must be enabled.
+	 * @param {number[]} domainX - The new domain of the X scale. If not given, keeps the current one.
+	 * @param {number[]} domainY - The new domain of the Y scale. If not given, keeps the current one.
+	 * @returns {Scatterplot} This chart.
+	 */
+	zoomTo(domainX, domainY) {
+		if (!this._zoom) throw new Error("The zoom of the chart must be enabled.");
+		if (!this._zoomHome) this._zoomHome = {x: this._xScale.domain(), y: this._yScale.domain()};
+		this._zoomBase = {x: domainX || this._xScale.domain(), y: domainY || this._yScale.domain()};
+		this._setZoomTransform(d3.zoomIdentity);
+		this._applyZoom(this._zoomBase.x, this._zoomBase.y);
+		return this;
+	}
+	
+	/**
+	 * Restores the domains of the scales before the zoom.
+	 * @returns {Scatterplot} This chart.
+	 */
+	resetZoom() {
+		if (!this._zoomHome) return this;
+		let home = this._zoomHome;
+		this._zoomHome = null;
+		this._zoomBase = null;
+		this._setZoomTransform(d3.zoomIdentity);
+		this._applyZoom(home.x, home.y);
+		return this;
+	}
+	
+	_setZoomTransform(transform) {
+		//Transforms set by the chart don't rescale the domains again
+		if (!this._zoomBehavior) return;
+		this._zoomSilent = true;
+		this._zoomBehavior.transform(this._selection, transform);
+		this._zoomSilent = false;
+	}
+	
+	_onZoom() {
+		if (this._zoomSilent) return;
+		if (!this._zoomBase) this._zoomBase = {x: this._xScale.domain(), y: this._yScale.domain()};
+		if (!this._zoomHome) this._zoomHome = this._zoomBase;
+		
+		let domains = this._zoomDomains();
+		this._applyZoom(domains.x, domains.y);
+	}
+	
+	_zoomDomains() {
+		//The domains at the start of the zoom, rescaled by its transform
+		let transform = d3.zoomTransform(this._selection.node());
+		let axis = this._zoom.axis;
+		return {
+			x: (axis == "y") ? this._xScale.domain() : transform.rescaleX(this._xScale.copy().domain(this._zoomBase.x)).domain(),
+			y: (axis == "x") ? this._yScale.domain() : transform.rescaleY(this._yScale.copy().domain(this._zoomBase.y)).domain()
+		};
+	}
+	
+	_applyZoom(domainX, domainY) {
+		//The zoom follows the pointer, without transitions
+		let duration = this._duration;
+		this._duration = 0;
+		this._xScale.domain(domainX);
+		this._yScale.domain(domainY);
+		this._updateAxis("x");
+		this._updateAxis("y");
+		if (this._dotSelection) {
+			this._dotSelection.interrupt()
+				.attr("cx", (d, i)=>this._dotPosition(d, i)[0])
+				.attr("cy", (d, i)=>this._dotPosition(d, i)[1]);
+		}
+		if (this._brush) this._moveBrush(false);
+		this._lasso.layout();
+		if (this._coordinator) this._coordinator._highlightChart(this);
+		this._duration = duration;
+		this._dispatch.call("zoom", this, {x: this._xScale.domain(), y: this._yScale.domain()});
+	}
+	
+	_dotPosition(d, i) {
+		//The position of a dot, with the attributes given to it or the scales
+		let attributes = this._insertions.setData[1] || {};
+		let position = (name, value)=>(typeof(attributes[name]) == "function") ? attributes[name](d, i) : (attributes[name] != null) ? parseFloat(attributes[name]) : value;
+		return [position("cx", this._xScale(d[0])), position("cy", this._yScale(d[1]))];
+	}
+	
+	/**
+	 * Enables or disables the brush, a rectangle dragged over the chart to select dots. The selected dots are highlighted, the others are dimmed, and a select event is emitted with their data and indices. If options are given, sets them, otherwise returns the current settings, or null if the brush is disabled.
+	 * @param {(Object|boolean)} options - The settings of the brush, true to enable it with the default settings, or false to disable it.
+	 * @param {string} options.axis - The dimensions of the brush: "xy" for a rectangle, "x" or "y" for a range of only one of the axes. Uses "xy" by default.
+	 * @returns {(Scatterplot|Object)} This object or the current settings.
+	 */
+	brush(options) {
+		if (options == null) return this._brush ? Object.assign({}, this._brush) : null;
+		
+		if (this._brushGroup) this._brushGroup.remove();
+		if (options === false) {
+			this._brushExtent = null;
+			if (this._brush && this._dotSelection) this._highlight(this._dotSelection, null);
+			this._brush = null;
+			this._brushBehavior = null;
+			this._brushGroup = null;
+			return this;
+		}
+		
+		//The brush replaces the lasso
+		this.lasso(false);
+		let brush = Object.assign({axis: "xy"}, this._brush, (options === true) ? {} : options);
+		if (!["xy", "x", "y"].includes(brush.axis)) throw new Error("Invalid brush axis: expected xy, x or y.");
+		if (this._brush && (this._brush.axis != brush.axis)) this._brushExtent = null;
+		this._brush = brush;
+		
+		//The brush stays beneath the dots, so they still receive the pointer
+		this._brushBehavior = ((brush.axis == "x") ? d3.brushX() : (brush.axis == "y") ? d3.brushY() : d3.brush())
+			.on("start brush end", ()=>this._onBrush());
+		this._brushGroup = this._selection.insert("g", ".dot")
+			.attr("class", "brush");
+		this._layoutBrush();
+		return this;
+	}
+	
+	/**
+	 * Sets the extent of the brush, which must be enabled, selecting the dots inside of it.
+	 * @param {Array} extent - The extent in the coordinates of the data: [[x0, y0], [x1, y1]] for a brush of both axes, or [minimum, maximum] for a brush of one axis.
+	 * @returns {Scatterplot} This chart.
+	 */
+	setBrush(extent) {
+		if (!this._brush) throw new Error("The brush of the chart must be enabled.");
+		this._brushExtent = extent;
+		this._moveBrush(true);
+		return this;
+	}
+	
+	/**
+	 * Clears the brush, restoring all the dots.
+	 * @returns {Scatterplot} This chart.
+	 */
+	clearBrush() {
+		if (!this._brush) return this;
+		this._brushExtent = null;
+		this._moveBrush(true);
+		return this;
+	}
+	
+	_layoutBrush() {
+		if (!this._brushBehavior) return;
+		this._brushBehavior.extent([[0, 0], [this._width, this._height]]);
+		this._brushGroup.call(this._brushBehavior);
+		this._moveBrush(false);
+	}
+	
+	_moveBrush(emit) {
+		let extent = this._brushExtent;
+		let pixels = null;
+		if (extent) {
+			let sort = values=>values.sort(d3.ascending);
+			if (this._brush.axis == "x") pixels = sort(extent.map(this._xScale));
+			else if (this._brush.axis == "y") pixels = sort(extent.map(this._yScale));
+			else pixels = d3.transpose([sort([this._xScale(extent[0][0]), this._xScale(extent[1][0])]), sort([this._yScale(extent[0][1]), this._yScale(extent[1][1])])]);
+		}
+		
+		this._brushSilent = true;
+		this._brushGroup.call(this._brushBehavior.move, pixels);
+		this._brushSilent = false;
+		this._selectBrushed(pixels, emit);
+	}
+	
+	_onBrush() {
+		if (this._brushSilent) return;
+		let pixels = d3.brushSelection(this._brushGroup.node());
+		if (pixels == null) {
+			this._brushExtent = null;
+		} else if (this._brush.axis == "x") {
+			this._brushExtent = pixels.map(this._xScale.invert);
+		} else if (this._brush.axis == "y") {
+			this._brushExtent = pixels.map(this._yScale.invert).reverse();
+		} else {
+			this._brushExtent = [[this._xScale.invert(pixels[0][0]), this._yScale.invert(pixels[1][1])], [this._xScale.invert(pixels[1][0]), this._yScale.invert(pixels[0][1])]];
+		}
+		this._selectBrushed(pixels, true);
+	}
+	
+	_selectBrushed(pixels, emit) {
+		if (!this._dotSelection) return;
+		let inside = (d, i)=>{
+			let position = this._dotPosition(d, i);
+			if (this._brush.axis == "x") return (position[0] >= pixels[0]) && (position[0] <= pixels[1]);
+			if (this._brush.axis == "y") return (position[1] >= pixels[0]) && (position[1] <= pixels[1]);
+			return (position[0] >= pixels[0][0]) && (position[0] <= pixels[1][0]) && (position[1] >= pixels[0][1]) && (position[1] <= pixels[1][1]);
+		};
+		this._highlight(this._dotSelection, pixels ? inside : null);
+		if (emit) this._emitSelection(this._dotSelection, pixels ? inside : ()=>false, {extent: this._brushExtent});
+	}
+	
+	/**
+	 * Enables or disables the lasso, replacing the brush. See Chart.lasso().
+	 * @param {boolean} enabled - Whether the lasso is enabled.
+	 * @returns {(Scatterplot|boolean)} This object or whether the lasso is enabled.
+	 */
+	lasso(enabled) {
+		if (enabled) this.brush(false);
+		return super.lasso(enabled);
+	}
+	
+	_lassoMarks() {
+		return {
+			selection: this._dotSelection,
+			position: (d, i)=>this._dotPosition(d, i),
+			project: point=>[this._xScale(point[0]), this._yScale(point[1])],
+			invert: point=>[this._xScale.invert(point[0]), this._yScale.invert(point[1])]
+		};
+	}
+	
+	_layoutZoom() {
+		if (!this._zoomBehavior) return;
+		this._selection.selectAll(".zoomArea, .zoomClip rect")
+			.attr("width", this._width)
+			.attr("height", this._height);
+		this._zoomBehavior.extent([[0, 0], [this._width, this._height]]);
+	}
+	
+	_marks() {
+		return [{
+			selection: this._dotSelection,
+			fields: (d, i)=>({x: d[0], y: d[1], index: i}),
+			template: "x: {x}\ny: {y}",
+			sort: (a, b)=>((a.fields.x - b.fields.x) || (a.fields.y - b.fields.y))
+		}];
+	}
+	
+	_describe(format) {
+		let data = this._dotSelection ? this._dotSelection.data() : [];
+		if (data.length == 0) return [];
+		let x = d3.extent(data, d=>d[0]);
+		let y = d3.extent(data, d=>d[1]);
+		let count = data.length + ((data.length == 1) ? " dot" : " dots");
+		return ["It has " + count + ", with x from " + format.number(x[0]) + " to " + format.number(x[1]) + " and y from " + format.number(y[0]) + " to " + format.number(y[1]) + "."];
+	}
+	
+	static _validateSpec(spec, errors) {
+		ChartSpec.checkSpec(errors, spec, "data", "an array of [x, y] pairs", v=>(Array.isArray(v) && v.every(d=>(Array.isArray(d) && (d.length >= 2)))));
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (scales.x) this.xScale(ChartSpec.scaleFromSpec(Object.assign({range: [0, this._width]}, scales.x)));
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.color) this.colorScale(ChartSpec.scaleFromSpec(scales.color));
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes), null, ChartSpec.keyFromSpec(spec.key));
+		
+		//The domains given by the specification replace the ones computed from the data
+		if (scales.x && scales.x.domain) this.xScale(this._xScale.domain(ChartSpec.scaleFromSpec(scales.x).domain()));
+		if (scales.y && scales.y.domain) this.yScale(this._yScale.domain(ChartSpec.scaleFromSpec(scales.y).domain()));
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			x: ChartSpec.scaleToSpec(this._xScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			color: ChartSpec.scaleToSpec(this._colorScale)
+		};
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._dotSelection);
+		if (insertion) Object.assign(spec, insertion);
+		
+		//Colors set by a fill function are exported as the colors of the dots
+		if (insertion && this._customFill) {
+			spec.attributes = Object.assign({fill: this._dotSelection.nodes().map(node=>node.getAttribute("fill"))}, spec.attributes);
+		}
+	}
+	
+	_applyTheme() {
+		this._colorScale = ChartTheme.paletteScale(this.theme().palette);
+		super._applyTheme();
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		
+		this._xScale.range([0, this._width]);
+		this._updateAxis("x");
+		
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+		this._layoutZoom();
+		this._layoutBrush();
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Scatterplot} This chart.
@@ -181,4 +526,6 @@ class Scatterplot extends Chart {
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("scatterplot", Scatterplot);
\ No newline at end of file
@@ -27,20 +27,11 @@ class Segments extends Chart {
 		
 		this._xAxisScale = d3.scaleOrdinal()
 			.range([0, this._width]);
-		this._xAxis = d3.axisBottom(this._xAxisScale);
-		this._xAxisGroup = this._selection
-			.append("g")
-			.attr("class", "xAxis")
-			.attr("transform", "translate(0," + this._height  + ")");
-		this._xAxisGroup.call(this._xAxis);
+		this._addAxis("x", this._xAxisScale, "bottom");
 		
 		this._yScale = d3.scaleLinear()
 			.range([this._height, 0]);
-		this._yAxis = d3.axisLeft(this._yScale);
-		this._yAxisGroup = this._selection
-			.append("g")
-			.attr("class","yAxis");
-		this._yAxisGroup.call(this._yAxis);
+		this._addAxis("y", this._yScale, "left");
 		
 		//Layers to make sure the ranges stay behind the segments and the segments stay behind the dots
 		this._rangeLayer = this._selection.append("g");
@@ -62,13 +53,7 @@ class Segments extends Chart {
 			.y0((d, i)=>this._yScale(d[0]))
 			.y1((d, i)=>this._yScale(d[1]));
 		
-		this._dotColorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeSet1.length, d3.schemeSet1.length - 1))
-			.range(d3.schemeSet1);
-		
-		this._rangeColorScale = d3.scaleLinear()
-			.domain(Chart.genSequence(0, d3.schemeSet2.length, d3.schemeSet2.length - 1))
-			.range(d3.schemeSet2);
+		this._applyTheme();
 	}
 	
 	/**
@@ -88,7 +73,7 @@ class Segments extends Chart {
 		if (scale) {
 			this._xAxisScale = scale;
 			this._xScale.domain([0, scale.domain().length-1]);
-			Chart.adjustScaleDomain(this._xAxisScale, this._xAxis, this._xAxisGroup);
+			this._setAxisScale("x", this._xAxisScale);
 			return this;
 		} else {
 			return this._xScale;
@@ -103,7 +88,7 @@ class Segments extends Chart {
 	yScale(scale) {
 		if (scale) {
 			this._yScale = scale;
-			Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup);
+			this._setAxisScale("y", this._yScale);
 			return this;
 		} else {
 			return this._yScale;
@@ -195,35 +180,38 @@ class Segments extends Chart {
 	 * @param {number[][]} dataset - An array of arrays for each segment.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the segments.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current segments. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setSegments(dataset, attributes, onEvents) {
+	setSegments(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setSegments", arguments);
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>d3.extent(d));
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("segments", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		Chart.addIfNull(attributes, "id", (d, i)=>("seg" + i));
 		attributes.class = "segment";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._segPathGenerator(d)));
-		Chart.addIfNull(attributes, "stroke", "black");
+		Chart.addIfNull(attributes, "stroke", this.theme().foreground);
+		Chart.addIfNull(attributes, "stroke-width", this.theme().strokeWidths.mark);
 		
-		this._segSelection = this._segLayer.selectAll(".segment").data(dataset).enter().append("path")
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._segSelection = Chart.joinData(this._segLayer, ".segment", "path", dataset, key, null, onExit)
 			.attr("fill", "transparent");
 		
 		//Updating previous selections
 		if (this._dotSelection) {
-			this._dotSelection
-				.attr("cx", (d, i)=>this._xScale(i))
-				.attr("cy", (d, i)=>this._yScale(d));
+			Chart.insertAttributesEvents(this._dotSelection, {
+				cx: (d, i)=>this._xScale(i),
+				cy: (d, i)=>this._yScale(d)
+			}, null, this._animate(this._dotSelection));
 		}
-		if (this._rangeSelection) this._rangeSelection.attr("d", (d, i)=>(this._rangePathGenerator(d)));
+		if (this._rangeSelection) Chart.insertAttributesEvents(this._rangeSelection, {d: (d, i)=>(this._rangePathGenerator(d))}, null, this._animate(this._rangeSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._segSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._segSelection, attributes, onEvents, this._animate(this._segSelection));
+		this._marksChanged();
 		
 		return this;
 	}
@@ -233,16 +221,15 @@ class Segments extends Chart {
 	 * @param {number[][]} dataset - An array of arrays for each dot.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the dots.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current dot groups. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setDots(dataset, attributes, onEvents) {
+	setDots(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setDots", arguments);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>d3.extent(d));
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("dots", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -250,22 +237,32 @@ class Segments extends Chart {
 		Chart.addIfNull(attributes, "cx", (d, i)=>this._xScale(i));
 		Chart.addIfNull(attributes, "cy", (d, i)=>this._yScale(d));
 		
+		attributes.id = (d, i)=>("dot_" + this._xAxisScale.domain()[i]);
+		attributes.class = "groupDot";
+		
+		//New dots grow from their positions and the removed ones shrink
+		let onEnter = enter=>{
+			Chart.insertAttributesEvents(enter, attributes, null);
+			enter.attr("r", 0);
+		};
+		let onExit = exit=>this._animate(exit).attr("r", 0).remove();
+		
 		//Creating the groups
-		this._dotSelection = this._dotLayer.selectAll(".dotGroup").data(dataset).enter().append("g")
-			.attr("id", (d, i)=>("dotGroup" + i))
-			.attr("class", "dotGroup")
-			.attr("fill", (d, i)=>(thisChart._dotColorScale(i % thisChart._dotColorScale.domain().length)))
-			.selectAll(".groupDot").data(d=>d).enter().append("circle");
+		let groupSelection = Chart.joinData(this._dotLayer, ".dotGroup", "g", dataset, key, null, exit=>{
+			onExit(exit.selectAll(".groupDot"));
+			this._animate(exit).remove();
+		});
+		groupSelection.attr("id", (d, i)=>("dotGroup" + i));
+		this._animate(groupSelection).attr("fill", (d, i)=>(thisChart._dotColorScale(i % thisChart._dotColorScale.domain().length)));
+		this._dotSelection = Chart.joinData(groupSelection, ".groupDot", "circle", d=>d, null, onEnter, onExit);
 		
 		//Updating previous selections
-		if (this._segSelection) this._segSelection.attr("d", (d, i)=>(this._segPathGenerator(d)));
-		if (this._rangeSelection) this._rangeSelection.attr("d", (d, i)=>(this._rangePathGenerator(d)));
-		
-		attributes.id = (d, i)=>("dot_" + this._xAxisScale.domain()[i]);
-		attributes.class = "groupDot";
+		if (this._segSelection) Chart.insertAttributesEvents(this._segSelection, {d: (d, i)=>(this._segPathGenerator(d))}, null, this._animate(this._segSelection));
+		if (this._rangeSelection) Chart.insertAttributesEvents(this._rangeSelection, {d: (d, i)=>(this._rangePathGenerator(d))}, null, this._animate(this._rangeSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._dotSelection, attributes, onEvents, this._animate(this._dotSelection));
+		this._marksChanged();
 		
 		return this;
 	}
@@ -277,16 +274,15 @@ class Segments extends Chart {
 	 * @param {number[]} dataset[i][a] - Array with the minimum and maximum values (respectively) at index 'a'.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the ranges.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each array of the dataset, used to match it with the current ranges. If not given, they are matched by index.
 	 * @returns {Segments} This chart.
 	 */
-	setRanges(dataset, attributes, onEvents) {		
+	setRanges(dataset, attributes, onEvents, key) {		
+		this._storeInsertion("setRanges", arguments);
 		let thisChart = this;
 		
 		//Adjusting the yScale and axis
-		let datasetExtent = dataset.map(d=>[d3.min(d.map(d=>d[0])), d3.max(d.map(d=>d[1]))]);
-		datasetExtent.push(this._yScale.domain());
-		let newDomain = [d3.min(datasetExtent.map(d=>d[0])), d3.max(datasetExtent.map(d=>d[1]))];
-		Chart.adjustScaleDomain(this._yScale, this._yAxis, this._yAxisGroup, newDomain);
+		this._updateYDomain("ranges", dataset);
 		
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
@@ -294,30 +290,156 @@ class Segments extends Chart {
 		attributes.class = "range";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._rangePathGenerator(d)));
 		
-		this._rangeSelection = this._rangeLayer.selectAll(".range").data(dataset).enter().append("path")
-			.attr("fill", (d, i)=>(thisChart._rangeColorScale(i % thisChart._rangeColorScale.domain().length)));
+		let onExit = exit=>this._animate(exit).attr("opacity", 0).remove();
+		this._rangeSelection = Chart.joinData(this._rangeLayer, ".range", "path", dataset, key, null, onExit);
+		let transition = this._animate(this._rangeSelection);
+		transition.attr("fill", (d, i)=>(thisChart._rangeColorScale(i % thisChart._rangeColorScale.domain().length)));
 		
 		//Updating previous selections
 		if (this._dotSelection) {
-			this._dotSelection
-				.attr("cx", (d, i)=>this._xScale(i))
-				.attr("cy", (d, i)=>this._yScale(d));
+			Chart.insertAttributesEvents(this._dotSelection, {
+				cx: (d, i)=>this._xScale(i),
+				cy: (d, i)=>this._yScale(d)
+			}, null, this._animate(this._dotSelection));
 		}
-		if (this._segSelection) this._segSelection.attr("d", (d, i)=>(this._segPathGenerator(d)));
+		if (this._segSelection) Chart.insertAttributesEvents(this._segSelection, {d: (d, i)=>(this._segPathGenerator(d))}, null, this._animate(this._segSelection));
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._rangeSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._rangeSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
 	
+	_updateYDomain(layer, dataset) {
+		//The domain joins the data of the three layers, with the new dataset of one of them, so it also shrinks when they change
+		let data = {
+			segments: this._segSelection ? this._segSelection.data() : [],
+			dots: this._dotLayer.selectAll(".dotGroup").data(),
+			ranges: this._rangeSelection ? this._rangeSelection.data() : []
+		};
+		data[layer] = dataset;
+		let extents = data.segments.concat(data.dots).map(d=>d3.extent(d))
+			.concat(data.ranges.map(d=>[d3.min(d, d=>d[0]), d3.max(d, d=>d[1])]));
+		if (extents.length > 0) this._updateAxis("y", [d3.min(extents, d=>d[0]), d3.max(extents, d=>d[1])]);
+	}
+	
+	_marks() {
+		let groups = this._dotLayer.selectAll(".dotGroup").nodes();
+		let seriesFields = (d, i)=>({series: i + 1});
+		return [{
+			selection: this._dotSelection,
+			fields: (d, i, node)=>({series: groups.indexOf(node.parentNode) + 1, label: this._xLabel(i), index: i, value: d}),
+			template: "Series {series}\n{label}: {value}",
+			row: mark=>(mark.fields.series - 1)
+		}, {
+			//The lines and areas are described by their dots, which are navigated by the keyboard
+			selection: this._segSelection,
+			fields: seriesFields,
+			template: "Series {series}",
+			focusable: false
+		}, {
+			selection: this._rangeSelection,
+			fields: seriesFields,
+			template: "Range {series}",
+			focusable: false
+		}];
+	}
+	
+	_describe(format) {
+		//The series are described by their dots, or by their lines when there are no dots, and keep their numbers when empty ones are skipped
+		let series = this._dotSelection ? this._dotLayer.selectAll(".dotGroup").data() : this._segSelection ? this._segSelection.data() : [];
+		let sentences = [];
+		series.forEach((values, i)=>{
+			if (values.length == 0) return;
+			let first = values[0];
+			let last = values[values.length - 1];
+			let extent = d3.extent(values);
+			let trend = (first == last) ? "starts and ends at " + format.number(first) :
+				((last > first) ? "rises" : "falls") + " from " + format.number(first) + " at " + this._xLabel(0) + " to " + format.number(last) + " at " + this._xLabel(values.length - 1);
+			sentences.push("Series " + (i + 1) + " " + trend + ", ranging from " + format.number(extent[0]) + " to " + format.number(extent[1]) + ".");
+		});
+		if (this._rangeSelection) this._rangeSelection.data().forEach((range, i)=>{
+			if (range.length > 0) sentences.push("Range " + (i + 1) + " goes from " + format.number(d3.min(range, d=>d[0])) + " to " + format.number(d3.max(range, d=>d[1])) + ".");
+		});
+		return sentences;
+	}
+	
+	_xLabel(i) {
+		//Without labels, the X values are the indexes of the dots
+		let labels = this._xAxisScale.domain();
+		return (labels[i] != null) ? labels[i] : i;
+	}
+	
+	_annotationScale(name) {
+		//The X values are labels of the axis or indexes of the dots
+		if (name == "x") return value=>(this._xAxisScale.domain().includes(value) ? this._xAxisScale(value) : this._xScale(value));
+		return super._annotationScale(name);
+	}
+	
+	static _validateSpec(spec, errors) {
+		let isNumbers = d=>(Array.isArray(d) && d.every(v=>(typeof(v) == "number")));
+		ChartSpec.checkInsertionSpec(errors, spec, "segments", "an array of arrays of numbers", isNumbers);
+		ChartSpec.checkInsertionSpec(errors, spec, "dots", "an array of arrays of numbers", isNumbers);
+		ChartSpec.checkInsertionSpec(errors, spec, "ranges", "an array of arrays of [minimum, maximum] pairs", d=>(Array.isArray(d) && d.every(isNumbers)));
+		let hasAxis = (spec.scales != null) && (spec.scales.xAxis != null);
+		ChartSpec.checkSpec(errors, spec, "labels", "an array", Array.isArray, !hasAxis && ["segments", "dots", "ranges"].some(field=>(spec[field] != null)));
+	}
+	
+	_applySpec(spec) {
+		let scales = spec.scales || {};
+		if (spec.labels) this.xAxisScale(d3.scaleOrdinal().domain(spec.labels).range(Chart.genSequence(0, spec.labels.length, this._width)));
+		else if (scales.xAxis) this.xAxisScale(ChartSpec.scaleFromSpec(scales.xAxis));
+		if (scales.y) this.yScale(ChartSpec.scaleFromSpec(Object.assign({range: [this._height, 0]}, scales.y)));
+		if (scales.dotColor) this.dotColorScale(ChartSpec.scaleFromSpec(scales.dotColor));
+		if (scales.rangeColor) this.rangeColorScale(ChartSpec.scaleFromSpec(scales.rangeColor));
+		
+		let ranges = ChartSpec.insertionFromSpec(spec.ranges);
+		let segments = ChartSpec.insertionFromSpec(spec.segments);
+		let dots = ChartSpec.insertionFromSpec(spec.dots);
+		if (ranges) this.setRanges.apply(this, ranges);
+		if (segments) this.setSegments.apply(this, segments);
+		if (dots) this.setDots.apply(this, dots);
+	}
+	
+	_exportSpec(spec) {
+		spec.scales = {
+			xAxis: ChartSpec.scaleToSpec(this._xAxisScale),
+			y: ChartSpec.scaleToSpec(this._yScale),
+			dotColor: ChartSpec.scaleToSpec(this._dotColorScale),
+			rangeColor: ChartSpec.scaleToSpec(this._rangeColorScale)
+		};
+		spec.segments = ChartSpec.insertionToSpec(this._insertions.setSegments, this._segSelection);
+		spec.dots = ChartSpec.insertionToSpec(this._insertions.setDots, null);
+		spec.ranges = ChartSpec.insertionToSpec(this._insertions.setRanges, this._rangeSelection);
+	}
+	
+	_applyTheme() {
+		let theme = this.theme();
+		this._dotColorScale = ChartTheme.paletteScale(theme.palette);
+		this._rangeColorScale = ChartTheme.paletteScale(theme.secondaryPalette);
+		super._applyTheme();
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		
+		//The labels of the X axis keep their relative positions
+		this._xScale.range([0, this._width]);
+		if (previousWidth > 0) this._xAxisScale.range(this._xAxisScale.range().map(x=>(x * this._width / previousWidth)));
+		this._updateAxis("x");
+		
+		this._yScale.range([this._height, 0]);
+		this._updateAxis("y");
+	}
+	
 	/** 
 	 * Clears the chart, removing all plottings.
 	 * @returns {Segments} This chart.
 	 */
 	clear() {
 		if (this._dotSelection) {
-			this._dotSelection.remove();
+			this._dotLayer.selectAll(".dotGroup").remove();
 			this._dotSelection = null;
 		}
 		if (this._segSelection) {
@@ -330,4 +452,6 @@ class Segments extends Chart {
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("segments", Segments);
\ No newline at end of file
@@ -0,0 +1,169 @@
+/**
+ * Class that links the selections of several charts. The marks of the charts are matched by a key, so hovering or selecting marks in one of the charts highlights the marks with the same keys in all of them.
+ */
+class SelectionCoordinator {
+	/**
+	 * @constructor
+	 * @param {function} key - The key of a mark, which receives its datum and index. Uses the index by default.
+	 */
+	constructor(key) {
+		this._key = key || ((d, i)=>i);
+		
+		//The charts, with their own keys and the listeners added to them
+		this._entries = [];
+		
+		//The keys selected, by a brush, a lasso or select(), and the keys under the pointer, which are shown while the pointer stays
+		this._selected = null;
+		this._hovered = null;
+		
+		this._dispatch = d3.dispatch("select", "hover");
+	}
+	
+	/**
+	 * The key of the marks of the charts without their own keys. If key is given, sets it, otherwise returns the current key.
+	 * @param {function} key - The new key, which receives the datum and the index of a mark.
+	 * @returns {(SelectionCoordinator|function)} This object or the current key.
+	 */
+	key(key) {
+		if (key) {
+			this._key = key;
+			this._highlightCharts();
+			return this;
+		} else {
+			return this._key;
+		}
+	}
+	
+	/**
+	 * Returns the charts linked by the coordinator.
+	 * @returns {Chart[]} The charts added to this coordinator.
+	 */
+	charts() {
+		return this._entries.map(entry=>entry.chart);
+	}
+	
+	/**
+	 * Adds a chart to the coordinator. A chart is linked by one coordinator at a time, so it leaves its previous coordinator.
+	 * @param {Chart} chart - The chart.
+	 * @param {function} key - The key of the marks of this chart, when they differ from the other charts. Uses the key of the coordinator by default.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	add(chart, key) {
+		if (chart._coordinator) chart._coordinator.remove(chart);
+		
+		//The focus of the keyboard triggers the mouse events of the marks, so it also highlights them
+		let entry = {chart: chart, key: key || null, listeners: {
+			mouseover: event=>this._onHover(entry, event.target),
+			mouseout: event=>this._onHover(entry, null)
+		}};
+		for (let type in entry.listeners) chart.selection().node().addEventListener(type, entry.listeners[type]);
+		chart.on("select.coordinator", event=>this._onSelect(entry, event));
+		chart._coordinator = this;
+		this._entries.push(entry);
+		this._highlightChart(chart);
+		return this;
+	}
+	
+	/**
+	 * Removes a chart from the coordinator, restoring its marks.
+	 * @param {Chart} chart - The chart.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	remove(chart) {
+		let entry = this._entry(chart);
+		if (entry == null) return this;
+		
+		for (let type in entry.listeners) chart.selection().node().removeEventListener(type, entry.listeners[type]);
+		chart.on("select.coordinator", null);
+		chart._coordinator = null;
+		this._entries.splice(this._entries.indexOf(entry), 1);
+		for (let marks of SelectionCoordinator._linkedMarks(chart)) chart._highlight(marks.selection, null);
+		return this;
+	}
+	
+	/**
+	 * Selects the marks with the given keys in all the charts, dimming the others.
+	 * @param {Array} keys - The keys of the selected marks.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	select(keys) {
+		this._setSelected(Array.from(keys), null);
+		return this;
+	}
+	
+	/**
+	 * Clears the selection, restoring the marks of all the charts.
+	 * @returns {SelectionCoordinator} This coordinator.
+	 */
+	clear() {
+		this._setSelected(null, null);
+		return this;
+	}
+	
+	/**
+	 * Returns the keys selected.
+	 * @returns {Array} The keys of the selected marks, or null if there isn't a selection.
+	 */
+	selected() {
+		return this._selected ? Array.from(this._selected) : null;
+	}
+	
+	/**
+	 * Adds, removes or returns a listener of the events of the coordinator. A select event is emitted when the selection changes and a hover event when the pointer enters or leaves a mark, with the keys, or null, at its keys field and the chart where it happened, or null, at its chart field.
+	 * @param {string} typenames - The type of the event, select or hover, with an optional name after a dot.
+	 * @param {function} listener - The new listener, or null to remove the current one. The listener receives the object of the event.
+	 * @returns {(SelectionCoordinator|function)} This object or the current listener.
+	 */
+	on(typenames, listener) {
+		if (listener !== undefined) {
+			this._dispatch.on(typenames, listener);
+			return this;
+		} else {
+			return this._dispatch.on(typenames);
+		}
+	}
+	
+	_entry(chart) {
+		return this._entries.find(entry=>(entry.chart === chart)) || null;
+	}
+	
+	_onHover(entry, node) {
+		let mark = node ? entry.chart._findMark(node) : null;
+		let hovered = (mark && mark.focusable) ? new Set([(entry.key || this._key)(mark.datum, mark.index)]) : null;
+		if ((hovered == null) && (this._hovered == null)) return;
+		
+		this._hovered = hovered;
+		this._highlightCharts();
+		this._dispatch.call("hover", this, {keys: hovered ? Array.from(hovered) : null, chart: entry.chart});
+	}
+	
+	_onSelect(entry, event) {
+		//A brush or lasso without a shape clears the selection
+		let key = entry.key || this._key;
+		let cleared = (event.extent == null) && (event.polygon == null);
+		this._setSelected(cleared ? null : event.data.map((d, i)=>key(d, event.indices[i])), entry.chart);
+	}
+	
+	_setSelected(keys, chart) {
+		this._selected = keys ? new Set(keys) : null;
+		this._highlightCharts();
+		this._dispatch.call("select", this, {keys: this.selected(), chart: chart});
+	}
+	
+	_highlightCharts() {
+		for (let entry of this._entries) this._highlightChart(entry.chart);
+	}
+	
+	_highlightChart(chart) {
+		//The marks under the pointer are shown instead of the selection
+		let entry = this._entry(chart);
+		let keys = this._hovered || this._selected;
+		let key = entry.key || this._key;
+		for (let marks of SelectionCoordinator._linkedMarks(chart)) chart._highlight(marks.selection, keys ? (d, i)=>keys.has(key(d, i)) : null);
+	}
+	
+	static _linkedMarks(chart) {
+		//The marks linked are those of the data, which are navigated with the keyboard
+		return chart._marks().filter(marks=>(marks.selection && (marks.focusable !== false)));
+	}
+}
\ No newline at end of file
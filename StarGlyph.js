@@ -22,19 +22,23 @@ class StarGlyph extends Chart {
 	constructor(container, id, position, margins, dimensions) {
 		super(container, id, position, margins, dimensions, "starGlyphChart");
 		
-		this._selection.attr("transform", "translate(" + (this._margins.left + this._width / 2) + "," + (this._margins.top + this._height / 2) + ")");
-		
 		this._polygonSelection = null;
 		
 		this._labelSelection = null;
 		
 		this._scales = [];
 		
+		//The domains given to the scales, which the domains shared by a ScaleLink replace
+		this._domains = [];
+		
 		this._pathGenerator = d3.lineRadial()
 			.angle((d, i)=>(this._getAngle(i)))
 			.radius((d, i)=>this._scales[i % this._scales.length](d));
 		
-		this._fillFunction = (d, i)=>"blue";
+		this._fillFunction = (d, i)=>this.theme().palette[0];
+		
+		this._layout();
+		this._applyTheme();
 	}
 	
 	/**
@@ -87,12 +91,9 @@ class StarGlyph extends Chart {
 	 * @returns {StarGlyph} This chart.
 	 */
 	setScaleDomains(newDomains) {
-		this._scales = [];
-		for (let i in newDomains) {
-			this._scales[i] = d3.scaleLinear()
-				.domain(newDomains[i])
-				.range([0, d3.min([this._width, this._height]) / 2]);
-		}
+		this._domains = [];
+		for (let i in newDomains) this._domains[i] = newDomains[i];
+		this._updateScales();
 		return this;
 	}
 	
@@ -101,21 +102,28 @@ class StarGlyph extends Chart {
 	 * @param {number[]} dataset - An array of values for the polygon.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the polygon.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies the dataset, receiving its values, used to match it with the current polygon. A dataset with another key replaces the polygon instead of updating it. If not given, the polygon is updated.
 	 * @returns {StarGlyph} This chart.
 	 */
-	setData(dataset, attributes, onEvents) {
+	setData(dataset, attributes, onEvents, key) {
+		this._storeInsertion("setData", arguments);
 		//Mandatory attributes
 		if (attributes == null) attributes = [];
 		Chart.addIfNull(attributes, "id", (d, i)=>("polygon" + i));
 		attributes.class = "polygon";
 		Chart.addIfNull(attributes, "d", (d, i)=>(this._pathGenerator(d, i)));
 		
-		dataset.push(dataset[0]);	//With this, the path will be closed
-		this._polygonSelection = this._selection.selectAll(".polygon").data([dataset]).enter().append("path")
-			.attr("fill", this._fillFunction);
+		//Without domains, each variable goes from 0 to its value
+		if (this._scales.length == 0) this.setScaleDomains(dataset.map(value=>d3.extent([0, value])));
+		
+		dataset = dataset.concat([dataset[0]]);	//With this, the path will be closed
+		this._polygonSelection = Chart.joinData(this._selection, ".polygon", "path", [dataset], key);
+		let transition = this._animate(this._polygonSelection);
+		transition.attr("fill", this._fillFunction);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._polygonSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._polygonSelection, attributes, onEvents, transition);
+		this._marksChanged();
 		
 		return this;
 	}
@@ -125,9 +133,11 @@ class StarGlyph extends Chart {
 	 * @param {string[]} labels - An array of values for the labels.
 	 * @param {Object} attributes - An object containing functions or constants for attributes of the labels.
 	 * @param {Object} onEvents - An object containing functions for events.
+	 * @param {function} key - A function which identifies each label, used to match the labels with the current ones. If not given, they are matched by index.
 	 * @returns {StarGlyph} This chart.
 	 */
-	setCornerLabels(labels, attributes, onEvents) {
+	setCornerLabels(labels, attributes, onEvents, key) {
+		this._storeInsertion("setCornerLabels", arguments);
 		let radius = d3.min([this._width, this._height]) / 2 + 3;
 		
 		//Mandatory attributes
@@ -138,15 +148,92 @@ class StarGlyph extends Chart {
 		Chart.addIfNull(attributes, "text-anchor", (d, i)=>this._getTextAnchor(i));
 		Chart.addIfNull(attributes, "dominant-baseline", (d, i)=>this._getDominantBaseline(i));
 		
-		this._labelSelection = this._selection.selectAll(".cornerLabel").data(labels).enter().append("text")
+		this._labelSelection = Chart.joinData(this._selection, ".cornerLabel", "text", labels, key)
 			.text((d, i)=>d);
 		
 		//Insertion of attributes and events
-		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents);
+		Chart.insertAttributesEvents(this._labelSelection, attributes, onEvents, this._animate(this._labelSelection));
 		
 		return this;
 	}
 	
+	_marks() {
+		let labels = this._labelSelection ? this._labelSelection.data() : [];
+		return [{
+			selection: this._polygonSelection,
+			fields: (d, i)=>({labels: d.slice(0, -1).map((value, j)=>(labels[j] != null) ? labels[j] : j + 1), values: d.slice(0, -1)}),
+			template: fields=>fields.values.map((value, j)=>Chart.formatTemplate("{label}: {value}", {label: fields.labels[j], value: value})).join("\n")
+		}];
+	}
+	
+	_describe(format) {
+		let fields = this._markList().map(mark=>mark.fields)[0];
+		if (fields == null) return [];
+		return Chart._describeExtremes(fields.values.map((value, i)=>({label: fields.labels[i], value: value})), "value", format);
+	}
+	
+	static _validateSpec(spec, errors) {
+		let domains = spec.scaleDomains;
+		ChartSpec.checkSpec(errors, spec, "scaleDomains", "an array of [minimum, maximum] pairs", v=>(Array.isArray(v) && v.every(d=>(Array.isArray(d) && (d.length == 2)))), spec.data != null);
+		ChartSpec.checkSpec(errors, spec, "data", "an array of numbers with a value for each scale domain", v=>(Array.isArray(v) && v.every(d=>(typeof(d) == "number")) && (!Array.isArray(domains) || (v.length == domains.length))));
+		ChartSpec.checkSpec(errors, spec, "fill", "a color", v=>(typeof(v) == "string"));
+	}
+	
+	_applySpec(spec) {
+		if (spec.scaleDomains) this.setScaleDomains(spec.scaleDomains);
+		if (spec.fill) this.fillFunction((d, i)=>spec.fill);
+		if (spec.data) this.setData(spec.data, ChartSpec.attributesFromSpec(spec.attributes));
+		if (spec.labels) this.setCornerLabels(spec.labels);
+	}
+	
+	_exportSpec(spec) {
+		spec.scaleDomains = this._domains.map(domain=>domain.slice());
+		let insertion = ChartSpec.insertionToSpec(this._insertions.setData, this._polygonSelection);
+		if (insertion) {
+			Object.assign(spec, insertion);
+			spec.fill = this._polygonSelection.attr("fill");
+		}
+		if (this._insertions.setCornerLabels) spec.labels = ChartSpec.copy(this._insertions.setCornerLabels[0]);
+	}
+	
+	_scaleDomains() {
+		//Each variable goes from 0 to its value, so the glyphs are compared by their sizes
+		let dataset = this._insertions.setData ? this._insertions.setData[0] : [];
+		let domains = {};
+		dataset.forEach((value, i)=>{
+			domains[i] = d3.extent([0, value]);
+		});
+		return domains;
+	}
+	
+	_shareDomains(domains) {
+		//A null domain restores the domain given to its scale
+		this._linkDomains(domains);
+		this._updateScales();
+		this._redraw();
+	}
+	
+	_updateScales() {
+		this._scales = [];
+		for (let i in this._domains) {
+			this._scales[i] = d3.scaleLinear()
+				.domain(this._linkedDomains[i] || this._domains[i])
+				.range([0, d3.min([this._width, this._height]) / 2]);
+		}
+	}
+	
+	_origin() {
+		//The origin of the chart is at its center
+		return [this._width / 2, this._height / 2];
+	}
+	
+	_layout(previousWidth, previousHeight) {
+		super._layout(previousWidth, previousHeight);
+		for (let scale of this._scales) {
+			scale.range([0, d3.min([this._width, this._height]) / 2]);
+		}
+	}
+	
 	_getAngle(i) {
 		return 2 * Math.PI * i / this._scales.length;
 	}
@@ -180,4 +267,6 @@ class StarGlyph extends Chart {
 		}
 		return super.clear();
 	}
-}
\ No newline at end of file
+}
+
+ChartSpec.registerType("starGlyph", StarGlyph);
\ No newline at end of file
@@ -0,0 +1,174 @@
+/**
+ * Class that represents the tooltip of a chart. Shows the information of the mark under the pointer or with the keyboard focus, inside the container of the chart.
+ */
+class Tooltip {
+	/**
+	 * @constructor
+	 * @param {Chart} chart - The chart whose marks are described by the tooltip.
+	 * @param {(string|function)} template - The content of the tooltip. See template().
+	 */
+	constructor(chart, template) {
+		this._chart = chart;
+		
+		this._template = template || null;
+		
+		this._offset = 12;
+		
+		this._padding = 6;
+		
+		this._selection = chart.container()
+			.append("g")
+			.attr("class", "chartTooltip")
+			.attr("role", "tooltip")
+			.attr("pointer-events", "none")
+			.attr("font-size", 12)
+			.style("display", "none");
+		this._background = this._selection
+			.append("rect")
+			.attr("class", "tooltipBackground")
+			.attr("rx", 3)
+			.attr("fill-opacity", 0.9);
+		this._text = this._selection
+			.append("text")
+			.attr("class", "tooltipText");
+		
+		//The tooltip takes the theme of its chart
+		this._applyTheme();
+		
+		//The listeners are on the tag of the chart, so they stay when the marks are plotted again
+		this._listeners = {
+			mousemove: event=>this._showTarget(event.target, d3.clientPoint(this._selection.node().parentNode, event)),
+			mouseout: event=>this.hide(),
+			focusin: event=>this._showTarget(event.target, null),
+			focusout: event=>this.hide()
+		};
+		for (let type in this._listeners) chart.selection().node().addEventListener(type, this._listeners[type]);
+	}
+	
+	/**
+	 * Returns the chart of the tooltip.
+	 * @returns {Chart} The chart described by this tooltip.
+	 */
+	chart() {
+		return this._chart;
+	}
+	
+	/**
+	 * Returns the selection of the tooltip.
+	 * @returns {d3.selection} The tag of this tooltip.
+	 */
+	selection() {
+		return this._selection;
+	}
+	
+	/**
+	 * The content of the tooltip. Each type of chart has a default content. If template is given, sets it, otherwise returns the current template.
+	 * A string template has fields between braces, which can have a d3 format after a colon, like "{label}: {value:.1f}". Each line of the template is a line of the tooltip.
+	 * A function template receives the fields, the datum and the index of the mark, and returns the content.
+	 * The fields of the marks are the label, value and index of the columns of a Histogram; the label, value, percentage and index of the slices of a Pie; the x, y and index of the dots of a Scatterplot; the row, column and value of the cells of a Correlation; the properties of the features and the longitude and latitude of the dots of a Map; the series, label, index and value of the dots of a Segments; the labels and values of a StarGlyph.
+	 * @param {(string|function)} template - The new template.
+	 * @returns {(Tooltip|string|function)} This object or the current template.
+	 */
+	template(template) {
+		if (template) {
+			this._template = template;
+			return this;
+		} else {
+			return this._template;
+		}
+	}
+	
+	/**
+	 * The distance between the pointer and the tooltip. If offset is given, sets it, otherwise returns the current offset.
+	 * @param {number} offset - The new offset.
+	 * @returns {(Tooltip|number)} This object or the current offset.
+	 */
+	offset(offset) {
+		if (offset != null) {
+			this._offset = offset;
+			return this;
+		} else {
+			return this._offset;
+		}
+	}
+	
+	/**
+	 * Shows the tooltip of a mark of the chart.
+	 * @param {Object} mark - The mark, as found by the chart, with its datum, index, fields and default template.
+	 * @param {number[]} point - The point of the container near which the tooltip is placed.
+	 * @returns {Tooltip} This tooltip.
+	 */
+	show(mark, point) {
+		let template = this._template || mark.template;
+		let lines = Chart._markContent(template, mark).split("\n");
+		
+		Chart.joinData(this._text, ".tooltipLine", "tspan", lines)
+			.attr("x", this._padding)
+			.attr("dy", (d, i)=>(i == 0) ? "1em" : "1.2em")
+			.text(d=>d);
+		this._text.attr("y", this._padding);
+		this._selection.style("display", null).raise();
+		
+		//The size of the text is estimated where it can't be measured
+		let fontSize = +this._selection.attr("font-size");
+		let box = this._text.node().getBBox ? this._text.node().getBBox() : {width: d3.max(lines, d=>d.length) * fontSize * 0.6, height: lines.length * fontSize * 1.2};
+		let width = box.width + 2 * this._padding;
+		let height = box.height + 2 * this._padding;
+		this._background
+			.attr("width", width)
+			.attr("height", height);
+		
+		//The tooltip goes to the other side of the point when it doesn't fit inside the container
+		let container = this._selection.node().parentNode;
+		let bounds = container.getBoundingClientRect();
+		let containerWidth = +d3.select(container).attr("width") || bounds.width;
+		let containerHeight = +d3.select(container).attr("height") || bounds.height;
+		let x = point[0] + this._offset;
+		if (x + width > containerWidth) x = point[0] - this._offset - width;
+		let y = point[1] + this._offset;
+		if (y + height > containerHeight) y = point[1] - this._offset - height;
+		x = Math.max(0, Math.min(x, containerWidth - width));
+		y = Math.max(0, Math.min(y, containerHeight - height));
+		this._selection.attr("transform", "translate(" + x + "," + y + ")");
+		
+		return this;
+	}
+	
+	/**
+	 * Hides the tooltip.
+	 * @returns {Tooltip} This tooltip.
+	 */
+	hide() {
+		this._selection.style("display", "none");
+		return this;
+	}
+	
+	/**
+	 * Removes the tooltip from the chart.
+	 */
+	remove() {
+		for (let type in this._listeners) this._chart.selection().node().removeEventListener(type, this._listeners[type]);
+		this._selection.remove();
+	}
+	
+	_applyTheme() {
+		let theme = this._chart.theme();
+		this._selection.attr("font-family", theme.fontFamily);
+		this._background
+			.attr("fill", theme.background || "white")
+			.attr("stroke", theme.foreground);
+		this._text.attr("fill", theme.textColor);
+	}
+	
+	_showTarget(node, point) {
+		let mark = this._chart._findMark(node);
+		if (mark == null) return this.hide();
+		
+		//With the keyboard, the tooltip is placed above the center of the mark
+		if (point == null) {
+			let bounds = node.getBoundingClientRect();
+			point = d3.clientPoint(this._selection.node().parentNode, {clientX: bounds.left + bounds.width / 2, clientY: bounds.top});
+		}
+		return this.show(mark, point);
+	}
+}
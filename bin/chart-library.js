@@ -0,0 +1,75 @@
+#!/usr/bin/env node
+/**
+ * Command line interface of the library.
+ *
+ * chart-library render <spec.json> [data.json|data.csv] [-o out.svg] [--width n] [--height n] [--background color]
+ */
+const fs = require("fs");
+const path = require("path");
+
+const usage = "Usage: chart-library render <spec.json> [data.json|data.csv] [-o out.svg] [--width n] [--height n] [--background color]";
+
+/**
+ * Separates the files and the options of the arguments.
+ * @param {string[]} args - The arguments of the command.
+ * @returns {Object} The files and the options given.
+ */
+function parseArgs(args) {
+	let parsed = {files: [], options: {}};
+	let names = {"-o": "output", "--output": "output", "--width": "width", "--height": "height", "--background": "background"};
+	for (let i = 0; i < args.length; i++) {
+		if (names[args[i]]) {
+			if (i + 1 >= args.length) throw new Error("Missing value of " + args[i] + ".");
+			parsed.options[names[args[i]]] = args[++i];
+		} else if (args[i].startsWith("-")) {
+			throw new Error("Unknown option " + args[i] + ".");
+		} else {
+			parsed.files.push(args[i]);
+		}
+	}
+	return parsed;
+}
+
+/**
+ * Reads a data file. The contents of a JSON array or a CSV file are used as the data of the chart, while the fields of a JSON object are added to the specification.
+ * The rows of a CSV file, after its header, become arrays of values, or single values if there is only one column.
+ * @param {string} file - The path of the file.
+ * @param {Object} d3 - The d3 used to parse CSV files.
+ * @returns {Object} The fields added to the specification.
+ */
+function readData(file, d3) {
+	let text = fs.readFileSync(file, "utf8");
+	if (path.extname(file).toLowerCase() == ".csv") {
+		let rows = d3.csvParseRows(text).slice(1)
+			.map(row=>row.map(value=>((value.trim() != "") && !isNaN(value)) ? +value : value));
+		return {data: rows.every(row=>(row.length == 1)) ? rows.map(row=>row[0]) : rows};
+	}
+	let data = JSON.parse(text);
+	return Array.isArray(data) ? {data: data} : data;
+}
+
+function render(files, options) {
+	if (files.length < 1 || files.length > 2) throw new Error(usage);
+	const headless = require("../headless.js");
+	
+	let spec = JSON.parse(fs.readFileSync(files[0], "utf8"));
+	if (files[1]) spec = Object.assign(spec, readData(files[1], headless.d3));
+	
+	let svg = headless.render(spec, {
+		width: options.width && +options.width,
+		height: options.height && +options.height,
+		background: options.background
+	});
+	if (options.output) fs.writeFileSync(options.output, svg);
+	else process.stdout.write(svg + "\n");
+}
+
+try {
+	let command = process.argv[2];
+	let parsed = parseArgs(process.argv.slice(3));
+	if (command == "render") render(parsed.files, parsed.options);
+	else throw new Error(usage);
+} catch (e) {
+	process.stderr.write(e.message + "\n");
+	process.exitCode = 1;
+}
\ No newline at end of file
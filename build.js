@@ -0,0 +1,135 @@
+/**
+ * Builds the distributed versions of the library from the class files:
+ * - Chart-Library.js, with all the classes, for pages where d3 is global, and its minified version Chart-Library.min.js;
+ * - dist/esm and dist/cjs, with a module for each class and an index. Each module exports a function which receives the d3 instance, with d3-scale-chromatic and d3-geo, and returns the class.
+ * The parts of a class are helper classes kept in their own files, which are placed with the class, as they use it and it uses them.
+ * With --check, nothing is written, and the build fails when the files differ from the class files, so a stale Chart-Library.js is found before it is committed.
+ */
+const fs = require("fs");
+const path = require("path");
+const {minify} = require("terser");
+
+//The class files, in the order of Chart-Library.js. A class must come after the classes it uses.
+const classNames = ["ChartTheme", "ChartSpec", "ChartExport", "Chart", "Tooltip", "SelectionCoordinator", "ScaleLink", "Histogram", "Segments", "Map", "Scatterplot", "Pie", "StarGlyph", "Correlation", "LabelTable", "Dashboard"];
+
+//The parts of each class, which are placed after it
+const parts = {Chart: ["ChartAccessibility", "KeyboardNavigation", "ChartTitles", "ChartAxes", "AnnotationLayer", "Lasso"]};
+
+const sources = {};
+for (let name of classNames) {
+	sources[name] = [name].concat(parts[name] || []).map(file=>fs.readFileSync(path.join(__dirname, file + ".js"), "utf8")).join("\n\n");
+}
+
+/**
+ * Finds the classes used by a class, which are named in its code, so they are created before it, like the classes created, extended or kept by it.
+ * @param {string} name - The name of the class.
+ * @returns {string[]} The names of the classes used.
+ */
+function dependencies(name) {
+	//The names in comments and messages aren't uses
+	let code = sources[name].replace(/\/\*[\s\S]*?\*\/|\/\/.*$/gm, "").replace(/"(?:[^"\\\n]|\\.)*"/g, "\"\"");
+	let used = classNames.filter(other=>(other != name) && new RegExp("(?<![\\w$.])" + other + "(?![\\w$])").test(code));
+	for (let other of used) {
+		if (classNames.indexOf(other) > classNames.indexOf(name)) throw new Error(name + " uses " + other + ", which must come before it in the class list.");
+	}
+	return used;
+}
+
+/**
+ * Writes the factory of a class. The class is evaluated once for each d3 instance, with the classes it uses created from the same instance.
+ * @param {string} name - The name of the class.
+ * @param {boolean} esm - Whether an ES module is written instead of a CommonJS one.
+ * @returns {string} The code of the module.
+ */
+function factoryModule(name, esm) {
+	let used = dependencies(name);
+	let imports = used.map(other=>esm ? "import create" + other + " from \"./" + other + ".mjs\";" : "const create" + other + " = require(\"./" + other + ".js\");");
+	let body = sources[name].trim().replace(/\n(?=.)/g, "\n\t\t\t");
+	return "//Generated by build.js from " + name + ".js\n" +
+		imports.join("\n") + (imports.length > 0 ? "\n\n" : "") +
+		"const instances = new WeakMap();\n\n" +
+		"/**\n" +
+		" * Creates the " + name + " class for a d3 instance.\n" +
+		" * @param {Object} d3 - The d3 instance, with d3-scale-chromatic and d3-geo.\n" +
+		" * @returns {function} The " + name + " class.\n" +
+		" */\n" +
+		(esm ? "export default " : "module.exports = ") + "function create" + name + "(d3) {\n" +
+		"\tif (!d3) throw new Error(\"The d3 instance used by " + name + " must be given.\");\n" +
+		"\tif (!instances.has(d3)) {\n" +
+		used.map(other=>"\t\tconst " + other + " = create" + other + "(d3);\n").join("") +
+		"\t\tinstances.set(d3, (function() {\n" +
+		"\t\t\t" + body + "\n" +
+		"\t\t\treturn " + name + ";\n" +
+		"\t\t})());\n" +
+		"\t}\n" +
+		"\treturn instances.get(d3);\n" +
+		"}" + (esm ? "" : ";") + "\n";
+}
+
+/**
+ * Writes the index, which exports the factory of each class and createLibrary(), which creates all of them.
+ * @param {boolean} esm - Whether an ES module is written instead of a CommonJS one.
+ * @returns {string} The code of the module.
+ */
+function indexModule(esm) {
+	let imports = classNames.map(name=>esm ? "import create" + name + " from \"./" + name + ".mjs\";" : "const create" + name + " = require(\"./" + name + ".js\");");
+	let factories = classNames.map(name=>"create" + name);
+	return "//Generated by build.js\n" +
+		imports.join("\n") + "\n\n" +
+		"/**\n" +
+		" * Creates all the classes of the library for a d3 instance.\n" +
+		" * @param {Object} d3 - The d3 instance, with d3-scale-chromatic and d3-geo.\n" +
+		" * @returns {Object} The classes, by name.\n" +
+		" */\n" +
+		"function createLibrary(d3) {\n" +
+		"\treturn {\n" +
+		classNames.map(name=>"\t\t" + name + ": create" + name + "(d3)").join(",\n") + "\n" +
+		"\t};\n" +
+		"}\n\n" +
+		(esm ? "export {createLibrary, " + factories.join(", ") + "};\nexport default createLibrary;\n" :
+			"module.exports = {createLibrary, " + factories.join(", ") + "};\n");
+}
+
+const check = process.argv.includes("--check");
+const staleFiles = [];
+
+/**
+ * Writes a file of the build, or compares it with the file written before when checking.
+ * @param {string} file - The path of the file.
+ * @param {string} content - The content of the file.
+ */
+function output(file, content) {
+	if (!check) {
+		fs.mkdirSync(path.dirname(file), {recursive: true});
+		fs.writeFileSync(file, content);
+	} else if (!fs.existsSync(file) || (fs.readFileSync(file, "utf8") != content)) {
+		staleFiles.push(path.relative(__dirname, file));
+	}
+}
+
+/**
+ * Writes the files of the build, or checks them with --check.
+ */
+async function build() {
+	let library = classNames.map(name=>sources[name]).join("\n\n");
+	output(path.join(__dirname, "Chart-Library.js"), library);
+	output(path.join(__dirname, "Chart-Library.min.js"), (await minify(library, {compress: false, mangle: false})).code);
+	
+	for (let format of ["esm", "cjs"]) {
+		let esm = format == "esm";
+		let extension = esm ? ".mjs" : ".js";
+		let directory = path.join(__dirname, "dist", format);
+		for (let name of classNames) output(path.join(directory, name + extension), factoryModule(name, esm));
+		output(path.join(directory, "index" + extension), indexModule(esm));
+	}
+	
+	if (staleFiles.length > 0) {
+		console.error("Out of date, run node build.js: " + staleFiles.join(", "));
+		process.exit(1);
+	}
+}
+
+build().catch(e=>{
+	console.error(e.message);
+	process.exit(1);
+});
\ No newline at end of file
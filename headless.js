@@ -0,0 +1,60 @@
+/**
+ * Loads the library in Node, where the charts are plotted on documents created by jsdom.
+ * jsdom is an optional peer dependency, which is only loaded when a document is created.
+ * @module headless
+ */
+const {createLibrary} = require("./dist/cjs/index.js");
+
+const d3 = Object.assign({}, require("d3"), require("d3-scale-chromatic"));
+const classes = createLibrary(d3);
+
+/**
+ * Loads jsdom, which creates the documents of the charts.
+ * @returns {Object} The jsdom module.
+ */
+function loadJSDOM() {
+	try {
+		return require("jsdom");
+	} catch (e) {
+		if (e.code != "MODULE_NOT_FOUND") throw e;
+		throw new Error("The charts are plotted in Node on documents created by jsdom, which isn't installed. Install it with \"npm install jsdom\".");
+	}
+}
+
+/**
+ * Creates an SVG tag on a new document, where charts can be plotted.
+ * @param {number} width - The width of the SVG tag.
+ * @param {number} height - The height of the SVG tag.
+ * @returns {d3.selection} The SVG tag.
+ */
+function createContainer(width, height) {
+	let dom = new (loadJSDOM().JSDOM)("<!DOCTYPE html><body></body>");
+	return d3.select(dom.window.document.body)
+		.append("svg")
+		.attr("width", width)
+		.attr("height", height);
+}
+
+/**
+ * Creates a chart from a specification and serializes it as a standalone SVG document. The transitions of the specification are ignored.
+ * @param {Object} spec - The specification of the chart. See Chart.fromSpec().
+ * @param {Object} options - The options of the rendering.
+ * @param {number} options.width - The width of the container. Uses the position and dimensions of the specification by default.
+ * @param {number} options.height - The height of the container. Uses the position and dimensions of the specification by default.
+ * @param {string} options.background - A color painted behind the chart.
+ * @returns {string} The SVG document.
+ */
+function render(spec, options) {
+	options = options || {};
+	spec = Object.assign({}, spec);
+	delete spec.transition;
+	
+	let position = spec.position || {x: 0, y: 0};
+	let dimensions = spec.dimensions || {};
+	let container = createContainer(options.width || (position.x + dimensions.width) || 800, options.height || (position.y + dimensions.height) || 600);
+	
+	let chart = classes.Chart.fromSpec(container, spec);
+	return chart.toSVGString({background: options.background});
+}
+
+module.exports = Object.assign({d3: d3, createContainer: createContainer, render: render}, classes);
\ No newline at end of file
@@ -0,0 +1,130 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Histogram, Pie, Correlation, LabelTable, Tooltip} = require("./helpers.js");
+
+/**
+ * Creates a histogram with three columns.
+ * @param {d3.selection} container - The tag in which the histogram is inserted.
+ * @returns {Histogram} The histogram.
+ */
+function createHistogram(container) {
+	return new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3000]);
+}
+
+/**
+ * Returns the texts of the rows of a data table.
+ * @param {Element} table - The table.
+ * @returns {string[][]} The texts of the cells of each row.
+ */
+function rows(table) {
+	return Array.from(table.querySelectorAll("tr")).map(row=>Array.from(row.children).map(cell=>cell.textContent));
+}
+
+test("the chart and its marks have roles and labels", ()=>{
+	let histogram = createHistogram(createContainer());
+	let node = histogram.selection().node();
+	assert.strictEqual(node.getAttribute("role"), "graphics-document");
+	assert.strictEqual(node.getAttribute("aria-label"), "Histogram chart");
+	assert.strictEqual(node.firstChild.tagName, "title");
+	assert.strictEqual(node.getAttribute("aria-describedby"), "histogramDataTable");
+	
+	let column = histogram.colSelection().nodes()[2];
+	assert.strictEqual(column.getAttribute("role"), "graphics-symbol");
+	assert.strictEqual(column.getAttribute("aria-label"), "c: 3,000");
+	assert.strictEqual(column.querySelector("title").textContent, "c: 3,000");
+});
+
+test("the settings replace the labels and the description", ()=>{
+	let histogram = createHistogram(createContainer());
+	histogram.accessibility({label: "Sales per month", description: "Sales of 2018.", markLabel: "{label} had {value} sales"});
+	let node = histogram.selection().node();
+	assert.deepStrictEqual(Array.from(node.children).slice(0, 2).map(child=>child.textContent), ["Sales per month", "Sales of 2018."]);
+	assert.strictEqual(histogram.colSelection().nodes()[2].getAttribute("aria-label"), "c had 3,000 sales");
+	assert.strictEqual(node.ownerDocument.querySelector("#histogramDataTable caption").textContent, "Sales per month");
+	assert.strictEqual(histogram.accessibility().label, "Sales per month");
+	
+	//The title and description stay first when the chart is plotted again
+	histogram.theme("dark");
+	assert.deepStrictEqual(Array.from(node.children).slice(0, 3).map(child=>child.tagName), ["title", "desc", "rect"]);
+	
+	//With a tooltip, the marks keep their labels without the titles
+	histogram.tooltip(new Tooltip(histogram));
+	assert.strictEqual(histogram.colSelection().nodes()[2].querySelector("title"), null);
+	assert.strictEqual(histogram.colSelection().nodes()[2].getAttribute("aria-label"), "c had 3,000 sales");
+});
+
+test("a hidden table has the plotted data", ()=>{
+	let container = createContainer();
+	let histogram = createHistogram(container);
+	let table = container.node().ownerDocument.querySelector("#histogramDataTable");
+	assert.strictEqual(table.previousSibling, container.node());
+	assert.strictEqual(table.style.position, "absolute");
+	assert.deepStrictEqual(rows(table), [["label", "value"], ["a", "1"], ["b", "2"], ["c", "3,000"]]);
+	
+	histogram.setData([4, 5]);
+	assert.deepStrictEqual(rows(table).slice(1), [["a", "4"], ["b", "5"]]);
+	
+	histogram.accessibility({dataTable: false});
+	assert.strictEqual(container.node().ownerDocument.querySelectorAll("table").length, 0);
+});
+
+test("the rows of the data table are kept and updated once when the chart is plotted again", (t)=>{
+	let container = createContainer();
+	let histogram = createHistogram(container);
+	let table = container.node().ownerDocument.querySelector("#histogramDataTable");
+	let rowNodes = Array.from(table.querySelectorAll("tbody tr"));
+	let updateTable = t.mock.method(histogram._accessibility, "_updateTable");
+	
+	histogram.resize(600, 300);
+	assert.strictEqual(updateTable.mock.callCount(), 1);
+	assert.deepStrictEqual(Array.from(table.querySelectorAll("tbody tr")), rowNodes);
+	
+	histogram.setData([4, 5, 6]);
+	assert.deepStrictEqual(Array.from(table.querySelectorAll("tbody tr")), rowNodes);
+	assert.deepStrictEqual(rows(table).slice(1), [["a", "4"], ["b", "5"], ["c", "6"]]);
+});
+
+test("clear() empties the data table", ()=>{
+	let container = createContainer();
+	let histogram = createHistogram(container);
+	histogram.clear();
+	let table = container.node().ownerDocument.querySelector("#histogramDataTable");
+	assert.strictEqual(table.querySelectorAll("tbody tr").length, 0);
+	assert.strictEqual(histogram.colSelection(), null);
+});
+
+test("charts without an id get unique ids for their description and data table", ()=>{
+	let container = createContainer();
+	let pies = [0, 1].map(()=>new Pie(container, null, null, 10, {width: 200, height: 200}).accessibility({description: "Votes."}).setData([1, 2]));
+	let references = pies.map(pie=>pie.selection().attr("aria-describedby").split(" "));
+	assert.notDeepStrictEqual(references[0], references[1]);
+	for (let ids of references) {
+		assert.strictEqual(ids.length, 2);
+		for (let id of ids) assert.strictEqual(container.node().ownerDocument.querySelectorAll("[id=\"" + id + "\"]").length, 1);
+	}
+});
+
+test("the exported SVG has no references to the data table", ()=>{
+	let histogram = createHistogram(createContainer());
+	assert.doesNotMatch(histogram.toSVGString(), /aria-describedby/);
+	
+	histogram.accessibility({description: "Sales of 2018."});
+	assert.match(histogram.toSVGString(), /aria-describedby="histogramDescription"/);
+});
+
+test("the marks plotted again keep their labels", ()=>{
+	let container = createContainer();
+	let correlation = new Correlation(container, "correlation", null, 10).setData([[1, 2, 3], [2, 4, 7], [3, 1, 2]]).setLabels(["A", "B", "C"]);
+	correlation.setData([[1, 2, 3], [2, 4, 7], [3, 1, 2]]);
+	assert.strictEqual(correlation.cellSelection().nodes()[5].getAttribute("aria-label"), "B, C: 0.99");
+	assert.strictEqual(correlation.ellipseSelection().nodes()[5].getAttribute("aria-label"), "B, C: 0.99");
+	assert.strictEqual(container.node().ownerDocument.querySelector("#correlationDataTable tbody").children.length, 9);
+});
+
+test("the label table is labelled as a legend", ()=>{
+	let histogram = createHistogram(createContainer());
+	histogram.labelTable(new LabelTable(histogram, "table", {x: 10, y: 0}, 0, {width: 100, height: 50}).setValues(["red", "blue"], ["a", "b"]));
+	assert.strictEqual(histogram.labelTable().selection().attr("aria-label"), "Legend");
+});
@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, attributes, d3, Chart, Histogram, Scatterplot, Map, Pie} = require("./helpers.js");
+
+const annotations = [
+	{type: "line", y: 5, label: "Target"},
+	{type: "band", x: [2, 4], label: "Q2"},
+	{type: "callout", x: 8, y: 8, label: "Peak"},
+	{type: "note", x: 1, y: 9, label: "Start"}
+];
+
+/**
+ * Creates a scatterplot of 300 by 200 pixels, with the annotations of each type.
+ * @param {d3.selection} container - The tag in which the scatterplot is inserted.
+ * @returns {Scatterplot} The scatterplot.
+ */
+function createScatterplot(container) {
+	return new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.setData([[0, 0], [10, 10]])
+		.setAnnotations(annotations);
+}
+
+test("the annotations are placed by the scales of the chart", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let select = name=>scatterplot.selection().selectAll(name);
+	assert.strictEqual(select(".annotation").size(), 4);
+	assert.strictEqual(select(".lineAnnotation .annotationShape").attr("d"), "M0,70L240,70");
+	assert.strictEqual(select(".bandAnnotation .annotationShape").attr("d"), "M48,0L48,140L96,140L96,0Z");
+	assert.deepStrictEqual(["x1", "y1", "x2", "y2"].map(name=>select(".calloutAnnotation .annotationLeader").attr(name)), ["192", "28", "222", "-2"]);
+	assert.strictEqual(select(".noteAnnotation text").attr("x"), "24");
+	assert.strictEqual(select(".noteAnnotation text").attr("text-anchor"), "middle");
+	assert.deepStrictEqual(select(".annotationLabel").nodes().map(node=>node.textContent), ["Target", "Q2", "Peak", "Start"]);
+});
+
+test("the annotations follow the data and the dimensions, above the marks", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let line = ()=>scatterplot.selection().select(".lineAnnotation .annotationShape").attr("d");
+	scatterplot.setData([[0, 0], [20, 20]]);
+	assert.strictEqual(line(), "M0,105L240,105");
+	assert.strictEqual(scatterplot.selection().node().lastChild.getAttribute("class"), "annotations");
+	scatterplot.resize(400, 300);
+	assert.strictEqual(line(), "M0,180L340,180");
+	
+	scatterplot.clear();
+	assert.strictEqual(scatterplot.selection().selectAll(".annotations").size(), 0);
+});
+
+test("the annotations of a Histogram are placed at its labels", ()=>{
+	let histogram = new Histogram(createContainer(), "histogram", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 60, 120, 180, 240]))
+		.setData([1, 2, 3])
+		.setAnnotations([{type: "line", x: "b"}, {type: "line", x: 2}, {type: "callout", x: "a", y: 1, dx: -10, dy: 20, label: "Low"}]);
+	assert.deepStrictEqual(attributes(histogram.selection().selectAll(".lineAnnotation .annotationShape"), "d"), ["M120,0L120,140", "M180,0L180,140"]);
+	assert.strictEqual(histogram.selection().select(".annotationLabel").attr("text-anchor"), "end");
+	
+	//The labels annotated aren't added to the scale
+	assert.deepStrictEqual(histogram.xAxisScale().domain(), ["", "a", "b", "c"]);
+});
+
+test("the annotations of a Map are placed by its projection", ()=>{
+	let map = new Map(createContainer(), "map", {x: 0, y: 0}, 10, {width: 200, height: 200})
+		.setMap({type: "FeatureCollection", features: [{type: "Feature", properties: {name: "Square"}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]]}}]})
+		.setAnnotations([{type: "line", x: 5}, {type: "band", y: [2, 4]}, {type: "note", x: 5, y: 5, label: "Center"}]);
+	assert.ok(map.selection().select(".lineAnnotation .annotationShape").attr("d").startsWith("M90,"));
+	assert.strictEqual(map.selection().select(".noteAnnotation text").attr("x"), "90");
+});
+
+test("the charts without axes don't support annotations", ()=>{
+	assert.throws(()=>new Pie(createContainer(), "pie").setAnnotations([]), /The chart doesn't support annotations\./);
+});
+
+test("the annotations are exported and set by the specifications", ()=>{
+	let container = createContainer();
+	let spec = createScatterplot(container).toSpec();
+	assert.deepStrictEqual(spec.annotations, annotations);
+	assert.strictEqual(Chart.fromSpec(container, Object.assign(spec, {id: "copy"})).selection().selectAll(".annotation").size(), 4);
+	assert.deepStrictEqual(Chart.validateSpec({type: "scatterplot", id: "scatterplot", annotations: [{type: "arrow"}]}, container), ['Invalid spec field "annotations": expected an array of annotations with a type among line, band, callout, note.']);
+});
@@ -0,0 +1,87 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, attributes, d3, Chart, Histogram, Scatterplot, Segments, Pie} = require("./helpers.js");
+
+/**
+ * Returns the display styles of the tags of an axis.
+ * @param {Chart} chart - The chart.
+ * @param {string} name - The class of the axis, like "xAxis".
+ * @returns {string[]} The display styles.
+ */
+function displays(chart, name) {
+	return chart.selection().selectAll("." + name).nodes().map(node=>node.style.display);
+}
+
+test("the axes are configured by their orientation, ticks, format and rotation", ()=>{
+	let scatterplot = new Scatterplot(createContainer(), "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[1, 2], [3, 4.3]]);
+	assert.strictEqual(scatterplot.selection().selectAll(".xAxis, .yAxis").size(), 4);
+	assert.strictEqual(scatterplot.axis("x").orientation, "both");
+	
+	scatterplot.axis("x", {orientation: "bottom", ticks: 4, format: ".1f", labelRotation: -45, padding: 0.1}).axis("y", {nice: true, orientation: "left"});
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [0.8, 3.2]);
+	assert.deepStrictEqual(scatterplot.yScale().domain(), [2, 4.4]);
+	assert.deepStrictEqual(displays(scatterplot, "xAxis"), ["", "none"]);
+	let label = scatterplot.selection().select(".xAxis .tick text");
+	assert.strictEqual(label.text(), "1.0");
+	assert.strictEqual(label.attr("transform"), "rotate(-45,0,9)");
+	assert.strictEqual(label.attr("text-anchor"), "end");
+	
+	//The configuration is kept when the data changes
+	scatterplot.setData([[0, 0], [10, 10]]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [-1, 11]);
+	assert.strictEqual(scatterplot.dotSelection().attr("cx"), "20");
+	
+	scatterplot.axis("y", {visible: false});
+	assert.deepStrictEqual(displays(scatterplot, "yAxis"), ["none", "none"]);
+});
+
+test("the ticks can be given by their values and formatted by a function", ()=>{
+	let histogram = new Histogram(createContainer(), "histogram", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 60, 120, 180, 240]))
+		.setData([1, 2, 3]);
+	histogram.axis("x", {orientation: "top", tickSize: 0});
+	assert.deepStrictEqual(attributes(histogram.selection().selectAll(".xAxis"), "transform"), ["translate(0,140)", null]);
+	assert.deepStrictEqual(displays(histogram, "xAxis"), ["none", ""]);
+	
+	histogram.axis("y", {ticks: [0, 1.5, 3], format: d=>d + "u"});
+	assert.deepStrictEqual(histogram.selection().selectAll(".yAxis .tick text").nodes().map(node=>node.textContent), ["0u", "1.5u", "3u"]);
+});
+
+test("the padding and the fixed domain of an axis are kept", ()=>{
+	let segments = new Segments(createContainer(), "segments", {x: 0, y: 0}, 10, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["m", "n", "o"]).range([0, 100, 200]));
+	segments.axis("y", {padding: 0.5}).setDots([[1, 2, 3]]);
+	assert.deepStrictEqual(segments.yScale().domain(), [0, 4]);
+	
+	let scatterplot = new Scatterplot(createContainer(), "scatterplot", null, 30).axis("x", {domain: [0, 100]}).setData([[1, 2], [3, 4]]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [0, 100]);
+	scatterplot.setData([[200, 2]]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [0, 100]);
+});
+
+test("the invalid configurations throw errors", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30);
+	assert.throws(()=>histogram.axis("x", {orientation: "left"}), /Invalid orientation of the x axis: expected bottom, top or both\./);
+	assert.throws(()=>new Pie(container, "pie").axis("x", {}), /The chart has no x axis\./);
+	assert.deepStrictEqual(Chart.validateSpec({type: "scatterplot", id: "scatterplot", axes: {x: {orientation: "left", format: "%%x", nice: 1}, z: {}}}, container), [
+		'Invalid spec field "axes": expected an object with the configurations of the x and y axes.',
+		'Invalid spec field "axes.x.orientation": expected bottom, top or both.',
+		'Invalid spec field "axes.x.format": expected a d3 format.',
+		'Invalid spec field "axes.x.nice": expected a boolean.'
+	]);
+});
+
+test("the configurations of the axes are exported and set by the specifications", ()=>{
+	let container = createContainer();
+	let scatterplot = new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.axis("x", {orientation: "bottom", ticks: 4, format: ".1f"})
+		.axis("y", {visible: false, nice: true})
+		.setData([[0, 0], [10, 10]]);
+	let spec = scatterplot.toSpec();
+	assert.deepStrictEqual(spec.axes, {x: {orientation: "bottom", ticks: 4, format: ".1f"}, y: {visible: false, nice: true}});
+	
+	let copy = Chart.fromSpec(container, Object.assign(spec, {id: "copy"}));
+	assert.deepStrictEqual(copy.xScale().domain(), scatterplot.xScale().domain());
+	assert.deepStrictEqual(copy.axis("y"), scatterplot.axis("y"));
+});
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, dispatch, attributes, Scatterplot} = require("./helpers.js");
+
+/**
+ * Creates a scatterplot of 300 by 200 pixels, with four dots.
+ * @param {d3.selection} container - The tag in which the scatterplot is inserted.
+ * @returns {Scatterplot} The scatterplot.
+ */
+function createScatterplot(container) {
+	return new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[0, 0], [5, 5], [10, 10], [2, 8]]);
+}
+
+test("the brush selects the marks inside its extent", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let events = [];
+	scatterplot.on("select", event=>events.push(event));
+	scatterplot.brush(true);
+	assert.deepStrictEqual(scatterplot.brush(), {axis: "xy"});
+	
+	//The brush is under the marks, so they keep their events
+	let brush = scatterplot.selection().select(".brush").node();
+	assert.strictEqual(brush.nextSibling, scatterplot.dotSelection().node());
+	
+	scatterplot.setBrush([[1, 1], [6, 9]]);
+	let event = events.pop();
+	assert.deepStrictEqual(event.indices, [1, 3]);
+	assert.deepStrictEqual(event.data, [[5, 5], [2, 8]]);
+	assert.deepStrictEqual(event.extent, [[1, 1], [6, 9]]);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), ["0.25", null, "0.25", null]);
+	assert.deepStrictEqual(scatterplot.dotSelection().nodes().map(node=>node.classList.contains("selected")), [false, true, false, true]);
+	assert.deepStrictEqual(["x", "width"].map(name=>scatterplot.selection().select(".brush .selection").attr(name)), ["24", "120"]);
+	
+	scatterplot.clearBrush();
+	event = events.pop();
+	assert.deepStrictEqual([event.indices, event.extent], [[], null]);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, null, null]);
+});
+
+test("the extent of the brush follows the zoom and the data", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let events = [];
+	scatterplot.on("select", event=>events.push(event));
+	scatterplot.brush(true).setBrush([[1, 1], [6, 9]]);
+	events = [];
+	
+	//The zoom moves the brush without selecting again
+	scatterplot.zoom(true).zoomTo([0, 5], [0, 10]);
+	assert.strictEqual(scatterplot.selection().select(".brush .selection").attr("width"), "240");
+	assert.strictEqual(events.length, 0);
+	scatterplot.resetZoom();
+	
+	scatterplot.brush({axis: "x"}).setBrush([4, 11]);
+	assert.deepStrictEqual(events.pop().indices, [1, 2]);
+	scatterplot.setData([[0, 0], [5, 5], [10, 10], [12, 1]]);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), ["0.25", null, null, "0.25"]);
+});
+
+test("dragging the mouse brushes the marks", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let events = [];
+	scatterplot.on("select", event=>events.push(event));
+	scatterplot.brush({axis: "y"});
+	let overlay = scatterplot.selection().select(".brush .overlay").node();
+	dispatch(overlay, "mousedown", {clientX: 50, clientY: 10, button: 0});
+	dispatch(overlay, "mousemove", {clientX: 50, clientY: 60});
+	dispatch(overlay, "mouseup", {clientX: 50, clientY: 60});
+	let event = events.pop();
+	assert.deepStrictEqual(event.extent.map(value=>+value.toFixed(2)), [5.71, 9.29]);
+	assert.deepStrictEqual(event.indices, [3]);
+});
+
+test("disabling the brush removes it and its selection", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	scatterplot.brush(true).setBrush([[1, 1], [6, 9]]);
+	scatterplot.brush(false);
+	assert.strictEqual(scatterplot.brush(), null);
+	assert.strictEqual(scatterplot.selection().selectAll(".brush").size(), 0);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, null, null]);
+});
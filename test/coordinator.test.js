@@ -0,0 +1,103 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, dispatch, Histogram, Scatterplot, Map, SelectionCoordinator} = require("./helpers.js");
+
+const records = [{id: "a", x: 1, y: 2, value: 5}, {id: "b", x: 4, y: 1, value: 3}, {id: "c", x: 8, y: 9, value: 7}];
+
+/**
+ * Returns the opacities of the nodes of a selection, 1 when they have none.
+ * @param {d3.selection} selection - The selection.
+ * @returns {string[]} The opacities.
+ */
+function opacities(selection) {
+	return selection.nodes().map(node=>node.getAttribute("opacity") || "1");
+}
+
+/**
+ * Creates a scatterplot, a histogram and a map of the records, linked by a coordinator.
+ * @returns {Object} The charts, at the scatterplot, histogram and map fields, and the coordinator.
+ */
+function createCharts() {
+	let container = createContainer(600, 400);
+	let scatterplot = new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData(records.map(d=>[d.x, d.y]));
+	let histogram = new Histogram(container, "histogram", {x: 0, y: 200}, 30, {width: 300, height: 200}).setData(records.map(d=>d.value));
+	let map = new Map(container, "map", {x: 300, y: 0}, 10, {width: 300, height: 200})
+		.setMap({type: "FeatureCollection", features: [{type: "Feature", properties: {name: "Region"}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]]}}]})
+		.setDots(records.map(d=>[d.x, d.y]));
+	let coordinator = new SelectionCoordinator((d, i)=>records[i].id)
+		.add(scatterplot)
+		.add(histogram)
+		.add(map, (d, i)=>(d.properties ? "region" : records[i].id));
+	return {scatterplot: scatterplot, histogram: histogram, map: map, coordinator: coordinator};
+}
+
+test("the selected keys highlight the marks of every chart", ()=>{
+	let {scatterplot, histogram, map, coordinator} = createCharts();
+	let events = [];
+	coordinator.on("select", event=>events.push(event));
+	assert.strictEqual(coordinator.charts().length, 3);
+	
+	coordinator.select(["a", "c"]);
+	assert.deepStrictEqual(events.pop().keys, ["a", "c"]);
+	assert.deepStrictEqual(coordinator.selected(), ["a", "c"]);
+	assert.deepStrictEqual(opacities(scatterplot.dotSelection()), ["1", "0.25", "1"]);
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["1", "0.25", "1"]);
+	assert.deepStrictEqual(opacities(map.dotSelection()), ["1", "0.25", "1"]);
+	assert.deepStrictEqual(opacities(map.pathSelection()), ["0.25"]);
+	
+	//The marks plotted again keep the highlight
+	histogram.setData([1, 2, 3]);
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["1", "0.25", "1"]);
+});
+
+test("hovering a mark highlights the marks with its key", ()=>{
+	let {scatterplot, histogram, map, coordinator} = createCharts();
+	let events = [];
+	coordinator.on("hover", event=>events.push(event.keys));
+	coordinator.select(["a", "c"]);
+	
+	dispatch(scatterplot.dotSelection().nodes()[1], "mouseover");
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["0.25", "1", "0.25"]);
+	assert.deepStrictEqual(opacities(map.dotSelection()), ["0.25", "1", "0.25"]);
+	dispatch(scatterplot.dotSelection().nodes()[1], "mouseout");
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["1", "0.25", "1"]);
+	assert.deepStrictEqual(events, [["b"], null]);
+});
+
+test("focusing a mark with the keyboard highlights the marks with its key", ()=>{
+	let {scatterplot, histogram, map} = createCharts();
+	
+	//The focus triggers the mouse events of the mark, which reach the coordinator through the chart
+	scatterplot.dotSelection().nodes()[1].focus();
+	assert.deepStrictEqual(histogram.colSelection().nodes().map(node=>node.getAttribute("opacity")), ["0.25", null, "0.25"]);
+	assert.deepStrictEqual(map.dotSelection().nodes().map(node=>node.getAttribute("opacity")), ["0.25", null, "0.25"]);
+	scatterplot.dotSelection().nodes()[1].blur();
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["1", "1", "1"]);
+});
+
+test("the brush of a chart selects the keys of its marks", ()=>{
+	let {scatterplot, histogram, map, coordinator} = createCharts();
+	let events = [];
+	coordinator.on("select", event=>events.push(event));
+	scatterplot.brush(true).setBrush([[3, 0], [9, 10]]);
+	let event = events.pop();
+	assert.deepStrictEqual(event.keys, ["b", "c"]);
+	assert.strictEqual(event.chart, scatterplot);
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["0.25", "1", "1"]);
+	
+	scatterplot.clearBrush();
+	assert.strictEqual(coordinator.selected(), null);
+	assert.deepStrictEqual(opacities(map.dotSelection()), ["1", "1", "1"]);
+});
+
+test("a removed chart loses the highlight", ()=>{
+	let {scatterplot, histogram, coordinator} = createCharts();
+	coordinator.select(["b"]);
+	coordinator.remove(histogram);
+	assert.deepStrictEqual(opacities(histogram.colSelection()), ["1", "1", "1"]);
+	assert.strictEqual(coordinator.charts().length, 2);
+	
+	//A chart is added once
+	coordinator.add(scatterplot);
+	assert.strictEqual(coordinator.charts().length, 2);
+});
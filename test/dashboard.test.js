@@ -0,0 +1,68 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, Dashboard, Scatterplot} = require("./helpers.js");
+
+/**
+ * Returns the bounds of a chart, with its margins.
+ * @param {Chart} chart - The chart.
+ * @returns {number[]} The X and Y coordinates, width and height of the chart, rounded to two decimals.
+ */
+function bounds(chart) {
+	let margins = chart.margins();
+	return chart.position().concat([chart.width() + margins.left + margins.right, chart.height() + margins.top + margins.bottom])
+		.map(value=>+value.toFixed(2));
+}
+
+test("the charts are placed in the cells of the grid", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 610, height: 410}, {columns: [2, 1], gutter: 10});
+	let histogram = dashboard.add("histogram", {columnSpan: 2, margins: 20});
+	let scatterplot = dashboard.add(Scatterplot);
+	let pie = dashboard.add("pie");
+	assert.deepStrictEqual(dashboard.charts().map(chart=>chart.id()), ["dashboard-0", "dashboard-1", "dashboard-2"]);
+	
+	//The columns share the width left by the gutter by their weights, and the rows grow to the cells taken
+	assert.deepStrictEqual(bounds(histogram), [0, 0, 610, 200]);
+	assert.deepStrictEqual([histogram.width(), histogram.height()], [570, 160]);
+	assert.deepStrictEqual(bounds(scatterplot), [0, 210, 400, 200]);
+	assert.deepStrictEqual(bounds(pie), [410, 210, 200, 200]);
+	
+	dashboard.resize(910, 610);
+	assert.deepStrictEqual(bounds(histogram), [0, 0, 910, 300]);
+	assert.deepStrictEqual(bounds(pie), [610, 310, 300, 300]);
+});
+
+test("a label table takes a side of its cell", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 400, height: 200}, {gutter: 10});
+	let pie = dashboard.add("pie", {labelTable: {side: "right", size: 80}});
+	pie.labelTable().setValues(["red", "blue"], ["a", "b"]);
+	assert.deepStrictEqual(bounds(pie), [0, 0, 320, 200]);
+	
+	//The position of the label table is relative to the center of the pie
+	assert.deepStrictEqual(bounds(pie.labelTable()), [160, -100, 80, 200]);
+	
+	assert.throws(()=>dashboard.add("pie", {labelTable: {side: "middle"}}), /Invalid label table side: expected left, right, top or bottom\./);
+});
+
+test("a nested dashboard divides its cell", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 610, height: 410}, {columns: 2, gutter: 10});
+	let histogram = dashboard.add("histogram", {columnSpan: 2});
+	let group = dashboard.group({columnSpan: 2}, {columns: 2, gutter: 4});
+	let star = group.add({type: "starGlyph", labels: ["a", "b", "c"], scaleDomains: [[0, 5], [0, 5], [0, 5]], data: [1, 2, 3]});
+	let pie = group.add("pie");
+	assert.deepStrictEqual(dashboard.charts().map(chart=>chart.id()), ["dashboard-0", "dashboard-1-0", "dashboard-1-1"]);
+	assert.deepStrictEqual(bounds(histogram), [0, 0, 610, 200]);
+	assert.deepStrictEqual(bounds(star), [0, 210, 303, 200]);
+	assert.deepStrictEqual(bounds(pie), [307, 210, 303, 200]);
+	assert.strictEqual(star.polygonSelection().size(), 1);
+});
+
+test("the cells must fit in the grid", ()=>{
+	let container = createContainer();
+	let dashboard = new Dashboard(container, "dashboard", null, null, {columns: 2, rows: 1});
+	assert.deepStrictEqual([dashboard.width(), dashboard.height()], [600, 400]);
+	assert.throws(()=>dashboard.add("pie", {column: 1, columnSpan: 2}), /The cell doesn't fit in the columns of the dashboard\./);
+	assert.throws(()=>dashboard.add("chord"), /Unknown type of chart: chord\./);
+	dashboard.add("pie");
+	dashboard.add("pie");
+	assert.throws(()=>dashboard.add("pie"), /The cell doesn't fit in the rows of the dashboard\./);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, attributes, d3, Histogram, Pie, Correlation, Segments, Map, Scatterplot, StarGlyph} = require("./helpers.js");
+
+test("the description summarizes the data of each type of chart", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2.5, 3000.456]);
+	assert.strictEqual(histogram.describe(), "Histogram chart. It has 3 columns. The highest is c, with 3,000.46, and the lowest is a, with 1.");
+	
+	let pie = new Pie(container, "pie", null, 10).setData([1, 3]).setSliceLabels(["x", "y"]);
+	assert.strictEqual(pie.describe(), "Pie chart. It has 2 slices, with a total of 4. The largest is y, with 3, or 75% of the total.");
+	
+	let correlation = new Correlation(container, "correlation", null, 10).setData([[1, 2, 3], [2, 4, 1], [3, 1, 2]]).setLabels(["A", "B", "C"]);
+	assert.strictEqual(correlation.describe(), "Correlation chart. There are no positive correlations. The strongest negative correlation is between B and C, with -0.65.");
+	
+	let star = new StarGlyph(container, "star", null, 10).setScaleDomains([[0, 10], [0, 10], [0, 10]]).setData([1, 2, 3]).setCornerLabels(["u", "v", "w"]);
+	assert.strictEqual(star.describe(), "Star glyph chart. It has 3 values. The highest is w, with 3, and the lowest is u, with 1.");
+	
+	let map = new Map(container, "map", null, 10)
+		.setMap({type: "FeatureCollection", features: [
+			{type: "Feature", properties: {name: "Square", population: 12345}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]]}},
+			{type: "Feature", properties: {name: "Triangle", population: 5}, geometry: {type: "Polygon", coordinates: [[[20, 0], [20, 10], [30, 10], [20, 0]]]}}
+		]})
+		.setDots([[5, 5]]);
+	assert.strictEqual(map.describe(), "Map chart. It has 2 regions, all with 1. It has 1 dot.");
+	map.fillValue(d=>d.properties.population);
+	assert.strictEqual(map.describe(), "Map chart. It has 2 regions. The highest is Square, with 12,345, and the lowest is Triangle, with 5. It has 1 dot.");
+});
+
+test("the description of a Segments chart describes each series", ()=>{
+	let segments = new Segments(createContainer(), "segments", null, 10)
+		.xAxisScale(d3.scaleOrdinal().domain(["m", "n", "o"]).range([0, 100, 200]))
+		.setDots([[1, 2, 3], [6, 5, 4], [2, 2, 2]])
+		.setRanges([[[0, 1], [1, 2], [2, 5]]]);
+	assert.strictEqual(segments.describe(), "Segments chart. Series 1 rises from 1 at m to 3 at o, ranging from 1 to 3. Series 2 falls from 6 at m to 4 at o, ranging from 4 to 6. Series 3 starts and ends at 2, ranging from 2 to 2. Range 1 goes from 0 to 5.");
+});
+
+test("the series without labels are described by their indexes and original numbers", ()=>{
+	let segments = new Segments(createContainer(), "segments", null, 30).setSegments([[], [1, 2, 3], [5, 4]]);
+	assert.strictEqual(segments.describe(), "Segments chart. Series 2 rises from 1 at 0 to 3 at 2, ranging from 1 to 3. Series 3 falls from 5 at 0 to 4 at 1, ranging from 4 to 5.");
+	
+	//The labels of the marks also fall back to the indexes
+	segments.setDots([[], [1, 2, 3]]);
+	assert.deepStrictEqual(attributes(segments.dotSelection(), "aria-label"), ["Series 2, 0: 1", "Series 2, 1: 2", "Series 2, 2: 3"]);
+});
+
+test("the numbers are formatted by the locale or the format given", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2.5, 3000.456]);
+	assert.strictEqual(histogram.describe({locale: "de-DE"}), "Histogram chart. It has 3 columns. The highest is c, with 3.000,46, and the lowest is a, with 1.");
+	
+	let scatterplot = new Scatterplot(container, "scatterplot", null, 10).setData([[1, 2], [3, 4]]).accessibility({label: "Heights"});
+	assert.strictEqual(scatterplot.describe({format: d3.format(".1f")}), "Heights. It has 2 dots, with x from 1.0 to 3.0 and y from 2.0 to 4.0.");
+});
@@ -0,0 +1,49 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, Dashboard, Scatterplot, StarGlyph} = require("./helpers.js");
+
+const records = [
+	{year: 2020, quarter: "Q1", value: 5}, {year: 2020, quarter: "Q2", value: 8},
+	{year: 2021, quarter: "Q1", value: 12}, {year: 2021, quarter: "Q2", value: 3},
+	{year: 2022, quarter: "Q1", value: 1}, {year: 2022, quarter: "Q2", value: 2}
+];
+
+test("a chart is plotted for each group of the data, in the cells of the dashboard", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 610, height: 410}, {columns: 2, gutter: 10});
+	let histograms = dashboard.facet({type: "histogram", labels: ["Q1", "Q2"]}, records, d=>d.year, {value: group=>group.map(d=>d.value), cell: {margins: 30}});
+	assert.deepStrictEqual(histograms.map(histogram=>histogram.title()), ["2020", "2021", "2022"]);
+	assert.deepStrictEqual(histograms.map(histogram=>histogram.position()), [[0, 0], [310, 0], [0, 210]]);
+	assert.deepStrictEqual(histograms.map(histogram=>histogram.colSelection().data()), [[5, 8], [12, 3], [1, 2]]);
+	assert.deepStrictEqual(dashboard.charts(), histograms);
+});
+
+test("the charts of the groups share the domains of their scales", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 600, height: 400}, {columns: 2});
+	let histograms = dashboard.facet({type: "histogram", labels: ["Q1", "Q2"]}, records, d=>d.year, {value: group=>group.map(d=>d.value)});
+	assert.deepStrictEqual(histograms.map(histogram=>histogram.yScale().domain()), [[0, 12], [0, 12], [0, 12]]);
+	
+	//The shared domains aren't exported as fixed domains
+	assert.strictEqual(histograms[0].toSpec().axes, undefined);
+	
+	let scatterplots = dashboard.group({}, {columns: 2}).facet(Scatterplot, [[0, 0, "a"], [5, 9, "a"], [2, 1, "b"], [30, 3, "b"]], d=>d[2]);
+	let domains = scatterplots.map(scatterplot=>[scatterplot.xScale().domain().map(Math.round), scatterplot.yScale().domain()]);
+	assert.deepStrictEqual(domains, [[[0, 30], [0, 9]], [[0, 30], [0, 9]]]);
+	scatterplots[0].resize(200, 100);
+	assert.deepStrictEqual(scatterplots[0].xScale().domain().map(Math.round), [0, 30]);
+});
+
+test("the charts can be plotted without titles and with their own scales", ()=>{
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 600, height: 200}, {columns: 3});
+	let glyphs = dashboard.facet("starGlyph", [[1, 2, 3], [4, 1, 1], [2, 2, 9]], (d, i)=>"glyph" + i, {value: group=>group[0], label: false});
+	assert.deepStrictEqual(glyphs.map(glyph=>glyph.title()), [null, null, null]);
+	
+	//The corners take the union of the domains of the glyphs
+	let margins = glyphs[0].margins();
+	let dimensions = {width: glyphs[0].width() + margins.left + margins.right, height: glyphs[0].height() + margins.top + margins.bottom};
+	let alone = new StarGlyph(createContainer(), "alone", null, margins, dimensions).setScaleDomains([[0, 4], [0, 2], [0, 9]]).setData([1, 2, 3]);
+	assert.strictEqual(glyphs[0].polygonSelection().attr("d"), alone.polygonSelection().attr("d"));
+	
+	let scatterplots = new Dashboard(createContainer(), "separate", null, null, {columns: 2})
+		.facet(Scatterplot, [[0, 0, "a"], [5, 9, "a"], [2, 1, "b"], [30, 3, "b"]], d=>d[2], {shareScales: false, plot: (chart, data)=>chart.setData(data.map(d=>d.slice(0, 2)))});
+	assert.notDeepStrictEqual(scatterplots[0].xScale().domain(), scatterplots[1].xScale().domain());
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Chart, Histogram, Scatterplot} = require("./helpers.js");
+
+/**
+ * Creates a scatterplot of 300 by 200 pixels, with gridlines on both axes.
+ * @param {d3.selection} container - The tag in which the scatterplot is inserted.
+ * @returns {Scatterplot} The scatterplot.
+ */
+function createScatterplot(container) {
+	return new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.setData([[0, 0], [10, 5]])
+		.axis("x", {grid: true, ticks: 5})
+		.axis("y", {grid: true, minorGrid: 1});
+}
+
+test("the gridlines are drawn at the ticks, behind the marks", ()=>{
+	let scatterplot = new Scatterplot(createContainer(), "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[0, 0], [10, 5]]);
+	assert.strictEqual(scatterplot.selection().selectAll(".grid").size(), 0);
+	
+	scatterplot.axis("x", {grid: true, ticks: 5}).axis("y", {grid: true, minorGrid: 1});
+	assert.strictEqual(scatterplot.selection().selectAll(".xGrid .gridLine").size(), 6);
+	assert.strictEqual(scatterplot.selection().selectAll(".yGrid .gridLine").size(), 11);
+	assert.strictEqual(scatterplot.selection().selectAll(".yGrid .minorGridLine").size(), 10);
+	let line = scatterplot.selection().selectAll(".xGrid .gridLine").nodes()[1];
+	assert.deepStrictEqual([line.getAttribute("x1"), line.getAttribute("y2")], ["48", "140"]);
+	
+	let grid = scatterplot.selection().select(".grid").node();
+	assert.ok(grid.compareDocumentPosition(scatterplot.dotSelection().node()) & grid.DOCUMENT_POSITION_FOLLOWING);
+});
+
+test("the gridlines follow the data, the dimensions and the theme", ()=>{
+	let scatterplot = createScatterplot(createContainer()).theme("dark");
+	let lines = ()=>scatterplot.selection().selectAll(".gridLine");
+	assert.strictEqual(lines().attr("stroke"), Chart.themes.dark.gridColor);
+	assert.strictEqual(lines().attr("stroke-width"), "1");
+	
+	scatterplot.setData([[0, 0], [20, 5]]);
+	assert.deepStrictEqual(scatterplot.selection().selectAll(".xGrid .gridLine").nodes().map(node=>node.getAttribute("x1")), ["0", "60", "120", "180", "240"]);
+	scatterplot.resize(400, 300);
+	assert.strictEqual(scatterplot.selection().select(".xGrid .gridLine").attr("y2"), "240");
+	scatterplot.theme("print");
+	assert.strictEqual(lines().attr("stroke"), Chart.themes.print.gridColor);
+	assert.strictEqual(lines().attr("stroke-width"), "0.5");
+	
+	scatterplot.axis("y", {grid: false});
+	assert.strictEqual(scatterplot.selection().selectAll(".yGrid line").size(), 0);
+});
+
+test("the gridlines are exported by the specifications", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 60, 120, 180, 240]))
+		.setData([1, 2, 3])
+		.axis("y", {grid: true, minorGrid: 4});
+	assert.strictEqual(histogram.selection().selectAll(".yGrid line").size(), 76);
+	assert.deepStrictEqual(histogram.toSpec().axes, {y: {grid: true, minorGrid: 4}});
+	
+	let copy = Chart.fromSpec(container, Object.assign(histogram.toSpec(), {id: "copy"}));
+	assert.strictEqual(copy.selection().selectAll(".yGrid line").size(), 76);
+});
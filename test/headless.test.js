@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {execFileSync, spawnSync} = require("child_process");
+const headless = require("../headless.js");
+
+const cli = path.join(__dirname, "..", "bin", "chart-library.js");
+
+test("render() returns the SVG of a chart created from a specification", ()=>{
+	let svg = headless.render({type: "pie", id: "votes", dimensions: {width: 300, height: 300}, data: [10, 20, 30], transition: {duration: 500}}, {background: "white"});
+	assert.match(svg, /^<\?xml/);
+	assert.match(svg, /<svg[^>]* width="300" height="300"/);
+	assert.strictEqual(svg.match(/class="slice"/g).length, 3);
+	assert.match(svg, /fill="white"/);
+	
+	//The data table isn't part of the document
+	assert.doesNotMatch(svg, /aria-describedby/);
+});
+
+test("the command line renders a specification with a data file", ()=>{
+	let directory = fs.mkdtempSync(path.join(os.tmpdir(), "chart-library-"));
+	try {
+		fs.writeFileSync(path.join(directory, "spec.json"), JSON.stringify({type: "histogram", id: "sales", dimensions: {width: 400, height: 300}, labels: ["a", "b", "c"]}));
+		fs.writeFileSync(path.join(directory, "data.csv"), "value\n1\n2\n3\n");
+		let output = path.join(directory, "out.svg");
+		execFileSync(process.execPath, [cli, "render", path.join(directory, "spec.json"), path.join(directory, "data.csv"), "-o", output]);
+		assert.strictEqual(fs.readFileSync(output, "utf8").match(/class="column"/g).length, 3);
+		
+		//The SVG is written to the standard output without an output file
+		let stdout = execFileSync(process.execPath, [cli, "render", path.join(directory, "spec.json"), path.join(directory, "data.csv")], {encoding: "utf8"});
+		assert.match(stdout, /id="sales"/);
+	} finally {
+		fs.rmSync(directory, {recursive: true, force: true});
+	}
+});
+
+test("the command line reports invalid arguments", ()=>{
+	let result = spawnSync(process.execPath, [cli, "draw"], {encoding: "utf8"});
+	assert.strictEqual(result.status, 1);
+	assert.match(result.stderr, /^Usage: chart-library render/);
+	
+	result = spawnSync(process.execPath, [cli, "render", "spec.json", "--size", "3"], {encoding: "utf8"});
+	assert.strictEqual(result.status, 1);
+	assert.match(result.stderr, /Unknown option --size/);
+});
+
+test("headless.js reports that jsdom is missing when a chart is rendered", ()=>{
+	//jsdom is hidden from the loader, as if the optional peer dependency wasn't installed
+	let script = "const Module = require(\"module\");" +
+		"const load = Module._load;" +
+		"Module._load = function(request) {" +
+		"if (request == \"jsdom\") throw Object.assign(new Error(\"Cannot find module 'jsdom'\"), {code: \"MODULE_NOT_FOUND\"});" +
+		"return load.apply(this, arguments);" +
+		"};" +
+		"const headless = require(" + JSON.stringify(path.join(__dirname, "..", "headless.js")) + ");" +
+		"headless.render({type: \"pie\", id: \"votes\", dimensions: {width: 300, height: 300}, data: [1, 2]});";
+	let result = spawnSync(process.execPath, ["-e", script], {encoding: "utf8"});
+	assert.notStrictEqual(result.status, 0);
+	assert.match(result.stderr, /jsdom, which isn't installed\. Install it with "npm install jsdom"/);
+});
@@ -0,0 +1,71 @@
+/**
+ * Helpers of the tests, which plot the charts of the built library, loaded by headless.js, on documents created by jsdom.
+ */
+const {JSDOM, VirtualConsole} = require("jsdom");
+const library = require("../headless.js");
+const d3 = library.d3;
+
+//d3 parses the transforms it interpolates on an element of the global document, through the transform list that jsdom doesn't implement
+const parser = new JSDOM("<!DOCTYPE html><body></body>");
+Object.defineProperty(parser.window.SVGElement.prototype, "transform", {get: ()=>({baseVal: {consolidate: ()=>null}})});
+global.document = parser.window.document;
+
+/**
+ * Creates an SVG tag on a new document, where charts can be plotted. The errors of the features jsdom doesn't implement aren't logged.
+ * @param {number} width - The width of the SVG tag. 600 by default.
+ * @param {number} height - The height of the SVG tag. 400 by default.
+ * @returns {d3.selection} The SVG tag.
+ */
+function createContainer(width, height) {
+	let dom = new JSDOM("<!DOCTYPE html><body></body>", {pretendToBeVisual: true, virtualConsole: new VirtualConsole()});
+	return d3.select(dom.window.document.body)
+		.append("svg")
+		.attr("width", width || 600)
+		.attr("height", height || 400);
+}
+
+/**
+ * Dispatches an event of the mouse or the keyboard on a node.
+ * @param {Node} node - The node.
+ * @param {string} type - The type of the event, like "mouseover" or "keydown".
+ * @param {Object} init - The fields of the event, like clientX or key.
+ */
+function dispatch(node, type, init) {
+	let view = node.ownerDocument.defaultView;
+	let Event = type.startsWith("key") ? view.KeyboardEvent : type.startsWith("focus") ? view.FocusEvent : view.MouseEvent;
+	node.dispatchEvent(new Event(type, Object.assign({bubbles: true, cancelable: true, view: view}, init)));
+}
+
+/**
+ * Replaces the clock of d3 in a test, so the transitions move forward only when the test says so.
+ * @param {TestContext} t - The test, which restores the clock when it ends.
+ * @returns {function} A function which moves the clock forward by a number of milliseconds and runs the transitions due at the new time.
+ */
+function mockClock(t) {
+	let time = performance.now();
+	let advance = elapsed=>{
+		time += elapsed;
+		t.mock.timers.tick(elapsed);
+	};
+	t.mock.method(performance, "now", ()=>time);
+	t.mock.timers.enable({apis: ["setTimeout", "setInterval"]});
+	
+	//The transitions still running end with the test, so no timer of d3 is left waiting for the mocked ones
+	t.after(()=>advance(60000));
+	return elapsed=>{
+		advance(elapsed);
+		d3.timerFlush();
+	};
+}
+
+/**
+ * Returns the values of an attribute of the nodes of a selection.
+ * @param {d3.selection} selection - The selection.
+ * @param {string} name - The name of the attribute.
+ * @returns {string[]} The values of the attribute.
+ */
+function attributes(selection, name) {
+	return selection.nodes().map(node=>node.getAttribute(name));
+}
+
+module.exports = Object.assign({}, library, {createContainer: createContainer, dispatch: dispatch, mockClock: mockClock, attributes: attributes});
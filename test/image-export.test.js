@@ -0,0 +1,66 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, Chart, Pie, LabelTable} = require("./helpers.js");
+
+/**
+ * Creates a canvas which records what is drawn on it.
+ * @returns {Object} The canvas.
+ */
+function fakeCanvas() {
+	let canvas = {
+		drawn: [],
+		getContext: ()=>({
+			scale: (x, y)=>canvas.drawn.push(["scale", x, y]),
+			drawImage: (image, x, y, width, height)=>canvas.drawn.push(["drawImage", image, width, height])
+		}),
+		toDataURL: type=>"data:" + type + ";base64,AAAA"
+	};
+	return canvas;
+}
+
+test("toImage() draws the chart with the given rasterizer", async ()=>{
+	let pie = new Pie(createContainer(), "pie", null, 20, {width: 200, height: 100}).setData([1, 2]);
+	let received = null;
+	let rasterizer = (svg, options)=>{
+		received = {svg: svg, options: options};
+		return Promise.resolve(fakeCanvas());
+	};
+	let url = await pie.toImage({scale: 2, background: "white", type: "image/jpeg", rasterizer: rasterizer});
+	assert.strictEqual(url, "data:image/jpeg;base64,AAAA");
+	assert.match(received.svg, /<svg[^>]* width="200" height="100"/);
+	assert.match(received.svg, /fill="white"/);
+	assert.deepStrictEqual([received.options.width, received.options.height, received.options.scale], [200, 100, 2]);
+});
+
+test("the image has the size of the exported area, with the label table of the chart", async ()=>{
+	let pie = new Pie(createContainer(), "pie", null, 20, {width: 200, height: 100}).setData([1, 2]);
+	pie.labelTable(new LabelTable(pie, "labels", {x: 60, y: -30}, 5, {width: 80, height: 40}).setValues(["red", "blue"], ["a", "b"]));
+	let received = null;
+	let rasterizer = (svg, options)=>{
+		received = {svg: svg, options: options};
+		return fakeCanvas();
+	};
+	await pie.toImage({rasterizer: rasterizer});
+	
+	//The origin of the Pie is at its center, 100 pixels from the left, so the table ends at 240
+	assert.match(received.svg, /<svg[^>]* width="240" height="100"/);
+	assert.deepStrictEqual([received.options.width, received.options.height], [240, 100]);
+});
+
+test("the rasterizer of Node canvas implementations scales the canvas", async ()=>{
+	let canvas = fakeCanvas();
+	let canvasModule = {
+		createCanvas: ()=>canvas,
+		loadImage: buffer=>Promise.resolve({source: buffer.toString()})
+	};
+	let pie = new Pie(createContainer(), "pie", null, 20, {width: 200, height: 100}).setData([1, 2]);
+	await pie.toImage({scale: 2, rasterizer: Chart.nodeCanvasRasterizer(canvasModule)});
+	assert.deepStrictEqual([canvas.width, canvas.height], [400, 200]);
+	assert.deepStrictEqual(canvas.drawn[0], ["scale", 2, 2]);
+	assert.match(canvas.drawn[1][1].source, /^<\?xml/);
+});
+
+test("the default rasterizer is rejected without canvas support", async ()=>{
+	let pie = new Pie(createContainer(), "pie", null, 20, {width: 200, height: 100}).setData([1, 2]);
+	await assert.rejects(pie.toImage(), /without the support of canvas/);
+});
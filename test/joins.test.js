@@ -0,0 +1,124 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, attributes, d3, Histogram, Scatterplot, Pie, Segments, StarGlyph, Correlation, LabelTable, Map} = require("./helpers.js");
+
+const regions = {type: "FeatureCollection", features: ["a", "b", "c"].map((id, i)=>({
+	type: "Feature",
+	properties: {id: id, name: "R" + id},
+	geometry: {type: "Polygon", coordinates: [[[i, 0], [i, 1], [i + 1, 1], [i + 1, 0], [i, 0]]]}
+}))};
+
+test("inserting data again updates, adds and removes the marks", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3])
+		.setData([4, 5]);
+	assert.strictEqual(container.selectAll("#histogram .column").size(), 2);
+	
+	let pie = new Pie(container, "pie", null, 20).setData([1, 2, 3]).setSliceLabels(["a", "b", "c"]);
+	pie.setData([1, 2]).setSliceLabels(["x", "y"]);
+	assert.strictEqual(container.selectAll("#pie .slice").size(), 2);
+	assert.deepStrictEqual(container.selectAll("#pie .sliceLabel").nodes().map(node=>node.textContent), ["x", "y"]);
+	
+	let star = new StarGlyph(container, "star", null, 20).setScaleDomains([[0, 5]]).setData([1, 2, 3]).setData([3, 2, 1]);
+	assert.strictEqual(container.selectAll("#star .polygon").size(), 1);
+});
+
+test("a key matches the data with the current marks", ()=>{
+	let container = createContainer();
+	let scatterplot = new Scatterplot(container, "scatterplot", null, 20).setData([[1, 2], [3, 4]], null, null, d=>d[0]);
+	let kept = scatterplot.dotSelection().nodes()[1];
+	scatterplot.setData([[3, 5], [6, 7], [8, 9]], null, null, d=>d[0]);
+	assert.strictEqual(scatterplot.dotSelection().size(), 3);
+	assert.strictEqual(scatterplot.dotSelection().nodes()[0], kept);
+	assert.deepStrictEqual(scatterplot.dotSelection().datum(), [3, 5]);
+});
+
+test("the segments, dots and ranges are joined separately", ()=>{
+	let container = createContainer();
+	let segments = new Segments(container, "segments", null, 20)
+		.setSegments([[1, 2, 3], [2, 3, 4]])
+		.setDots([[1, 2, 3], [2, 3, 4]])
+		.setRanges([[[0, 1], [1, 2], [2, 3]]]);
+	segments.setSegments([[1, 2, 3]]).setDots([[1, 2]]);
+	assert.strictEqual(container.selectAll("#segments .segment").size(), 1);
+	assert.strictEqual(container.selectAll("#segments .dotGroup").size(), 1);
+	assert.strictEqual(container.selectAll("#segments .groupDot").size(), 2);
+	assert.strictEqual(container.selectAll("#segments .range").size(), 1);
+});
+
+test("the y domain of a Segments follows its current data", ()=>{
+	let segments = new Segments(createContainer(), "segments", null, 20).setSegments([[1, 50, 3]]);
+	assert.deepStrictEqual(segments.yScale().domain(), [1, 50]);
+	segments.setSegments([[1, 5, 3]]);
+	assert.deepStrictEqual(segments.yScale().domain(), [1, 5]);
+	segments.setDots([[0, 2, 8]]).setRanges([[[-2, 1], [0, 3]]]);
+	assert.deepStrictEqual(segments.yScale().domain(), [-2, 8]);
+});
+
+test("the values of a keyed Map are matched with its regions by key", ()=>{
+	let map = new Map(createContainer(), "map", null, 10)
+		.setMap(regions, null, null, d=>d.properties.id)
+		.fillValue(d=>d.v)
+		.colorScale(d3.scaleLinear().domain([0, 10]));
+	map.setData([{id: "c", v: 10}, {id: "a", v: 0}], null, null, d=>(d.properties ? d.properties.id : d.id));
+	let fills = attributes(map.pathSelection(), "fill");
+	assert.strictEqual(fills[0], d3.interpolateInferno(0));
+	assert.strictEqual(fills[2], d3.interpolateInferno(1));
+	
+	//The features stay bound to the paths, so the chart can be plotted again
+	map.resize(300, 200);
+	let redrawn = attributes(map.pathSelection(), "fill");
+	assert.deepStrictEqual([redrawn[0], redrawn[2]], [fills[0], fills[2]]);
+	assert.strictEqual(map.pathSelection().datum().type, "Feature");
+	
+	//The regions without new values keep their previous values
+	map.setData([{id: "a", v: 5}], null, null, d=>(d.properties ? d.properties.id : d.id));
+	fills = attributes(map.pathSelection(), "fill");
+	assert.strictEqual(fills[0], d3.interpolateInferno(0.5));
+	assert.strictEqual(fills[2], d3.interpolateInferno(1));
+});
+
+test("the keys of a Correlation match its rows and columns by variable", ()=>{
+	let container = createContainer();
+	let names = ["a", "b", "c"];
+	let correlation = new Correlation(container, "correlation", null, 20)
+		.setData([[1, 2, 3], [2, 4, 5], [3, 5, 9]], null, null, (d, i)=>names[i]);
+	let cells = correlation.cellSelection().nodes();
+	
+	//The variable "a" leaves and "d" comes, so the cells of "b" and "c" are kept
+	names = ["b", "c", "d"];
+	correlation.setData([[2, 3, 1], [4, 5, 7], [5, 9, 2]], null, null, (d, i)=>names[i]);
+	assert.strictEqual(container.selectAll("#correlation .rectGroup").size(), 3);
+	assert.strictEqual(correlation.cellSelection().size(), 9);
+	let kept = correlation.cellSelection().nodes();
+	assert.strictEqual(kept[0], cells[4]);
+	assert.strictEqual(kept[1], cells[5]);
+	assert.strictEqual(kept[3], cells[7]);
+	assert.strictEqual(kept.indexOf(cells[0]), -1);
+});
+
+test("a keyed StarGlyph replaces its polygon when the key changes", ()=>{
+	let star = new StarGlyph(createContainer(), "star", null, 20).setScaleDomains([[0, 5]]).setData([1, 2, 3], null, null, d=>d.length);
+	let polygon = star.polygonSelection().node();
+	star.setData([3, 2, 1], null, null, d=>d.length);
+	assert.strictEqual(star.polygonSelection().node(), polygon);
+	star.setData([3, 2, 1, 4], null, null, d=>d.length);
+	assert.strictEqual(star.polygonSelection().size(), 1);
+	assert.notStrictEqual(star.polygonSelection().node(), polygon);
+});
+
+test("the colors of a keyed LabelTable follow their labels", ()=>{
+	let scatterplot = new Scatterplot(createContainer(), "scatterplot", null, 20);
+	let labels = new LabelTable(scatterplot, "labels", null, 5, {width: 100, height: 60})
+		.setValues(["red", "green", "blue"], ["r", "g", "b"], null, null, d=>d);
+	let rects = labels.colorSelection().nodes();
+	let texts = labels.textSelection().nodes();
+	labels.setValues(["blue", "black"], ["b", "k"], null, null, d=>d);
+	assert.deepStrictEqual(attributes(labels.colorSelection(), "fill"), ["blue", "black"]);
+	assert.deepStrictEqual(labels.textSelection().nodes().map(node=>node.textContent), ["b", "k"]);
+	assert.strictEqual(labels.colorSelection().node(), rects[2]);
+	assert.strictEqual(labels.textSelection().node(), texts[2]);
+	assert.strictEqual(labels.colorSelection().size(), 2);
+});
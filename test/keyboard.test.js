@@ -0,0 +1,100 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, dispatch, attributes, d3, Histogram, Correlation, Segments, Scatterplot, Tooltip} = require("./helpers.js");
+
+/**
+ * Returns the node with the focus of the document of a container.
+ * @param {d3.selection} container - The container.
+ * @returns {Element} The focused node.
+ */
+function focused(container) {
+	return container.node().ownerDocument.activeElement;
+}
+
+test("the arrow, Home and End keys move the focus through the marks", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3]);
+	let columns = histogram.colSelection().nodes();
+	assert.deepStrictEqual(attributes(histogram.colSelection(), "tabindex"), ["0", "-1", "-1"]);
+	
+	columns[0].focus();
+	dispatch(columns[0], "keydown", {key: "ArrowRight"});
+	assert.strictEqual(focused(container), columns[1]);
+	assert.deepStrictEqual(attributes(histogram.colSelection(), "tabindex"), ["-1", "0", "-1"]);
+	dispatch(columns[1], "keydown", {key: "End"});
+	assert.strictEqual(focused(container), columns[2]);
+	dispatch(columns[2], "keydown", {key: "ArrowDown"});
+	assert.strictEqual(focused(container), columns[2]);
+	dispatch(columns[2], "keydown", {key: "Home"});
+	assert.strictEqual(focused(container), columns[0]);
+	
+	//The tab stop stays on the first mark when the data changes
+	histogram.setData([4, 5, 6, 7]);
+	assert.deepStrictEqual(attributes(histogram.colSelection(), "tabindex"), ["0", "-1", "-1", "-1"]);
+});
+
+test("the focused marks trigger the events of the mouse and the Enter key clicks them", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3]);
+	let events = [];
+	histogram.colSelection()
+		.on("mouseover", (d, i)=>events.push("mouseover" + i))
+		.on("mouseout", (d, i)=>events.push("mouseout" + i))
+		.on("click", (d, i)=>events.push("click" + i));
+	let columns = histogram.colSelection().nodes();
+	columns[0].focus();
+	dispatch(columns[0], "keydown", {key: "ArrowRight"});
+	dispatch(columns[1], "keydown", {key: "Enter"});
+	assert.deepStrictEqual(events, ["mouseover0", "mouseout0", "mouseover1", "click1"]);
+	
+	//The tooltip shows the focused mark
+	let tooltip = histogram.tooltip(new Tooltip(histogram));
+	columns[2].focus();
+	assert.strictEqual(tooltip.selection().style("display"), "");
+});
+
+test("the marks of a grid are navigated by rows and columns", ()=>{
+	let container = createContainer();
+	let correlation = new Correlation(container, "correlation", null, 10).setData([[1, 2, 3], [2, 4, 7], [3, 1, 2]]).setLabels(["A", "B", "C"]);
+	let cells = correlation.cellSelection().nodes();
+	cells[0].focus();
+	dispatch(cells[0], "keydown", {key: "ArrowDown"});
+	assert.strictEqual(cells.indexOf(focused(container)), 3);
+	dispatch(cells[3], "keydown", {key: "ArrowRight"});
+	assert.strictEqual(cells.indexOf(focused(container)), 4);
+	
+	//Only the cells are focused, not their ellipses
+	assert.strictEqual(correlation.ellipseSelection().filter(function() {
+		return this.hasAttribute("tabindex");
+	}).size(), 0);
+});
+
+test("the arrows up and down move between the series of a Segments", ()=>{
+	let container = createContainer();
+	let segments = new Segments(container, "segments", null, 10)
+		.xAxisScale(d3.scaleOrdinal().domain(["m", "n", "o"]).range([0, 100, 200]))
+		.setDots([[1, 2, 3], [4, 5, 6]])
+		.setSegments([[1, 2, 3]]);
+	let dots = segments.dotSelection().nodes();
+	dots[1].focus();
+	dispatch(dots[1], "keydown", {key: "ArrowDown"});
+	assert.strictEqual(dots.indexOf(focused(container)), 4);
+	assert.strictEqual(segments.segSelection().attr("tabindex"), null);
+});
+
+test("the dots of a Scatterplot are navigated from left to right", ()=>{
+	let container = createContainer();
+	let scatterplot = new Scatterplot(container, "scatterplot", null, 10).setData([[3, 2], [1, 4], [2, 0]]);
+	let dots = scatterplot.dotSelection().nodes();
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "tabindex"), ["-1", "0", "-1"]);
+	dots[1].focus();
+	dispatch(dots[1], "keydown", {key: "ArrowRight"});
+	assert.strictEqual(focused(container), dots[2]);
+	
+	scatterplot.accessibility({keyboard: false});
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "tabindex"), [null, null, null]);
+});
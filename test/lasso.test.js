@@ -0,0 +1,78 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, dispatch, attributes, Scatterplot, Map, Pie} = require("./helpers.js");
+
+/**
+ * Creates a scatterplot of 300 by 200 pixels, with four dots.
+ * @param {d3.selection} container - The tag in which the scatterplot is inserted.
+ * @returns {Scatterplot} The scatterplot.
+ */
+function createScatterplot(container) {
+	return new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[0, 0], [5, 5], [10, 10], [2, 8]]);
+}
+
+test("the lasso selects the marks inside its polygon", ()=>{
+	let scatterplot = createScatterplot(createContainer());
+	let events = [];
+	scatterplot.on("select", event=>events.push(event));
+	
+	//The lasso replaces the brush
+	scatterplot.brush(true).setBrush([[1, 1], [6, 9]]);
+	scatterplot.lasso(true);
+	assert.strictEqual(scatterplot.lasso(), true);
+	assert.strictEqual(scatterplot.brush(), null);
+	assert.strictEqual(scatterplot.selection().selectAll(".brush").size(), 0);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, null, null]);
+	
+	let polygon = [[-1, -1], [6, -1], [6, 6], [-1, 6]];
+	scatterplot.setLasso(polygon);
+	let event = events.pop();
+	assert.deepStrictEqual([event.indices, event.data, event.polygon], [[0, 1], [[0, 0], [5, 5]], polygon]);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, "0.25", "0.25"]);
+	assert.strictEqual(scatterplot.selection().select(".lassoPath").attr("d"), "M-24,154L144,154L144,56L-24,56Z");
+	
+	scatterplot.clearLasso();
+	event = events.pop();
+	assert.deepStrictEqual([event.indices, event.polygon], [[], null]);
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, null, null]);
+	
+	//The brush replaces the lasso
+	scatterplot.brush(true);
+	assert.strictEqual(scatterplot.lasso(), false);
+});
+
+test("the polygon of the lasso follows the zoom and the dimensions", ()=>{
+	let scatterplot = createScatterplot(createContainer()).lasso(true).setLasso([[-1, -1], [6, -1], [6, 6], [-1, 6]]);
+	scatterplot.zoom(true).zoomTo([0, 5], [0, 5]);
+	assert.strictEqual(scatterplot.selection().select(".lassoPath").attr("d"), "M-48,168L288,168L288,-28L-48,-28Z");
+	scatterplot.resetZoom();
+	scatterplot.resize(400, 300);
+	assert.strictEqual(scatterplot.selection().select(".lassoArea").attr("width"), "340");
+	assert.deepStrictEqual(attributes(scatterplot.dotSelection(), "opacity"), [null, null, "0.25", "0.25"]);
+});
+
+test("dragging the mouse draws the lasso", ()=>{
+	let scatterplot = createScatterplot(createContainer()).lasso(true);
+	let events = [];
+	scatterplot.on("select", event=>events.push(event));
+	let area = scatterplot.selection().select(".lassoArea").node();
+	dispatch(area, "mousedown", {clientX: 150, clientY: 0, button: 0});
+	for (let [x, y] of [[270, 0], [270, 100], [150, 100]]) dispatch(area, "mousemove", {clientX: x, clientY: y});
+	dispatch(area, "mouseup", {clientX: 150, clientY: 100});
+	let event = events.pop();
+	assert.strictEqual(event.polygon.length, 4);
+	assert.deepStrictEqual(event.indices, [2]);
+});
+
+test("the lasso selects the dots of a Map", ()=>{
+	let map = new Map(createContainer(), "map", {x: 0, y: 0}, 10, {width: 300, height: 200})
+		.setMap({type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 10], [10, 10], [10, 0], [0, 0]]]}}]})
+		.setDots([[1, 1], [5, 5], [9, 9]]);
+	let events = [];
+	map.on("select", event=>events.push(event));
+	map.lasso(true).setLasso([[0, 0], [6, 0], [6, 6], [0, 6]]);
+	assert.deepStrictEqual(events.pop().data, [[1, 1], [5, 5]]);
+	assert.deepStrictEqual(attributes(map.dotSelection(), "opacity"), [null, null, "0.25"]);
+	
+	assert.throws(()=>new Pie(createContainer(), "pie").lasso(true), /This type of chart doesn't support the lasso\./);
+});
@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+const {execFileSync} = require("child_process");
+const {createContainer} = require("./helpers.js");
+
+const root = path.join(__dirname, "..");
+
+/**
+ * Creates a d3 instance with the modules the library uses.
+ * @returns {Object} The d3 instance.
+ */
+function createD3() {
+	return Object.assign({}, require("d3"), require("d3-scale-chromatic"));
+}
+
+test("each class is created once for each d3 instance", ()=>{
+	const createHistogram = require("../dist/cjs/Histogram.js");
+	const createChart = require("../dist/cjs/Chart.js");
+	let d3 = createD3();
+	let Histogram = createHistogram(d3);
+	assert.strictEqual(createHistogram(d3), Histogram);
+	assert.strictEqual(Object.getPrototypeOf(Histogram), createChart(d3));
+	assert.notStrictEqual(createHistogram(createD3()), Histogram);
+	assert.throws(()=>createHistogram(), /The d3 instance used by Histogram must be given/);
+});
+
+test("the package exports the CommonJS and ES modules", async ()=>{
+	let d3 = createD3();
+	const {createLibrary} = require("chart-library");
+	let library = createLibrary(d3);
+	assert.deepStrictEqual(Object.keys(library), ["ChartTheme", "ChartSpec", "ChartExport", "Chart", "Tooltip", "SelectionCoordinator", "ScaleLink", "Histogram", "Segments", "Map", "Scatterplot", "Pie", "StarGlyph", "Correlation", "LabelTable", "Dashboard"]);
+	
+	const esm = await import("chart-library");
+	const createPie = (await import("chart-library/Pie")).default;
+	let Pie = createPie(d3);
+	assert.strictEqual(esm.createLibrary(d3).Pie, Pie);
+	
+	//The classes created by the injected d3 plot on any document
+	let pie = esm.createLibrary(d3).Chart.fromSpec(createContainer(), {type: "pie", id: "pie", data: [1, 2]});
+	assert.ok(pie instanceof Pie);
+	assert.strictEqual(pie.sliceSelection().size(), 2);
+});
+
+test("the types of charts whose classes weren't created are reported by fromSpec()", ()=>{
+	let d3 = createD3();
+	let Chart = require("../dist/cjs/Chart.js")(d3);
+	assert.throws(()=>Chart.fromSpec(createContainer(), {type: "pie", id: "pie", data: [1, 2]}), /expected one of the registered types \(\)\. .*createLibrary\(d3\)/);
+	
+	require("../dist/cjs/Pie.js")(d3);
+	assert.strictEqual(Chart.fromSpec(createContainer(), {type: "pie", id: "pie", data: [1, 2]}).sliceSelection().size(), 2);
+	let spec = {type: "pie", id: "pie", data: [1, 2], labelTable: {id: "labels", dimensions: {width: 100, height: 50}, colors: ["red"], values: ["a"]}};
+	assert.throws(()=>Chart.fromSpec(createContainer(), spec), /the LabelTable class isn't created/);
+});
+
+test("a dashboard creates the classes of its charts, with only its module loaded", ()=>{
+	let d3 = createD3();
+	let Dashboard = require("../dist/cjs/Dashboard.js")(d3);
+	let dashboard = new Dashboard(createContainer(), "dashboard", {x: 0, y: 0}, {width: 400, height: 200}, {columns: 2});
+	let pie = dashboard.add("pie", {labelTable: {side: "bottom", size: 50}});
+	let histogram = dashboard.add({type: "histogram", data: [1, 2, 3], labels: ["a", "b", "c"]});
+	assert.ok(pie instanceof require("../dist/cjs/Pie.js")(d3));
+	assert.ok(pie.labelTable());
+	assert.strictEqual(histogram.colSelection().size(), 3);
+	assert.throws(()=>dashboard.add("bars"), /Unknown type of chart: bars\. Expected one of histogram, segments, map, scatterplot, pie, starGlyph, correlation\./);
+});
+
+test("Chart-Library.js uses the global d3 of the page", ()=>{
+	let context = vm.createContext({d3: createD3()});
+	vm.runInContext(fs.readFileSync(path.join(root, "Chart-Library.js"), "utf8") + "\nthis.classes = {Chart, Histogram};", context);
+	assert.strictEqual(typeof(context.classes.Histogram), "function");
+	assert.strictEqual(Object.getPrototypeOf(context.classes.Histogram), context.classes.Chart);
+});
+
+test("the built files are up to date with the class files", ()=>{
+	execFileSync(process.execPath, [path.join(root, "build.js"), "--check"], {stdio: "pipe"});
+});
@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Histogram, Pie, StarGlyph, Map} = require("./helpers.js");
+
+test("resize() recomputes the scales and moves the axes and marks", ()=>{
+	let histogram = new Histogram(createContainer(), "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", "d"]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3]);
+	assert.strictEqual(histogram.colSelection().attr("width"), "135");
+	
+	histogram.resize(300, 200);
+	assert.strictEqual(histogram.colSelection().attr("width"), "60");
+	assert.strictEqual(histogram.selection().select(".xAxis").attr("transform"), "translate(0,140)");
+	assert.strictEqual(histogram.colSelection().size(), 3);
+});
+
+test("the Pie and the StarGlyph stay at the center", ()=>{
+	let container = createContainer();
+	let pie = new Pie(container, "pie", null, 20).setData([1, 2, 3]).resize(100, 100);
+	assert.strictEqual(pie.selection().attr("transform"), "translate(50,50)");
+	
+	let star = new StarGlyph(container, "star", null, 20).setScaleDomains([[0, 1], [0, 1], [0, 1]]).setData([1, 1, 1]).resize(100, 100);
+	assert.strictEqual(star.selection().attr("transform"), "translate(50,50)");
+	assert.match(star.polygonSelection().attr("d"), /^M0,-30L/);
+});
+
+test("the projection of a Map is fitted to its new size", ()=>{
+	let region = {type: "FeatureCollection", features: [{type: "Feature", properties: {}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 1], [1, 1], [1, 0], [0, 0]]]}}]};
+	let map = new Map(createContainer(), "map", null, 0, {width: 400, height: 400}).setMap(region);
+	let bounds = ()=>d3.geoPath().projection(map.projection()).bounds(region);
+	assert.ok(bounds()[1][0] > 300);
+	map.resize(200, 200);
+	assert.ok(bounds()[1][0] <= 200);
+});
+
+test("autoResize() follows the size of the container", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", ""]).range([0, 270, 540]))
+		.setData([1])
+		.autoResize(true);
+	let view = container.node().ownerDocument.defaultView;
+	container.node().getBoundingClientRect = ()=>({width: 300, height: 200});
+	view.dispatchEvent(new view.Event("resize"));
+	assert.strictEqual(histogram.selection().select(".xAxis").attr("transform"), "translate(0,140)");
+	
+	histogram.autoResize(false);
+	container.node().getBoundingClientRect = ()=>({width: 600, height: 400});
+	view.dispatchEvent(new view.Event("resize"));
+	assert.strictEqual(histogram.selection().select(".xAxis").attr("transform"), "translate(0,140)");
+});
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, ScaleLink, Scatterplot, Segments, Map, StarGlyph} = require("./helpers.js");
+
+const regions = {type: "FeatureCollection", features: [0, 1].map(i=>({
+	type: "Feature",
+	properties: {},
+	geometry: {type: "Polygon", coordinates: [[[i, 0], [i, 1], [i + 1, 1], [i + 1, 0], [i, 0]]]}
+}))};
+
+/**
+ * Creates two scatterplots side by side.
+ * @returns {Scatterplot[]} The scatterplots.
+ */
+function createScatterplots() {
+	let container = createContainer();
+	return [
+		new Scatterplot(container, "first", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[0, 0], [5, 5]]),
+		new Scatterplot(container, "second", {x: 300, y: 0}, 30, {width: 300, height: 200}).setData([[2, -4], [8, 3]])
+	];
+}
+
+/**
+ * Creates two Segments charts side by side, with the same labels.
+ * @returns {Segments[]} The charts.
+ */
+function createSegments() {
+	let container = createContainer();
+	return ["first", "second"].map((id, i)=>new Segments(container, id, {x: 300 * i, y: 0}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["a", "b", "c"]).range([0, 120, 240])));
+}
+
+test("the linked scales share the union of the domains of the data", ()=>{
+	let [first, second] = createScatterplots();
+	let link = new ScaleLink("y").add(first).add(second);
+	assert.deepStrictEqual(link.names(), ["y"]);
+	assert.deepStrictEqual(link.charts(), [first, second]);
+	assert.deepStrictEqual(link.domains(), {y: [-4, 5]});
+	assert.deepStrictEqual(first.yScale().domain(), [-4, 5]);
+	assert.deepStrictEqual(first.xScale().domain(), [0, 5]);
+	
+	second.setData([[2, -4], [8, 20]]);
+	assert.deepStrictEqual(first.yScale().domain(), [-4, 20]);
+	
+	//The linked domains aren't exported as fixed domains
+	assert.strictEqual(first.toSpec().axes, undefined);
+});
+
+test("the zoom of a chart is shared by the linked charts", ()=>{
+	let [first, second] = createScatterplots();
+	new ScaleLink(["x", "y"]).add(first).add(second);
+	first.zoom(true).zoomTo([1, 2], [0, 1]);
+	assert.deepStrictEqual(second.xScale().domain(), [1, 2]);
+	assert.deepStrictEqual(second.yScale().domain(), [0, 1]);
+	
+	first.resetZoom();
+	assert.deepStrictEqual(second.xScale().domain(), [0, 8]);
+	assert.deepStrictEqual(second.yScale().domain(), [-4, 5]);
+});
+
+test("a removed chart takes the domains of its own data", ()=>{
+	let [first, second] = createScatterplots();
+	let link = new ScaleLink("y").add(first).add(second);
+	second.setData([[2, -4], [8, 20]]);
+	link.remove(second);
+	assert.deepStrictEqual(second.yScale().domain(), [-4, 20]);
+	assert.deepStrictEqual(first.yScale().domain(), [0, 5]);
+	assert.strictEqual(second.axis("y").domain, null);
+	assert.deepStrictEqual(link.charts(), [first]);
+});
+
+test("the linked domains follow the data as it shrinks, and the fixed domains are kept", ()=>{
+	let [first, second] = createSegments();
+	let link = new ScaleLink("y").add(first).add(second);
+	first.setSegments([[1, 2, 3]]);
+	second.setSegments([[10, 20, 30]]);
+	assert.deepStrictEqual(first.yScale().domain(), [1, 30]);
+	second.setSegments([[4, 5]]);
+	assert.deepStrictEqual(first.yScale().domain(), [1, 5]);
+	assert.deepStrictEqual(second.yScale().domain(), [1, 5]);
+	
+	first.axis("y", {domain: [0, 100]});
+	assert.deepStrictEqual(first.yScale().domain(), [0, 100]);
+	assert.deepStrictEqual(first.toSpec().axes, {y: {domain: [0, 100]}});
+	link.remove(second);
+	assert.deepStrictEqual(second.yScale().domain(), [4, 5]);
+});
+
+test("the color scales of maps are linked", ()=>{
+	let container = createContainer();
+	let first = new Map(container, "first", null, 10, {width: 200, height: 200}).setMap(regions).fillValue("value").setData([{value: 1}, {value: 2}]);
+	first.colorScale().domain([0, 4]);
+	let second = new Map(container, "second", null, 10, {width: 200, height: 200}).setMap(regions).fillValue("value").setData([{value: 5}, {value: 10}]);
+	let link = new ScaleLink("color").add(first).add(second);
+	assert.deepStrictEqual(first.colorScale().domain(), [1, 10]);
+	assert.deepStrictEqual(second.colorScale().domain(), [1, 10]);
+	assert.deepStrictEqual(second.pathSelection().nodes().map(node=>node.getAttribute("fill")), [d3.interpolateInferno(4 / 9), d3.interpolateInferno(1)]);
+	
+	//The domain given by the user is exported and restored
+	assert.deepStrictEqual(first.toSpec().scales.color.domain, [0, 4]);
+	link.remove(first);
+	assert.deepStrictEqual(first.colorScale().domain(), [0, 4]);
+});
+
+test("the scales of star glyphs are linked by their indexes", ()=>{
+	let container = createContainer();
+	let first = new StarGlyph(container, "first", null, 10, {width: 200, height: 200}).setData([1, 2, 3]);
+	let second = new StarGlyph(container, "second", null, 10, {width: 200, height: 200}).setData([3, 1, 5]);
+	let path = first.polygonSelection().attr("d");
+	let link = new ScaleLink([0, 1, 2]).add(first).add(second);
+	assert.notStrictEqual(first.polygonSelection().attr("d"), path);
+	assert.deepStrictEqual(first.toSpec().scaleDomains, [[0, 1], [0, 2], [0, 3]]);
+	
+	link.remove(first);
+	assert.strictEqual(first.polygonSelection().attr("d"), path);
+});
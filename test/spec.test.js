@@ -0,0 +1,54 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Chart, Histogram, Scatterplot, Pie, Segments, StarGlyph, Correlation, Map} = require("./helpers.js");
+
+const region = {type: "FeatureCollection", features: [{type: "Feature", properties: {name: "A"}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]]}}]};
+
+test("fromSpec() creates each type of chart with its data", ()=>{
+	let container = createContainer();
+	let specs = [
+		[Histogram, {type: "histogram", id: "histogram", margins: 30, labels: ["a", "b", "c"], data: [1, 2, 3], scales: {color: {scheme: "schemeSet1"}}, labelTable: {colors: ["red"], values: ["x"], dimensions: {width: 50, height: 20}}}],
+		[Scatterplot, {type: "scatterplot", id: "scatterplot", dimensions: {width: 300, height: 200}, data: [[1, 2], [3, 4]], scales: {x: {type: "log", domain: [1, 100]}}, key: 0}],
+		[Pie, {type: "pie", id: "pie", data: [1, 2, 3], labels: ["a", "b", "c"], innerRadius: 20, transition: {duration: 10, easing: "easeLinear"}}],
+		[Segments, {type: "segments", id: "segments", labels: ["a", "b", "c"], segments: [[1, 2, 3]], dots: {data: [[1, 2, 3]], attributes: {r: 2}}, ranges: [[[0, 1], [1, 2], [2, 3]]]}],
+		[StarGlyph, {type: "starGlyph", id: "star", scaleDomains: [[0, 1], [0, 1], [0, 1]], data: [1, 0.5, 0.2], labels: ["a", "b", "c"], fill: "red"}],
+		[Correlation, {type: "correlation", id: "correlation", data: [[1, 2], [2, 3], [4, 1]], labels: ["a", "b"], colorScheme: "interpolateViridis"}],
+		[Map, {type: "map", id: "map", geojson: region, data: [0.5], dots: [[0.2, 0.5]], projection: "geoEquirectangular"}]
+	];
+	for (let [type, spec] of specs) {
+		let chart = Chart.fromSpec(container, spec);
+		assert.ok(chart instanceof type, spec.type);
+		assert.strictEqual(chart.id(), spec.id);
+	}
+	assert.strictEqual(container.selectAll("#histogram .column").size(), 3);
+	assert.strictEqual(d3.rgb(container.select("#histogram .column").attr("fill")).toString(), d3.rgb("#e41a1c").toString());
+	assert.strictEqual(container.select("#histogram .labels").size(), 1);
+	assert.strictEqual(container.selectAll("#segments .groupDot").attr("r"), "2");
+	assert.strictEqual(container.select("#star .polygon").attr("fill"), "red");
+	assert.strictEqual(container.selectAll("#map .mapDot").size(), 1);
+});
+
+test("the errors of the validation name the invalid fields", ()=>{
+	assert.deepStrictEqual(Chart.validateSpec({type: "pie"}, createContainer()), []);
+	assert.match(Chart.validateSpec({type: "pie"}).join(" "), /"dimensions.width"/);
+	assert.match(Chart.validateSpec({type: "bar"})[0], /"type"/);
+	
+	let errors = Chart.validateSpec({type: "pie", margins: {left: 1}, data: ["x"]});
+	assert.ok(errors.some(error=>error.includes("\"margins\"")));
+	assert.ok(errors.some(error=>error.includes("\"data\"")));
+	assert.match(Chart.validateSpec({type: "map", projection: "mercator"}).join(" "), /"projection"/);
+	
+	assert.throws(()=>Chart.fromSpec(createContainer(), {type: "segments", segments: {data: 3}}), /Invalid chart specification. .*"segments/);
+});
+
+test("the key of a Map specification identifies the regions by their properties", ()=>{
+	let regions = {type: "FeatureCollection", features: ["a", "b"].map((id, i)=>({
+		type: "Feature",
+		properties: {id: id},
+		geometry: {type: "Polygon", coordinates: [[[i, 0], [i, 1], [i + 1, 1], [i, 0]]]}
+	}))};
+	let map = Chart.fromSpec(createContainer(), {type: "map", id: "map", geojson: regions, data: [{id: "b", v: 1}, {id: "a", v: 0}], key: "id", fillValue: "v"});
+	let fills = map.pathSelection().nodes().map(node=>node.getAttribute("fill"));
+	assert.deepStrictEqual(fills, [map.fillFunction()({v: 0}), map.fillFunction()({v: 1})]);
+	assert.notStrictEqual(fills[0], fills[1]);
+});
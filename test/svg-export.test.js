@@ -0,0 +1,64 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Histogram, LabelTable} = require("./helpers.js");
+
+/**
+ * Creates a Histogram with a label table on a page with a stylesheet.
+ * @returns {Histogram} The chart.
+ */
+function styledChart() {
+	let container = createContainer();
+	let document = container.node().ownerDocument;
+	let style = document.createElement("style");
+	style.textContent = "@font-face { font-family: 'Foo'; src: url(foo.woff); } .column { stroke: red; font-family: Foo; }";
+	document.head.appendChild(style);
+	
+	return new Histogram(container, "histogram", {x: 5, y: 5}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", " "]).range([0, 60, 120, 180, 240]))
+		.setData([1, 2, 3]);
+}
+
+/**
+ * Parses an SVG document.
+ * @param {string} svg - The SVG document.
+ * @param {d3.selection} container - A container of the page whose parser is used.
+ * @returns {Element} The root of the document.
+ */
+function parse(svg, container) {
+	let view = container.node().ownerDocument.defaultView;
+	return new view.DOMParser().parseFromString(svg, "image/svg+xml").documentElement;
+}
+
+test("toSVGString() writes a standalone document with the styles inlined", ()=>{
+	let chart = styledChart();
+	let svg = chart.toSVGString({background: "white"});
+	assert.match(svg, /^<\?xml version="1.0"/);
+	
+	let root = parse(svg, chart.container());
+	assert.strictEqual(root.getAttribute("xmlns"), "http://www.w3.org/2000/svg");
+	assert.strictEqual(root.getAttribute("viewBox"), "5 5 300 200");
+	assert.strictEqual(root.firstElementChild.tagName, "defs");
+	assert.match(root.querySelector("defs style").textContent, /@font-face/);
+	assert.strictEqual(root.querySelector("rect").getAttribute("fill"), "white");
+	assert.match(root.querySelector(".column").getAttribute("style"), /stroke:\s*red/);
+	
+	//The page isn't changed by the export
+	assert.strictEqual(chart.selection().select(".column").attr("style"), null);
+});
+
+test("the exported area includes the label table of the chart", ()=>{
+	let chart = styledChart();
+	chart.labelTable(new LabelTable(chart, "labels", {x: 250, y: -20}, 5, {width: 120, height: 60}).setValues(["red", "blue"], ["a", "b"]));
+	let root = parse(chart.toSVGString(), chart.container());
+	assert.strictEqual(root.querySelectorAll("#labels .colorPlot").length, 2);
+	
+	//The origin of the chart is at 35 pixels, so the table goes from 285 to 405
+	assert.strictEqual(root.getAttribute("viewBox"), "5 5 400 200");
+});
+
+test("the whole container can be exported", ()=>{
+	let chart = styledChart();
+	let root = parse(chart.toSVGString({container: true}), chart.container());
+	assert.strictEqual(root.getAttribute("viewBox"), "0 0 600 400");
+	assert.strictEqual(root.querySelectorAll("#histogram").length, 1);
+});
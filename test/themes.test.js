@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Chart, Histogram, Pie, Map, Correlation, LabelTable} = require("./helpers.js");
+
+/**
+ * Creates a histogram with three columns.
+ * @param {d3.selection} container - The tag in which the histogram is inserted.
+ * @returns {Histogram} The histogram.
+ */
+function createHistogram(container) {
+	return new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3]);
+}
+
+test("a theme colors the marks, axes and background of a chart", ()=>{
+	let histogram = createHistogram(createContainer());
+	assert.strictEqual(histogram.colSelection().attr("fill"), d3.rgb(Chart.themes.light.palette[0]).toString());
+	assert.strictEqual(histogram.selection().selectAll(".chartBackground").size(), 0);
+	
+	histogram.theme("dark");
+	let dark = Chart.themes.dark;
+	assert.strictEqual(histogram.colSelection().attr("fill"), d3.rgb(dark.palette[0]).toString());
+	assert.strictEqual(histogram.selection().select(".chartBackground").attr("fill"), dark.background);
+	assert.strictEqual(histogram.selection().select(".yAxis .tick line").attr("stroke"), dark.axisColor);
+	assert.strictEqual(histogram.selection().select(".yAxis .tick text").attr("fill"), dark.textColor);
+	
+	//The background covers the margins
+	assert.strictEqual(histogram.selection().select(".chartBackground").attr("x"), "-30");
+});
+
+test("a theme object replaces the fields of the light theme", ()=>{
+	let histogram = createHistogram(createContainer()).theme({axisColor: "red", palette: "schemeSet1"});
+	assert.strictEqual(histogram.theme().axisColor, "red");
+	assert.strictEqual(histogram.theme().palette, d3.schemeSet1);
+	assert.strictEqual(histogram.theme().textColor, Chart.themes.light.textColor);
+	assert.strictEqual(histogram.colSelection().attr("fill"), d3.rgb(d3.schemeSet1[0]).toString());
+	
+	//The theme stays when the chart is plotted again
+	histogram.resize(400, 300);
+	assert.strictEqual(histogram.selection().select(".yAxis .tick line").attr("stroke"), "red");
+	assert.deepStrictEqual(histogram.toSpec().theme, {axisColor: "red", palette: "schemeSet1"});
+	
+	assert.throws(()=>histogram.theme("neon"), /Unknown theme "neon"/);
+	assert.throws(()=>histogram.theme({palette: "schemeNone"}), /Invalid theme field "palette"/);
+});
+
+test("the label table and the color schemes follow the theme", ()=>{
+	let container = createContainer();
+	let histogram = createHistogram(container);
+	histogram.labelTable(new LabelTable(histogram, "table", {x: 10, y: 0}, 0, {width: 100, height: 50}).setValues(["red", "blue"], ["a", "b"]));
+	histogram.theme("dark");
+	assert.strictEqual(histogram.labelTable().selection().select(".border").attr("fill"), Chart.themes.dark.background);
+	
+	let map = new Map(container, "map", null, 10).theme("dark");
+	assert.strictEqual(map.colorScheme(), d3.interpolateViridis);
+	let correlation = new Correlation(container, "correlation", null, 10).setData([[1, 2, 3], [2, 4, 7], [3, 1, 2]]);
+	assert.strictEqual(correlation.colorScheme(), Chart.themes.light.diverging);
+});
+
+test("the default theme is taken by the new charts", ()=>{
+	try {
+		Chart.defaultTheme("print");
+		let pie = new Pie(createContainer(), "pie", null, 10).setData([1, 3]);
+		assert.strictEqual(pie.sliceSelection().attr("fill"), d3.rgb(Chart.themes.print.palette[0]).toString());
+		assert.strictEqual(pie.selection().attr("font-family"), "serif");
+		assert.strictEqual(pie.theme(), Chart.themes.print);
+	} finally {
+		Chart.defaultTheme("light");
+	}
+});
+
+test("a theme is set and exported by the specifications", ()=>{
+	let container = createContainer();
+	let spec = {type: "segments", id: "segments", margins: 10, theme: {background: "#eee", sequential: "interpolateViridis"}, labels: ["a", "b"], segments: [[1, 2]]};
+	let segments = Chart.fromSpec(container, spec);
+	assert.strictEqual(segments.selection().select(".chartBackground").attr("fill"), "#eee");
+	assert.deepStrictEqual(segments.toSpec().theme, spec.theme);
+	assert.deepStrictEqual(Chart.validateSpec({type: "pie", id: "pie", theme: "neon"}, container), ['Invalid spec field "theme": expected the name of a theme at Chart.themes or a theme object.']);
+});
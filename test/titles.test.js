@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Chart, Histogram, Pie} = require("./helpers.js");
+
+/**
+ * Creates a histogram of 300 by 200 pixels, with three columns.
+ * @param {d3.selection} container - The tag in which the histogram is inserted.
+ * @returns {Histogram} The histogram.
+ */
+function createHistogram(container) {
+	return new Histogram(container, "histogram", {x: 0, y: 0}, 30, {width: 300, height: 200})
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 60, 120, 180, 240]))
+		.setData([1, 2, 3]);
+}
+
+test("the titles take space from the plotting area", ()=>{
+	let histogram = createHistogram(createContainer());
+	assert.deepStrictEqual([histogram.width(), histogram.height()], [240, 140]);
+	
+	histogram.title("Sales").subtitle("2018").xAxisTitle("Month").yAxisTitle("Units");
+	assert.deepStrictEqual([histogram.width(), histogram.height()], [216, 62]);
+	assert.strictEqual(histogram.selection().attr("transform"), "translate(54,84)");
+	assert.deepStrictEqual(histogram.xAxisScale().range(), [0, 54, 108, 162, 216]);
+	
+	let texts = [".chartTitle", ".chartSubtitle", ".xAxisTitle", ".yAxisTitle"].map(name=>histogram.selection().select(name));
+	assert.deepStrictEqual(texts.map(text=>text.text()), ["Sales", "2018", "Month", "Units"]);
+	assert.deepStrictEqual(texts.map(text=>text.attr("transform")), ["translate(108,-64)", "translate(108,-38)", "translate(108,109.6)", "translate(-36.4,31)rotate(-90)"]);
+	assert.deepStrictEqual(texts.map(text=>text.attr("font-size")), ["20", "16", "16", "16"]);
+	
+	//The dimensions of the chart are kept
+	assert.deepStrictEqual(histogram.toSpec().dimensions, {width: 300, height: 200});
+});
+
+test("removing a title gives its space back", ()=>{
+	let histogram = createHistogram(createContainer()).title("Sales").subtitle("2018");
+	let height = histogram.height();
+	histogram.subtitle("");
+	assert.strictEqual(histogram.selection().selectAll(".chartSubtitle").size(), 0);
+	assert.ok(histogram.height() > height);
+	histogram.title("");
+	assert.strictEqual(histogram.height(), 140);
+});
+
+test("the titles follow the font sizes of the theme", ()=>{
+	let histogram = createHistogram(createContainer()).title("Sales").subtitle("2018").xAxisTitle("Month").yAxisTitle("Units");
+	histogram.theme("print");
+	assert.strictEqual(histogram.selection().select(".chartTitle").attr("transform"), "translate(109.5,-61)");
+	assert.strictEqual(histogram.selection().select(".chartSubtitle").attr("font-size"), "14");
+	assert.strictEqual(histogram.height(), 68);
+});
+
+test("the title of a chart centered at its origin stays above it", ()=>{
+	let pie = new Pie(createContainer(), "pie", {x: 300, y: 0}, 10, {width: 200, height: 200}).setData([1, 3]).title("Share");
+	assert.strictEqual(pie.selection().attr("transform"), "translate(400,115)");
+	assert.strictEqual(pie.selection().select(".chartTitle").attr("transform"), "translate(0,-95)");
+});
+
+test("the titles are set and exported by the specifications", ()=>{
+	let container = createContainer();
+	let scatterplot = Chart.fromSpec(container, {type: "scatterplot", id: "scatterplot", dimensions: {width: 200, height: 200}, title: "Heights", yAxisTitle: "Height", data: [[1, 2]]});
+	assert.deepStrictEqual([scatterplot.width(), scatterplot.height()], [156, 150]);
+	assert.strictEqual(scatterplot.toSpec().title, "Heights");
+	assert.strictEqual(scatterplot.toSpec().yAxisTitle, "Height");
+	assert.deepStrictEqual(Chart.validateSpec({type: "pie", id: "pie", title: 3}, container), ['Invalid spec field "title": expected a string.']);
+});
@@ -0,0 +1,62 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, d3, Chart, Histogram, Scatterplot, Pie, Segments, StarGlyph, Correlation, Map, LabelTable} = require("./helpers.js");
+
+const regions = {type: "FeatureCollection", features: [
+	{type: "Feature", properties: {name: "A", v: 3}, geometry: {type: "Polygon", coordinates: [[[0, 0], [0, 1], [1, 1], [0, 0]]]}},
+	{type: "Feature", properties: {name: "B"}, geometry: {type: "Polygon", coordinates: [[[1, 0], [1, 1], [2, 1], [1, 0]]]}}
+]};
+
+/**
+ * Creates a chart from the JSON of the specification of another, on a new container.
+ * @param {Chart} chart - The chart exported.
+ * @returns {Chart} The chart created.
+ */
+function roundTrip(chart) {
+	return Chart.fromSpec(createContainer(), JSON.parse(JSON.stringify(chart.toSpec())));
+}
+
+/**
+ * Writes the markup of a node with the attributes of each element in alphabetical order, as the order they are set in doesn't change the rendering.
+ * @param {Node} node - The node.
+ * @returns {string} The markup.
+ */
+function markup(node) {
+	if (node.nodeType != 1) return node.textContent;
+	let attributes = Array.from(node.attributes).map(attribute=>attribute.name + "=\"" + attribute.value + "\"").sort();
+	return "<" + [node.tagName].concat(attributes).join(" ") + ">" + Array.from(node.childNodes).map(markup).join("") + "</" + node.tagName + ">";
+}
+
+test("a chart created from its specification is plotted the same way", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", " "]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2, 3], {opacity: (d, i)=>i / 3})
+		.colorScale(d3.scaleOrdinal(d3.schemeSet3).domain([0, 1, 2]));
+	histogram.labelTable(new LabelTable(histogram, "labels", {x: 10, y: 0}, 0, {width: 100, height: 50}).setValues(["red", "blue"], ["a", "b"]));
+	let charts = [
+		histogram,
+		new Scatterplot(container, "scatterplot", {x: 3, y: 4}, 20, {width: 300, height: 200}).xScale(d3.scaleLog().range([0, 260])).setData([[1, 2], [30, 4], [100, 1]]).fillFunction((d, i)=>(d[0] > 10) ? "red" : "blue"),
+		new Pie(container, "pie", null, 20).innerRadius((d, i)=>10 * i).setData([1, 2, 3]).setSliceLabels(["a", "b", "c"]),
+		new Segments(container, "segments", null, 20).xAxisScale(d3.scaleOrdinal().domain(["a", "b", "c"]).range([0, 100, 200])).setSegments([[1, 2, 3]], {"stroke-width": 3}).setDots([[1, 2, 3]]).setRanges([[[0, 1], [1, 2], [2, 3]]]),
+		new StarGlyph(container, "star", null, 20).setScaleDomains([[0, 1], [0, 2], [0, 1]]).fillFunction(()=>"green").setData([1, 1, 0.5]).setCornerLabels(["a", "b", "c"]),
+		new Correlation(container, "correlation", null, 20).colorScheme(d3.interpolateViridis).setData([[1, 2], [2, 3], [4, 1]]).setLabels(["a", "b"]),
+		new Map(container, "map", null, 10).projection("geoEquirectangular").fillValue(d=>(d.properties && d.properties.v) || 0).colorScale(d3.scalePow().domain([0, 3])).setMap(regions).setDots([[0.5, 0.5]])
+	];
+	for (let chart of charts) {
+		let copy = roundTrip(chart);
+		assert.ok(markup(copy.selection().node()) == markup(chart.selection().node()), chart.id());
+	}
+});
+
+test("the specification keeps the settings of the chart", ()=>{
+	let pie = new Pie(createContainer(), "pie", {x: 5, y: 6}, 20, {width: 200, height: 100}).transition(100, d3.easeLinear).setData([1, 2]);
+	let spec = pie.toSpec();
+	assert.strictEqual(spec.type, "pie");
+	assert.deepStrictEqual(spec.position, {x: 5, y: 6});
+	assert.deepStrictEqual(spec.data, [1, 2]);
+	assert.strictEqual(spec.transition.easing, "easeLinear");
+	
+	let copy = roundTrip(pie);
+	assert.deepStrictEqual(copy.toSpec(), spec);
+});
@@ -0,0 +1,92 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, dispatch, d3, Chart, Tooltip, Histogram, Pie, Scatterplot} = require("./helpers.js");
+
+/**
+ * Returns the lines shown by a tooltip.
+ * @param {Tooltip} tooltip - The tooltip.
+ * @returns {string[]} The lines of the tooltip.
+ */
+function lines(tooltip) {
+	return tooltip.selection().selectAll(".tooltipLine").nodes().map(node=>node.textContent);
+}
+
+test("the tooltip shows the fields of the mark under the pointer", ()=>{
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", "c", ""]).range([0, 135, 270, 405, 540]))
+		.setData([1, 2.5, 3000]);
+	let tooltip = histogram.tooltip(new Tooltip(histogram));
+	
+	dispatch(histogram.colSelection().nodes()[2], "mousemove", {clientX: 100, clientY: 100});
+	assert.deepStrictEqual(lines(tooltip), ["c: 3,000"]);
+	assert.strictEqual(tooltip.selection().style("display"), "");
+	assert.strictEqual(tooltip.selection().attr("transform"), "translate(112,112)");
+	
+	dispatch(histogram.selection().node(), "mouseout");
+	assert.strictEqual(tooltip.selection().style("display"), "none");
+});
+
+test("the tooltip stays inside the container", ()=>{
+	let container = createContainer(600, 400);
+	let scatterplot = new Scatterplot(container, "scatterplot", null, 20).setData([[1, 2], [3, 4]]);
+	let tooltip = scatterplot.tooltip(new Tooltip(scatterplot, "({x}; {y:.2f})"));
+	dispatch(scatterplot.dotSelection().nodes()[1], "mousemove", {clientX: 590, clientY: 390});
+	assert.deepStrictEqual(lines(tooltip), ["(3; 4.00)"]);
+	let [x, y] = tooltip.selection().attr("transform").match(/[\d.]+/g).map(Number);
+	assert.ok(x + +tooltip.selection().select("rect").attr("width") <= 590);
+	assert.ok(y + +tooltip.selection().select("rect").attr("height") <= 390);
+});
+
+test("a template function gives the lines of the tooltip", ()=>{
+	let container = createContainer();
+	let pie = new Pie(container, "pie", null, 20).setData([1, 3]).setSliceLabels(["x", "y"]);
+	let tooltip = pie.tooltip(new Tooltip(pie));
+	dispatch(pie.sliceSelection().nodes()[1], "mousemove");
+	assert.deepStrictEqual(lines(tooltip), ["y: 3 (75.0%)"]);
+	
+	tooltip.template((fields, d, i)=>"Value " + fields.value + "\nIndex " + i);
+	dispatch(pie.sliceSelection().nodes()[0], "mousemove");
+	assert.deepStrictEqual(lines(tooltip), ["Value 1", "Index 0"]);
+});
+
+test("a new tooltip replaces the current one", ()=>{
+	let container = createContainer();
+	let pie = new Pie(container, "pie", null, 20).setData([1, 3]);
+	pie.tooltip(new Tooltip(pie));
+	let tooltip = pie.tooltip(new Tooltip(pie));
+	assert.strictEqual(container.selectAll(".chartTooltip").size(), 1);
+	dispatch(pie.sliceSelection().nodes()[0], "mousemove");
+	assert.strictEqual(tooltip.selection().style("display"), "");
+});
+
+test("the marks with the keyboard focus show the tooltip", ()=>{
+	let container = createContainer();
+	let pie = new Pie(container, "pie", null, 20).setData([1, 3]).setSliceLabels(["x", "y"]);
+	let tooltip = pie.tooltip(new Tooltip(pie));
+	assert.deepStrictEqual(pie.sliceSelection().nodes().map(node=>node.getAttribute("tabindex")), ["0", "-1"]);
+	
+	dispatch(pie.sliceSelection().nodes()[0], "focusin");
+	assert.deepStrictEqual(lines(tooltip), ["x: 1 (25.0%)"]);
+	dispatch(pie.sliceSelection().nodes()[0], "focusout");
+	assert.strictEqual(tooltip.selection().style("display"), "none");
+});
+
+test("the tooltip takes the theme of its chart", ()=>{
+	let histogram = new Histogram(createContainer(), "histogram", null, 30).theme("dark");
+	let tooltip = histogram.tooltip(new Tooltip(histogram));
+	let colors = ()=>[tooltip.selection().select("rect").attr("fill"), tooltip.selection().select("rect").attr("stroke"), tooltip.selection().select("text").attr("fill")];
+	let dark = histogram.theme();
+	assert.deepStrictEqual(colors(), [dark.background, dark.foreground, dark.textColor]);
+	
+	histogram.theme("print");
+	let print = histogram.theme();
+	assert.deepStrictEqual(colors(), [print.background || "white", print.foreground, print.textColor]);
+	assert.strictEqual(tooltip.selection().attr("font-family"), print.fontFamily);
+});
+
+test("Chart.formatTemplate() replaces the fields of a template by their formatted values", ()=>{
+	let fields = {label: "a", value: 1234.5};
+	assert.strictEqual(Chart.formatTemplate("{label}: {value:,.1f}", fields), "a: 1,234.5");
+	assert.strictEqual(Chart.formatTemplate("{label}: {value} {missing}", fields), "a: 1,234.5 ");
+});
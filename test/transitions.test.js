@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, mockClock, d3, Chart, Histogram, Pie, Segments} = require("./helpers.js");
+
+test("the marks move to their new attributes during the transition", t=>{
+	let tick = mockClock(t);
+	let container = createContainer();
+	let histogram = new Histogram(container, "histogram", null, 30)
+		.xAxisScale(d3.scaleOrdinal().domain(["", "a", "b", ""]).range([0, 180, 360, 540]))
+		.setData([1, 2])
+		.transition(50, d3.easeLinear);
+	assert.strictEqual(histogram.transition().duration, 50);
+	let column = histogram.colSelection().node();
+	let height = column.getAttribute("height");
+	
+	histogram.setData([2, 1]);
+	assert.strictEqual(column.getAttribute("height"), height);
+	tick(100);
+	assert.notStrictEqual(column.getAttribute("height"), height);
+	assert.strictEqual(histogram.colSelection().node(), column);
+	
+	//The removed marks leave their class at once, and are taken out when their transitions end
+	let count = ()=>container.selectAll("#histogram rect").filter(function() {
+		return this.parentNode.id == "histogram";
+	}).size();
+	let columns = count();
+	histogram.setData([1]);
+	assert.strictEqual(container.selectAll("#histogram .column").size(), 1);
+	assert.strictEqual(count(), columns);
+	tick(100);
+	assert.strictEqual(count(), columns - 1);
+});
+
+test("the slices of a Pie end at their arcs", t=>{
+	let tick = mockClock(t);
+	let pie = new Pie(createContainer(), "pie", null, 20).transition(50).setData([1, 2, 3]);
+	pie.setData([3, 2, 1]);
+	tick(100);
+	pie.sliceSelection().each(function(d, i) {
+		assert.strictEqual(this.getAttribute("d"), pie.genSlice(d, i)());
+	});
+});
+
+test("the lines of a Segments are interpolated point by point", t=>{
+	let tick = mockClock(t);
+	let segments = new Segments(createContainer(), "segments", null, 20).setSegments([[1, 2, 3]]).transition(50);
+	segments.setSegments([[3, 2, 1, 0]]);
+	tick(100);
+	let path = segments.segSelection().attr("d");
+	assert.strictEqual(path, segments.segPathGenerator()([3, 2, 1, 0]));
+	
+	//The shorter path grows from its end
+	let interpolator = Chart.interpolatePath("M0,0L1,1", "M0,0L2,2L4,4");
+	assert.strictEqual(interpolator(0), "M0,0L1,1L1,1");
+	assert.strictEqual(interpolator(1), "M0,0L2,2L4,4");
+});
+
+test("a duration of 0 disables the animations", ()=>{
+	let pie = new Pie(createContainer(), "pie", null, 20).transition(50).transition(0).setData([1, 2]);
+	assert.strictEqual(pie.transition().duration, 0);
+	pie.setData([2, 1]);
+	pie.sliceSelection().each(function(d, i) {
+		assert.strictEqual(this.getAttribute("d"), pie.genSlice(d, i)());
+	});
+});
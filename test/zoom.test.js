@@ -0,0 +1,73 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const {createContainer, Scatterplot} = require("./helpers.js");
+
+/**
+ * Creates a scatterplot of 300 by 200 pixels, with dots from 0 to 10.
+ * @param {d3.selection} container - The tag in which the scatterplot is inserted.
+ * @returns {Scatterplot} The scatterplot.
+ */
+function createScatterplot(container) {
+	return new Scatterplot(container, "scatterplot", {x: 0, y: 0}, 30, {width: 300, height: 200}).setData([[0, 0], [10, 10]]);
+}
+
+test("the zoom changes the domains of the scales and emits zoom events", ()=>{
+	let scatterplot = createScatterplot(createContainer()).setAnnotations([{type: "line", y: 5}]);
+	let events = [];
+	scatterplot.on("zoom", domains=>events.push(domains.x.map(value=>+value.toFixed(2))));
+	assert.strictEqual(scatterplot.zoom(), null);
+	
+	scatterplot.zoom(true);
+	assert.deepStrictEqual(scatterplot.zoom(), {axis: "both", scaleExtent: [0, Infinity]});
+	assert.strictEqual(scatterplot.selection().select(".zoomArea").attr("width"), "240");
+	assert.strictEqual(scatterplot.dotSelection().attr("clip-path"), "url(#scatterplotClip)");
+	
+	scatterplot.zoomTo([2, 4], [2, 4]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [2, 4]);
+	assert.strictEqual(scatterplot.dotSelection().nodes()[1].getAttribute("cx"), "960");
+	assert.strictEqual(scatterplot.selection().select(".annotationShape").attr("d"), "M0,-70L240,-70");
+	
+	//The wheel zooms around the pointer
+	let node = scatterplot.selection().node();
+	node.dispatchEvent(new node.ownerDocument.defaultView.WheelEvent("wheel", {bubbles: true, cancelable: true, deltaY: -100, clientX: 150, clientY: 100}));
+	assert.deepStrictEqual(scatterplot.xScale().domain().map(value=>+value.toFixed(2)), [2.16, 3.9]);
+	
+	scatterplot.resetZoom();
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [0, 10]);
+	assert.deepStrictEqual(scatterplot.yScale().domain(), [0, 10]);
+	assert.deepStrictEqual(events, [[2, 4], [2.16, 3.9], [0, 10]]);
+});
+
+test("the zoom can be limited to an axis", ()=>{
+	let scatterplot = createScatterplot(createContainer()).zoom({axis: "x"});
+	scatterplot.zoomTo([0, 5]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [0, 5]);
+	assert.deepStrictEqual(scatterplot.yScale().domain(), [0, 10]);
+});
+
+test("the zoom is kept when the chart is plotted again", ()=>{
+	let scatterplot = createScatterplot(createContainer()).zoom(true);
+	let count = 0;
+	scatterplot.on("zoom", ()=>count++);
+	scatterplot.zoomTo([1, 2], [3, 4]);
+	
+	scatterplot.axis("x", {padding: 0.1}).title("Heights").resize(400, 300).theme("dark");
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [1, 2]);
+	assert.deepStrictEqual(scatterplot.yScale().domain(), [3, 4]);
+	assert.strictEqual(scatterplot.selection().select(".zoomArea").attr("width"), "340");
+	assert.strictEqual(count, 1);
+	
+	//New data resets the zoom
+	scatterplot.setData([[0, 0], [5, 5]]);
+	assert.deepStrictEqual(scatterplot.xScale().domain(), [-0.5, 5.5]);
+	assert.strictEqual(count, 2);
+});
+
+test("disabling the zoom removes its area and clipping", ()=>{
+	let scatterplot = createScatterplot(createContainer()).zoom(true);
+	scatterplot.zoom(false);
+	assert.strictEqual(scatterplot.zoom(), null);
+	assert.strictEqual(scatterplot.selection().selectAll(".zoomArea").size(), 0);
+	assert.strictEqual(scatterplot.dotSelection().attr("clip-path"), null);
+	assert.throws(()=>scatterplot.zoomTo([0, 1]), /The zoom of the chart must be enabled\./);
+});